@@ -2,15 +2,115 @@ import { readFileSync } from "node:fs";
 import { dirname, join } from "node:path";
 import { fileURLToPath } from "node:url";
 import { z } from "zod";
+import { DEFAULT_ACCOUNT_NAME } from "../ecowitt/accounts.js";
+import { CASSETTE_MODES } from "../ecowitt/cassette.js";
+import { MOCK_SCENARIO_NAMES } from "../mock/scenarios.js";
+import { isValidImei } from "../utils/device_id.js";
+import { formatMacAddress, isValidMacAddress } from "../utils/mac.js";
+import { canonicalUnit, parseUnitPreferences } from "../utils/units.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Schema for an optional environment variable holding JSON, parsed into a value validated by `schema`
+ * @param {string} name - Environment variable name, used in error messages
+ * @param {z.ZodTypeAny} schema - Schema for the parsed value
+ * @param {*} defaultValue - Value used when the variable is unset or empty
+ * @returns {z.ZodTypeAny} Zod schema
+ */
+function jsonEnv(name, schema, defaultValue) {
+  return z
+    .string()
+    .optional()
+    .transform((value, ctx) => {
+      if (!value) {
+        return defaultValue;
+      }
+      try {
+        return JSON.parse(value);
+      } catch {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `${name} must be valid JSON` });
+        return z.NEVER;
+      }
+    })
+    .pipe(schema);
+}
+
+// Additional accounts: { "<name>": { "applicationKey": "...", "apiKey": "..." } }
+const AccountsSchema = z.record(
+  z.string().min(1),
+  z.object({
+    applicationKey: z.string().trim().min(1, "ECOWITT_ACCOUNTS entries require an applicationKey"),
+    apiKey: z.string().trim().min(1, "ECOWITT_ACCOUNTS entries require an apiKey"),
+  }),
+  { message: "ECOWITT_ACCOUNTS must map account names to { applicationKey, apiKey } objects" }
+);
+
+// Sensor configuration per device: { "<device>": { "<group>": { "label", "location", "calibration": { "<metric>": {...} } } } }
+const DeviceSensorsSchema = z.record(
+  z.string(),
+  z.record(
+    z.string(),
+    z
+      .object({
+        label: z.string().trim().min(1, "DEVICE_SENSORS labels must not be empty").optional(),
+        location: z.string().trim().min(1).optional(),
+        calibration: z
+          .record(
+            z.string(),
+            z
+              .object({
+                offset: z.number().optional(),
+                scale: z.number().optional(),
+                unit: z
+                  .string()
+                  .refine((unit) => canonicalUnit(unit) !== undefined, {
+                    message: "DEVICE_SENSORS calibration units must be units such as 'celsius' or 'hPa'",
+                  })
+                  .optional(),
+              })
+              .strict()
+          )
+          .optional(),
+      })
+      .strict()
+  ),
+  { message: "DEVICE_SENSORS must map device names, aliases, MACs or IMEIs to sensor groups" }
+);
+
+/**
+ * Check whether a string is a valid list of friendly unit names (see parseUnitPreferences)
+ * @param {string} value - Unit names, e.g. "metric, mph"
+ * @returns {boolean} True if every name is a known unit system or unit
+ */
+function isValidUnits(value) {
+  try {
+    parseUnitPreferences(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 // Environment variables schema
 const EnvSchema = z.object({
   ECOWITT_APPLICATION_KEY: z.string().min(1, "ECOWITT_APPLICATION_KEY is required").trim(),
   ECOWITT_API_KEY: z.string().min(1, "ECOWITT_API_KEY is required").trim(),
+  ECOWITT_ACCOUNTS: jsonEnv("ECOWITT_ACCOUNTS", AccountsSchema, {}),
   ECOWITT_BASE_URL: z.string().url().optional().default("https://api.ecowitt.net/api/v3"),
+  ECOWITT_MOCK_SCENARIO: z
+    .enum(MOCK_SCENARIO_NAMES, {
+      errorMap: () => ({
+        message: `ECOWITT_MOCK_SCENARIO must be one of: ${MOCK_SCENARIO_NAMES.join(", ")}`,
+      }),
+    })
+    .optional(),
+  ECOWITT_CASSETTE: z.string().min(1).optional(),
+  ECOWITT_CASSETTE_MODE: z
+    .enum(CASSETTE_MODES, { errorMap: () => ({ message: "ECOWITT_CASSETTE_MODE must be record or replay" }) })
+    .optional()
+    .default("replay"),
   REQUEST_TIMEOUT: z
     .string()
     .optional()
@@ -21,22 +121,259 @@ const EnvSchema = z.object({
         .positive("REQUEST_TIMEOUT must be a positive number")
         .max(300000, "REQUEST_TIMEOUT cannot exceed 5 minutes")
     ),
+  RETRY_MAX_ATTEMPTS: z
+    .string()
+    .optional()
+    .default("3")
+    .pipe(
+      z.coerce
+        .number()
+        .int("RETRY_MAX_ATTEMPTS must be an integer")
+        .min(1, "RETRY_MAX_ATTEMPTS must be at least 1")
+        .max(10, "RETRY_MAX_ATTEMPTS cannot exceed 10")
+    ),
+  RETRY_BASE_DELAY: z
+    .string()
+    .optional()
+    .default("500")
+    .pipe(z.coerce.number().positive("RETRY_BASE_DELAY must be a positive number")),
+  RETRY_MAX_DELAY: z
+    .string()
+    .optional()
+    .default("5000")
+    .pipe(z.coerce.number().positive("RETRY_MAX_DELAY must be a positive number")),
+  RETRY_MAX_ELAPSED: z
+    .string()
+    .optional()
+    .default("30000")
+    .pipe(
+      z.coerce
+        .number()
+        .positive("RETRY_MAX_ELAPSED must be a positive number")
+        .max(300000, "RETRY_MAX_ELAPSED cannot exceed 5 minutes")
+    ),
+  RATE_LIMIT_PER_SECOND: z
+    .string()
+    .optional()
+    .default("3")
+    .pipe(z.coerce.number().positive("RATE_LIMIT_PER_SECOND must be a positive number")),
+  RATE_LIMIT_BURST: z
+    .string()
+    .optional()
+    .default("5")
+    .pipe(z.coerce.number().int().min(1, "RATE_LIMIT_BURST must be at least 1")),
+  MAX_CONCURRENT_REQUESTS: z
+    .string()
+    .optional()
+    .default("4")
+    .pipe(z.coerce.number().int().min(1, "MAX_CONCURRENT_REQUESTS must be at least 1")),
+  CACHE_ENABLED: z
+    .enum(["true", "false"], { message: "CACHE_ENABLED must be 'true' or 'false'" })
+    .optional()
+    .default("true")
+    .transform((value) => value === "true"),
+  CACHE_DEVICE_TTL: z
+    .string()
+    .optional()
+    .default("300")
+    .pipe(z.coerce.number().nonnegative("CACHE_DEVICE_TTL must not be negative")),
+  CACHE_REALTIME_TTL: z
+    .string()
+    .optional()
+    .default("60")
+    .pipe(z.coerce.number().nonnegative("CACHE_REALTIME_TTL must not be negative")),
+  CACHE_DIR: z.string().min(1).optional(),
+  LOCAL_GATEWAYS: jsonEnv(
+    "LOCAL_GATEWAYS",
+    z.record(
+      z.string().refine(isValidMacAddress, { message: "LOCAL_GATEWAYS keys must be gateway MAC addresses" }),
+      z.string().trim().min(1, "LOCAL_GATEWAYS values must be gateway IP addresses or host names")
+    ),
+    {}
+  ),
+  DEVICE_ALIASES: jsonEnv(
+    "DEVICE_ALIASES",
+    z.record(z.string(), z.string(), { message: "DEVICE_ALIASES must map alias names to device strings" }),
+    {}
+  ),
+  UNITS: z
+    .string()
+    .refine(isValidUnits, { message: "UNITS must be 'metric', 'imperial' or unit names such as 'celsius, hPa'" })
+    .optional(),
+  DEVICE_UNITS: jsonEnv(
+    "DEVICE_UNITS",
+    z.record(
+      z.string(),
+      z.string().refine(isValidUnits, {
+        message: "DEVICE_UNITS values must be 'metric', 'imperial' or unit names such as 'celsius, hPa'",
+      }),
+      { message: "DEVICE_UNITS must map device names, aliases, MACs or IMEIs to unit names" }
+    ),
+    {}
+  ),
+  DEVICE_SENSORS: jsonEnv("DEVICE_SENSORS", DeviceSensorsSchema, {}),
+  UPLOAD_RECEIVER_PORT: z
+    .string()
+    .optional()
+    .pipe(
+      z.coerce
+        .number()
+        .int("UPLOAD_RECEIVER_PORT must be an integer")
+        .min(0, "UPLOAD_RECEIVER_PORT must be between 0 and 65535")
+        .max(65535, "UPLOAD_RECEIVER_PORT must be between 0 and 65535")
+        .optional()
+    ),
+  UPLOAD_RECEIVER_HOST: z.string().min(1).optional().default("0.0.0.0"),
+  UPLOAD_RECEIVER_PATH: z
+    .string()
+    .startsWith("/", "UPLOAD_RECEIVER_PATH must start with /")
+    .optional()
+    .default("/data/report/"),
+  UPLOAD_WUNDERGROUND_PATH: z
+    .string()
+    .startsWith("/", "UPLOAD_WUNDERGROUND_PATH must start with /")
+    .optional()
+    .default("/weatherstation/updateweatherstation.php"),
+  WUNDERGROUND_STATIONS: jsonEnv(
+    "WUNDERGROUND_STATIONS",
+    z.record(
+      z
+        .string()
+        .min(1)
+        .refine((id) => !isValidMacAddress(id) && !isValidImei(id), {
+          message: "WUNDERGROUND_STATIONS station IDs must not be MAC addresses or IMEIs",
+        }),
+      z.object({ name: z.string().min(1).optional(), password: z.string().optional() }).strict(),
+      { message: "WUNDERGROUND_STATIONS must map station IDs to { name, password } objects" }
+    ),
+    {}
+  ),
+  UPLOAD_PASSKEYS: jsonEnv(
+    "UPLOAD_PASSKEYS",
+    z.record(
+      z.string().min(1),
+      z.string().refine(isValidMacAddress, { message: "UPLOAD_PASSKEYS values must be MAC addresses" })
+    ),
+    {}
+  ),
+  UPLOAD_ACCEPT_UNMAPPED_PASSKEYS: z
+    .enum(["true", "false"], { message: "UPLOAD_ACCEPT_UNMAPPED_PASSKEYS must be 'true' or 'false'" })
+    .optional()
+    .default("false")
+    .transform((value) => value === "true"),
+  UPLOAD_STORE_DIR: z.string().min(1).optional(),
+  UPLOAD_STALE_AFTER: z
+    .string()
+    .optional()
+    .default("600")
+    .pipe(z.coerce.number().positive("UPLOAD_STALE_AFTER must be a positive number")),
+  RESOURCES_PAGE_SIZE: z
+    .string()
+    .optional()
+    .default("50")
+    .pipe(z.coerce.number().int().min(1, "RESOURCES_PAGE_SIZE must be at least 1")),
 });
 
+// With ECOWITT_ACCOUNTS set, the primary key pair becomes optional, but must still be given as a complete pair
+const MultiAccountEnvSchema = EnvSchema.partial({ ECOWITT_APPLICATION_KEY: true, ECOWITT_API_KEY: true }).superRefine(
+  (env, ctx) => {
+    const hasPrimaryAccount = env.ECOWITT_APPLICATION_KEY || env.ECOWITT_API_KEY;
+    if (hasPrimaryAccount || Object.keys(env.ECOWITT_ACCOUNTS).length === 0) {
+      for (const key of ["ECOWITT_APPLICATION_KEY", "ECOWITT_API_KEY"]) {
+        if (!env[key]) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: "Required" });
+        }
+      }
+    }
+    if (hasPrimaryAccount && Object.hasOwn(env.ECOWITT_ACCOUNTS, DEFAULT_ACCOUNT_NAME)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["ECOWITT_ACCOUNTS"],
+        message: `ECOWITT_ACCOUNTS cannot use the name "${DEFAULT_ACCOUNT_NAME}", which is taken by ECOWITT_APPLICATION_KEY/ECOWITT_API_KEY`,
+      });
+    }
+  }
+);
+
+// The mock API accepts any keys, so they are optional with a mock scenario and placeholders stand in for them
+const MockEnvSchema = EnvSchema.partial({ ECOWITT_APPLICATION_KEY: true, ECOWITT_API_KEY: true });
+const MOCK_API_KEY = "mock";
+
+/**
+ * Pick the schema for the environment: keys are optional with additional accounts or a mock scenario.
+ * @param {Object} env - Environment variables
+ * @returns {z.ZodTypeAny} Environment schema
+ */
+function envSchema(env) {
+  if (env.ECOWITT_ACCOUNTS) {
+    return MultiAccountEnvSchema;
+  }
+  return env.ECOWITT_MOCK_SCENARIO ? MockEnvSchema : EnvSchema;
+}
+
 // Cache for the loaded configuration
 let cachedConfig = null;
 
 /**
  * Loads and validates configuration from environment variables and package.json
  * @returns {Object} Application configuration object
- * @property {Object} ecowitt - Ecowitt API configuration
- * @property {string} ecowitt.applicationKey - Ecowitt application key from ECOWITT_APPLICATION_KEY env var
- * @property {string} ecowitt.apiKey - Ecowitt API key from ECOWITT_API_KEY env var
+ * @property {Object} ecowitt - Ecowitt API configuration shared by all accounts
+ * @property {string} [ecowitt.applicationKey] - Ecowitt application key from ECOWITT_APPLICATION_KEY env var
+ * @property {string} [ecowitt.apiKey] - Ecowitt API key from ECOWITT_API_KEY env var
  * @property {string} ecowitt.baseUrl - Base URL for Ecowitt API (default: https://api.ecowitt.net/api/v3)
  * @property {number} ecowitt.requestTimeout - Request timeout in milliseconds (default: 10000)
+ * @property {Object} ecowitt.retry - Retry policy for transient API failures
+ * @property {number} ecowitt.retry.maxAttempts - Total attempts per request from RETRY_MAX_ATTEMPTS (default: 3)
+ * @property {number} ecowitt.retry.baseDelay - First backoff delay in milliseconds from RETRY_BASE_DELAY (default: 500)
+ * @property {number} ecowitt.retry.maxDelay - Maximum backoff delay in milliseconds from RETRY_MAX_DELAY (default: 5000)
+ * @property {number} ecowitt.retry.maxElapsed - Total retry budget in milliseconds from RETRY_MAX_ELAPSED (default: 30000)
+ * @property {Object} ecowitt.rateLimit - Client-side rate limiting for API requests
+ * @property {number} ecowitt.rateLimit.requestsPerSecond - Sustained request rate from RATE_LIMIT_PER_SECOND (default: 3)
+ * @property {number} ecowitt.rateLimit.burst - Requests allowed back to back from RATE_LIMIT_BURST (default: 5)
+ * @property {number} ecowitt.rateLimit.maxConcurrent - Requests in flight at once from MAX_CONCURRENT_REQUESTS (default: 4)
+ * @property {Object} ecowitt.cache - Response cache settings
+ * @property {boolean} ecowitt.cache.enabled - Whether API responses are cached, from CACHE_ENABLED (default: true)
+ * @property {number} ecowitt.cache.deviceTtl - Seconds to cache device list/info from CACHE_DEVICE_TTL (default: 300)
+ * @property {number} ecowitt.cache.realtimeTtl - Seconds to cache real-time data from CACHE_REALTIME_TTL (default: 60)
+ * @property {string} [ecowitt.cache.dir] - Directory for a persistent on-disk cache from CACHE_DIR (default: in-memory)
+ * @property {Object} [ecowitt.cassette] - Record/replay of API traffic, set when ECOWITT_CASSETTE is
+ * @property {string} ecowitt.cassette.path - Cassette file path from ECOWITT_CASSETTE
+ * @property {string} ecowitt.cassette.mode - "record" or "replay" from ECOWITT_CASSETTE_MODE (default: replay)
+ * @property {Array<Object>} accounts - Ecowitt accounts to query: "default" for ECOWITT_APPLICATION_KEY/ECOWITT_API_KEY
+ *   (when set) followed by the accounts in ECOWITT_ACCOUNTS JSON
+ * @property {string} accounts[].name - Account name devices are tagged with
+ * @property {string} accounts[].applicationKey - Ecowitt application key for the account
+ * @property {string} accounts[].apiKey - Ecowitt API key for the account
+ * @property {Object} devices - Device configuration
+ * @property {Object<string, string>} devices.aliases - Friendly aliases mapped to device names, MACs or IMEIs, from DEVICE_ALIASES JSON (default: {})
+ * @property {Object<string, string>} devices.localGateways - Gateway MAC addresses mapped to the IP address or host name
+ *   of their local HTTP API, from LOCAL_GATEWAYS JSON (default: {}). Real-time data for these devices is read over the LAN
+ * @property {Object<string, Object>} devices.sensors - Device names, aliases, MACs or IMEIs mapped to the label,
+ *   location and per-metric calibration ({ offset, scale, unit }) of their sensor groups, from DEVICE_SENSORS JSON (default: {})
+ * @property {Object} units - Output units for readings, used when a call does not choose its own
+ * @property {string} [units.default] - Friendly unit names applied to every device, from UNITS (default: as reported)
+ * @property {Object<string, string>} units.devices - Device names, aliases, MACs or IMEIs mapped to unit names that
+ *   apply on top of the default, from DEVICE_UNITS JSON (default: {})
+ * @property {Object} receiver - Station upload receiver ("customized server" protocol)
+ * @property {number} [receiver.port] - Port to receive uploads on from UPLOAD_RECEIVER_PORT; the receiver only runs when set
+ * @property {string} receiver.host - Interface to listen on from UPLOAD_RECEIVER_HOST (default: 0.0.0.0)
+ * @property {string} receiver.path - Path for Ecowitt protocol uploads from UPLOAD_RECEIVER_PATH (default: /data/report/)
+ * @property {string} receiver.wundergroundPath - Path for Weather Underground uploads from UPLOAD_WUNDERGROUND_PATH
+ *   (default: /weatherstation/updateweatherstation.php)
+ * @property {Object<string, Object>} receiver.wundergroundStations - Weather Underground station IDs mapped to an optional
+ *   display `name` and required `password`, from WUNDERGROUND_STATIONS JSON (default: {})
+ * @property {Object<string, string>} receiver.passkeys - PASSKEYs mapped to station MAC addresses from UPLOAD_PASSKEYS JSON (default: {})
+ * @property {boolean} receiver.acceptUnmappedPasskeys - Whether uploads whose PASSKEY maps to no station are stored,
+ *   from UPLOAD_ACCEPT_UNMAPPED_PASSKEYS (default: false)
+ * @property {string} [receiver.dir] - Directory to persist the latest uploads in from UPLOAD_STORE_DIR (default: in-memory)
+ * @property {number} receiver.staleAfter - Seconds after which cloud data is stale and a newer upload is served, from UPLOAD_STALE_AFTER (default: 600)
+ * @property {Object} mock - Offline mock Ecowitt API
+ * @property {string} [mock.scenario] - Scenario to serve from an in-process mock API instead of the Ecowitt API,
+ *   from ECOWITT_MOCK_SCENARIO (default: disabled)
  * @property {Object} server - Server configuration
  * @property {string} server.name - MCP server name
  * @property {string} server.version - Server version from package.json
+ * @property {number} server.resourcesPageSize - Devices per resources/list page from RESOURCES_PAGE_SIZE (default: 50)
  */
 export function getConfig() {
   // Return cached config if already loaded
@@ -47,7 +384,7 @@ export function getConfig() {
   // Validate environment variables with better error handling
   let env;
   try {
-    env = EnvSchema.parse(process.env);
+    env = envSchema(process.env).parse(process.env);
   } catch (error) {
     if (error instanceof z.ZodError) {
       const errorMessages = error.errors.map((err) => `${err.path.join(".")}: ${err.message}`).join("\n");
@@ -63,14 +400,64 @@ export function getConfig() {
   // Build and cache the configuration
   cachedConfig = {
     ecowitt: {
-      applicationKey: env.ECOWITT_APPLICATION_KEY,
-      apiKey: env.ECOWITT_API_KEY,
+      applicationKey: env.ECOWITT_APPLICATION_KEY ?? (env.ECOWITT_MOCK_SCENARIO && MOCK_API_KEY),
+      apiKey: env.ECOWITT_API_KEY ?? (env.ECOWITT_MOCK_SCENARIO && MOCK_API_KEY),
       baseUrl: env.ECOWITT_BASE_URL,
       requestTimeout: env.REQUEST_TIMEOUT,
+      retry: {
+        maxAttempts: env.RETRY_MAX_ATTEMPTS,
+        baseDelay: env.RETRY_BASE_DELAY,
+        maxDelay: env.RETRY_MAX_DELAY,
+        maxElapsed: env.RETRY_MAX_ELAPSED,
+      },
+      rateLimit: {
+        requestsPerSecond: env.RATE_LIMIT_PER_SECOND,
+        burst: env.RATE_LIMIT_BURST,
+        maxConcurrent: env.MAX_CONCURRENT_REQUESTS,
+      },
+      cache: {
+        enabled: env.CACHE_ENABLED,
+        deviceTtl: env.CACHE_DEVICE_TTL,
+        realtimeTtl: env.CACHE_REALTIME_TTL,
+        dir: env.CACHE_DIR,
+      },
+      cassette: env.ECOWITT_CASSETTE ? { path: env.ECOWITT_CASSETTE, mode: env.ECOWITT_CASSETTE_MODE } : undefined,
+    },
+    accounts: [
+      ...(env.ECOWITT_APPLICATION_KEY
+        ? [{ name: DEFAULT_ACCOUNT_NAME, applicationKey: env.ECOWITT_APPLICATION_KEY, apiKey: env.ECOWITT_API_KEY }]
+        : []),
+      ...Object.entries(env.ECOWITT_ACCOUNTS).map(([name, keys]) => ({ name, ...keys })),
+    ],
+    devices: {
+      aliases: env.DEVICE_ALIASES,
+      localGateways: Object.fromEntries(
+        Object.entries(env.LOCAL_GATEWAYS).map(([mac, host]) => [formatMacAddress(mac.toUpperCase()), host])
+      ),
+      sensors: env.DEVICE_SENSORS,
+    },
+    units: {
+      default: env.UNITS,
+      devices: env.DEVICE_UNITS,
+    },
+    receiver: {
+      port: env.UPLOAD_RECEIVER_PORT,
+      host: env.UPLOAD_RECEIVER_HOST,
+      path: env.UPLOAD_RECEIVER_PATH,
+      passkeys: env.UPLOAD_PASSKEYS,
+      acceptUnmappedPasskeys: env.UPLOAD_ACCEPT_UNMAPPED_PASSKEYS,
+      wundergroundPath: env.UPLOAD_WUNDERGROUND_PATH,
+      wundergroundStations: env.WUNDERGROUND_STATIONS,
+      dir: env.UPLOAD_STORE_DIR,
+      staleAfter: env.UPLOAD_STALE_AFTER,
+    },
+    mock: {
+      scenario: env.ECOWITT_MOCK_SCENARIO,
     },
     server: {
       name: "ecowitt-weather-server",
       version: packageJson.version,
+      resourcesPageSize: env.RESOURCES_PAGE_SIZE,
     },
   };
 
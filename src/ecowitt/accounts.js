@@ -0,0 +1,221 @@
+/**
+ * Multi-account support: one EcowittClient per configured Ecowitt account behind a single client interface.
+ */
+import { normalizeDeviceId } from "../utils/device_id.js";
+import { Cassette } from "./cassette.js";
+import { EcowittClient } from "./client.js";
+import { DeviceNotFoundError } from "./errors.js";
+
+// Account name used for the ECOWITT_APPLICATION_KEY / ECOWITT_API_KEY pair
+export const DEFAULT_ACCOUNT_NAME = "default";
+
+/**
+ * Aggregates devices across several Ecowitt accounts and routes device requests to the account that owns the device.
+ * Exposes the same device methods as EcowittClient, so handlers do not need to know how many accounts exist.
+ */
+export class MultiAccountClient {
+  /**
+   * Create a new MultiAccountClient
+   * @param {Object} config - Full configuration object (see EcowittClient)
+   * @param {Array<{name: string, applicationKey: string, apiKey: string}>} [config.accounts] - Accounts to query;
+   *   defaults to a single account using config.ecowitt.applicationKey and config.ecowitt.apiKey
+   * @param {Object} [options] - Client options passed to every EcowittClient
+   * @param {Function} [options.logger] - Called as logger(level, message) for diagnostics such as retries
+   */
+  constructor(config, options = {}) {
+    const accounts = config.accounts?.length
+      ? config.accounts
+      : [
+          {
+            name: DEFAULT_ACCOUNT_NAME,
+            applicationKey: config.ecowitt.applicationKey,
+            apiKey: config.ecowitt.apiKey,
+          },
+        ];
+
+    // All accounts record to (or replay from) the same cassette, each tagging its own requests
+    const cassette = config.ecowitt.cassette && new Cassette(config.ecowitt.cassette);
+
+    this.clients = new Map(
+      accounts.map((account) => [
+        account.name,
+        new EcowittClient(
+          {
+            ...config,
+            ecowitt: { ...config.ecowitt, applicationKey: account.applicationKey, apiKey: account.apiKey },
+          },
+          cassette ? { ...options, cassette: cassette.forAccount(account.name) } : options
+        ),
+      ])
+    );
+    // Normalized MAC or IMEI -> account name, filled in whenever devices are listed
+    this.deviceAccounts = new Map();
+    this.logger = options.logger ?? (() => {});
+  }
+
+  /**
+   * List the devices of every account, each tagged with the `account` it belongs to.
+   * A device shared between accounts is listed once, under the first account that has it. Accounts whose devices
+   * cannot be listed (a revoked key, an outage) are logged and skipped, so the other accounts keep working.
+   * @returns {Promise<Array<Object>>} Transformed device objects with an `account` property
+   * @throws {EcowittApiError|CustomError} If listing the devices of every account fails
+   */
+  async listDevices() {
+    const accounts = [...this.clients.keys()];
+    const settled = await Promise.allSettled([...this.clients.values()].map((client) => client.listDevices()));
+    const failures = settled.filter((result) => result.status === "rejected");
+    if (failures.length === settled.length) {
+      throw failures[0].reason;
+    }
+
+    const results = [];
+    settled.forEach((result, index) => {
+      if (result.status === "fulfilled") {
+        results.push({ account: accounts[index], devices: result.value });
+      } else {
+        this.logger("warning", `Could not list devices of account "${accounts[index]}": ${result.reason.message}`);
+      }
+    });
+
+    const devices = [];
+    const seen = new Set();
+    for (const { account, devices: accountDevices } of results) {
+      for (const device of accountDevices) {
+        const id = this._deviceKey(device.mac ?? device.imei);
+        if (id && seen.has(id)) {
+          continue;
+        }
+        if (id) {
+          seen.add(id);
+          this.deviceAccounts.set(id, account);
+        }
+        devices.push({ ...device, account });
+      }
+    }
+
+    return devices;
+  }
+
+  /**
+   * Find the client for the account that owns a device, listing devices if the owner is not known yet.
+   * @param {string} macOrImei - Device MAC or IMEI
+   * @returns {Promise<EcowittClient>} Client for the owning account
+   * @throws {DeviceNotFoundError} If no account has the device
+   */
+  async clientFor(macOrImei) {
+    if (this.clients.size === 1) {
+      return this.clients.values().next().value;
+    }
+
+    const id = this._deviceKey(macOrImei);
+    if (!this.deviceAccounts.has(id)) {
+      await this.listDevices();
+    }
+
+    const account = this.deviceAccounts.get(id);
+    if (!account) {
+      throw new DeviceNotFoundError(macOrImei);
+    }
+    return this.clients.get(account);
+  }
+
+  /**
+   * Get detailed information for a device from the account that owns it.
+   * @param {string} macOrImei - Device MAC or IMEI
+   * @returns {Promise<Object>} Raw detailed device information
+   */
+  async getDeviceInfo(macOrImei) {
+    return (await this.clientFor(macOrImei)).getDeviceInfo(macOrImei);
+  }
+
+  /**
+   * Get real-time information for a device from the account that owns it.
+   * @param {string} macOrImei - Device MAC or IMEI
+   * @param {string} [callback] - Comma-separated list of field types to return
+   * @param {Object} [unitOptions] - Optional unit conversion parameters
+   * @returns {Promise<Object>} Raw real-time device information
+   */
+  async getRealTimeInfo(macOrImei, callback, unitOptions = {}) {
+    return (await this.clientFor(macOrImei)).getRealTimeInfo(macOrImei, callback, unitOptions);
+  }
+
+  /**
+   * Get historical data for a device from the account that owns it.
+   * @param {string} macOrImei - Device MAC or IMEI
+   * @param {string} startDate - Start time ("YYYY-MM-DD HH:mm:ss")
+   * @param {string} endDate - End time ("YYYY-MM-DD HH:mm:ss")
+   * @param {string} callback - Comma-separated list of field types to return
+   * @param {string} [cycleType] - Data resolution
+   * @param {Object} [unitOptions] - Optional unit conversion parameters
+   * @param {Object} [options] - Query options (see EcowittClient.getDeviceHistory)
+   * @returns {Promise<Object>} Historical device data
+   */
+  async getDeviceHistory(macOrImei, startDate, endDate, callback, cycleType, unitOptions = {}, options = {}) {
+    const client = await this.clientFor(macOrImei);
+    return client.getDeviceHistory(macOrImei, startDate, endDate, callback, cycleType, unitOptions, options);
+  }
+
+  /**
+   * Remove cached responses from every account.
+   * Accounts caching on disk share the cache directory, so each directory is cleared once.
+   * @param {Object} [filter] - Entry filter (see EcowittClient.clearCache)
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clearCache(filter = {}) {
+    const dirs = new Set();
+    const clients = [...this.clients.values()].filter((client) => {
+      const dir = client.cache.options.dir;
+      if (!dir) {
+        return true;
+      }
+      const cleared = dirs.has(dir);
+      dirs.add(dir);
+      return !cleared;
+    });
+    const removed = await Promise.all(clients.map((client) => client.clearCache(filter)));
+    return removed.reduce((total, count) => total + count, 0);
+  }
+
+  /**
+   * Request diagnostics summed across accounts, with the per-account snapshots under `accounts`.
+   * @returns {Object} Diagnostics snapshot
+   */
+  getDiagnostics() {
+    const accounts = Object.fromEntries([...this.clients].map(([name, client]) => [name, client.getDiagnostics()]));
+    const snapshots = Object.values(accounts);
+    const sum = (pick) => snapshots.reduce((total, snapshot) => total + pick(snapshot), 0);
+    const max = (pick) => Math.max(...snapshots.map(pick));
+    const started = sum((snapshot) => snapshot.started);
+
+    return {
+      queueDepth: sum((snapshot) => snapshot.queueDepth),
+      active: sum((snapshot) => snapshot.active),
+      started,
+      maxQueueDepth: max((snapshot) => snapshot.maxQueueDepth),
+      averageWaitMs: started ? Math.round(sum((snapshot) => snapshot.averageWaitMs * snapshot.started) / started) : 0,
+      maxWaitMs: max((snapshot) => snapshot.maxWaitMs),
+      inFlight: sum((snapshot) => snapshot.inFlight),
+      coalescedRequests: sum((snapshot) => snapshot.coalescedRequests),
+      cache: {
+        hits: sum((snapshot) => snapshot.cache.hits),
+        misses: sum((snapshot) => snapshot.cache.misses),
+      },
+      limits: snapshots[0].limits,
+      accounts,
+    };
+  }
+
+  /**
+   * Normalize a device identifier for use as a routing key.
+   * @private
+   * @param {string} macOrImei - Device MAC or IMEI
+   * @returns {string|undefined} Normalized identifier, or undefined if it is not a MAC or IMEI
+   */
+  _deviceKey(macOrImei) {
+    try {
+      return normalizeDeviceId(macOrImei);
+    } catch {
+      return undefined;
+    }
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * Response cache for Ecowitt API requests with endpoint-aware TTLs and pluggable storage.
+ */
+import { createHash } from "node:crypto";
+import { mkdir, readdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { parseEcowittDate } from "./history.js";
+
+/**
+ * Default cache settings used when the configuration does not override them.
+ * @property {boolean} enabled - Whether responses are cached at all
+ * @property {number} deviceTtl - Seconds to cache /device/list and /device/info responses
+ * @property {number} realtimeTtl - Seconds to cache /device/real_time responses and history windows still open
+ * @property {string} [dir] - Directory for the on-disk backend; in-memory when omitted
+ * @property {number} maxEntries - Maximum entries kept by the in-memory backend
+ */
+export const DEFAULT_CACHE_OPTIONS = {
+  enabled: true,
+  deviceTtl: 300,
+  realtimeTtl: 60,
+  dir: undefined,
+  maxEntries: 500,
+};
+
+// History end dates are naive local times, so allow for the largest UTC offset before treating a window as closed
+const MAX_TIMEZONE_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+/**
+ * In-memory cache backend. Evicts the oldest entry once `maxEntries` is reached.
+ * Cache backends implement async get(key), set(key, entry), delete(key) and list(),
+ * where list() yields `{ entry, remove }` pairs.
+ */
+export class MemoryCacheStore {
+  /**
+   * Create a new MemoryCacheStore
+   * @param {number} [maxEntries=500] - Maximum number of entries to keep
+   */
+  constructor(maxEntries = DEFAULT_CACHE_OPTIONS.maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key);
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async *list() {
+    for (const [key, entry] of this.entries) {
+      yield { entry, remove: async () => this.entries.delete(key) };
+    }
+  }
+}
+
+/**
+ * On-disk cache backend storing one JSON file per entry, so cached responses survive restarts.
+ * File names are hashes of the cache key, which keeps API credentials in request URLs off disk.
+ */
+export class FileCacheStore {
+  /**
+   * Create a new FileCacheStore
+   * @param {string} dir - Directory to store cache files in (created on first write)
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Path of the file holding an entry.
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  _path(key) {
+    return join(this.dir, `${createHash("sha256").update(key).digest("hex")}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await readFile(this._path(key), "utf8"));
+    } catch {
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    await mkdir(this.dir, { recursive: true });
+    const path = this._path(key);
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(entry));
+    await rename(tmpPath, path);
+  }
+
+  async delete(key) {
+    await rm(this._path(key), { force: true });
+  }
+
+  async *list() {
+    let files;
+    try {
+      files = await readdir(this.dir);
+    } catch {
+      return;
+    }
+
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      const path = join(this.dir, file);
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(path, "utf8"));
+      } catch {
+        // Ignore files that were removed or partially written concurrently
+        continue;
+      }
+      yield { entry, remove: () => rm(path, { force: true }) };
+    }
+  }
+}
+
+/**
+ * Caches successful API responses with a TTL chosen per endpoint:
+ * - /device/list and /device/info: `deviceTtl`
+ * - /device/real_time: `realtimeTtl`
+ * - /device/history: forever once the window has ended, otherwise `realtimeTtl`
+ * Other endpoints are not cached.
+ */
+export class ResponseCache {
+  /**
+   * Create a new ResponseCache
+   * @param {Object} [options] - Cache options (see DEFAULT_CACHE_OPTIONS)
+   * @param {Function} [now=Date.now] - Clock function, injectable for tests
+   */
+  constructor(options = {}, now = Date.now) {
+    this.options = { ...DEFAULT_CACHE_OPTIONS, ...options };
+    this.store = this.options.dir
+      ? new FileCacheStore(this.options.dir)
+      : new MemoryCacheStore(this.options.maxEntries);
+    this.now = now;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Determine how long a response may be cached.
+   * @param {string} endpoint - API endpoint
+   * @param {Object} [params={}] - Request parameters
+   * @returns {number} TTL in milliseconds (Infinity for immutable responses, 0 for uncacheable)
+   */
+  ttlFor(endpoint, params = {}) {
+    switch (endpoint) {
+      case "/device/list":
+      case "/device/info":
+        return this.options.deviceTtl * 1000;
+      case "/device/real_time":
+        return this.options.realtimeTtl * 1000;
+      case "/device/history":
+        return this._isClosedWindow(params.end_date) ? Number.POSITIVE_INFINITY : this.options.realtimeTtl * 1000;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Whether a history window ended far enough in the past that its data can no longer change.
+   * @private
+   * @param {string} endDate - Window end date ("YYYY-MM-DD HH:mm:ss")
+   * @returns {boolean} True if the window is closed
+   */
+  _isClosedWindow(endDate) {
+    try {
+      return parseEcowittDate(endDate).getTime() + MAX_TIMEZONE_OFFSET_MS < this.now();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Look up a cached response.
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: *}|undefined>} The cached entry, or undefined on a miss
+   */
+  async get(key) {
+    if (!this.options.enabled) {
+      return undefined;
+    }
+
+    const entry = await this.store.get(key);
+    if (!entry || (entry.expiresAt !== null && entry.expiresAt <= this.now())) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a response if its endpoint is cacheable.
+   * @param {string} key - Cache key
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Request parameters (without credentials)
+   * @param {*} value - Response data to cache
+   */
+  async set(key, endpoint, params, value) {
+    const ttl = this.ttlFor(endpoint, params);
+    if (!this.options.enabled || ttl <= 0) {
+      return;
+    }
+
+    // JSON cannot represent Infinity, so null marks entries that never expire
+    const expiresAt = Number.isFinite(ttl) ? this.now() + ttl : null;
+    await this.store.set(key, { value, expiresAt, endpoint, params });
+  }
+
+  /**
+   * Remove cached entries, optionally only those matching a filter.
+   * @param {Object} [filter] - Entry filter
+   * @param {string} [filter.endpoint] - Only clear entries for this endpoint
+   * @param {string} [filter.device] - Only clear entries for this MAC or IMEI
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear(filter = {}) {
+    let removed = 0;
+    for await (const { entry, remove } of this.store.list()) {
+      if (filter.endpoint && entry.endpoint !== filter.endpoint) {
+        continue;
+      }
+      if (filter.device && entry.params?.mac !== filter.device && entry.params?.imei !== filter.device) {
+        continue;
+      }
+
+      await remove();
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Cache hit and miss counts.
+   * @returns {{hits: number, misses: number}} Cache statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Record and replay of Ecowitt API traffic. A cassette is a JSON file of request/response pairs with the API
+ * credentials redacted, so real-world responses can be shared in bug reports and replayed in tests.
+ */
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { CustomError } from "../utils/errors.js";
+
+// Query parameters holding credentials, replaced before anything is written to a cassette
+const CREDENTIAL_PARAMS = ["application_key", "api_key"];
+
+const REDACTED = "REDACTED";
+
+// Response headers kept in cassettes; the client only reads these
+const RECORDED_HEADERS = ["content-type", "retry-after"];
+
+export const CASSETTE_MODES = ["record", "replay"];
+
+/**
+ * Redact the credentials in a request URL.
+ * @param {string} url - Request URL
+ * @returns {{url: string, secrets: Array<string>}} URL with credentials replaced and the credential values found
+ */
+export function redactUrl(url) {
+  const parsed = new URL(url);
+  const secrets = [];
+  for (const param of CREDENTIAL_PARAMS) {
+    const value = parsed.searchParams.get(param);
+    if (value) {
+      secrets.push(value);
+      parsed.searchParams.set(param, REDACTED);
+    }
+  }
+  return { url: parsed.toString(), secrets };
+}
+
+/**
+ * Records requests to, or replays them from, a cassette file.
+ * Replayed requests are matched by method, redacted URL and, for clients sharing the cassette between accounts (see
+ * forAccount), the account that made them. Repeated requests are served the recorded responses in order, and the
+ * last one again once those run out.
+ */
+export class Cassette {
+  /**
+   * Create a new Cassette
+   * @param {Object} options - Cassette options
+   * @param {string} options.path - Cassette file path
+   * @param {string} options.mode - "record" to write traffic to the file, "replay" to serve requests from it
+   * @throws {CustomError} If the path or mode is invalid
+   */
+  constructor(options) {
+    if (!options?.path) {
+      throw new CustomError("Cassette path is required", "MISSING_CONFIG", "configuration_error");
+    }
+    if (!CASSETTE_MODES.includes(options.mode)) {
+      throw new CustomError(
+        `Invalid cassette mode "${options.mode}". Expected one of: ${CASSETTE_MODES.join(", ")}`,
+        "INVALID_CONFIG",
+        "configuration_error"
+      );
+    }
+
+    this.path = options.path;
+    this.mode = options.mode;
+    this.interactions = [];
+    // Replay: number of times each interaction key has been served
+    this.played = new Map();
+    this.loaded = null;
+    this.saving = Promise.resolve();
+    this.fetch = this.forAccount().fetch;
+  }
+
+  /**
+   * Get a fetch function that tags the requests it records with an account, and replays only requests recorded
+   * for that account (or without one). Accounts make identical requests once their credentials are redacted, so
+   * without the tag one account could be served another's responses.
+   * @param {string} [account] - Account name
+   * @returns {{fetch: function(string, Object=): Promise<Response>}} Fetch function for the account
+   */
+  forAccount(account) {
+    return {
+      fetch: (url, init) =>
+        this.mode === "record" ? this._record(url, init, account) : this._replay(url, init, account),
+    };
+  }
+
+  /**
+   * Fetch a request for real and append the exchange to the cassette file.
+   * @private
+   * @param {string} url - Request URL
+   * @param {Object} [init] - Fetch options
+   * @param {string} [account] - Account the request is made for
+   * @returns {Promise<Response>} The response
+   */
+  async _record(url, init = {}, account = undefined) {
+    const response = await fetch(url, init);
+    const body = await response.text();
+    const { url: redactedUrl, secrets } = redactUrl(url);
+
+    this.interactions.push({
+      request: { method: init.method ?? "GET", url: redactedUrl, ...(account && { account }) },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(
+          RECORDED_HEADERS.filter((name) => response.headers.has(name)).map((name) => [
+            name,
+            response.headers.get(name),
+          ])
+        ),
+        body: secrets.reduce((text, secret) => text.replaceAll(secret, REDACTED), body),
+      },
+    });
+    await this._save();
+
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  }
+
+  /**
+   * Write the recorded interactions, one write at a time.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _save() {
+    const contents = JSON.stringify({ interactions: this.interactions }, null, 2);
+    this.saving = this.saving.then(async () => {
+      await mkdir(dirname(this.path), { recursive: true });
+      const tmpPath = `${this.path}.${process.pid}.tmp`;
+      await writeFile(tmpPath, `${contents}\n`);
+      await rename(tmpPath, this.path);
+    });
+    return this.saving;
+  }
+
+  /**
+   * Serve a request from the cassette.
+   * @private
+   * @param {string} url - Request URL
+   * @param {Object} [init] - Fetch options
+   * @param {string} [account] - Account the request is made for
+   * @returns {Promise<Response>} The recorded response
+   * @throws {CustomError} If the cassette cannot be read or has no matching request
+   */
+  async _replay(url, init = {}, account = undefined) {
+    const interactions = await this._load();
+    const method = init.method ?? "GET";
+    const { url: redactedUrl } = redactUrl(url);
+    const key = `${method} ${redactedUrl}`;
+    const playedKey = account ? `${account} ${key}` : key;
+
+    const matches = interactions.filter(
+      ({ request }) =>
+        request.method === method &&
+        redactUrl(request.url).url === redactedUrl &&
+        (request.account === undefined || request.account === account)
+    );
+    if (matches.length === 0) {
+      throw new CustomError(
+        `No request in cassette ${this.path} matches ${key}`,
+        "CASSETTE_MISMATCH",
+        "configuration_error"
+      );
+    }
+
+    const played = this.played.get(playedKey) ?? 0;
+    this.played.set(playedKey, played + 1);
+    const { response } = matches[Math.min(played, matches.length - 1)];
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+
+  /**
+   * Read the cassette file once.
+   * @private
+   * @returns {Promise<Array<Object>>} Recorded interactions
+   * @throws {CustomError} If the file cannot be read or parsed
+   */
+  _load() {
+    this.loaded ??= readFile(this.path, "utf8")
+      .then((contents) => JSON.parse(contents).interactions ?? [])
+      .catch((error) => {
+        throw new CustomError(
+          `Failed to read cassette ${this.path}: ${error.message}`,
+          "CASSETTE_ERROR",
+          "configuration_error"
+        );
+      });
+    return this.loaded;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Catalog of Ecowitt hardware, identifying a device from the numeric `type` and the `stationtype` firmware string
+ * reported by /device/list and /device/info (e.g. "GW2000A_V3.1.2", "WS6006_V1.1.26", "EasyWeatherV1.6.1").
+ */
+
+/**
+ * Device type codes used by the API.
+ * @type {Object<number, string>}
+ */
+export const DEVICE_TYPES = {
+  1: "weather station",
+  2: "camera",
+};
+
+// Sensor groups reported by a console's or station's bundled outdoor array
+const OUTDOOR_ARRAY_GROUPS = ["outdoor", "solar_and_uvi", "rainfall", "wind"];
+
+/**
+ * Known models, tried in order against the station type. `model` is taken from the pattern's first capture group;
+ * `sensorGroups` are the real-time groups the hardware reports on its own, before any add-on sensors are paired.
+ * Firmware strings shared by several models, such as "EasyWeatherV1.6.1", are deliberately not listed.
+ * @type {Array<{pattern: RegExp, family: string, sensorGroups: string[]}>}
+ */
+export const DEVICE_MODELS = [
+  { pattern: /^(GW[123]\d{3}|WH2650)/i, family: "gateway", sensorGroups: ["indoor", "pressure"] },
+  {
+    pattern: /^(HP2[56]\d{2}|WS[23]9\d{2}|WN19\d{2})/i,
+    family: "console",
+    sensorGroups: ["indoor", "pressure", ...OUTDOOR_ARRAY_GROUPS],
+  },
+  { pattern: /^(WS6006)/i, family: "cellular station", sensorGroups: ["pressure", ...OUTDOOR_ARRAY_GROUPS] },
+  { pattern: /^(HP10)/i, family: "camera", sensorGroups: ["camera"] },
+];
+
+// Firmware version at the end of a station type, e.g. "_V1.1.26" or "V1.6.1"
+const FIRMWARE_VERSION_REGEX = /V?(\d+(?:\.\d+)+)$/i;
+
+/**
+ * Identify a device's model, hardware family and firmware version.
+ * Devices whose station type is not in the catalog still get a type name, and cameras a family, from the type code.
+ * @param {Object} device - Device as listed by the client
+ * @param {number} [device.type] - Device type code
+ * @param {string} [device.stationType] - Station type firmware string
+ * @returns {{typeName?: string, model?: string, family?: string, firmwareVersion?: string, sensorGroups?: string[]}}
+ *   Known details; unknown ones are undefined
+ */
+export function identifyDevice({ type, stationType } = {}) {
+  const station = typeof stationType === "string" ? stationType.trim() : "";
+  const entry = DEVICE_MODELS.find(({ pattern }) => pattern.test(station));
+  const typeName = DEVICE_TYPES[Number(type)];
+
+  return {
+    typeName,
+    model: entry?.pattern.exec(station)[1].toUpperCase(),
+    family: entry?.family ?? (typeName === "camera" ? "camera" : undefined),
+    firmwareVersion: FIRMWARE_VERSION_REGEX.exec(station)?.[1],
+    sensorGroups: entry?.sensorGroups,
+  };
+}
@@ -1,5 +1,18 @@
+import { mapWithConcurrency } from "../utils/concurrency.js";
 import { CustomError, DataParsingError } from "../utils/errors.js";
+import { epochToWallTime } from "../utils/timezone.js";
+import { ResponseCache } from "./cache.js";
+import { Cassette } from "./cassette.js";
 import { EcowittApiError } from "./errors.js";
+import { mergeHistoryResponses, selectCycleType, splitDateRange } from "./history.js";
+import { RateLimiter } from "./rate_limiter.js";
+import { computeBackoffDelay, DEFAULT_RETRY_POLICY, isRetryableError, parseRetryAfter, sleep } from "./retry.js";
+
+// Maximum number of history windows fetched in parallel when a range has to be split
+const DEFAULT_HISTORY_CONCURRENCY = 3;
+
+// Number of devices requested per /device/list page, the API's documented default (docs/examples/device-list.md)
+const DEVICE_LIST_PAGE_SIZE = 10;
 
 /**
  * Ecowitt API client for interacting with weather station data
@@ -13,11 +26,26 @@ export class EcowittClient {
    * @param {string} config.ecowitt.apiKey - Ecowitt API key
    * @param {string} config.ecowitt.baseUrl - Base URL for the Ecowitt API
    * @param {number} config.ecowitt.requestTimeout - Request timeout in milliseconds
+   * @param {number} [config.ecowitt.historyConcurrency] - Maximum parallel requests when splitting a history range
+   * @param {Object} [config.ecowitt.retry] - Retry policy overrides (maxAttempts, baseDelay, maxDelay, maxElapsed)
+   * @param {Object} [config.ecowitt.rateLimit] - Rate limit overrides (requestsPerSecond, burst, maxConcurrent)
+   * @param {Object} [config.ecowitt.cache] - Response cache options (enabled, deviceTtl, realtimeTtl, dir)
+   * @param {Object} [config.ecowitt.cassette] - Record or replay API traffic ({ mode: "record"|"replay", path })
    * @param {Object} config.server - Server configuration
    * @param {string} config.server.version - Server version
+   * @param {Object} [options] - Client options
+   * @param {Function} [options.logger] - Called as logger(level, message) for diagnostics such as retries
+   * @param {{fetch: Function}} [options.cassette] - Cassette (or an account's view of one, see Cassette.forAccount) to
+   *   share between clients, instead of one from config.ecowitt.cassette
    */
-  constructor(config) {
+  constructor(config, options = {}) {
     this.config = { ...this._validateConfig(config) };
+    this.logger = options.logger ?? (() => {});
+    this.cassette = options.cassette ?? (this.config.cassette && new Cassette(this.config.cassette));
+    this.rateLimiter = new RateLimiter(this.config.rateLimit);
+    this.cache = new ResponseCache(this.config.cache);
+    this.inFlight = new Map();
+    this.coalescedRequests = 0;
   }
 
   /**
@@ -55,6 +83,11 @@ export class EcowittClient {
       apiKey: config.ecowitt.apiKey,
       baseUrl: normalizedBaseUrl,
       requestTimeout: config.ecowitt.requestTimeout,
+      historyConcurrency: config.ecowitt.historyConcurrency ?? DEFAULT_HISTORY_CONCURRENCY,
+      retry: { ...DEFAULT_RETRY_POLICY, ...config.ecowitt.retry },
+      rateLimit: config.ecowitt.rateLimit,
+      cache: config.ecowitt.cache,
+      cassette: config.ecowitt.cassette,
       version: config.server?.version,
     };
   }
@@ -87,13 +120,112 @@ export class EcowittClient {
   }
 
   /**
-   * Make an HTTP request to the Ecowitt API
+   * Make a request to the Ecowitt API.
+   * Responses are served from the cache when possible. Identical requests (same URL from `_buildUrl`)
+   * that are already in flight share a single fetch.
    * @private
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
    * @returns {Promise<Object>} API response
    */
   async _makeRequest(endpoint, options = {}) {
+    const key = this._buildUrl(endpoint, options.params);
+
+    const cached = await this.cache.get(key);
+    if (cached) {
+      return cached.value;
+    }
+
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.coalescedRequests++;
+      return pending;
+    }
+
+    const request = this._requestWithRetry(endpoint, options)
+      .then(async (data) => {
+        await this._cacheResponse(key, endpoint, options.params, data);
+        return data;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Store a response in the cache. Cache failures are logged rather than failing the request.
+   * @private
+   * @param {string} key - Cache key
+   * @param {string} endpoint - API endpoint
+   * @param {Object} [params] - Request parameters
+   * @param {Object} data - Response data
+   */
+  async _cacheResponse(key, endpoint, params, data) {
+    try {
+      await this.cache.set(key, endpoint, params ?? {}, data);
+    } catch (error) {
+      this.logger("warning", `Failed to cache Ecowitt response for ${endpoint}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove cached responses.
+   * @param {Object} [filter] - Entry filter
+   * @param {string} [filter.endpoint] - Only clear entries for this endpoint (e.g. "/device/real_time")
+   * @param {string} [filter.device] - Only clear entries for this MAC or IMEI
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clearCache(filter = {}) {
+    return this.cache.clear(filter);
+  }
+
+  /**
+   * Make an HTTP request to the Ecowitt API, retrying transient failures.
+   * Every attempt waits for the rate limiter. Retries use exponential backoff with jitter
+   * (or the server's Retry-After delay when provided) and stop after `retry.maxAttempts` attempts
+   * or once `retry.maxElapsed` milliseconds would be exceeded.
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} API response
+   */
+  async _requestWithRetry(endpoint, options = {}) {
+    const policy = this.config.retry;
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.rateLimiter.schedule(() => this._fetchOnce(endpoint, options));
+      } catch (error) {
+        if (attempt >= policy.maxAttempts || !isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = error.retryAfter ?? computeBackoffDelay(attempt, policy);
+        if (Date.now() - startedAt + delay > policy.maxElapsed) {
+          throw error;
+        }
+
+        this.logger(
+          "warning",
+          `Ecowitt request to ${endpoint} failed (${error.message}); retrying in ${delay}ms ` +
+            `(attempt ${attempt + 1} of ${policy.maxAttempts})`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Make a single HTTP request to the Ecowitt API
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} API response
+   */
+  async _fetchOnce(endpoint, options = {}) {
     const url = this._buildUrl(endpoint, options.params);
 
     // Create abort controller for timeout
@@ -103,7 +235,8 @@ export class EcowittClient {
     }, this.config.requestTimeout);
 
     try {
-      const response = await fetch(url, {
+      // Requests go through the cassette when recording or replaying traffic
+      const response = await (this.cassette?.fetch ?? fetch)(url, {
         method: "GET",
         headers: {
           "Content-Type": "application/json",
@@ -121,11 +254,13 @@ export class EcowittClient {
       // though typically a non-200 would also have a non-zero data.code.
       // This check ensures we catch any unexpected HTTP status codes.
       if (!response.ok) {
-        throw new EcowittApiError(
+        const error = new EcowittApiError(
           response.status,
           `HTTP Error: ${response.statusText}`,
           new Error(`HTTP status ${response.status}: ${response.statusText}`)
         );
+        error.retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+        throw error;
       }
 
       // Parse JSON response
@@ -159,6 +294,19 @@ export class EcowittClient {
     }
   }
 
+  /**
+   * Request queue diagnostics: rate limiter queue depth and wait times, request coalescing counts and cache hits.
+   * @returns {Object} Diagnostics snapshot
+   */
+  getDiagnostics() {
+    return {
+      ...this.rateLimiter.getStats(),
+      inFlight: this.inFlight.size,
+      coalescedRequests: this.coalescedRequests,
+      cache: this.cache.getStats(),
+    };
+  }
+
   /**
    * Helper to build device identification parameters (mac or imei).
    * @private
@@ -202,13 +350,30 @@ export class EcowittClient {
   }
 
   /**
-   * List all devices associated with the account
+   * List all devices associated with the account, following every page of /device/list.
    * @returns {Promise<Array<Object>>} Array of transformed device objects
    */
   async listDevices() {
-    const data = await this._makeRequest("/device/list");
-    // 'data' here is the .data part of the Ecowitt response, which contains 'list'
-    return (data.list || []).map((device) => this._transformDevice(device));
+    const devices = [];
+    const seenIds = new Set();
+
+    let totalPages = 1;
+    for (let page = 1; page <= totalPages; page++) {
+      const data = await this._makeRequest("/device/list", { params: { limit: DEVICE_LIST_PAGE_SIZE, page } });
+      // 'data' here is the .data part of the Ecowitt response, which contains 'list' and 'totalPage'
+      totalPages = data.totalPage || 1;
+
+      for (const device of data.list || []) {
+        // Skip devices repeated across pages if the list shifted while we were paging
+        if (device.id !== undefined && seenIds.has(device.id)) {
+          continue;
+        }
+        seenIds.add(device.id);
+        devices.push(this._transformDevice(device));
+      }
+    }
+
+    return devices;
   }
 
   /**
@@ -243,25 +408,49 @@ export class EcowittClient {
 
   /**
    * Get historical data for a specific device by MAC or IMEI.
+   * An "auto" (or missing) cycle type is resolved to an explicit one first (see selectCycleType), so the API is
+   * never left to pick the resolution. Ranges longer than the maximum request window for the cycle type are split
+   * into several requests (at most `historyConcurrency` in flight) and the resulting series are merged into a
+   * single response.
    * @param {string} macOrImei - Device MAC or IMEI.
    * @param {string} startDate - Start time of data query (ISO8601: "YYYY-MM-DD HH:mm:ss").
    * @param {string} endDate - End time of data query (ISO8601: "YYYY-MM-DD HH:mm:ss").
    * @param {string} callback - Comma-separated list of field types to return.
    * @param {string} [cycleType] - Data resolution ("auto", "5min", "30min", "4hour", "1day").
    * @param {Object} [unitOptions] - Optional unit parameters.
+   * @param {Object} [options] - Query options
+   * @param {string} [options.timeZone] - Device timezone (IANA zone or UTC offset) the dates are in, so retention
+   *   windows are measured from the current time there; UTC when omitted
    * @returns {Promise<Object>} Historical device data.
-   * @throws {EcowittApiError|CustomError|DataParsingError} On various errors.
+   * @throws {EcowittApiError|CustomError|DataParsingError} On various errors, including ranges outside the retention window.
    */
-  async getDeviceHistory(macOrImei, startDate, endDate, callback, cycleType, unitOptions = {}) {
-    const params = {
-      ...this._buildDeviceParams(macOrImei),
-      ...(startDate && { start_date: startDate }),
-      ...(endDate && { end_date: endDate }),
-      ...(callback && { call_back: callback }),
-      ...(cycleType && { cycle_type: cycleType }),
-      ...unitOptions,
-    };
+  async getDeviceHistory(macOrImei, startDate, endDate, callback, cycleType, unitOptions = {}, options = {}) {
+    const deviceParams = this._buildDeviceParams(macOrImei);
+    if (!startDate || !endDate) {
+      throw new CustomError("Start date and end date are required.", "INVALID_PARAMETER", "parameter_error");
+    }
+
+    const now = options.timeZone ? epochToWallTime(Date.now(), options.timeZone) : new Date();
+    const cycle = selectCycleType(startDate, endDate, cycleType, now);
+    const windows = splitDateRange(startDate, endDate, cycle);
+
+    const fetchWindow = (window) =>
+      this._makeRequest("/device/history", {
+        params: {
+          ...deviceParams,
+          start_date: window.startDate,
+          end_date: window.endDate,
+          ...(callback && { call_back: callback }),
+          cycle_type: cycle,
+          ...unitOptions,
+        },
+      });
+
+    if (windows.length === 1) {
+      return fetchWindow(windows[0]);
+    }
 
-    return this._makeRequest("/device/history", { params });
+    const responses = await mapWithConcurrency(windows, this.config.historyConcurrency, fetchWindow);
+    return mergeHistoryResponses(responses);
   }
 }
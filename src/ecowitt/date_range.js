@@ -0,0 +1,230 @@
+/**
+ * Relative and natural-language date ranges for history queries, such as "yesterday", "last 7 days", "2024-W12"
+ * or "last christmas". Ranges resolve against a timezone's wall clock, so "today" is the station's own calendar day.
+ */
+import { CustomError } from "../utils/errors.js";
+import { epochToWallTime } from "../utils/timezone.js";
+import { formatEcowittDate } from "./history.js";
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rolling units for "last N <unit>" mapped to a length in milliseconds, or to a calendar field
+const ROLLING_UNITS = [
+  [/^(?:m|mins?|minutes?)$/, { ms: MINUTE_MS }],
+  [/^(?:h|hrs?|hours?)$/, { ms: HOUR_MS }],
+  [/^(?:d|days?)$/, { ms: DAY_MS }],
+  [/^(?:w|weeks?)$/, { ms: 7 * DAY_MS }],
+  [/^(?:months?)$/, { months: 1 }],
+  [/^(?:y|years?)$/, { months: 12 }],
+];
+
+// Fixed-date holidays as [month (1-12), day]
+const HOLIDAYS = {
+  christmas: [12, 25],
+  "christmas day": [12, 25],
+  "christmas eve": [12, 24],
+  "boxing day": [12, 26],
+  "new years eve": [12, 31],
+  "new years day": [1, 1],
+  "new year": [1, 1],
+  halloween: [10, 31],
+  "valentines day": [2, 14],
+};
+
+/**
+ * Build a range from the start of one wall-clock instant to the second before another.
+ * @param {number} start - Wall-clock start (epoch milliseconds of the UTC fields)
+ * @param {number} endExclusive - Wall-clock end, exclusive
+ * @returns {{start: Date, end: Date}} Inclusive range
+ */
+function period(start, endExclusive) {
+  return { start: new Date(start), end: new Date(endExclusive - SECOND_MS) };
+}
+
+/**
+ * The calendar day containing a wall-clock time, offset by a number of days.
+ * @param {Date} wallNow - Current wall-clock time
+ * @param {number} [offset=0] - Days to add
+ * @returns {{start: Date, end: Date}} Day range
+ */
+function day(wallNow, offset = 0) {
+  const start = Date.UTC(wallNow.getUTCFullYear(), wallNow.getUTCMonth(), wallNow.getUTCDate() + offset);
+  return period(start, start + DAY_MS);
+}
+
+/**
+ * The ISO week (Monday to Sunday) starting on a given Monday.
+ * @param {number} monday - Wall-clock midnight of the Monday
+ * @returns {{start: Date, end: Date}} Week range
+ */
+function week(monday) {
+  return period(monday, monday + 7 * DAY_MS);
+}
+
+/**
+ * Wall-clock midnight of the Monday of the week containing a date.
+ * @param {number} date - Wall-clock midnight of any day
+ * @returns {number} Monday midnight
+ */
+function mondayOf(date) {
+  return date - ((new Date(date).getUTCDay() + 6) % 7) * DAY_MS;
+}
+
+/**
+ * The ISO 8601 week of a year, e.g. 2024-W12.
+ * @param {number} year - ISO week-numbering year
+ * @param {number} weekNumber - Week number (1-53)
+ * @returns {{start: Date, end: Date}|undefined} Week range, or undefined if the year has no such week
+ */
+function isoWeek(year, weekNumber) {
+  // Week 1 is the week containing January 4th
+  const monday = mondayOf(Date.UTC(year, 0, 4)) + (weekNumber - 1) * 7 * DAY_MS;
+  if (weekNumber < 1 || monday >= mondayOf(Date.UTC(year + 1, 0, 4))) {
+    return undefined;
+  }
+  return week(monday);
+}
+
+/**
+ * A calendar month, e.g. 2024-03.
+ * @param {number} year - Year
+ * @param {number} month - Month index (0-11; values outside roll over into other years)
+ * @returns {{start: Date, end: Date}} Month range
+ */
+function month(year, month) {
+  return period(Date.UTC(year, month, 1), Date.UTC(year, month + 1, 1));
+}
+
+/**
+ * Resolve "last N <unit>" to a range ending now.
+ * @param {string} count - Number of units (defaults to 1)
+ * @param {string} unit - Unit name
+ * @param {Date} wallNow - Current wall-clock time
+ * @returns {{start: Date, end: Date}|undefined} Range, or undefined for an unknown unit
+ */
+function rolling(count, unit, wallNow) {
+  const [, length] = ROLLING_UNITS.find(([pattern]) => pattern.test(unit)) ?? [];
+  if (!length) {
+    return undefined;
+  }
+
+  const amount = Number(count ?? 1);
+  if (length.ms) {
+    return { start: new Date(wallNow.getTime() - amount * length.ms), end: wallNow };
+  }
+  const start = new Date(wallNow.getTime());
+  start.setUTCMonth(start.getUTCMonth() - amount * length.months);
+  return { start, end: wallNow };
+}
+
+/**
+ * Resolve a holiday, optionally for a specific year or the most recent one before today.
+ * @param {string} qualifier - "last", "this" or undefined
+ * @param {string} name - Holiday name (normalized)
+ * @param {string} [year] - Explicit year
+ * @param {Date} wallNow - Current wall-clock time
+ * @returns {{start: Date, end: Date}} Day range
+ */
+function holiday(qualifier, name, year, wallNow) {
+  const [monthNumber, date] = HOLIDAYS[name];
+  let holidayYear = year ? Number(year) : wallNow.getUTCFullYear();
+  if (!year && qualifier === "last" && Date.UTC(holidayYear, monthNumber - 1, date) >= day(wallNow).start.getTime()) {
+    holidayYear -= 1;
+  }
+  const start = Date.UTC(holidayYear, monthNumber - 1, date);
+  return period(start, start + DAY_MS);
+}
+
+/**
+ * A calendar year.
+ * @param {number} year - Year
+ * @returns {{start: Date, end: Date}} Year range
+ */
+function yearRange(year) {
+  return period(Date.UTC(year, 0, 1), Date.UTC(year + 1, 0, 1));
+}
+
+/**
+ * A month from "YYYY-MM" parts.
+ * @param {string} year - Year
+ * @param {string} monthNumber - Month (01-12)
+ * @returns {{start: Date, end: Date}|undefined} Month range, or undefined for an invalid month
+ */
+function monthRange(year, monthNumber) {
+  const index = Number(monthNumber) - 1;
+  return index >= 0 && index < 12 ? month(Number(year), index) : undefined;
+}
+
+/**
+ * A single day from "YYYY-MM-DD" parts.
+ * @param {string} year - Year
+ * @param {string} monthNumber - Month (01-12)
+ * @param {string} date - Day of the month
+ * @returns {{start: Date, end: Date}|undefined} Day range, or undefined for an invalid date
+ */
+function dateRange(year, monthNumber, date) {
+  const start = new Date(Date.UTC(Number(year), Number(monthNumber) - 1, Number(date)));
+  if (start.getUTCMonth() !== Number(monthNumber) - 1 || start.getUTCDate() !== Number(date)) {
+    return undefined;
+  }
+  return period(start.getTime(), start.getTime() + DAY_MS);
+}
+
+// Range expressions, tried in order. Each resolver receives the regex match and the current wall-clock time.
+const EXPRESSIONS = [
+  [/^today$/, (_match, now) => day(now)],
+  [/^yesterday$/, (_match, now) => day(now, -1)],
+  [/^(?:last|past)\s+day$/, (_match, now) => rolling(1, "day", now)],
+  [/^this\s+week$/, (_match, now) => week(mondayOf(day(now).start.getTime()))],
+  [/^last\s+week$/, (_match, now) => week(mondayOf(day(now).start.getTime()) - 7 * DAY_MS)],
+  [/^this\s+month$/, (_match, now) => month(now.getUTCFullYear(), now.getUTCMonth())],
+  [/^last\s+month$/, (_match, now) => month(now.getUTCFullYear(), now.getUTCMonth() - 1)],
+  [/^this\s+year$/, (_match, now) => yearRange(now.getUTCFullYear())],
+  [/^last\s+year$/, (_match, now) => yearRange(now.getUTCFullYear() - 1)],
+  [/^(?:last|past)\s+(\d+)?\s*([a-z]+)$/, ([, count, unit], now) => rolling(count, unit, now)],
+  [/^(\d{4})-w(\d{1,2})$/, ([, year, weekNumber]) => isoWeek(Number(year), Number(weekNumber))],
+  [/^(\d{4})-(\d{2})-(\d{2})$/, ([, year, monthNumber, date]) => dateRange(year, monthNumber, date)],
+  [/^(\d{4})-(\d{2})$/, ([, year, monthNumber]) => monthRange(year, monthNumber)],
+  [/^(\d{4})$/, ([, year]) => yearRange(Number(year))],
+  [
+    new RegExp(`^(?:(last|this)\\s+)?(${Object.keys(HOLIDAYS).join("|")})(?:\\s+(\\d{4}))?$`),
+    ([, qualifier, name, year], now) => holiday(qualifier, name, year, now),
+  ],
+];
+
+/**
+ * Resolve a date range expression to start and end dates in a timezone's wall-clock time.
+ * Calendar periods ("today", "this month", "2024-W12", "2023", "last christmas") cover the whole period;
+ * rolling ranges ("last 24h", "last 7 days") end now.
+ * @param {string} expression - Range expression (case-insensitive)
+ * @param {string} zone - Timezone to resolve in (IANA zone or UTC offset)
+ * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+ * @returns {{startDate: string, endDate: string}} Inclusive range in "YYYY-MM-DD HH:mm:ss" format
+ * @throws {CustomError} If the expression is not recognised
+ */
+export function resolveDateRange(expression, zone, now = Date.now()) {
+  const normalized = String(expression ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/\s+/g, " ");
+  const wallNow = new Date(Math.floor(epochToWallTime(now, zone).getTime() / SECOND_MS) * SECOND_MS);
+
+  for (const [pattern, resolve] of EXPRESSIONS) {
+    const match = pattern.exec(normalized);
+    const range = match && resolve(match, wallNow);
+    if (range) {
+      return { startDate: formatEcowittDate(range.start), endDate: formatEcowittDate(range.end) };
+    }
+  }
+
+  throw new CustomError(
+    `Unrecognised date range "${expression}". Try "today", "yesterday", "last 24h", "last 7 days", "this month", ` +
+      `"2024-W12", "2024-03", "2023" or "last christmas".`,
+    "INVALID_PARAMETER",
+    "parameter_error"
+  );
+}
@@ -116,3 +116,25 @@ export class DeviceNotFoundError extends CustomError {
     this.identifier = identifier;
   }
 }
+
+/**
+ * Error for when a device name or alias matches more than one device.
+ */
+export class AmbiguousDeviceError extends CustomError {
+  /**
+   * Creates an instance of AmbiguousDeviceError.
+   * @param {string} identifier - The name or alias that was looked up.
+   * @param {Array<{name: string, id: string}>} candidates - The devices that matched.
+   */
+  constructor(identifier, candidates) {
+    const list = candidates.map((candidate) => `"${candidate.name}" (${candidate.id})`).join(", ");
+    super(
+      `Device "${identifier}" is ambiguous. It matches ${candidates.length} devices: ${list}. Use a MAC address or IMEI instead.`,
+      "AMBIGUOUS_DEVICE",
+      "device_error"
+    );
+    this.name = "AmbiguousDeviceError";
+    this.identifier = identifier;
+    this.candidates = candidates;
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * Catalog of the call_back fields accepted by /device/real_time and /device/history, used to translate common
+ * aliases ("temp", "rain", "outdoor.temp") to the API's group.metric paths and to reject likely typos with
+ * suggestions before a request is made, instead of after a round trip ending in error 40016. The catalog is not
+ * exhaustive, so other fields are passed on to the API.
+ */
+import { CustomError } from "../utils/errors.js";
+
+/**
+ * Known sensor groups and their metrics, as named in the API's payloads. "{n}" stands for a channel number.
+ * @type {Object<string, string[]>}
+ */
+export const FIELD_CATALOG = {
+  outdoor: ["temperature", "feels_like", "app_temp", "dew_point", "humidity"],
+  indoor: ["temperature", "humidity"],
+  solar_and_uvi: ["solar", "uvi"],
+  rainfall: ["rain_rate", "daily", "event", "hourly", "weekly", "monthly", "yearly"],
+  rainfall_piezo: ["rain_rate", "daily", "event", "hourly", "weekly", "monthly", "yearly"],
+  wind: ["wind_speed", "wind_gust", "wind_direction"],
+  pressure: ["relative", "absolute"],
+  lightning: ["distance", "count"],
+  indoor_co2: ["co2", "24_hours_average"],
+  co2_aqi_combo: ["co2", "24_hours_average"],
+  pm25_aqi_combo: ["real_time_aqi", "pm25", "24_hours_aqi"],
+  pm10_aqi_combo: ["real_time_aqi", "pm10", "24_hours_aqi"],
+  pm1_aqi_combo: ["real_time_aqi", "pm1", "24_hours_aqi"],
+  pm4_aqi_combo: ["real_time_aqi", "pm4", "24_hours_aqi"],
+  t_rh_aqi_combo: ["temperature", "humidity"],
+  water_leak: ["leak_ch{n}"],
+  "pm25_ch{n}": ["real_time_aqi", "pm25", "24_hours_aqi"],
+  "temp_and_humidity_ch{n}": ["temperature", "humidity"],
+  "soil_ch{n}": ["soilmoisture", "ad"],
+  "temp_ch{n}": ["temperature"],
+  "leaf_ch{n}": ["leaf_wetness"],
+  "ch_lds{n}": ["air_ch{n}", "depth_ch{n}", "ldsheat_ch{n}"],
+  battery: [
+    "t_rh_p_sensor",
+    "ws1900_console",
+    "ws1800_console",
+    "ws6006_console",
+    "console",
+    "outdoor_t_rh_sensor",
+    "wind_sensor",
+    "haptic_array_battery",
+    "haptic_array_capacitor",
+    "sonic_array",
+    "rainfall_sensor",
+    "sensor_array",
+    "lightning_sensor",
+    "aqi_combo_sensor",
+    "water_leak_sensor_ch{n}",
+    "pm25_sensor_ch{n}",
+    "temp_humidity_sensor_ch{n}",
+    "soilmoisture_sensor_ch{n}",
+    "temperature_sensor_ch{n}",
+    "leaf_wetness_sensor_ch{n}",
+    "ldsbatt_{n}",
+    "ws90_sensor_battery",
+    "ws80_sensor",
+    "ws65_67_69_sensor",
+  ],
+  camera: ["photo"],
+};
+
+/**
+ * Aliases for whole selectors, mapped to a group or a group.metric path. Aliases of groups also apply to the
+ * group part of a path ("rain.daily" is "rainfall.daily").
+ * @type {Object<string, string>}
+ */
+export const FIELD_ALIASES = {
+  temp: "outdoor.temperature",
+  temperature: "outdoor.temperature",
+  humidity: "outdoor.humidity",
+  dewpoint: "outdoor.dew_point",
+  dew_point: "outdoor.dew_point",
+  feels_like: "outdoor.feels_like",
+  rain: "rainfall",
+  rain_rate: "rainfall.rain_rate",
+  piezo: "rainfall_piezo",
+  wind_speed: "wind.wind_speed",
+  gust: "wind.wind_gust",
+  wind_gust: "wind.wind_gust",
+  wind_direction: "wind.wind_direction",
+  solar: "solar_and_uvi.solar",
+  uv: "solar_and_uvi.uvi",
+  uvi: "solar_and_uvi.uvi",
+  baro: "pressure",
+  barometer: "pressure",
+  co2: "indoor_co2",
+  leak: "water_leak",
+  photo: "camera",
+};
+
+// Short metric names accepted within a group, used when the group has the metric they stand for
+const METRIC_ALIASES = {
+  temp: "temperature",
+  hum: "humidity",
+  dewpoint: "dew_point",
+  speed: "wind_speed",
+  gust: "wind_gust",
+  direction: "wind_direction",
+  dir: "wind_direction",
+  rate: "rain_rate",
+  rel: "relative",
+  abs: "absolute",
+  uv: "uvi",
+  moisture: "soilmoisture",
+};
+
+// IoT sub-devices are selected by their default title ("MODEL-ID") and grouped under "MODEL-ID(Title)"
+const IOT_GROUP_REGEX = /^[A-Z0-9]+-\w+(?:\(.+\))?$/;
+
+// How many suggestions an unknown field gets at most
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Match a name against a catalog entry whose "{n}" stands for a channel number.
+ * @private
+ * @param {string} template - Catalog name (e.g. "soil_ch{n}")
+ * @param {string} name - Name to match, in lower case
+ * @returns {{name: string, channel?: string}|null} The catalog's spelling with the channel filled in, or null
+ */
+function matchTemplate(template, name) {
+  const pattern = new RegExp(`^${template.toLowerCase().replace("{n}", "(\\d+)")}$`);
+  const match = pattern.exec(name);
+  return match ? { name: template.replace("{n}", match[1]), channel: match[1] } : null;
+}
+
+/**
+ * Find a catalog group by name.
+ * @private
+ * @param {string} name - Group name, in lower case
+ * @returns {{name: string, metrics: string[]}|null} Group with its metrics' channels filled in, or null
+ */
+function findGroup(name) {
+  for (const [template, metrics] of Object.entries(FIELD_CATALOG)) {
+    const match = matchTemplate(template, name);
+    if (match) {
+      return { name: match.name, metrics: metrics.map((metric) => metric.replace("{n}", match.channel ?? "{n}")) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a metric of a catalog group, accepting metric aliases.
+ * @private
+ * @param {{metrics: string[]}} group - Catalog group
+ * @param {string} name - Metric name, in lower case
+ * @returns {string|null} The catalog's metric name, or null
+ */
+function findMetric(group, name) {
+  const candidates = [name, METRIC_ALIASES[name]].filter(Boolean);
+  for (const candidate of candidates) {
+    for (const metric of group.metrics) {
+      const match = matchTemplate(metric, candidate);
+      if (match) {
+        return match.name;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Compute the edit distance between two strings; a name whose letters appear in order in the other (an
+ * abbreviation such as "tmp" for "temperature") counts as one edit away.
+ * @private
+ * @param {string} a - Typed name
+ * @param {string} b - Known name
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let position = 0;
+  for (const char of b) {
+    if (char === a[position]) {
+      position++;
+    }
+  }
+  const abbreviation = position === a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return abbreviation ? Math.min(previous[b.length], 1) : previous[b.length];
+}
+
+/**
+ * Rank known names by how close they are to a typed one.
+ * @private
+ * @param {string} name - Typed name
+ * @param {string[]} candidates - Known names
+ * @returns {string[]} Up to MAX_SUGGESTIONS close names, closest first
+ */
+function closestNames(name, candidates) {
+  const limit = Math.max(2, Math.floor(name.length / 3));
+  return candidates
+    .map((candidate) => ({ candidate, distance: editDistance(name, candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Handle a field missing from the catalog: fields close to known ones are rejected as typos, and any other field is
+ * passed on to the API after calling `onUnknown`.
+ * @private
+ * @param {string} selector - Selector as given
+ * @param {string[]} candidates - Known fields to suggest from
+ * @param {function(string): void} [onUnknown] - Called with the selector when it is passed on
+ * @returns {string} The selector as given
+ * @throws {CustomError} If the selector looks like a typo of a known field
+ */
+function unknownField(selector, candidates, onUnknown) {
+  const suggestions = closestNames(selector.toLowerCase(), candidates).map((name) => `"${name}"`);
+  if (suggestions.length > 0) {
+    throw new CustomError(
+      `Unknown call_back field "${selector}". Did you mean ${suggestions.join(" or ")}?`,
+      "INVALID_PARAMETER",
+      "parameter_error"
+    );
+  }
+  onUnknown?.(selector);
+  return selector;
+}
+
+/**
+ * Translate one selector to the API's group or group.metric path.
+ * @private
+ * @param {string} selector - Group, group.metric path or alias
+ * @param {Set<string>} extraGroups - Other accepted groups
+ * @param {function(string): void} [onUnknown] - Called with each selector passed on unrecognized
+ * @returns {string} API path
+ * @throws {CustomError} If the group or metric looks like a typo
+ */
+function resolveFieldSelector(selector, extraGroups, onUnknown) {
+  const lower = selector.toLowerCase();
+  const [prefix] = selector.split(".");
+  if (lower === "all") {
+    return lower;
+  }
+  if (extraGroups.has(prefix) || IOT_GROUP_REGEX.test(prefix)) {
+    return selector;
+  }
+
+  const alias = FIELD_ALIASES[lower];
+  const path = alias ?? lower;
+  const dot = path.indexOf(".");
+  const groupName = dot > 0 ? path.slice(0, dot) : path;
+  const groupAlias = FIELD_ALIASES[groupName];
+  const group = findGroup(groupName) ?? (groupAlias && !groupAlias.includes(".") ? findGroup(groupAlias) : null);
+  if (!group) {
+    const channel = /(\d+)$/.exec(groupName)?.[1] ?? "{n}";
+    const groups = Object.keys(FIELD_CATALOG).map((name) => name.replace("{n}", channel));
+    return unknownField(selector, [...groups, ...Object.keys(FIELD_ALIASES)], onUnknown);
+  }
+  if (dot < 0) {
+    return group.name;
+  }
+
+  const metric = findMetric(group, path.slice(dot + 1));
+  if (!metric) {
+    return unknownField(
+      selector,
+      group.metrics.map((name) => `${group.name}.${name}`),
+      onUnknown
+    );
+  }
+  return `${group.name}.${metric}`;
+}
+
+/**
+ * Validate a call_back list against the field catalog, translating aliases to the API's paths.
+ * "all", IoT sub-device groups and the given extra groups are passed through unchecked. Fields missing from the
+ * catalog are rejected when they are close to a known field, and otherwise passed through as they are.
+ * @param {string} [callback] - Comma-separated groups, group.metric paths or aliases (e.g. "temp,rain.daily")
+ * @param {Object} [options] - Validation options
+ * @param {string[]} [options.groups=[]] - Other accepted groups, such as the device's configured sensors
+ * @param {function(string): void} [options.onUnknown] - Called with each field that is passed through unrecognized
+ * @returns {string|undefined} call_back with aliases translated (e.g. "outdoor.temperature,rainfall.daily")
+ * @throws {CustomError} If a field looks like a typo, suggesting the closest known fields
+ */
+export function resolveFieldSelectors(callback, { groups = [], onUnknown } = {}) {
+  if (!callback) {
+    return callback;
+  }
+
+  const extraGroups = new Set(groups);
+  const paths = callback
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((selector) => resolveFieldSelector(selector, extraGroups, onUnknown));
+  return [...new Set(paths)].join(",");
+}
@@ -0,0 +1,440 @@
+/**
+ * Helpers for querying the Ecowitt /device/history endpoint.
+ * The API limits both how far back each resolution is retained and how long a single request window may be,
+ * so long ranges have to be split into several requests and the responses merged back together.
+ */
+import { z } from "zod";
+import { CustomError } from "../utils/errors.js";
+import { epochToWallTime, formatInTimeZone, wallTimeToEpoch } from "../utils/timezone.js";
+import { canonicalUnit } from "../utils/units.js";
+import { readingChannel, readingNumber } from "./realtime.js";
+
+const SECOND_MS = 1000;
+const DAY_MS = 24 * 60 * 60 * SECOND_MS;
+
+/**
+ * Retention and maximum request window for each explicit cycle_type, as documented in docs/examples/history.md.
+ * `window` describes the longest span a single request may cover, `intervalSeconds` the spacing of its data points.
+ */
+export const HistoryCycleRules = {
+  "5min": { retentionDays: 90, window: { days: 1 }, intervalSeconds: 300 },
+  "30min": { retentionDays: 365, window: { days: 7 }, intervalSeconds: 1800 },
+  "4hour": { retentionDays: 730, window: { months: 1 }, intervalSeconds: 14400 },
+  "1day": { retentionDays: 1460, window: { years: 1 }, intervalSeconds: 86400 },
+};
+
+/**
+ * Zod schema for a history payload as returned by the API: `{ group: { metric: { unit, list: { epoch: value } } } }`.
+ * Groups that are not time series, such as the camera's photos and videos by day, are passed through as they are.
+ * @type {z.ZodRecord}
+ */
+export const HistoryDataSchema = z.record(
+  z.string(),
+  z.union([
+    z.record(
+      z.string(),
+      z.object({
+        unit: z.string().optional().describe("Unit of the values"),
+        list: z.record(z.string(), z.union([z.string(), z.number()])).describe("Values keyed by epoch seconds"),
+      })
+    ),
+    z.record(z.string(), z.unknown()).describe("Group that is not a time series (e.g. camera photos by day)"),
+  ])
+);
+
+/**
+ * Zod schema for a normalized history series as returned by tools.
+ * @type {z.ZodObject}
+ */
+export const HistorySeriesSchema = z.object({
+  id: z.string().describe("Stable series id, 'group.metric' (e.g. 'outdoor.temperature')"),
+  group: z.string().describe("Sensor group (e.g. 'outdoor', 'soil_ch3')"),
+  channel: z.number().int().nullable().describe("Sensor channel number, or null for unchannelled sensors"),
+  metric: z.string().describe("Metric within the group (e.g. 'temperature')"),
+  unit: z.string().nullable().describe("Canonical unit (e.g. '℃', 'hPa', '%'), or null for unitless series"),
+  resolution: z.string().describe("Cycle type of the data points (e.g. '30min')"),
+  count: z.number().int().describe("Number of data points"),
+  first: z.string().nullable().describe("Local ISO 8601 time of the first data point"),
+  last: z.string().nullable().describe("Local ISO 8601 time of the last data point"),
+  gaps: z
+    .array(
+      z.object({
+        after: z.string().describe("Local time of the last data point before the gap"),
+        before: z.string().describe("Local time of the first data point after the gap"),
+        missing: z.number().int().describe("Number of data points missing at the series' resolution"),
+      })
+    )
+    .describe("Spans with missing data points"),
+  points: z
+    .array(
+      z.object({
+        t: z.number().int().describe("Epoch seconds"),
+        local_time: z.string().describe("Local ISO 8601 time"),
+        value: z.number().describe("Value"),
+      })
+    )
+    .describe("Data points in chronological order; values that are empty or not numeric are left out"),
+  label: z.string().optional().describe("Configured label of the sensor group (e.g. 'Wine cellar')"),
+  location: z.string().optional().describe("Configured location of the sensor group"),
+});
+
+// Regex for the "YYYY-MM-DD HH:mm:ss" format used by the Ecowitt API (time and seconds are optional)
+const ECOWITT_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Regex for an Ecowitt date and time followed by an ISO 8601 UTC offset ("Z", "+11:00", "-0500")
+const ZONED_DATE_REGEX = /^(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2})?)\s*(Z|[+-]\d{2}(?::?\d{2})?)$/i;
+
+/**
+ * Parse an Ecowitt date string into a Date whose UTC fields hold the wall-clock time.
+ * @param {string} value - Date in "YYYY-MM-DD HH:mm:ss" format (time part optional)
+ * @param {string} [name="date"] - Parameter name used in error messages
+ * @returns {Date} Parsed date
+ * @throws {CustomError} If the value is not a valid date string
+ */
+export function parseEcowittDate(value, name = "date") {
+  const match = typeof value === "string" ? ECOWITT_DATE_REGEX.exec(value.trim()) : null;
+  if (!match) {
+    throw new CustomError(
+      `Invalid ${name} "${value}". Expected format 'YYYY-MM-DD HH:mm:ss'.`,
+      "INVALID_PARAMETER",
+      "parameter_error"
+    );
+  }
+
+  const [, year, month, day, hour = "0", minute = "0", second = "0"] = match;
+  const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+
+  // Reject dates that rolled over, e.g. 2024-02-30
+  if (date.getUTCMonth() !== +month - 1 || date.getUTCDate() !== +day) {
+    throw new CustomError(`Invalid ${name} "${value}".`, "INVALID_PARAMETER", "parameter_error");
+  }
+
+  return date;
+}
+
+/**
+ * Format a Date (using its UTC fields) as an Ecowitt date string.
+ * @param {Date} date - Date to format
+ * @returns {string} Date in "YYYY-MM-DD HH:mm:ss" format
+ */
+export function formatEcowittDate(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+/**
+ * Add a calendar window to a date.
+ * @private
+ * @param {Date} date - Start date
+ * @param {Object} window - Window definition ({ days }, { months } or { years })
+ * @returns {Date} New date one window later
+ */
+function addWindow(date, window) {
+  const next = new Date(date.getTime());
+  if (window.years) {
+    next.setUTCFullYear(next.getUTCFullYear() + window.years);
+  }
+  if (window.months) {
+    next.setUTCMonth(next.getUTCMonth() + window.months);
+  }
+  if (window.days) {
+    next.setUTCDate(next.getUTCDate() + window.days);
+  }
+  return next;
+}
+
+/**
+ * Check whether a date string carries its own UTC offset (e.g. "2024-12-25T00:00:00+11:00").
+ * @param {string} value - Date string
+ * @returns {boolean} True if the date ends with a UTC offset
+ */
+export function hasUtcOffset(value) {
+  return typeof value === "string" && ZONED_DATE_REGEX.test(value.trim());
+}
+
+/**
+ * Convert a history query date to the device's wall-clock time, which is what the API expects.
+ * Dates carrying a UTC offset (e.g. "2024-12-25T00:00:00+11:00") are converted from that offset, other dates from
+ * `timezone` when given, and otherwise are taken to already be in the device's local time.
+ * @param {string} value - Date in "YYYY-MM-DD HH:mm:ss" format, optionally with a UTC offset
+ * @param {string} deviceZone - Device timezone (IANA zone or UTC offset)
+ * @param {string} [timezone] - Timezone dates without an offset are in (IANA zone or UTC offset)
+ * @param {string} [name="date"] - Parameter name used in error messages
+ * @returns {string} Device-local date in "YYYY-MM-DD HH:mm:ss" format
+ * @throws {CustomError} If the date is invalid
+ */
+export function toDeviceLocalDate(value, deviceZone, timezone, name = "date") {
+  const zoned = typeof value === "string" ? ZONED_DATE_REGEX.exec(value.trim()) : null;
+  const wallTime = parseEcowittDate(zoned ? zoned[1] : value, name);
+  const sourceZone = zoned ? zoned[2] : timezone;
+  if (!sourceZone || sourceZone === deviceZone) {
+    return formatEcowittDate(wallTime);
+  }
+
+  const epoch = wallTimeToEpoch(wallTime, sourceZone);
+  return formatEcowittDate(epochToWallTime(epoch, deviceZone));
+}
+
+/**
+ * Render the epoch-second timestamps of every series in a history payload as local ISO 8601 times.
+ * @param {Object} history - History payload (`{ group: { metric: { unit, list: { epoch: value } } } }`)
+ * @param {string} zone - Timezone to render the times in (IANA zone or UTC offset)
+ * @returns {Object<string, string>} Epoch seconds mapped to local times (e.g. "2024-12-25T00:00:00+11:00"), in order
+ */
+export function historyTimestamps(history, zone) {
+  const epochs = new Set();
+  const collect = (node) => {
+    for (const [key, value] of Object.entries(node ?? {})) {
+      if (key === "list" && value && typeof value === "object") {
+        for (const epoch of Object.keys(value)) {
+          epochs.add(epoch);
+        }
+      } else if (value && typeof value === "object") {
+        collect(value);
+      }
+    }
+  };
+  collect(history);
+
+  return Object.fromEntries(
+    [...epochs]
+      .filter((epoch) => /^\d+$/.test(epoch))
+      .sort((a, b) => a - b)
+      .map((epoch) => [epoch, formatInTimeZone(Number(epoch) * SECOND_MS, zone)])
+  );
+}
+
+/**
+ * Find the spans of a series where points are missing.
+ * Points further apart than one and a half intervals are a gap, which tolerates daylight saving shifts in daily data.
+ * @private
+ * @param {Array<{t: number, local_time: string}>} points - Points in chronological order
+ * @param {number} intervalSeconds - Expected spacing of the points
+ * @returns {Array<{after: string, before: string, missing: number}>} Gaps in chronological order
+ */
+function seriesGaps(points, intervalSeconds) {
+  return points.slice(1).flatMap((point, index) => {
+    const previous = points[index];
+    const elapsed = point.t - previous.t;
+    if (elapsed <= intervalSeconds * 1.5) {
+      return [];
+    }
+    return [
+      {
+        after: previous.local_time,
+        before: point.local_time,
+        missing: Math.round(elapsed / intervalSeconds) - 1,
+      },
+    ];
+  });
+}
+
+/**
+ * Turn a history payload into sorted numeric time series with their metadata.
+ * @param {Object} history - History payload (`{ group: { metric: { unit, list: { epoch: value } } } }`)
+ * @param {string} zone - Timezone to render local times in (IANA zone or UTC offset)
+ * @param {string} cycleType - Cycle type the history was queried with (a key of HistoryCycleRules)
+ * @param {Object<string, Object>} [sensorConfig={}] - The device's sensor configuration, keyed by group; configured
+ *   labels and locations are added to the group's series
+ * @returns {Array<Object>} Series matching HistorySeriesSchema
+ */
+export function normalizeHistory(history, zone, cycleType, sensorConfig = {}) {
+  const { intervalSeconds } = HistoryCycleRules[cycleType] ?? HistoryCycleRules["1day"];
+  return Object.entries(history ?? {}).flatMap(([group, metrics]) =>
+    Object.entries(metrics ?? {})
+      .filter(([, series]) => series?.list && typeof series.list === "object")
+      .map(([metric, series]) => {
+        const points = Object.entries(series.list)
+          .map(([epoch, value]) => ({ t: Number(epoch), value: readingNumber(value) }))
+          .filter(({ t, value }) => Number.isInteger(t) && value !== null)
+          .sort((a, b) => a.t - b.t)
+          .map(({ t, value }) => ({ t, local_time: formatInTimeZone(t * SECOND_MS, zone), value }));
+        return {
+          id: `${group}.${metric}`,
+          group,
+          channel: readingChannel(group, metric),
+          metric,
+          unit: canonicalUnit(series.unit) ?? (series.unit || null),
+          resolution: cycleType,
+          count: points.length,
+          first: points[0]?.local_time ?? null,
+          last: points.at(-1)?.local_time ?? null,
+          gaps: seriesGaps(points, intervalSeconds),
+          points,
+          ...(sensorConfig[group]?.label && { label: sensorConfig[group].label }),
+          ...(sensorConfig[group]?.location && { location: sensorConfig[group].location }),
+        };
+      })
+  );
+}
+
+/**
+ * Split a date range into consecutive windows that each satisfy the maximum span for a cycle type.
+ * Both ends of every window are inclusive, matching the API's start_date/end_date semantics.
+ * @param {string} startDate - Start of the range ("YYYY-MM-DD HH:mm:ss")
+ * @param {string} endDate - End of the range ("YYYY-MM-DD HH:mm:ss")
+ * @param {string} cycleType - One of the keys of HistoryCycleRules
+ * @returns {Array<{startDate: string, endDate: string}>} Windows covering the whole range
+ * @throws {CustomError} If the dates are invalid or the cycle type is unknown
+ */
+export function splitDateRange(startDate, endDate, cycleType) {
+  const rule = HistoryCycleRules[cycleType];
+  if (!rule) {
+    throw new CustomError(`Unsupported cycle_type "${cycleType}".`, "INVALID_PARAMETER", "parameter_error");
+  }
+
+  const start = parseEcowittDate(startDate, "start date");
+  const end = parseEcowittDate(endDate, "end date");
+
+  const windows = [];
+  let windowStart = start;
+  while (windowStart <= end) {
+    const windowEnd = new Date(Math.min(addWindow(windowStart, rule.window).getTime() - SECOND_MS, end.getTime()));
+    windows.push({ startDate: formatEcowittDate(windowStart), endDate: formatEcowittDate(windowEnd) });
+    windowStart = new Date(windowEnd.getTime() + SECOND_MS);
+  }
+
+  return windows;
+}
+
+/**
+ * Get the cycle types whose retention covers a start date, finest first.
+ * @private
+ * @param {Date} start - Range start
+ * @param {Date} now - Reference time for the retention windows, in the same device wall-clock form as `start`
+ * @returns {string[]} Keys of HistoryCycleRules
+ */
+function retainedCycleTypes(start, now) {
+  return Object.keys(HistoryCycleRules).filter(
+    (cycleType) => start >= new Date(now.getTime() - HistoryCycleRules[cycleType].retentionDays * DAY_MS)
+  );
+}
+
+/**
+ * Check that a date range is well formed and, for an explicit cycle type, within that resolution's retention.
+ * @param {string} startDate - Start of the range ("YYYY-MM-DD HH:mm:ss")
+ * @param {string} endDate - End of the range ("YYYY-MM-DD HH:mm:ss")
+ * @param {string} [cycleType] - Requested cycle type; retention is only checked for keys of HistoryCycleRules
+ * @param {Date} [now=new Date()] - Reference time for the retention window. Like parseEcowittDate's results its UTC
+ *   fields hold the device's wall-clock time, so the current time only suits devices on UTC
+ * @throws {CustomError} If the range is inverted or starts before the retention window
+ */
+export function validateHistoryRange(startDate, endDate, cycleType, now = new Date()) {
+  const start = parseEcowittDate(startDate, "start date");
+  const end = parseEcowittDate(endDate, "end date");
+
+  if (start > end) {
+    throw new CustomError(
+      `Start date "${startDate}" must not be after end date "${endDate}".`,
+      "INVALID_DATE_RANGE",
+      "parameter_error"
+    );
+  }
+
+  const rule = HistoryCycleRules[cycleType];
+  if (!rule) {
+    return;
+  }
+
+  const earliest = new Date(now.getTime() - rule.retentionDays * DAY_MS);
+  if (start < earliest) {
+    const [alternative] = retainedCycleTypes(start, now);
+    const suggestion = alternative
+      ? `Use cycle_type "${alternative}" (or "auto") for this range, or start on or after ${formatEcowittDate(earliest)}.`
+      : `The earliest available ${cycleType} data is from ${formatEcowittDate(earliest)}.`;
+    throw new CustomError(
+      `Start date "${startDate}" is outside the ${rule.retentionDays} day retention window for ${cycleType} data. ` +
+        suggestion,
+      "INVALID_DATE_RANGE",
+      "parameter_error"
+    );
+  }
+}
+
+/**
+ * Choose the cycle type for a history query.
+ * For "auto" (or no cycle type) this is the finest resolution that both retains data back to the start date and
+ * covers the range in a single request; ranges longer than every request window fall back to daily data, split
+ * into several requests. An explicit cycle type is checked against its retention.
+ * @param {string} startDate - Start of the range ("YYYY-MM-DD HH:mm:ss")
+ * @param {string} endDate - End of the range ("YYYY-MM-DD HH:mm:ss")
+ * @param {string} [cycleType="auto"] - Requested cycle type ("auto" or a key of HistoryCycleRules)
+ * @param {Date} [now=new Date()] - Reference time for the retention windows, as the device's wall-clock time (see
+ *   validateHistoryRange)
+ * @returns {string} Explicit cycle type (a key of HistoryCycleRules)
+ * @throws {CustomError} If the cycle type is unknown, the range is invalid, or no resolution retains the range
+ */
+export function selectCycleType(startDate, endDate, cycleType = "auto", now = new Date()) {
+  const requested = cycleType ?? "auto";
+  if (requested !== "auto" && !HistoryCycleRules[requested]) {
+    throw new CustomError(
+      `Unsupported cycle_type "${requested}". Use one of ${["auto", ...Object.keys(HistoryCycleRules)]
+        .map((key) => `"${key}"`)
+        .join(", ")}.`,
+      "INVALID_PARAMETER",
+      "parameter_error"
+    );
+  }
+
+  validateHistoryRange(startDate, endDate, requested, now);
+  if (requested !== "auto") {
+    return requested;
+  }
+
+  const retained = retainedCycleTypes(parseEcowittDate(startDate, "start date"), now);
+  if (retained.length === 0) {
+    const { retentionDays } = HistoryCycleRules["1day"];
+    throw new CustomError(
+      `Start date "${startDate}" is older than the ${retentionDays} days of history Ecowitt retains. ` +
+        `The earliest available data is from ${formatEcowittDate(new Date(now.getTime() - retentionDays * DAY_MS))}.`,
+      "INVALID_DATE_RANGE",
+      "parameter_error"
+    );
+  }
+
+  return retained.find((candidate) => splitDateRange(startDate, endDate, candidate).length === 1) ?? retained.at(-1);
+}
+
+/**
+ * Merge several /device/history responses into one.
+ * Series are identified by their `list` maps, which are combined; every other value keeps its first occurrence.
+ * @param {Array<Object>} responses - History `data` payloads, in chronological order
+ * @returns {Object} Merged history payload
+ */
+export function mergeHistoryResponses(responses) {
+  const merged = {};
+  for (const response of responses) {
+    mergeInto(merged, response);
+  }
+  return merged;
+}
+
+/**
+ * Recursively merge a history payload into a target object.
+ * @private
+ * @param {Object} target - Object to merge into
+ * @param {Object} source - Object to merge from
+ */
+function mergeInto(target, source) {
+  if (!source || typeof source !== "object") {
+    return;
+  }
+
+  for (const [key, value] of Object.entries(source)) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      if (!(key in target)) {
+        target[key] = value;
+      }
+      continue;
+    }
+
+    if (!target[key] || typeof target[key] !== "object") {
+      target[key] = {};
+    }
+
+    if (key === "list") {
+      Object.assign(target[key], value);
+    } else {
+      mergeInto(target[key], value);
+    }
+  }
+}
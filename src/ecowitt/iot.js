@@ -0,0 +1,172 @@
+/**
+ * IoT sub-devices paired with a gateway, such as WFC01 water valves and AC1100 smart plugs. They are listed in
+ * /device/list's `iotdevice_list` and report real-time data and history under a "MODEL-ID(Title)" group, which
+ * call_back selects by the sub-device's default title ("WFC01-0xxxxxx8").
+ */
+import { z } from "zod";
+import { deviceUriId } from "../utils/device_id.js";
+import { canonicalUnit, convertReadings, UNITS } from "../utils/units.js";
+import { latestReadingTime, readingNumber } from "./realtime.js";
+
+/**
+ * Known sub-device models, by the model prefix of their default title.
+ * @type {Object<string, string>}
+ */
+export const IOT_MODELS = {
+  WFC01: "water valve",
+  WFC02: "water valve",
+  AC1100: "smart plug",
+};
+
+// Units sub-device readings are reported in unless the caller prefers others
+const IOT_DEFAULT_UNITS = { volume: "L", flow: "L/min", energy: "kWh" };
+
+// History reports a plug's cumulative energy with a power unit ("kW" for kWh)
+const ENERGY_UNITS = { W: "Wh", kW: "kWh" };
+
+/**
+ * Zod schema for an IoT sub-device.
+ * @type {z.ZodObject}
+ */
+export const IotDeviceSchema = z.object({
+  uri: z.string().describe("Sub-device resource URI (ecowitt://device/{id}/iot/{deviceId})"),
+  deviceId: z.string().describe("Sub-device ID"),
+  defaultTitle: z.string().describe("Default title, which selects the sub-device in call_back (e.g. 'WFC01-0xxxxxx8')"),
+  name: z.string().optional().describe("Sub-device name"),
+  model: z.string().optional().describe("Model (e.g. 'WFC01', 'AC1100')"),
+  kind: z.string().optional().describe("Kind of sub-device ('water valve' or 'smart plug')"),
+  version: z.string().optional().describe("Firmware version"),
+  parent: z.string().optional().describe("MAC address or IMEI of the gateway the sub-device is paired with"),
+});
+
+const IotQuantitySchema = z.object({
+  value: z.number().nullable().describe("Numeric value, or null if not reported"),
+  unit: z.string().nullable().describe("Canonical unit"),
+});
+
+const IotTotalsSchema = z.object({
+  daily: IotQuantitySchema.extend({ day: z.string().nullable().describe("Day of the total (YYYY-MM-DD)") }).optional(),
+  monthly: IotQuantitySchema.extend({
+    month: z.string().nullable().describe("Month of the total (YYYY-MM)"),
+  }).optional(),
+});
+
+/**
+ * Zod schema for the typed real-time state of an IoT sub-device. Only what the sub-device reports is present.
+ * @type {z.ZodObject}
+ */
+export const IotStateSchema = z.object({
+  status: z.enum(["on", "off"]).nullable().describe("'on' for an open valve or powered plug, 'off' otherwise"),
+  time: z.string().nullable().describe("Time of the latest reading (ISO 8601, UTC)"),
+  water: IotTotalsSchema.optional().describe("Water used today and this month (L by default)"),
+  flow_rate: IotQuantitySchema.optional().describe("Water flow (L/min by default)"),
+  energy: IotTotalsSchema.optional().describe("Energy used today and this month (kWh by default)"),
+  power: IotQuantitySchema.optional().describe("Power draw (W)"),
+  voltage: IotQuantitySchema.optional().describe("Supply voltage (V)"),
+  temperature: IotQuantitySchema.optional().describe("Water temperature"),
+  position: IotQuantitySchema.optional().describe("Valve position (%)"),
+});
+
+/**
+ * Describe a sub-device listed by /device/list.
+ * @param {Object} parent - Gateway the sub-device is paired with, as listed by the client
+ * @param {Object} iotDevice - Sub-device from the gateway's `iotDevices`
+ * @returns {Object} Sub-device matching IotDeviceSchema
+ */
+export function describeIotDevice(parent, iotDevice) {
+  const model = iotDevice.defaultTitle?.split("-")[0].toUpperCase();
+  return {
+    uri: `ecowitt://device/${deviceUriId(parent)}/iot/${encodeURIComponent(iotDevice.deviceId)}`,
+    deviceId: iotDevice.deviceId,
+    defaultTitle: iotDevice.defaultTitle,
+    name: iotDevice.name,
+    model,
+    kind: IOT_MODELS[model],
+    version: iotDevice.version,
+  };
+}
+
+/**
+ * Find the group a sub-device's readings are reported under.
+ * @param {Object} data - Real-time or history data grouped like the cloud API
+ * @param {string} defaultTitle - Sub-device default title (e.g. "WFC01-0xxxxxx8")
+ * @returns {string|undefined} Group name (e.g. "WFC01-0xxxxxx8(Garden tap)"), or undefined if it is not present
+ */
+export function findIotGroup(data, defaultTitle) {
+  return Object.keys(data ?? {}).find((group) => group === defaultTitle || group.startsWith(`${defaultTitle}(`));
+}
+
+/**
+ * Convert a sub-device's readings to canonical units: litres, litres per minute and kWh unless other units are
+ * preferred. Energy totals reported with a power unit are relabelled as energy first.
+ * @param {Object} readings - The sub-device's group (`{ metric: { unit, value|list } }`)
+ * @param {Object<string, string>} [preferences={}] - Target unit by quantity, from parseUnitPreferences
+ * @returns {Object} Converted copy of the readings
+ */
+export function convertIotReadings(readings, preferences = {}) {
+  const relabelled = Object.fromEntries(
+    Object.entries(readings ?? {}).map(([metric, reading]) => {
+      const energyUnit = metric.endsWith("_total") && ENERGY_UNITS[canonicalUnit(reading?.unit)];
+      return [metric, energyUnit ? { ...reading, unit: energyUnit } : reading];
+    })
+  );
+  return convertReadings(relabelled, { ...IOT_DEFAULT_UNITS, ...preferences });
+}
+
+/**
+ * Find where a reading belongs in the typed state.
+ * @private
+ * @param {string} metric - Metric name
+ * @param {string|undefined} unit - Canonical unit of the reading
+ * @returns {string[]|null} Path in the state (e.g. ["water", "daily"]), or null for readings the state omits
+ */
+function statePath(metric, unit) {
+  if (metric === "daily" || metric === "monthly") {
+    const totals = { volume: "water", energy: "energy" }[UNITS[unit]?.quantity];
+    return totals ? [totals, metric] : null;
+  }
+  return ["flow_rate", "power", "voltage", "temperature", "position"].includes(metric) ? [metric] : null;
+}
+
+/**
+ * Format the period of a daily ("20240920") or monthly ("202409") total.
+ * @private
+ * @param {string} [period] - Period as reported
+ * @returns {string|null} "2024-09-20" or "2024-09", or null if missing
+ */
+function formatPeriod(period) {
+  const match = /^(\d{4})(\d{2})(\d{2})?$/.exec(String(period ?? ""));
+  return match ? match.slice(1).filter(Boolean).join("-") : null;
+}
+
+/**
+ * Turn a sub-device's real-time readings into its typed state.
+ * @param {Object} readings - The sub-device's group (`{ metric: { time, unit, value } }`)
+ * @param {Object<string, string>} [preferences={}] - Target unit by quantity, from parseUnitPreferences
+ * @returns {Object} State matching IotStateSchema
+ */
+export function normalizeIotState(readings, preferences = {}) {
+  const converted = convertIotReadings(readings, preferences);
+  const status = readingNumber(converted.status?.value);
+  const latest = latestReadingTime({ iot: converted });
+  const state = {
+    status: status === null ? null : status > 0 ? "on" : "off",
+    time: latest > 0 ? new Date(latest).toISOString() : null,
+  };
+
+  for (const [metric, reading] of Object.entries(converted)) {
+    const unit = canonicalUnit(reading?.unit) ?? (reading?.unit || null);
+    const [field, period] = statePath(metric, unit) ?? [];
+    if (!field) {
+      continue;
+    }
+    const quantity = {
+      value: readingNumber(reading.value),
+      unit,
+      ...("day" in reading && { day: formatPeriod(reading.day) }),
+      ...("month" in reading && { month: formatPeriod(reading.month) }),
+    };
+    state[field] = period ? { ...state[field], [period]: quantity } : quantity;
+  }
+  return state;
+}
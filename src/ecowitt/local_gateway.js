@@ -0,0 +1,274 @@
+/**
+ * Client for the local HTTP API of Ecowitt gateways (GW1000, GW1100, GW2000, WN1900 series consoles).
+ * Live data is read straight from the gateway on the LAN, with no cloud round trip and no API keys.
+ */
+import { CustomError, DataParsingError } from "../utils/errors.js";
+import { selectRealtimeFields } from "./realtime.js";
+
+// Sensor IDs the gateway reports for sensor slots that are not paired (FFFFFFFF) or are disabled (FFFFFFFE)
+const UNPAIRED_SENSOR_IDS = new Set(["FFFFFFFF", "FFFFFFFE"]);
+
+// Live data item IDs in `common_list` mapped to their cloud real_time group, metric and unit (when not reported).
+// The gateway reports feels like ("3") and VPD ("5") without the hex prefix of the other IDs.
+// biome-ignore format: keep the numeric IDs quoted like the hex ones
+const COMMON_LIST_FIELDS = {
+  "0x02": ["outdoor", "temperature"],
+  "0x07": ["outdoor", "humidity"],
+  "3": ["outdoor", "feels_like"],
+  "0x03": ["outdoor", "dew_point"],
+  "5": ["outdoor", "vpd"],
+  "0x0B": ["wind", "wind_speed"],
+  "0x0C": ["wind", "wind_gust"],
+  "0x19": ["wind", "max_daily_gust"],
+  "0x0A": ["wind", "wind_direction", "º"],
+  "0x15": ["solar_and_uvi", "solar"],
+  "0x17": ["solar_and_uvi", "uvi"],
+};
+
+// Rain item IDs in `rain` and `piezoRain` mapped to their cloud real_time metric
+const RAIN_FIELDS = {
+  "0x0D": "event",
+  "0x0E": "rain_rate",
+  "0x10": "daily",
+  "0x11": "weekly",
+  "0x12": "monthly",
+  "0x13": "yearly",
+};
+
+/**
+ * Build the ID lookup for a rain list
+ * @param {string} group - Cloud real_time group the rain list maps to
+ * @returns {Object} Rain item IDs mapped to [group, metric]
+ */
+function rainFields(group) {
+  return Object.fromEntries(Object.entries(RAIN_FIELDS).map(([id, metric]) => [id, [group, metric]]));
+}
+
+// Live data lists of `{ id, val, unit }` items mapped to their ID lookups
+const ID_LIST_FIELDS = {
+  common_list: COMMON_LIST_FIELDS,
+  rain: rainFields("rainfall"),
+  piezoRain: rainFields("rainfall_piezo"),
+};
+
+// Live data sensor lists with the cloud real_time group and metric -> live data key mapping they feed.
+// Entries with a `channel` get one group per channel (the group name is a prefix).
+const SENSOR_FIELDS = [
+  ["wh25", "indoor", { temperature: "intemp", humidity: "inhumi" }],
+  ["wh25", "pressure", { absolute: "abs", relative: "rel" }],
+  ["lightning", "lightning", { distance: "distance", count: "count" }],
+  ["ch_aisle", "temp_and_humidity_ch", { temperature: "temp", humidity: "humidity" }],
+  ["ch_temp", "temp_ch", { temperature: "temp" }],
+  ["ch_soil", "soil_ch", { soilmoisture: "humidity" }],
+  ["ch_leaf", "leaf_ch", { leaf_wetness: "humidity" }],
+  ["ch_pm25", "pm25_ch", { pm25: "PM25" }],
+];
+
+// Temperature values are reported without a unit; it is given in the entry's `unit` property instead
+const TEMPERATURE_KEYS = new Set(["temp", "intemp"]);
+
+// Units as reported by the gateway mapped to the symbols the cloud API uses
+const UNIT_SYMBOLS = {
+  C: "℃",
+  F: "ºF",
+  "W/m2": "W/m²",
+  "": "",
+};
+
+/**
+ * Parse a live data value such as "7.2 km/h", "62%" or "21.4" (with a separate unit) into a reading.
+ * @param {string} raw - Value as reported by the gateway
+ * @param {string} [unit] - Unit reported alongside the value, if any
+ * @returns {{value: string, unit: string}|undefined} Reading, or undefined if the sensor has no value ("--")
+ */
+function parseReading(raw, unit) {
+  if (raw === undefined || raw === null) {
+    return undefined;
+  }
+
+  const text = String(raw).trim();
+  const match = text.match(/^(-?\d+(?:\.\d+)?)\s*(.*)$/);
+  if (!match) {
+    return undefined;
+  }
+
+  const reportedUnit = unit ?? match[2];
+  return { value: match[1], unit: UNIT_SYMBOLS[reportedUnit] ?? reportedUnit };
+}
+
+/**
+ * Read the `{ id, val, unit }` items of the common and rain lists.
+ * @param {Object} liveData - Parsed `/get_livedata_info` response
+ * @yields {[string, string, Object]} Group, metric and reading for each recognised item
+ */
+function* idListReadings(liveData) {
+  for (const [source, fields] of Object.entries(ID_LIST_FIELDS)) {
+    for (const item of liveData[source] ?? []) {
+      const [group, metric, defaultUnit] = fields[item.id] ?? [];
+      if (group) {
+        yield [group, metric, parseReading(item.val, item.unit ?? defaultUnit)];
+      }
+    }
+  }
+}
+
+/**
+ * Read the indoor, lightning and multi-channel sensor lists.
+ * @param {Object} liveData - Parsed `/get_livedata_info` response
+ * @yields {[string, string, Object]} Group, metric and reading for each sensor value
+ */
+function* sensorReadings(liveData) {
+  for (const [source, group, fields] of SENSOR_FIELDS) {
+    for (const entry of liveData[source] ?? []) {
+      // Multi-channel sensors get one group per channel, e.g. temp_and_humidity_ch1
+      const groupName = entry.channel ? `${group}${entry.channel}` : group;
+      for (const [metric, key] of Object.entries(fields)) {
+        yield [groupName, metric, parseReading(entry[key], TEMPERATURE_KEYS.has(key) ? entry.unit : undefined)];
+      }
+    }
+  }
+}
+
+/**
+ * Normalize a `/get_livedata_info` response into the shape of the cloud /device/real_time response:
+ * `{ group: { metric: { time, unit, value } } }`. Values are reported in the units configured on the gateway.
+ * @param {Object} liveData - Parsed `/get_livedata_info` response
+ * @param {number} [now=Date.now()] - Time the data was read, used for each reading's `time`
+ * @returns {Object} Real-time data grouped like the cloud API (outdoor, indoor, wind, rainfall, ...)
+ */
+export function normalizeLiveData(liveData, now = Date.now()) {
+  const time = String(Math.floor(now / 1000));
+  const groups = {};
+
+  for (const [group, metric, reading] of [...idListReadings(liveData), ...sensorReadings(liveData)]) {
+    if (reading) {
+      groups[group] ??= {};
+      groups[group][metric] = { time, ...reading };
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Client for a single gateway's local HTTP API
+ */
+export class LocalGatewayClient {
+  /**
+   * Create a new LocalGatewayClient
+   * @param {Object} config - Gateway configuration
+   * @param {string} config.host - Gateway IP address or host name, optionally with a scheme and port (e.g. "192.168.1.50")
+   * @param {number} [config.requestTimeout=5000] - Request timeout in milliseconds
+   * @param {string} [config.version] - Server version, sent in the User-Agent header
+   */
+  constructor(config) {
+    if (!config?.host) {
+      throw new CustomError("Local gateway host is required", "MISSING_CONFIG", "configuration_error");
+    }
+
+    const baseUrl = /^https?:\/\//.test(config.host) ? config.host : `http://${config.host}`;
+    try {
+      this.baseUrl = new URL(baseUrl).origin;
+    } catch (error) {
+      throw new CustomError(
+        `Invalid local gateway host "${config.host}"`,
+        "INVALID_CONFIG",
+        "configuration_error",
+        error
+      );
+    }
+    this.requestTimeout = config.requestTimeout ?? 5000;
+    this.version = config.version;
+  }
+
+  /**
+   * Make a GET request to the gateway and parse the JSON response.
+   * @private
+   * @param {string} path - API path (e.g. "/get_livedata_info")
+   * @returns {Promise<Object|Array>} Parsed response
+   * @throws {CustomError|DataParsingError} If the gateway is unreachable, times out or returns invalid data
+   */
+  async _get(path) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${path}`, {
+        headers: { "User-Agent": `ecowitt-mcp/${this.version}` },
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new CustomError(
+          `Local gateway ${this.baseUrl} returned HTTP ${response.status}`,
+          "GATEWAY_HTTP_ERROR",
+          "external_service_error"
+        );
+      }
+
+      // Gateways do not always send a JSON content type, so parse the body text
+      const body = await response.text();
+      try {
+        return JSON.parse(body);
+      } catch (error) {
+        throw new DataParsingError(`Failed to parse local gateway response as JSON: ${error.message}`, error);
+      }
+    } catch (error) {
+      if (error instanceof CustomError) {
+        throw error;
+      }
+      if (error.name === "AbortError") {
+        throw new CustomError(`Local gateway ${this.baseUrl} timed out.`, "TIMEOUT_ERROR", "timeout_error", error);
+      }
+      throw new CustomError(
+        `Local gateway ${this.baseUrl} unreachable: ${error.message}`,
+        "NETWORK_ERROR",
+        "network_error",
+        error
+      );
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Get the raw live data from the gateway.
+   * @returns {Promise<Object>} Parsed `/get_livedata_info` response
+   */
+  async getLiveData() {
+    return this._get("/get_livedata_info");
+  }
+
+  /**
+   * Get the sensors paired with the gateway. Sensor slots that are not paired or are disabled are omitted.
+   * @returns {Promise<Array<Object>>} Sensors with type, name, id, battery, signal and rssi
+   */
+  async getSensorsInfo() {
+    const pages = await Promise.all([this._get("/get_sensors_info?page=1"), this._get("/get_sensors_info?page=2")]);
+
+    return pages
+      .flat()
+      .filter((sensor) => sensor && !UNPAIRED_SENSOR_IDS.has(sensor.id))
+      .map((sensor) => ({
+        type: sensor.type,
+        name: sensor.name,
+        id: sensor.id,
+        battery: sensor.batt,
+        signal: sensor.signal,
+        rssi: sensor.rssi,
+      }));
+  }
+
+  /**
+   * Get real-time data in the same shape as EcowittClient.getRealTimeInfo().
+   * Unit options are not applied: values are reported in the units configured on the gateway, and DeviceHandlers
+   * converts them to the units the unit ids ask for.
+   * @param {string} _macOrImei - Device MAC (accepted for interface compatibility; the gateway only serves itself)
+   * @param {string} [callback] - Comma-separated list of field types to return (e.g. "all", "outdoor", "indoor.humidity")
+   * @returns {Promise<Object>} Real-time data grouped like the cloud API
+   */
+  async getRealTimeInfo(_macOrImei, callback) {
+    const liveData = await this.getLiveData();
+    return selectRealtimeFields(normalizeLiveData(liveData), callback);
+  }
+}
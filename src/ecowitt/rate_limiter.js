@@ -0,0 +1,122 @@
+/**
+ * Token bucket rate limiter with a concurrency cap for outgoing Ecowitt API requests.
+ */
+
+/**
+ * Default limits used when the configuration does not override them.
+ * @property {number} requestsPerSecond - Sustained request rate (token refill rate)
+ * @property {number} burst - Bucket size, i.e. how many requests may start back to back
+ * @property {number} maxConcurrent - Maximum number of requests in flight at once
+ */
+export const DEFAULT_RATE_LIMIT = {
+  requestsPerSecond: 3,
+  burst: 5,
+  maxConcurrent: 4,
+};
+
+/**
+ * Queues tasks so that they start no faster than the token bucket allows
+ * and no more than `maxConcurrent` run at the same time. Tasks start in FIFO order.
+ */
+export class RateLimiter {
+  /**
+   * Create a new RateLimiter
+   * @param {Object} [limits] - Limit overrides (see DEFAULT_RATE_LIMIT)
+   * @param {Function} [now=Date.now] - Clock function, injectable for tests
+   */
+  constructor(limits = {}, now = Date.now) {
+    this.limits = { ...DEFAULT_RATE_LIMIT, ...limits };
+    this.now = now;
+    this.tokens = this.limits.burst;
+    this.lastRefill = now();
+    this.queue = [];
+    this.active = 0;
+    this.timer = null;
+    this.stats = { started: 0, maxQueueDepth: 0, totalWaitMs: 0, maxWaitMs: 0 };
+  }
+
+  /**
+   * Run a task once a token and a concurrency slot are available.
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Resolves or rejects with the task's result
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject, enqueuedAt: this.now() });
+      this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+      this._drain();
+    });
+  }
+
+  /**
+   * Snapshot of queue and wait time statistics.
+   * @returns {Object} Current queue depth, active requests and wait times in milliseconds
+   */
+  getStats() {
+    return {
+      queueDepth: this.queue.length,
+      active: this.active,
+      started: this.stats.started,
+      maxQueueDepth: this.stats.maxQueueDepth,
+      averageWaitMs: this.stats.started ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0,
+      maxWaitMs: this.stats.maxWaitMs,
+      limits: { ...this.limits },
+    };
+  }
+
+  /**
+   * Add tokens accrued since the last refill, up to the bucket size.
+   * @private
+   */
+  _refill() {
+    const now = this.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.limits.burst, this.tokens + elapsed * this.limits.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Start as many queued tasks as the limits allow, and schedule a wake-up when waiting for tokens.
+   * @private
+   */
+  _drain() {
+    while (this.queue.length > 0 && this.active < this.limits.maxConcurrent) {
+      this._refill();
+
+      if (this.tokens < 1) {
+        if (!this.timer) {
+          const waitMs = Math.ceil(((1 - this.tokens) / this.limits.requestsPerSecond) * 1000);
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this._drain();
+          }, waitMs);
+        }
+        return;
+      }
+
+      this.tokens -= 1;
+      this._start(this.queue.shift());
+    }
+  }
+
+  /**
+   * Run a dequeued task and release its concurrency slot when it settles.
+   * @private
+   * @param {Object} entry - Queue entry
+   */
+  _start(entry) {
+    const waitMs = this.now() - entry.enqueuedAt;
+    this.stats.started++;
+    this.stats.totalWaitMs += waitMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+    this.active++;
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.active--;
+        this._drain();
+      });
+  }
+}
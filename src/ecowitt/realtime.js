@@ -0,0 +1,151 @@
+/**
+ * Helpers for real-time data grouped like the cloud /device/real_time response: `{ group: { metric: { time, unit, value } } }`.
+ */
+import { z } from "zod";
+import { canonicalUnit } from "../utils/units.js";
+
+// Sensor channel numbers in group names ("soil_ch3", "ch_lds1") or metric names ("leak_ch2", "depth_ch1")
+const GROUP_CHANNEL_REGEX = /(?:^|_)ch(?:_[a-z]+)?(\d+)$/i;
+const METRIC_CHANNEL_REGEX = /_ch(\d+)$/i;
+
+/**
+ * Zod schema for a normalized reading as returned by tools, with its time as an ISO 8601 string.
+ * @type {z.ZodObject}
+ */
+export const NormalizedReadingSchema = z.object({
+  id: z.string().describe("Stable reading id, 'group.metric' (e.g. 'outdoor.temperature', 'soil_ch3.soilmoisture')"),
+  group: z.string().describe("Sensor group (e.g. 'outdoor', 'soil_ch3')"),
+  channel: z.number().int().nullable().describe("Sensor channel number, or null for unchannelled sensors"),
+  metric: z.string().describe("Metric within the group (e.g. 'temperature')"),
+  value: z.number().nullable().describe("Reading value, or null if the sensor reported no numeric value"),
+  unit: z.string().nullable().describe("Canonical unit (e.g. '℃', 'hPa', '%'), or null for unitless readings"),
+  time: z.string().nullable().describe("Time of the reading (ISO 8601, UTC)"),
+  label: z.string().optional().describe("Configured label of the sensor group (e.g. 'Wine cellar')"),
+  location: z.string().optional().describe("Configured location of the sensor group"),
+});
+
+/**
+ * Keep only the groups and metrics selected by a cloud-style call_back list.
+ * @param {Object} data - Real-time data grouped like the cloud API
+ * @param {string} [callback] - Comma-separated groups or group.metric paths (e.g. "outdoor,indoor.humidity",
+ *   "WFC01-0xxxxxx8.daily"); "all" or empty keeps everything
+ * @returns {Object} Filtered real-time data
+ */
+export function selectRealtimeFields(data, callback) {
+  const paths = (callback ?? "")
+    .split(",")
+    .map((path) => path.trim())
+    .filter(Boolean);
+  if (paths.length === 0 || paths.includes("all")) {
+    return data;
+  }
+
+  const selected = {};
+  for (const path of paths) {
+    const [name, metric] = path.split(".");
+    // IoT sub-devices are selected by their default title ("WFC01-0xxxxxx8") but grouped as "WFC01-0xxxxxx8(Title)"
+    const group = data[name] ? name : Object.keys(data).find((key) => key.startsWith(`${name}(`));
+    if (!group) {
+      continue;
+    }
+    if (!metric) {
+      selected[group] = data[group];
+    } else if (data[group][metric]) {
+      selected[group] = { ...selected[group], [metric]: data[group][metric] };
+    }
+  }
+  return selected;
+}
+
+/**
+ * Find the time of the newest reading.
+ * @param {Object} data - Real-time data grouped like the cloud API
+ * @returns {number} Epoch milliseconds of the newest reading, or 0 if there are none
+ */
+export function latestReadingTime(data) {
+  let latest = 0;
+  for (const group of Object.values(data ?? {})) {
+    for (const reading of Object.values(group ?? {})) {
+      const time = Number(reading?.time) * 1000;
+      if (Number.isFinite(time) && time > latest) {
+        latest = time;
+      }
+    }
+  }
+  return latest;
+}
+
+/**
+ * Parse a reading value as a number.
+ * @param {*} value - Reported value (the API reports numbers as strings)
+ * @returns {number|null} Number, or null if the value is empty or not numeric
+ */
+export function readingNumber(value) {
+  if (typeof value === "string" && value.trim() === "") {
+    return null;
+  }
+  const number = Number(value);
+  return value !== null && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Find the sensor channel of a reading from its group or metric name.
+ * @param {string} group - Sensor group (e.g. "soil_ch3")
+ * @param {string} metric - Metric within the group (e.g. "leak_ch2")
+ * @returns {number|null} Channel number, or null for unchannelled sensors
+ */
+export function readingChannel(group, metric) {
+  const channel = GROUP_CHANNEL_REGEX.exec(group)?.[1] ?? METRIC_CHANNEL_REGEX.exec(metric)?.[1];
+  return channel === undefined ? null : Number(channel);
+}
+
+/**
+ * Normalize one reading.
+ * @private
+ * @param {string} group - Sensor group
+ * @param {string} metric - Metric within the group
+ * @param {Object} reading - Reported reading ({ time, unit, value })
+ * @param {Object} [sensor] - Configuration of the sensor group ({ label, location })
+ * @returns {Object} Normalized reading
+ */
+function normalizeReading(group, metric, reading, sensor) {
+  const time = Number(reading.time) * 1000;
+  return {
+    id: `${group}.${metric}`,
+    group,
+    channel: readingChannel(group, metric),
+    metric,
+    value: readingNumber(reading.value),
+    unit: canonicalUnit(reading.unit) ?? (reading.unit || null),
+    time: reading.time && Number.isFinite(time) ? new Date(time) : null,
+    ...(sensor?.label && { label: sensor.label }),
+    ...(sensor?.location && { location: sensor.location }),
+  };
+}
+
+/**
+ * Turn real-time data, or the `last_update` of a device info response, into a flat list of typed readings.
+ * Entries without a `value` (such as camera photos) are skipped.
+ * @param {Object} data - Real-time data grouped like the cloud API
+ * @param {Object<string, Object>} [sensorConfig={}] - The device's sensor configuration, keyed by group; configured
+ *   labels and locations are added to the group's readings
+ * @returns {Array<{id: string, group: string, channel: number|null, metric: string, value: number|null,
+ *   unit: string|null, time: Date|null, label?: string, location?: string}>} Readings with stable `group.metric`
+ *   ids, canonical units and their time
+ */
+export function normalizeRealtime(data, sensorConfig = {}) {
+  return Object.entries(data ?? {}).flatMap(([group, metrics]) =>
+    Object.entries(metrics ?? {})
+      .filter(([, reading]) => reading && typeof reading === "object" && "value" in reading)
+      .map(([metric, reading]) => normalizeReading(group, metric, reading, sensorConfig[group]))
+  );
+}
+
+/**
+ * Serialize normalized readings for JSON output, matching NormalizedReadingSchema.
+ * @param {Array<Object>} readings - Readings from normalizeRealtime
+ * @returns {Array<Object>} Readings with ISO 8601 times
+ */
+export function serializeReadings(readings) {
+  return readings.map((reading) => ({ ...reading, time: reading.time?.toISOString() ?? null }));
+}
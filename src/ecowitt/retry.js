@@ -0,0 +1,77 @@
+/**
+ * Retry policy helpers for transient Ecowitt API failures.
+ */
+import { EcowittApiError } from "./errors.js";
+
+/**
+ * Default retry policy used when the configuration does not override it.
+ * @property {number} maxAttempts - Total attempts including the first request
+ * @property {number} baseDelay - Delay before the first retry in milliseconds (doubles on each retry)
+ * @property {number} maxDelay - Upper bound for a single backoff delay in milliseconds
+ * @property {number} maxElapsed - Total time budget for all attempts in milliseconds
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 5000,
+  maxElapsed: 30000,
+};
+
+/**
+ * Check whether an error from a request is worth retrying.
+ * Retries Ecowitt "system busy" (-1), 5xx and 429 responses, and request timeouts.
+ * @param {Error} error - Error thrown by a request attempt
+ * @returns {boolean} True if the request should be retried
+ */
+export function isRetryableError(error) {
+  if (error instanceof EcowittApiError) {
+    return error.isRetryable();
+  }
+  return error?.code === "TIMEOUT_ERROR";
+}
+
+/**
+ * Compute the backoff delay before a retry using exponential backoff with equal jitter.
+ * Half of the delay is fixed and half is random, so retries spread out without collapsing to zero.
+ * @param {number} attempt - The attempt that just failed (1 for the first request)
+ * @param {Object} policy - Retry policy (see DEFAULT_RETRY_POLICY)
+ * @param {Function} [random=Math.random] - Random number source, injectable for tests
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, policy, random = Math.random) {
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+/**
+ * Parse a Retry-After header value into a delay.
+ * Supports both the delay-seconds and HTTP-date forms.
+ * @param {string|null} value - Retry-After header value
+ * @param {number} [now=Date.now()] - Reference time for HTTP-date values
+ * @returns {number|undefined} Delay in milliseconds, or undefined if the header is missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return undefined;
+  }
+
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed) * 1000;
+  }
+
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) {
+    return undefined;
+  }
+  return Math.max(0, date - now);
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
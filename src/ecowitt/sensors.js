@@ -0,0 +1,270 @@
+/**
+ * Sensor inventory built from real-time data (a /device/info `last_update` or a /device/real_time response),
+ * listing each sensor group with friendly labels and the call_back values that select it, and the per-device
+ * sensor configuration (user labels, locations and calibration) applied to readings.
+ */
+import { z } from "zod";
+import { canonicalUnit, UNITS } from "../utils/units.js";
+import { readingChannel, readingNumber } from "./realtime.js";
+
+// Labels for sensor groups and metrics, tried in order; "$1" is replaced with the first capture group
+const SENSOR_LABELS = [
+  [/^outdoor$/, "Outdoor"],
+  [/^indoor$/, "Indoor"],
+  [/^solar_and_uvi$/, "Solar and UV"],
+  [/^rainfall$/, "Rainfall"],
+  [/^rainfall_piezo$/, "Rainfall (piezo)"],
+  [/^wind$/, "Wind"],
+  [/^pressure$/, "Pressure"],
+  [/^lightning$/, "Lightning"],
+  [/^indoor_co2$/, "Indoor CO2"],
+  [/^co2_aqi_combo$/, "CO2 (air quality combo)"],
+  [/^pm(25|10|1|4)_aqi_combo$/, (size) => `${pmLabel(size)} (air quality combo)`],
+  [/^t_rh_aqi_combo$/, "Temp/Humidity (air quality combo)"],
+  [/^water_leak$/, "Water leak"],
+  [/^battery$/, "Battery"],
+  [/^photo$/, "Camera"],
+  [/^temp_and_humidity_ch(\d+)$/, "Temp/Humidity channel $1"],
+  [/^temp_ch(\d+)$/, "Temperature channel $1"],
+  [/^soil_ch(\d+)$/, "Soil moisture $1"],
+  [/^leaf_ch(\d+)$/, "Leaf wetness $1"],
+  [/^pm25_ch(\d+)$/, "PM2.5 channel $1"],
+  [/^leak_ch(\d+)$/, "Leak channel $1"],
+  [/^(?:ch_lds|lds_ch)(\d+)$/, "Laser distance channel $1"],
+  [/^air_ch(\d+)$/, "Air gap channel $1"],
+  [/^ldsheat_ch(\d+)$/, "Heater channel $1"],
+  [/^app_temp$/, "Apparent temperature"],
+  [/^uvi$/, "UV index"],
+  [/^co2$/, "CO2"],
+  [/^pm(25|10|1|4)$/, pmLabel],
+  [/^soilmoisture$/, "Soil moisture"],
+  [/^real_time_aqi$/, "Real-time AQI"],
+  [/^24_hours_aqi$/, "24-hour AQI"],
+  [/^24_hours_average$/, "24-hour average"],
+  // IoT sub-devices are grouped under "MODEL-ID(Title)"
+  [/^[A-Z0-9]+-\w+\((.+)\)$/, "$1"],
+];
+
+/**
+ * Label a particulate matter size.
+ * @private
+ * @param {string} size - Size from a group name ("25", "10", "1", "4")
+ * @returns {string} Label such as "PM2.5"
+ */
+function pmLabel(size) {
+  return size === "25" ? "PM2.5" : `PM${size}`;
+}
+
+/**
+ * Turn a sensor group or metric name into a friendly label.
+ * @param {string} name - Group or metric name (e.g. "temp_and_humidity_ch3", "leak_ch2", "wind_speed")
+ * @returns {string} Label (e.g. "Temp/Humidity channel 3", "Leak channel 2", "Wind speed")
+ */
+export function sensorLabel(name) {
+  for (const [pattern, label] of SENSOR_LABELS) {
+    const match = pattern.exec(name);
+    if (match) {
+      return typeof label === "function" ? label(match[1]) : label.replace("$1", match[1]);
+    }
+  }
+  const words = name.replace(/_?ch_?(\d+)$/i, " channel $1").replace(/_/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Zod schema for one sensor group in an inventory.
+ * @type {z.ZodObject}
+ */
+export const SensorSchema = z.object({
+  group: z.string().describe("Sensor group (e.g. 'outdoor', 'soil_ch3')"),
+  label: z.string().describe("Configured label, or a friendly name (e.g. 'Soil moisture 3')"),
+  location: z.string().optional().describe("Configured location"),
+  channel: z.number().int().nullable().describe("Sensor channel number, or null for unchannelled sensors"),
+  call_back: z.string().describe("call_back value selecting the whole group"),
+  time: z.string().nullable().describe("Time of the group's latest reading (ISO 8601, UTC)"),
+  metrics: z.array(
+    z.object({
+      metric: z.string().describe("Metric name (e.g. 'temperature')"),
+      label: z.string().describe("Friendly name (e.g. 'Temperature', 'Leak channel 2')"),
+      unit: z.string().nullable().describe("Canonical unit, or null for unitless metrics"),
+      call_back: z.string().describe("call_back value selecting just this metric ('group.metric')"),
+      time: z.string().nullable().describe("Time of the latest reading (ISO 8601, UTC)"),
+    })
+  ),
+});
+
+/**
+ * Convert an epoch-seconds reading time to ISO 8601.
+ * @private
+ * @param {string|number} [time] - Epoch seconds
+ * @returns {string|null} ISO time, or null if missing or invalid
+ */
+function readingTime(time) {
+  const epochMs = Number(time) * 1000;
+  return time && Number.isFinite(epochMs) ? new Date(epochMs).toISOString() : null;
+}
+
+/**
+ * Build a sensor inventory from real-time data.
+ * @param {Object} data - Real-time data grouped like the cloud API (`{ group: { metric: { time, unit, value } } }`)
+ * @param {Object<string, Object>} [sensorConfig={}] - The device's sensor configuration, keyed by group
+ * @returns {{sensors: Array<Object>, call_backs: string[]}} Sensors matching SensorSchema, and every valid
+ *   call_back value (each group and each group.metric)
+ */
+export function buildSensorInventory(data, sensorConfig = {}) {
+  const sensors = Object.entries(data ?? {})
+    .filter(([, metrics]) => metrics && typeof metrics === "object")
+    .map(([group, metrics]) => {
+      const entries = Object.entries(metrics)
+        .filter(([, reading]) => reading && typeof reading === "object")
+        .map(([metric, reading]) => ({
+          metric,
+          label: sensorLabel(metric),
+          unit: canonicalUnit(reading.unit) ?? (reading.unit || null),
+          call_back: `${group}.${metric}`,
+          time: readingTime(reading.time),
+        }));
+      // Groups without metrics (a camera's photo) carry their own time
+      const times = [readingTime(metrics.time), ...entries.map((entry) => entry.time)].filter(Boolean).sort();
+      return {
+        group,
+        label: sensorConfig[group]?.label ?? sensorLabel(group),
+        location: sensorConfig[group]?.location,
+        channel: readingChannel(group, ""),
+        call_back: group,
+        time: times.at(-1) ?? null,
+        metrics: entries,
+      };
+    });
+
+  return {
+    sensors,
+    call_backs: sensors.flatMap((sensor) => [sensor.call_back, ...sensor.metrics.map((metric) => metric.call_back)]),
+  };
+}
+
+/**
+ * Zod schema for the configured labels and locations of the sensor groups in a payload.
+ * @type {z.ZodRecord}
+ */
+export const SensorLabelsSchema = z.record(
+  z.string(),
+  z.object({
+    label: z.string().optional().describe("Configured label (e.g. 'Wine cellar')"),
+    location: z.string().optional().describe("Configured location"),
+  })
+);
+
+/**
+ * Collect the configured labels and locations of the sensor groups present in a payload.
+ * @param {Object} data - Real-time, history or last_update payload, keyed by group
+ * @param {Object<string, Object>} [sensorConfig={}] - The device's sensor configuration, keyed by group
+ * @returns {Object<string, {label?: string, location?: string}>|undefined} Labels by group, or undefined if none apply
+ */
+export function configuredSensorLabels(data, sensorConfig = {}) {
+  const labels = Object.entries(sensorConfig)
+    .filter(([group, sensor]) => data?.[group] && (sensor.label || sensor.location))
+    .map(([group, { label, location }]) => [group, { label, location }]);
+  return labels.length > 0 ? Object.fromEntries(labels) : undefined;
+}
+
+/**
+ * Translate configured labels in a call_back list to the group names the API expects.
+ * "Wine cellar" selects the group labelled so, and "Wine cellar.temperature" one of its metrics; labels match
+ * case-insensitively and other selectors are passed through.
+ * @param {string} [callback] - Comma-separated groups, group.metric paths or labels
+ * @param {Object<string, Object>} [sensorConfig={}] - The device's sensor configuration, keyed by group
+ * @returns {string|undefined} call_back with labels replaced by group names
+ */
+export function resolveSensorSelectors(callback, sensorConfig = {}) {
+  const groups = new Map(
+    Object.entries(sensorConfig)
+      .filter(([, sensor]) => sensor.label)
+      .map(([group, sensor]) => [sensor.label.trim().toLowerCase(), group])
+  );
+  if (!callback || groups.size === 0) {
+    return callback;
+  }
+
+  return callback
+    .split(",")
+    .map((item) => {
+      const selector = item.trim();
+      const dot = selector.lastIndexOf(".");
+      const group = groups.get(selector.toLowerCase());
+      const labelled = dot > 0 ? groups.get(selector.slice(0, dot).toLowerCase()) : undefined;
+      return group ?? (labelled ? `${labelled}${selector.slice(dot)}` : selector);
+    })
+    .join(",");
+}
+
+/**
+ * Number of decimals a value is written with.
+ * @private
+ * @param {string|number} value - Value
+ * @returns {number} Decimals after the point
+ */
+function decimalPlaces(value) {
+  return String(value).split(".")[1]?.length ?? 0;
+}
+
+/**
+ * Apply a linear calibration to one value, keeping its type. The result keeps the reported precision, or the
+ * calibration's when it is finer, so an offset of 0.3 is not rounded away from a whole-number reading.
+ * @private
+ * @param {string|number} value - Reported value
+ * @param {string} unit - Unit the value is reported in
+ * @param {{offset?: number, scale?: number, unit?: string}} rule - Calibration; the offset is in `rule.unit` when
+ *   given (e.g. "℃" for a sensor that may report in ℉), otherwise in the reported unit
+ * @returns {string|number} Calibrated value, or the value unchanged if it is not numeric
+ */
+function calibrateValue(value, unit, { offset = 0, scale = 1, unit: ruleUnit }) {
+  const number = readingNumber(value);
+  if (number === null) {
+    return value;
+  }
+
+  const source = UNITS[canonicalUnit(unit)];
+  const target = UNITS[canonicalUnit(ruleUnit)];
+  const convert = source && target && source !== target && source.quantity === target.quantity;
+  const reported = convert ? target.fromBase(source.toBase(number)) : number;
+  const calibrated = reported * scale + offset;
+  const result = convert ? source.fromBase(target.toBase(calibrated)) : calibrated;
+
+  const decimals = Math.max(decimalPlaces(value), decimalPlaces(offset), decimalPlaces(scale));
+  return typeof value === "number" ? Number(result.toFixed(decimals)) : result.toFixed(decimals);
+}
+
+/**
+ * Apply the configured calibrations to a payload's readings: each calibrated value becomes `value * scale + offset`.
+ * @param {Object} data - Real-time, history or last_update payload (`{ group: { metric: { unit, value|list } } }`)
+ * @param {Object<string, Object>} [sensorConfig={}] - The device's sensor configuration, keyed by group, with optional
+ *   `calibration` rules keyed by metric
+ * @returns {Object} Calibrated copy of the payload, or the payload itself when no calibration applies
+ */
+export function calibrateReadings(data, sensorConfig = {}) {
+  const calibrated = Object.entries(sensorConfig).filter(([group, sensor]) => sensor.calibration && data?.[group]);
+  if (calibrated.length === 0) {
+    return data;
+  }
+
+  const result = { ...data };
+  for (const [group, { calibration }] of calibrated) {
+    result[group] = { ...data[group] };
+    for (const [metric, rule] of Object.entries(calibration)) {
+      const reading = data[group][metric];
+      if (!reading || typeof reading !== "object") {
+        continue;
+      }
+      const calibrate = (value) => calibrateValue(value, reading.unit, rule);
+      result[group][metric] = {
+        ...reading,
+        ...("value" in reading && { value: calibrate(reading.value) }),
+        ...(reading.list && {
+          list: Object.fromEntries(Object.entries(reading.list).map(([time, value]) => [time, calibrate(value)])),
+        }),
+      };
+    }
+  }
+  return result;
+}
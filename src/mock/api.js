@@ -0,0 +1,353 @@
+/**
+ * Offline mock of the Ecowitt API v3, serving the documented example responses in docs/examples.
+ * Scenarios switch the mock between normal responses, error codes and different device lists, so prompts and
+ * integrations can be developed without API keys or quota.
+ */
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { EcowittApiError } from "../ecowitt/errors.js";
+import { formatEcowittDate, HistoryCycleRules, parseEcowittDate, splitDateRange } from "../ecowitt/history.js";
+import { selectRealtimeFields } from "../ecowitt/realtime.js";
+import { isValidImei } from "../utils/device_id.js";
+import { formatMacAddress, isValidMacAddress } from "../utils/mac.js";
+
+const EXAMPLES_DIR = join(dirname(fileURLToPath(import.meta.url)), "../../docs/examples");
+
+const CYCLE_SECONDS = {
+  "5min": 5 * 60,
+  "30min": 30 * 60,
+  "4hour": 4 * 60 * 60,
+  "1day": 24 * 60 * 60,
+};
+
+const DAY_SECONDS = CYCLE_SECONDS["1day"];
+
+/**
+ * Build a list of generated devices, for accounts with more devices than fit on one /device/list page.
+ * @param {Object} template - Device to copy
+ * @param {number} count - Number of devices
+ * @returns {Array<Object>} Devices with unique IDs, names and MAC addresses
+ */
+function generatedDevices(template, count) {
+  return Array.from({ length: count }, (_, index) => {
+    const suffix = (index + 1).toString(16).toUpperCase().padStart(6, "0");
+    return {
+      ...template,
+      id: 2000 + index,
+      name: `Mock Station ${index + 1}`,
+      mac: formatMacAddress(`020000${suffix}`),
+    };
+  });
+}
+
+/**
+ * Named mock scenarios, one per name in MOCK_SCENARIO_NAMES.
+ * - `error`: every request fails with this Ecowitt error code
+ * - `deviceError`: requests for a single device fail with this error code
+ * - `devices(examples)`: the account's devices, defaulting to those in docs/examples/device-list.json
+ */
+export const MOCK_SCENARIOS = {
+  default: { description: "Devices, device info, real-time data and history from docs/examples" },
+  "empty-list": { description: "An account without devices", devices: () => [] },
+  "multi-page": {
+    description: "An account with 120 devices, listed over several pages",
+    devices: (examples) => generatedDevices(examples.deviceList[0], 120),
+  },
+  "invalid-application-key": { description: "Every request fails with 40010 (illegal application_key)", error: 40010 },
+  "invalid-device": { description: "Device requests fail with 40012 (illegal MAC/IMEI)", deviceError: 40012 },
+  busy: { description: "Every request fails with -1 (system busy)", error: -1 },
+};
+
+/**
+ * Load the example responses.
+ * @param {string} dir - Directory holding the example JSON files
+ * @returns {Object} Example `data` payloads
+ */
+function loadExamples(dir) {
+  const load = (name) => JSON.parse(readFileSync(join(dir, `${name}.json`), "utf8")).data;
+  return {
+    deviceList: load("device-list").list,
+    deviceInfo: load("device-info"),
+    realtime: load("real-time"),
+    history: load("history"),
+  };
+}
+
+/**
+ * Build an API response body.
+ * @param {number} code - Ecowitt response code (0 for success)
+ * @param {*} [data] - Response data
+ * @returns {{code: number, msg: string, time: string, data: *}} Response body
+ */
+function respond(code, data = []) {
+  return {
+    code,
+    msg: code === 0 ? "success" : (EcowittApiError.ErrorMessages[code] ?? "Illegal parameter"),
+    time: String(Math.floor(Date.now() / 1000)),
+    data,
+  };
+}
+
+/**
+ * Set the time of every reading to `time`, so real-time data always looks current.
+ * @param {Object} data - Real-time data grouped like the cloud API
+ * @param {string} time - Epoch seconds
+ * @returns {Object} Copy of the data with refreshed times
+ */
+function refreshTimes(data, time) {
+  return Object.fromEntries(
+    Object.entries(data).map(([group, metrics]) => [
+      group,
+      Object.fromEntries(
+        Object.entries(metrics).map(([metric, reading]) => [
+          metric,
+          reading && typeof reading === "object" && "time" in reading ? { ...reading, time } : reading,
+        ])
+      ),
+    ])
+  );
+}
+
+/**
+ * Choose the resolution the API uses for cycle_type "auto": the finest one whose request window covers the range.
+ * @param {string} startDate - Range start
+ * @param {string} endDate - Range end
+ * @returns {string} Cycle type
+ */
+function autoCycleType(startDate, endDate) {
+  return (
+    Object.keys(HistoryCycleRules).find((cycleType) => splitDateRange(startDate, endDate, cycleType).length === 1) ??
+    "1day"
+  );
+}
+
+/**
+ * Generate a value that follows a daily cycle around the example value.
+ * @param {string} example - Example value, which sets the level and number of decimals
+ * @param {number} time - Epoch seconds
+ * @returns {string} Synthetic value
+ */
+function syntheticValue(example, time) {
+  const base = Number(example);
+  const decimals = example.split(".")[1]?.length ?? 0;
+  const amplitude = Math.max(Math.abs(base) * 0.1, 1);
+  return (base + amplitude * Math.sin((2 * Math.PI * (time % DAY_SECONDS)) / DAY_SECONDS)).toFixed(decimals);
+}
+
+/**
+ * Generate history for every numeric series in the example history, one point per cycle between start and end.
+ * @param {Object} template - Example history data
+ * @param {Array<number>} times - Epoch seconds of each point
+ * @returns {Object} History data grouped like the cloud API
+ */
+function syntheticHistory(template, times) {
+  const history = {};
+  for (const [group, metrics] of Object.entries(template)) {
+    for (const [metric, series] of Object.entries(metrics)) {
+      const example = Object.values(series.list ?? {})[0];
+      if (example === undefined || !Number.isFinite(Number(example))) {
+        continue;
+      }
+      history[group] ??= {};
+      history[group][metric] = {
+        unit: series.unit,
+        list: Object.fromEntries(times.map((time) => [String(time), syntheticValue(example, time)])),
+      };
+    }
+  }
+  return history;
+}
+
+/**
+ * In-memory implementation of the Ecowitt API endpoints used by EcowittClient.
+ */
+export class MockEcowittApi {
+  /**
+   * Create a new MockEcowittApi
+   * @param {Object} [options] - Mock options
+   * @param {string} [options.scenario="default"] - Name of a MOCK_SCENARIOS entry
+   * @param {string} [options.examplesDir] - Directory of example responses (defaults to docs/examples)
+   * @throws {Error} If the scenario is unknown
+   */
+  constructor(options = {}) {
+    this.scenarioName = options.scenario ?? "default";
+    this.scenario = MOCK_SCENARIOS[this.scenarioName];
+    if (!this.scenario) {
+      throw new Error(
+        `Unknown mock scenario "${this.scenarioName}". Available: ${Object.keys(MOCK_SCENARIOS).join(", ")}`
+      );
+    }
+
+    this.examples = loadExamples(options.examplesDir ?? EXAMPLES_DIR);
+    this.devices = this.scenario.devices?.(this.examples) ?? this.examples.deviceList;
+    this.endpoints = {
+      "/device/list": (params) => this._deviceList(params),
+      "/device/info": (_params, device) => this._deviceInfo(device),
+      "/device/real_time": (params) => this._realtime(params),
+      "/device/history": (params) => this._history(params),
+    };
+  }
+
+  /**
+   * Handle an API request.
+   * @param {string} endpoint - Endpoint path relative to the API base (e.g. "/device/list")
+   * @param {Object<string, string>} params - Query parameters
+   * @returns {{status: number, body?: Object}} HTTP status and, for known endpoints, the JSON response body
+   */
+  handle(endpoint, params) {
+    const handler = this.endpoints[endpoint];
+    if (!handler) {
+      return { status: 404 };
+    }
+
+    const error = this._checkRequest(endpoint, params);
+    if (error !== undefined) {
+      return { status: 200, body: respond(error) };
+    }
+
+    const result = handler(params, this._findDevice(params));
+    return { status: 200, body: typeof result === "number" ? respond(result) : respond(0, result) };
+  }
+
+  /**
+   * Check credentials, the scenario's errors and the device parameter.
+   * @private
+   * @param {string} endpoint - Endpoint path
+   * @param {Object<string, string>} params - Query parameters
+   * @returns {number|undefined} Error code, or undefined if the request may proceed
+   */
+  _checkRequest(endpoint, params) {
+    if (!params.application_key) {
+      return 40017;
+    }
+    if (!params.api_key) {
+      return 40018;
+    }
+    if (this.scenario.error !== undefined) {
+      return this.scenario.error;
+    }
+    if (endpoint === "/device/list") {
+      return undefined;
+    }
+    if (!params.mac && !params.imei) {
+      return 40019;
+    }
+    if (this.scenario.deviceError !== undefined || !this._findDevice(params)) {
+      return this.scenario.deviceError ?? 40012;
+    }
+    return undefined;
+  }
+
+  /**
+   * Find the device a request is for.
+   * @private
+   * @param {Object<string, string>} params - Query parameters with `mac` or `imei`
+   * @returns {Object|undefined} Device from the scenario's device list
+   */
+  _findDevice({ mac, imei }) {
+    if (mac && isValidMacAddress(mac)) {
+      const normalized = formatMacAddress(mac.toUpperCase());
+      return this.devices.find((device) => device.mac === normalized);
+    }
+    if (imei && isValidImei(imei)) {
+      return this.devices.find((device) => device.imei === imei);
+    }
+    return undefined;
+  }
+
+  /**
+   * One page of the device list.
+   * @private
+   * @param {Object<string, string>} params - Query parameters (`limit`, default 10, and `page`, default 1)
+   * @returns {Object} Device list page
+   */
+  _deviceList(params) {
+    const limit = Math.max(Number.parseInt(params.limit, 10) || 10, 1);
+    const page = Math.max(Number.parseInt(params.page, 10) || 1, 1);
+    return {
+      total: this.devices.length,
+      totalPage: Math.ceil(this.devices.length / limit),
+      pageNum: page,
+      list: this.devices.slice((page - 1) * limit, page * limit),
+    };
+  }
+
+  /**
+   * Detailed device information, with the latest real-time data as `last_update`.
+   * @private
+   * @param {Object} device - Device from the scenario's device list
+   * @returns {Object} Device information
+   */
+  _deviceInfo(device) {
+    const { iotdevice_list: _iotDevices, ...info } = device;
+    const now = String(Math.floor(Date.now() / 1000));
+    return { ...info, last_update: refreshTimes(this.examples.deviceInfo.last_update, now) };
+  }
+
+  /**
+   * Real-time data, timestamped now.
+   * @private
+   * @param {Object<string, string>} params - Query parameters (`call_back`)
+   * @returns {Object} Real-time data
+   */
+  _realtime(params) {
+    const now = String(Math.floor(Date.now() / 1000));
+    return selectRealtimeFields(refreshTimes(this.examples.realtime, now), params.call_back);
+  }
+
+  /**
+   * Synthetic history with one point per cycle over the requested range, limited to the request window of the
+   * resolution like the real API.
+   * @private
+   * @param {Object<string, string>} params - Query parameters (`start_date`, `end_date`, `cycle_type`, `call_back`)
+   * @returns {Object|number} History data, or an error code
+   */
+  _history(params) {
+    if (!params.start_date) {
+      return 40020;
+    }
+    if (!params.end_date) {
+      return 40021;
+    }
+    if (!params.call_back) {
+      return 40016;
+    }
+
+    let start;
+    let end;
+    try {
+      start = parseEcowittDate(params.start_date);
+    } catch {
+      return 40013;
+    }
+    try {
+      end = parseEcowittDate(params.end_date);
+    } catch {
+      return 40014;
+    }
+    if (start > end) {
+      return 40014;
+    }
+
+    const requested = params.cycle_type ?? "auto";
+    if (requested !== "auto" && !CYCLE_SECONDS[requested]) {
+      return 40015;
+    }
+    const startDate = formatEcowittDate(start);
+    const endDate = formatEcowittDate(end);
+    const cycleType = requested === "auto" ? autoCycleType(startDate, endDate) : requested;
+    if (splitDateRange(startDate, endDate, cycleType).length > 1) {
+      return 40000;
+    }
+
+    // Points fall on whole cycles, like the API's aggregated data
+    const step = CYCLE_SECONDS[cycleType];
+    const times = [];
+    for (let time = Math.ceil(start.getTime() / 1000 / step) * step; time * 1000 <= end.getTime(); time += step) {
+      times.push(time);
+    }
+
+    return selectRealtimeFields(syntheticHistory(this.examples.history, times), params.call_back);
+  }
+}
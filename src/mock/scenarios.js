@@ -0,0 +1,13 @@
+/**
+ * Names of the mock API's scenarios, shared by the configuration and the mock (see MOCK_SCENARIOS in api.js) so
+ * validating ECOWITT_MOCK_SCENARIO does not load the mock itself.
+ * @type {string[]}
+ */
+export const MOCK_SCENARIO_NAMES = [
+  "default",
+  "empty-list",
+  "multi-page",
+  "invalid-application-key",
+  "invalid-device",
+  "busy",
+];
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * HTTP server for the offline mock Ecowitt API. Run it on its own and point ECOWITT_BASE_URL at it, e.g.
+ * `npm run mock -- --port 8080 --scenario multi-page`, or start it in-process with ECOWITT_MOCK_SCENARIO.
+ */
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { MOCK_SCENARIOS, MockEcowittApi } from "./api.js";
+
+// Path prefix of the mocked API, matching https://api.ecowitt.net/api/v3
+const API_PREFIX = "/api/v3";
+
+/**
+ * Serves MockEcowittApi over HTTP.
+ */
+export class MockEcowittServer {
+  /**
+   * Create a new MockEcowittServer
+   * @param {Object} [options] - Server options
+   * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+   * @param {string} [options.host="127.0.0.1"] - Interface to listen on
+   * @param {string} [options.scenario="default"] - Name of a MOCK_SCENARIOS entry
+   * @param {string} [options.examplesDir] - Directory of example responses (defaults to docs/examples)
+   */
+  constructor(options = {}) {
+    this.options = { port: 0, host: "127.0.0.1", ...options };
+    this.api = new MockEcowittApi(options);
+    this.server = null;
+  }
+
+  /**
+   * Start listening.
+   * @returns {Promise<{baseUrl: string}>} Base URL to use as ECOWITT_BASE_URL
+   */
+  async start() {
+    this.server = createServer((req, res) => {
+      const url = new URL(req.url, "http://mock");
+      const { status, body } =
+        req.method === "GET" && url.pathname.startsWith(API_PREFIX)
+          ? this.api.handle(url.pathname.slice(API_PREFIX.length), Object.fromEntries(url.searchParams))
+          : { status: 404 };
+
+      if (!body) {
+        res.writeHead(status).end();
+        return;
+      }
+      res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    return { baseUrl: `http://${this.options.host}:${port}${API_PREFIX}` };
+  }
+
+  /**
+   * Stop listening and close open connections.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: process.env.MOCK_PORT ?? "8080" },
+      host: { type: "string", default: "127.0.0.1" },
+      scenario: { type: "string", default: process.env.MOCK_SCENARIO ?? "default" },
+      list: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.list) {
+    for (const [name, { description }] of Object.entries(MOCK_SCENARIOS)) {
+      console.log(`${name.padEnd(24)} ${description}`);
+    }
+    process.exit(0);
+  }
+
+  try {
+    const server = new MockEcowittServer({ port: Number(values.port), host: values.host, scenario: values.scenario });
+    const { baseUrl } = await server.start();
+    console.error(`Mock Ecowitt API (scenario "${values.scenario}") listening. Set ECOWITT_BASE_URL=${baseUrl}`);
+  } catch (error) {
+    console.error("Failed to start mock Ecowitt API:", error.message);
+    process.exit(1);
+  }
+}
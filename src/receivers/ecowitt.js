@@ -0,0 +1,118 @@
+/**
+ * Parsing for the Ecowitt "customized server" upload protocol: form-encoded fields such as
+ * PASSKEY, tempf, humidity and baromrelin, always reported in imperial units.
+ */
+import { createHash } from "node:crypto";
+import { formatMacAddress } from "../utils/mac.js";
+
+// Upload fields mapped to their cloud real_time group, metric and unit
+const UPLOAD_FIELDS = {
+  tempf: ["outdoor", "temperature", "ºF"],
+  humidity: ["outdoor", "humidity", "%"],
+  tempinf: ["indoor", "temperature", "ºF"],
+  humidityin: ["indoor", "humidity", "%"],
+  baromrelin: ["pressure", "relative", "inHg"],
+  baromabsin: ["pressure", "absolute", "inHg"],
+  winddir: ["wind", "wind_direction", "º"],
+  windspeedmph: ["wind", "wind_speed", "mph"],
+  windgustmph: ["wind", "wind_gust", "mph"],
+  maxdailygust: ["wind", "max_daily_gust", "mph"],
+  solarradiation: ["solar_and_uvi", "solar", "W/m²"],
+  uv: ["solar_and_uvi", "uvi", ""],
+  rainratein: ["rainfall", "rain_rate", "in/hr"],
+  eventrainin: ["rainfall", "event", "in"],
+  hourlyrainin: ["rainfall", "hourly", "in"],
+  dailyrainin: ["rainfall", "daily", "in"],
+  weeklyrainin: ["rainfall", "weekly", "in"],
+  monthlyrainin: ["rainfall", "monthly", "in"],
+  yearlyrainin: ["rainfall", "yearly", "in"],
+  rrain_piezo: ["rainfall_piezo", "rain_rate", "in/hr"],
+  erain_piezo: ["rainfall_piezo", "event", "in"],
+  hrain_piezo: ["rainfall_piezo", "hourly", "in"],
+  drain_piezo: ["rainfall_piezo", "daily", "in"],
+  wrain_piezo: ["rainfall_piezo", "weekly", "in"],
+  mrain_piezo: ["rainfall_piezo", "monthly", "in"],
+  yrain_piezo: ["rainfall_piezo", "yearly", "in"],
+  lightning: ["lightning", "distance", "km"],
+  lightning_num: ["lightning", "count", ""],
+};
+
+// Per-channel upload fields (e.g. temp1f, soilmoisture2) mapped to their cloud group prefix, metric and unit
+const CHANNEL_FIELDS = [
+  [/^temp(\d+)f$/, "temp_and_humidity_ch", "temperature", "ºF"],
+  [/^humidity(\d+)$/, "temp_and_humidity_ch", "humidity", "%"],
+  [/^tf_ch(\d+)$/, "temp_ch", "temperature", "ºF"],
+  [/^soilmoisture(\d+)$/, "soil_ch", "soilmoisture", "%"],
+  [/^leafwetness_ch(\d+)$/, "leaf_ch", "leaf_wetness", "%"],
+  [/^pm25_ch(\d+)$/, "pm25_ch", "pm25", "µg/m³"],
+];
+
+/**
+ * Compute the PASSKEY a console sends for a MAC address (MD5 of the upper-case, colon separated MAC).
+ * @param {string} mac - Device MAC address in any separator style
+ * @returns {string} Upper-case hex PASSKEY
+ */
+export function passkeyForMac(mac) {
+  return createHash("md5").update(formatMacAddress(mac.toUpperCase())).digest("hex").toUpperCase();
+}
+
+/**
+ * Find the cloud group, metric and unit for an upload field.
+ * @param {string} field - Upload field name
+ * @returns {Array<string>|undefined} [group, metric, unit], or undefined for fields that are not readings
+ */
+function lookupField(field) {
+  if (UPLOAD_FIELDS[field]) {
+    return UPLOAD_FIELDS[field];
+  }
+  for (const [pattern, group, metric, unit] of CHANNEL_FIELDS) {
+    const match = field.match(pattern);
+    if (match) {
+      return [`${group}${match[1]}`, metric, unit];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse the `dateutc` field shared by the Ecowitt and Weather Underground protocols ("YYYY-MM-DD HH:mm:ss" in UTC, or "now").
+ * @param {string} [dateutc] - Upload timestamp
+ * @returns {number|undefined} Epoch milliseconds, or undefined if missing or unparseable
+ */
+export function parseUploadDate(dateutc) {
+  if (!dateutc || dateutc === "now") {
+    return undefined;
+  }
+  const time = Date.parse(`${dateutc.replace(" ", "T")}Z`);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Convert an Ecowitt upload into a station record with readings grouped like the cloud real_time response.
+ * @param {Object<string, string>} fields - Decoded form fields
+ * @param {number} [receivedAt=Date.now()] - When the upload arrived, used when `dateutc` is missing
+ * @returns {{passkey: string, stationType: string, model: string, observedAt: number, data: Object}} Parsed upload
+ */
+export function parseEcowittUpload(fields, receivedAt = Date.now()) {
+  const observedAt = parseUploadDate(fields.dateutc) ?? receivedAt;
+  const time = String(Math.floor(observedAt / 1000));
+  const data = {};
+
+  for (const [field, raw] of Object.entries(fields)) {
+    const target = lookupField(field);
+    if (!target || raw === "" || Number.isNaN(Number(raw))) {
+      continue;
+    }
+    const [group, metric, unit] = target;
+    data[group] ??= {};
+    data[group][metric] = { time, unit, value: raw };
+  }
+
+  return {
+    passkey: fields.PASSKEY?.toUpperCase(),
+    stationType: fields.stationtype,
+    model: fields.model,
+    observedAt,
+    data,
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * HTTP receiver for weather station uploads, run alongside the MCP server.
+ */
+import { createServer } from "node:http";
+import { normalizeDeviceId } from "../utils/device_id.js";
+import { parseEcowittUpload } from "./ecowitt.js";
+import { parseWundergroundUpload } from "./wunderground.js";
+
+// Largest upload body accepted, in bytes. Real uploads are well under 4 KB.
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Default receiver settings used when the configuration does not override them.
+ * @property {string} host - Interface to listen on
+ * @property {string} path - Path consoles upload to with the Ecowitt protocol
+ * @property {string} wundergroundPath - Path stations upload to with the Weather Underground protocol
+ */
+export const DEFAULT_RECEIVER_OPTIONS = {
+  host: "0.0.0.0",
+  path: "/data/report/",
+  wundergroundPath: "/weatherstation/updateweatherstation.php",
+};
+
+/**
+ * Read a request body up to MAX_BODY_BYTES.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<string|null>} Body text, or null if it was too large
+ */
+async function readBody(req) {
+  let body = "";
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      return null;
+    }
+  }
+  return body;
+}
+
+/**
+ * Receives station uploads and keeps the latest one per station in an UploadStore.
+ * Ecowitt "customized server" uploads are keyed by the MAC address their PASSKEY maps to; uploads with a PASSKEY
+ * that maps to no station are rejected unless `acceptUnmappedPasskeys` is set, and then keyed by the PASSKEY.
+ * Weather Underground uploads are keyed by their station ID and only accepted from configured stations; the store
+ * keeps them apart from Ecowitt uploads.
+ */
+export class UploadReceiver {
+  /**
+   * Create a new UploadReceiver
+   * @param {Object} options - Receiver options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} [options.host="0.0.0.0"] - Interface to listen on
+   * @param {string} [options.path="/data/report/"] - Path for Ecowitt protocol uploads
+   * @param {Object<string, string>} [options.passkeys] - PASSKEYs mapped to the MAC address of the station sending them
+   * @param {Function} [options.resolvePasskey] - Called with a PASSKEY missing from `passkeys`; resolves to the MAC
+   *   address of the station sending it (e.g. a listed device whose MAC it is derived from), or undefined
+   * @param {boolean} [options.acceptUnmappedPasskeys=false] - Store uploads whose PASSKEY maps to no station, by PASSKEY
+   * @param {string} [options.wundergroundPath="/weatherstation/updateweatherstation.php"] - Path for Weather Underground uploads
+   * @param {Object<string, {name?: string, password?: string}>} [options.wundergroundStations] - Names and expected
+   *   passwords for Weather Underground station IDs
+   * @param {UploadStore} store - Store for the latest upload per station
+   * @param {Function} [logger] - Called as logger(level, message) for rejected uploads
+   */
+  constructor(options, store, logger = () => {}) {
+    this.options = { ...DEFAULT_RECEIVER_OPTIONS, ...options };
+    this.passkeys = Object.fromEntries(
+      Object.entries(this.options.passkeys ?? {}).map(([passkey, mac]) => [
+        passkey.toUpperCase(),
+        normalizeDeviceId(mac),
+      ])
+    );
+    this.store = store;
+    this.logger = logger;
+    this.wundergroundStations = this.options.wundergroundStations ?? {};
+    this.routes = new Map([
+      [this.options.path, (fields) => this._receiveEcowitt(fields)],
+      [this.options.wundergroundPath, (fields) => this._receiveWunderground(fields)],
+    ]);
+    this.server = null;
+  }
+
+  /**
+   * Start listening for uploads.
+   * @returns {Promise<{host: string, port: number}>} Address the receiver is listening on
+   */
+  async start() {
+    this.server = createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        this.logger("error", `Failed to process upload: ${error.message}`);
+        if (!res.headersSent) {
+          res.writeHead(500).end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    const { address, port } = this.server.address();
+    return { host: address, port };
+  }
+
+  /**
+   * Stop listening and close open connections.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Route an upload request. Fields are read from the query string and, for POST requests, the form-encoded body.
+   * @private
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://receiver");
+    const route = this.routes.get(url.pathname);
+    if (!route || !["GET", "POST"].includes(req.method)) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const body = req.method === "POST" ? await readBody(req) : "";
+    if (body === null) {
+      res.writeHead(413).end();
+      return;
+    }
+
+    const fields = Object.fromEntries([...url.searchParams, ...new URLSearchParams(body)]);
+    const { status, body: responseBody = "" } = await route(fields);
+    res.writeHead(status, { "Content-Type": "text/plain" }).end(responseBody);
+  }
+
+  /**
+   * Store an Ecowitt protocol upload.
+   * @private
+   * @param {Object<string, string>} fields - Decoded form fields
+   * @returns {Promise<{status: number, body?: string}>} HTTP response
+   */
+  async _receiveEcowitt(fields) {
+    const upload = parseEcowittUpload(fields);
+    if (!upload.passkey) {
+      this.logger("warning", "Rejected Ecowitt upload without a PASSKEY");
+      return { status: 400 };
+    }
+
+    const mac = await this._resolvePasskey(upload.passkey);
+    if (!mac && !this.options.acceptUnmappedPasskeys) {
+      this.logger("warning", `Rejected Ecowitt upload with PASSKEY ${upload.passkey}: it maps to no known station`);
+      return { status: 403 };
+    }
+    await this.store.save({
+      stationId: mac ?? upload.passkey,
+      ...(mac && { mac }),
+      protocol: "ecowitt",
+      receivedAt: Date.now(),
+      ...upload,
+    });
+    return { status: 200, body: "OK" };
+  }
+
+  /**
+   * Find the MAC address of the station sending a PASSKEY, remembering PASSKEYs resolved from the device list.
+   * @private
+   * @param {string} passkey - Upper-case PASSKEY
+   * @returns {Promise<string|undefined>} Normalized MAC address, or undefined if the PASSKEY maps to no station
+   */
+  async _resolvePasskey(passkey) {
+    if (this.passkeys[passkey] || !this.options.resolvePasskey) {
+      return this.passkeys[passkey];
+    }
+    try {
+      const mac = await this.options.resolvePasskey(passkey);
+      if (mac) {
+        this.passkeys[passkey] = normalizeDeviceId(mac);
+      }
+      return this.passkeys[passkey];
+    } catch (error) {
+      this.logger("warning", `Could not match PASSKEY ${passkey} to a device: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a Weather Underground protocol upload. Only configured station IDs are accepted, and stations with a
+   * configured password must send it.
+   * @private
+   * @param {Object<string, string>} fields - Decoded query parameters
+   * @returns {Promise<{status: number, body?: string}>} HTTP response
+   */
+  async _receiveWunderground(fields) {
+    const { password, ...upload } = parseWundergroundUpload(fields);
+    if (!upload.stationId) {
+      this.logger("warning", "Rejected Weather Underground upload without an ID");
+      return { status: 400, body: "INVALID ID" };
+    }
+
+    const station = this.wundergroundStations[upload.stationId];
+    if (!station) {
+      this.logger("warning", `Rejected Weather Underground upload for ${upload.stationId}: unknown station ID`);
+      return { status: 401, body: "INVALIDPASSWORDID|Password or key and/or id are incorrect" };
+    }
+    if (station.password && station.password !== password) {
+      this.logger("warning", `Rejected Weather Underground upload for ${upload.stationId}: wrong password`);
+      return { status: 401, body: "INVALIDPASSWORDID|Password or key and/or id are incorrect" };
+    }
+
+    await this.store.save({
+      ...upload,
+      name: station.name ?? upload.stationId,
+      protocol: "wunderground",
+      receivedAt: Date.now(),
+    });
+    return { status: 200, body: "success" };
+  }
+}
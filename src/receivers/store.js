@@ -0,0 +1,128 @@
+/**
+ * Storage for the latest upload received from each station.
+ */
+import { createHash } from "node:crypto";
+import { mkdir, readdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+/**
+ * Key of a station's record. Each upload protocol has its own namespace, so a Weather Underground station ID can
+ * never replace the record of an Ecowitt station with the same identifier.
+ * @param {string} protocol - Upload protocol ("ecowitt" or "wunderground")
+ * @param {string} stationId - Station identifier
+ * @returns {string} Record key
+ */
+function recordKey(protocol, stationId) {
+  return `${protocol}:${stationId}`;
+}
+
+/**
+ * Keeps the latest upload per station and protocol in memory and, when a directory is configured,
+ * on disk as one JSON file per station so the last readings survive restarts.
+ */
+export class UploadStore {
+  /**
+   * Create a new UploadStore
+   * @param {Object} [options] - Store options
+   * @param {string} [options.dir] - Directory to persist uploads in; memory only when omitted
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.records = new Map();
+    this.loaded = null;
+  }
+
+  /**
+   * Path of the file holding a station's record. File names are hashes so record keys need no escaping.
+   * @private
+   * @param {string} key - Record key
+   * @returns {string} File path
+   */
+  _path(key) {
+    return join(this.dir, `${createHash("sha256").update(key).digest("hex")}.json`);
+  }
+
+  /**
+   * Load persisted records on first use. Concurrent callers share one load.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _load() {
+    this.loaded ??= this.dir ? this._readRecords() : Promise.resolve();
+    return this.loaded;
+  }
+
+  /**
+   * Read persisted records, keeping records in memory that are newer than their file.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _readRecords() {
+    let files;
+    try {
+      files = await readdir(this.dir);
+    } catch {
+      return;
+    }
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      try {
+        const record = JSON.parse(await readFile(join(this.dir, file), "utf8"));
+        const key = recordKey(record.protocol, record.stationId);
+        const existing = this.records.get(key);
+        if (!existing || existing.observedAt < record.observedAt) {
+          this.records.set(key, record);
+        }
+      } catch {
+        // Ignore files that were removed or partially written concurrently
+      }
+    }
+  }
+
+  /**
+   * Store a station's latest upload, replacing the previous one of the same protocol unless it is newer.
+   * @param {Object} record - Upload record
+   * @param {string} record.protocol - Upload protocol ("ecowitt" or "wunderground")
+   * @param {string} record.stationId - Station identifier (MAC address or PASSKEY, or Weather Underground station ID)
+   * @param {number} record.observedAt - Observation time in epoch milliseconds
+   * @returns {Promise<boolean>} True if the record was stored
+   */
+  async save(record) {
+    await this._load();
+    const key = recordKey(record.protocol, record.stationId);
+    const existing = this.records.get(key);
+    if (existing && existing.observedAt > record.observedAt) {
+      return false;
+    }
+
+    this.records.set(key, record);
+    if (this.dir) {
+      await mkdir(this.dir, { recursive: true });
+      const path = this._path(key);
+      const tmpPath = `${path}.${process.pid}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(record));
+      await rename(tmpPath, path);
+    }
+    return true;
+  }
+
+  /**
+   * Get the latest upload for a station.
+   * @param {string} protocol - Upload protocol ("ecowitt" or "wunderground")
+   * @param {string} stationId - Station identifier
+   * @returns {Promise<Object|undefined>} Upload record, or undefined if nothing was received
+   */
+  async get(protocol, stationId) {
+    await this._load();
+    return this.records.get(recordKey(protocol, stationId));
+  }
+
+  /**
+   * Get the latest upload of every station, optionally of one protocol only.
+   * @param {string} [protocol] - Upload protocol ("ecowitt" or "wunderground")
+   * @returns {Promise<Array<Object>>} Upload records
+   */
+  async list(protocol) {
+    await this._load();
+    return [...this.records.values()].filter((record) => !protocol || record.protocol === protocol);
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Parsing for the Weather Underground `updateweatherstation.php` upload protocol: GET requests with
+ * ID, PASSWORD and readings such as tempf, dewptf and dailyrainin, always in imperial units.
+ */
+import { parseUploadDate } from "./ecowitt.js";
+
+// Upload fields mapped to their cloud real_time group, metric and unit
+const WUNDERGROUND_FIELDS = {
+  tempf: ["outdoor", "temperature", "ºF"],
+  humidity: ["outdoor", "humidity", "%"],
+  dewptf: ["outdoor", "dew_point", "ºF"],
+  indoortempf: ["indoor", "temperature", "ºF"],
+  indoorhumidity: ["indoor", "humidity", "%"],
+  baromin: ["pressure", "relative", "inHg"],
+  winddir: ["wind", "wind_direction", "º"],
+  windspeedmph: ["wind", "wind_speed", "mph"],
+  windgustmph: ["wind", "wind_gust", "mph"],
+  solarradiation: ["solar_and_uvi", "solar", "W/m²"],
+  UV: ["solar_and_uvi", "uvi", ""],
+  rainin: ["rainfall", "hourly", "in"],
+  dailyrainin: ["rainfall", "daily", "in"],
+  weeklyrainin: ["rainfall", "weekly", "in"],
+  monthlyrainin: ["rainfall", "monthly", "in"],
+  yearlyrainin: ["rainfall", "yearly", "in"],
+  soilmoisture: ["soil_ch1", "soilmoisture", "%"],
+  soilmoisture2: ["soil_ch2", "soilmoisture", "%"],
+  soilmoisture3: ["soil_ch3", "soilmoisture", "%"],
+  soilmoisture4: ["soil_ch4", "soilmoisture", "%"],
+};
+
+/**
+ * Convert a Weather Underground upload into a station record with readings grouped like the cloud real_time response.
+ * @param {Object<string, string>} fields - Decoded query parameters
+ * @param {number} [receivedAt=Date.now()] - When the upload arrived, used when `dateutc` is "now" or missing
+ * @returns {{stationId: string, password: string, softwareType: string, observedAt: number, data: Object}} Parsed upload
+ */
+export function parseWundergroundUpload(fields, receivedAt = Date.now()) {
+  const observedAt = parseUploadDate(fields.dateutc) ?? receivedAt;
+  const time = String(Math.floor(observedAt / 1000));
+  const data = {};
+
+  for (const [field, raw] of Object.entries(fields)) {
+    const target = WUNDERGROUND_FIELDS[field];
+    // Stations send -9999 for sensors that have no reading
+    if (!target || raw === "" || Number.isNaN(Number(raw)) || Number(raw) === -9999) {
+      continue;
+    }
+    const [group, metric, unit] = target;
+    data[group] ??= {};
+    data[group][metric] = { time, unit, value: raw };
+  }
+
+  return {
+    stationId: fields.ID?.trim(),
+    password: fields.PASSWORD,
+    softwareType: fields.softwaretype,
+    observedAt,
+    data,
+  };
+}
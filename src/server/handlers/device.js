@@ -1,17 +1,86 @@
-import { DeviceNotFoundError } from "../../ecowitt/errors.js";
+import { identifyDevice } from "../../ecowitt/catalog.js";
+import { resolveDateRange } from "../../ecowitt/date_range.js";
+import { AmbiguousDeviceError, DeviceNotFoundError } from "../../ecowitt/errors.js";
+import { resolveFieldSelectors } from "../../ecowitt/fields.js";
+import { hasUtcOffset, selectCycleType, toDeviceLocalDate } from "../../ecowitt/history.js";
+import { describeIotDevice, findIotGroup } from "../../ecowitt/iot.js";
+import { latestReadingTime, selectRealtimeFields } from "../../ecowitt/realtime.js";
+import { isRetryableError } from "../../ecowitt/retry.js";
+import { buildSensorInventory, calibrateReadings, resolveSensorSelectors } from "../../ecowitt/sensors.js";
+import { passkeyForMac } from "../../receivers/ecowitt.js";
+import { decodeCursor, encodeCursor } from "../../utils/cursor.js";
+import { deviceUriId, isValidImei, normalizeDeviceId, resolveDeviceIdArgs } from "../../utils/device_id.js";
 import { CustomError, HandlerError } from "../../utils/errors.js";
+import { isValidMacAddress } from "../../utils/mac.js";
+import { epochToWallTime, isValidTimeZone } from "../../utils/timezone.js";
+import { unitOptionPreferences } from "../../utils/unit_options.js";
+import { parseUnitPreferences } from "../../utils/units.js";
 import { validateRequired } from "../../utils/validation.js";
 
+// How long the device list used for name and alias resolution is reused, in milliseconds
+const DEFAULT_DEVICE_LIST_TTL = 5 * 60 * 1000;
+
+// How old the newest cloud reading may be before a newer station upload is served instead, in milliseconds
+const DEFAULT_STALE_AFTER = 10 * 60 * 1000;
+
+/**
+ * Check whether an error means the data source could not be reached, as opposed to a bad request.
+ * @param {Error} error - Error from a real-time request
+ * @returns {boolean} True for network errors, timeouts, 5xx responses and "system busy"
+ */
+function isUnavailableError(error) {
+  return isRetryableError(error) || error?.code === "NETWORK_ERROR";
+}
+
+/**
+ * Check whether a listed device has a MAC address or IMEI.
+ * @param {Object} device - Device as listed by the client
+ * @param {string} deviceId - Normalized MAC address or IMEI
+ * @returns {boolean} True if the device is the one identified
+ */
+function hasDeviceId(device, deviceId) {
+  return Boolean(
+    (device.mac && normalizeDeviceId(device.mac) === deviceId) || (device.imei && device.imei === deviceId)
+  );
+}
+
 /**
  * Device handlers for MCP device operations
  */
 export class DeviceHandlers {
   /**
    * Create a new DeviceHandlers instance
-   * @param {EcowittClient} client - Configured Ecowitt API client instance
+   * @param {EcowittClient|MultiAccountClient} client - Configured Ecowitt API client instance
+   * @param {Object} [options] - Handler options
+   * @param {Object<string, string>} [options.aliases] - Device aliases mapping a friendly name to a device name, MAC or IMEI
+   * @param {number} [options.deviceListTtl] - How long the device list used for name resolution is reused (ms)
+   * @param {Map<string, LocalGatewayClient>} [options.localGateways] - Local gateway clients keyed by normalized MAC,
+   *   used instead of the cloud API for those devices' real-time data
+   * @param {UploadStore} [options.uploadStore] - Latest uploads pushed by stations, served when the cloud is stale or unreachable
+   * @param {number} [options.staleAfter] - Age of the newest cloud reading after which a newer upload is preferred (ms)
+   * @param {Object} [options.units] - Configured output units
+   * @param {string} [options.units.default] - Unit names applied to every device (e.g. "metric")
+   * @param {Object<string, string>} [options.units.devices] - Device names, aliases, MACs or IMEIs mapped to unit names
+   * @param {Object<string, Object>} [options.sensors] - Device names, aliases, MACs or IMEIs mapped to the label,
+   *   location and calibration of their sensor groups
+   * @param {function(string, *): void} [options.logger] - Receives warnings, such as call_back fields passed on unrecognized
    */
-  constructor(client) {
+  constructor(client, options = {}) {
     this.client = client;
+    this.aliases = Object.fromEntries(
+      Object.entries(options.aliases ?? {}).map(([alias, target]) => [alias.toLowerCase().trim(), target])
+    );
+    this.deviceListTtl = options.deviceListTtl ?? DEFAULT_DEVICE_LIST_TTL;
+    this.deviceListCache = null;
+    this.localGateways = options.localGateways ?? new Map();
+    this.uploadStore = options.uploadStore;
+    this.staleAfter = options.staleAfter ?? DEFAULT_STALE_AFTER;
+    this.defaultUnits = options.units?.default;
+    this.deviceUnits = options.units?.devices ?? {};
+    this.deviceSensors = options.sensors ?? {};
+    this.logger = options.logger ?? (() => {});
+    // Per-device configuration resolved to device IDs, by configuration object, for the current device list
+    this.resolvedOverrides = new Map();
   }
 
   /**
@@ -23,22 +92,186 @@ export class DeviceHandlers {
    * @throws {EcowittApiError|CustomError|HandlerError} If the API call fails or encounters a processing error.
    */
   async handleDeviceList() {
-    const rawDevices = await this.client.listDevices();
+    const rawDevices = await this._listDevices();
+    this.deviceListCache = { devices: rawDevices, fetchedAt: Date.now() };
     return rawDevices.map((device) => ({
-      uri: `ecowitt://device/${device.mac.replace(/:/g, "")}`,
+      uri: `ecowitt://device/${deviceUriId(device)}`,
       name: device.name,
+      account: device.account,
+      source: device.source,
       mac: device.mac,
+      imei: device.imei,
+      stationId: device.stationId,
       type: device.type,
       stationType: device.stationType,
+      ...identifyDevice(device),
       dateZoneId: device.dateZoneId,
       longitude: device.longitude,
       latitude: device.latitude,
+      iotDevices: device.iotDevices?.length
+        ? device.iotDevices.map((iot) => describeIotDevice(device, iot))
+        : undefined,
     }));
   }
 
   /**
-   * Get a device by MAC address from Ecowitt API.
-   * @param {string} macAddress - MAC address of the device to find
+   * Returns one page of the device list for cursor-based pagination of MCP resources.
+   * Each device is followed by its IoT sub-devices, as child resources.
+   * @param {string} [cursor] - Opaque cursor from a previous page; omit for the first page
+   * @param {number} pageSize - Maximum number of resources per page
+   * @returns {Promise<{resources: Array<Object>, nextCursor?: string}>} Resources on this page and the cursor for the next one
+   * @throws {CustomError|EcowittApiError} If the cursor is invalid or the API call fails.
+   */
+  async handleDeviceListPage(cursor, pageSize) {
+    const offset = decodeCursor(cursor);
+    const devices = await this.handleDeviceList();
+    const resources = devices.flatMap((device) => [
+      device,
+      ...(device.iotDevices ?? []).map((iot) => ({
+        uri: iot.uri,
+        name: iot.name ?? iot.defaultTitle,
+        title: iot.name ?? iot.defaultTitle,
+        description: `${iot.model ?? "IoT"} ${iot.kind ?? "sub-device"} paired with ${device.name}`,
+      })),
+    ]);
+    const nextOffset = offset + pageSize;
+
+    return {
+      resources: resources.slice(offset, nextOffset),
+      ...(nextOffset < resources.length && { nextCursor: encodeCursor(nextOffset) }),
+    };
+  }
+
+  /**
+   * List cloud devices followed by the stations that only upload to the receiver (Weather Underground protocol).
+   * @private
+   * @returns {Promise<Array<Object>>} Devices as returned by EcowittClient.listDevices(), plus uploaded stations
+   */
+  async _listDevices() {
+    const devices = await this.client.listDevices();
+    const uploads = this.uploadStore ? await this.uploadStore.list("wunderground") : [];
+
+    return [...devices, ...uploads.map((record) => this._uploadedDevice(record))];
+  }
+
+  /**
+   * Describe a station that uploads with the Weather Underground protocol as a pseudo-device.
+   * @private
+   * @param {Object} record - Latest upload record for the station
+   * @returns {Object} Pseudo-device with `stationId` in place of a MAC or IMEI
+   */
+  _uploadedDevice(record) {
+    return {
+      id: record.stationId,
+      name: record.name ?? record.stationId,
+      stationId: record.stationId,
+      stationType: record.softwareType,
+      source: record.protocol,
+      lastUpload: new Date(record.observedAt).toISOString(),
+    };
+  }
+
+  /**
+   * Find the latest upload of a pseudo-device station. MAC addresses and IMEIs always identify cloud devices.
+   * @private
+   * @param {string} stationId - Station ID
+   * @returns {Promise<Object|undefined>} Upload record, or undefined if the ID is not an uploading station
+   */
+  async _getUploadedStation(stationId) {
+    if (!this.uploadStore || isValidMacAddress(stationId) || isValidImei(stationId)) {
+      return undefined;
+    }
+    return this.uploadStore.get("wunderground", stationId);
+  }
+
+  /**
+   * Get the device list for name resolution, reusing the last list fetched within `deviceListTtl`.
+   * @private
+   * @returns {Promise<Array<Object>>} Devices as returned by EcowittClient.listDevices(), plus uploaded stations
+   */
+  async _getCachedDevices() {
+    if (this.deviceListCache && Date.now() - this.deviceListCache.fetchedAt < this.deviceListTtl) {
+      return this.deviceListCache.devices;
+    }
+
+    const devices = await this._listDevices();
+    this.deviceListCache = { devices, fetchedAt: Date.now() };
+    return devices;
+  }
+
+  /**
+   * Resolve a device name, alias, MAC address, IMEI or uploaded station ID to the identifier used by the Ecowitt API.
+   * Names and station IDs are matched exactly first, then case-insensitively. MAC addresses and IMEIs are returned
+   * without looking up the device list.
+   * @param {string} identifier - Device name, alias, MAC address, IMEI or station ID
+   * @returns {Promise<string>} Normalized MAC address or IMEI, or the station ID of an uploaded station
+   * @throws {CustomError|DeviceNotFoundError|AmbiguousDeviceError|EcowittApiError} If the device cannot be resolved.
+   */
+  async resolveDeviceId(identifier) {
+    try {
+      validateRequired("Device", identifier);
+    } catch (error) {
+      throw new CustomError(error.message, "INVALID_PARAMETER", "parameter_error");
+    }
+
+    const query = identifier.trim();
+    if (isValidMacAddress(query) || isValidImei(query)) {
+      return normalizeDeviceId(query);
+    }
+
+    const aliasTarget = this.aliases[query.toLowerCase()];
+    if (aliasTarget && (isValidMacAddress(aliasTarget) || isValidImei(aliasTarget))) {
+      return normalizeDeviceId(aliasTarget);
+    }
+
+    const name = aliasTarget ?? query;
+    const devices = await this._getCachedDevices();
+
+    let matches = devices.filter((device) => device.name === name || device.stationId === name);
+    if (matches.length === 0) {
+      const normalizedName = name.toLowerCase();
+      matches = devices.filter((device) =>
+        [device.name, device.stationId].some((value) => value?.toLowerCase().trim() === normalizedName)
+      );
+    }
+
+    if (matches.length === 0) {
+      throw new DeviceNotFoundError(identifier);
+    }
+    if (matches.length > 1) {
+      throw new AmbiguousDeviceError(
+        identifier,
+        matches.map((device) => ({ name: device.name, id: device.mac ?? device.imei ?? device.stationId }))
+      );
+    }
+
+    const [device] = matches;
+    return device.mac || device.imei ? normalizeDeviceId(device.mac ?? device.imei) : device.stationId;
+  }
+
+  /**
+   * Resolve tool arguments that identify a device by `device` (name, alias, MAC or IMEI), `mac` or `imei`.
+   * @param {Object} args - Tool arguments
+   * @param {string} [args.device] - Device name, alias, MAC address or IMEI
+   * @param {string} [args.mac] - Device MAC address
+   * @param {string} [args.imei] - Device IMEI
+   * @returns {Promise<string>} Normalized MAC address or IMEI
+   * @throws {CustomError|DeviceNotFoundError|AmbiguousDeviceError} If the arguments do not identify exactly one device.
+   */
+  async resolveDeviceArgs({ device, mac, imei }) {
+    if (device) {
+      if (mac || imei) {
+        throw new CustomError("Provide only one of device, mac or imei.", "INVALID_PARAMETER", "parameter_error");
+      }
+      return this.resolveDeviceId(device);
+    }
+    return resolveDeviceIdArgs({ mac, imei });
+  }
+
+  /**
+   * Get a device by MAC address (or IMEI for cellular stations) from Ecowitt API.
+   * Uploaded stations are described from their latest upload instead.
+   * @param {string} macAddress - MAC address, IMEI or uploaded station ID of the device to find
    * @returns {Promise<Object>} Raw device object from Ecowitt API
    * @throws {CustomError|EcowittApiError|DeviceNotFoundError|HandlerError} If device not found, invalid parameter, API call fails, or an unexpected error occurs.
    */
@@ -50,11 +283,17 @@ export class DeviceHandlers {
     }
 
     try {
+      const station = await this._getUploadedStation(macAddress);
+      if (station) {
+        return this._uploadedDevice(station);
+      }
+
       const deviceData = await this.client.getDeviceInfo(macAddress);
       if (!deviceData || Object.keys(deviceData).length === 0) {
         throw new DeviceNotFoundError(macAddress);
       }
-      return deviceData;
+      const lastUpdate = calibrateReadings(deviceData.last_update, await this.getSensorConfig(macAddress));
+      return lastUpdate === deviceData.last_update ? deviceData : { ...deviceData, last_update: lastUpdate };
     } catch (error) {
       if (error instanceof CustomError) {
         throw error;
@@ -64,9 +303,14 @@ export class DeviceHandlers {
   }
 
   /**
-   * Get real-time information for a specific device by MAC address.
-   * @param {string} macAddress - Device MAC address.
-   * @param {string} [callback] - Comma-separated list of field types to return.
+   * Get real-time information for a specific device by MAC address or IMEI.
+   * Devices with a configured local gateway are read over the LAN instead of the cloud API.
+   * When the source is unreachable, or its newest reading is older than `staleAfter`, the station's latest
+   * upload to the receiver is returned instead if there is one (in the imperial units stations upload).
+   * Configured sensor labels and field aliases (see resolveFieldSelectors) are accepted in `callback`, and
+   * configured calibrations are applied to the readings.
+   * @param {string} macAddress - Device MAC address or IMEI.
+   * @param {string} [callback] - Comma-separated list of field types (or sensor labels and aliases) to return.
    * @param {Object} [unitOptions] - Optional unit conversion parameters.
    * @returns {Promise<Object>} Raw real-time device information.
    * @throws {CustomError|EcowittApiError|HandlerError} If device not found, invalid parameter, API call fails, or an unexpected error occurs.
@@ -78,52 +322,459 @@ export class DeviceHandlers {
       throw new CustomError(error.message, "INVALID_PARAMETER", "parameter_error");
     }
 
+    const sensorConfig = await this.getSensorConfig(macAddress);
+    const data = await this._getRealTimeData(
+      macAddress,
+      await this._resolveCallback(macAddress, callback, sensorConfig),
+      unitOptions
+    );
+    return calibrateReadings(data, sensorConfig);
+  }
+
+  /**
+   * Translate configured sensor labels and field aliases in a call_back list, and check its fields against the
+   * field catalog so typos are reported before a request is made. Other fields missing from the catalog are passed
+   * on to the API, with a warning unless the device is known to report them (see _reportedFields).
+   * @private
+   * @param {string} deviceId - Normalized MAC address, IMEI or station ID
+   * @param {string} [callback] - Comma-separated groups, group.metric paths, sensor labels or aliases
+   * @param {Object<string, Object>} sensorConfig - The device's sensor configuration, keyed by group
+   * @returns {Promise<string|undefined>} call_back to send to the API
+   * @throws {CustomError} If a field looks like a typo
+   */
+  async _resolveCallback(deviceId, callback, sensorConfig) {
+    const unknown = [];
+    const resolved = resolveFieldSelectors(resolveSensorSelectors(callback, sensorConfig), {
+      groups: Object.keys(sensorConfig),
+      onUnknown: (field) => unknown.push(field),
+    });
+    if (unknown.length > 0) {
+      const reported = new Set(await this._reportedFields(deviceId));
+      for (const field of unknown.filter((name) => !reported.has(name))) {
+        this.logger("warning", `Unknown call_back field "${field}" of device "${deviceId}" is passed on to the API.`);
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * List the call_back fields a device is known to report. Stations uploading to the receiver are checked against
+   * their latest upload and devices read from a local gateway are not checked, so their reads never depend on the
+   * cloud; cloud devices are checked against their device info, which the client caches.
+   * @private
+   * @param {string} deviceId - Normalized MAC address, IMEI or station ID
+   * @returns {Promise<string[]>} Reported fields, empty when they are not known
+   */
+  async _reportedFields(deviceId) {
+    const station = await this._getUploadedStation(deviceId);
+    if (station) {
+      return buildSensorInventory(station.data).call_backs;
+    }
+    if (this.localGateways.has(deviceId)) {
+      return [];
+    }
+    try {
+      return (await this.getSensorInventory(deviceId)).call_backs;
+    } catch {
+      // Only the warning depends on the inventory; the read itself reports any error from the cloud
+      return [];
+    }
+  }
+
+  /**
+   * Read real-time data from the station's upload, local gateway or the cloud, falling back to uploads.
+   * @private
+   * @param {string} macAddress - Device MAC address or IMEI
+   * @param {string} [callback] - Comma-separated list of field types to return
+   * @param {Object} [unitOptions] - Optional unit conversion parameters
+   * @returns {Promise<Object>} Raw real-time device information
+   * @throws {CustomError|EcowittApiError|HandlerError} If the request fails and no upload can be served instead
+   */
+  async _getRealTimeData(macAddress, callback, unitOptions) {
+    const station = await this._getUploadedStation(macAddress);
+    if (station) {
+      return selectRealtimeFields(station.data, callback);
+    }
+
+    let data;
     try {
-      return await this.client.getRealTimeInfo(macAddress, callback, unitOptions);
+      const source = this.localGateways.get(macAddress) ?? this.client;
+      data = await source.getRealTimeInfo(macAddress, callback, unitOptions);
     } catch (error) {
+      const upload = isUnavailableError(error) ? await this._getUpload(macAddress) : undefined;
+      if (upload) {
+        return selectRealtimeFields(upload.data, callback);
+      }
       if (error instanceof CustomError) {
         throw error;
       }
       throw new HandlerError(`An unexpected error occurred in getDeviceRealTimeInfo: ${error.message}`, error);
     }
+
+    const observedAt = latestReadingTime(data);
+    if (Date.now() - observedAt > this.staleAfter) {
+      const upload = await this._getUpload(macAddress);
+      if (upload && upload.observedAt > observedAt) {
+        return selectRealtimeFields(upload.data, callback);
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Find the latest upload a station pushed to the receiver, by MAC address or the PASSKEY derived from it.
+   * @private
+   * @param {string} deviceId - Normalized MAC address or IMEI
+   * @returns {Promise<Object|undefined>} Upload record, or undefined if none was received
+   */
+  async _getUpload(deviceId) {
+    if (!this.uploadStore) {
+      return undefined;
+    }
+    const upload = await this.uploadStore.get("ecowitt", deviceId);
+    if (upload || !isValidMacAddress(deviceId)) {
+      return upload;
+    }
+    return this.uploadStore.get("ecowitt", passkeyForMac(deviceId));
   }
 
   /**
-   * Get historical data for a specific device by MAC address.
-   * @param {string} macAddress - Device MAC address.
-   * @param {string} start_date - Start time of data query (ISO8601: "YYYY-MM-DD HH:mm:ss").
-   * @param {string} end_date - End time of data query (ISO8601: "YYYY-MM-DD HH:mm:ss").
-   * @param {string} callback - Comma-separated list of field types to return.
-   * @param {string} [cycle_type] - Data resolution ("auto", "5min", "30min", "4hour", "1day").
+   * List the sensors a device reports, from the `last_update` of its device info (or, for stations that only
+   * upload to the receiver, their latest upload), with their configured labels and the call_back values that
+   * select them.
+   * @param {string} deviceId - Normalized MAC address, IMEI or station ID
+   * @returns {Promise<{sensors: Array<Object>, call_backs: string[]}>} Sensor inventory
+   * @throws {CustomError|EcowittApiError|HandlerError} If device not found or the API call fails.
+   */
+  async getSensorInventory(deviceId) {
+    const station = await this._getUploadedStation(deviceId);
+    const lastUpdate = station ? station.data : (await this.getDeviceByMac(deviceId)).last_update;
+    return buildSensorInventory(lastUpdate, await this.getSensorConfig(deviceId));
+  }
+
+  /**
+   * Get the timezone a device reports (its `date_zone_id`), from the device list.
+   * @param {string} deviceId - Normalized MAC address or IMEI
+   * @returns {Promise<string>} IANA zone name, or "UTC" if the device does not report a valid one
+   * @throws {EcowittApiError|CustomError} If the device list cannot be fetched
+   */
+  async getDeviceTimeZone(deviceId) {
+    const devices = await this._getCachedDevices();
+    const device = devices.find((candidate) => hasDeviceId(candidate, deviceId));
+    return device?.dateZoneId && isValidTimeZone(device.dateZoneId) ? device.dateZoneId : "UTC";
+  }
+
+  /**
+   * Resolve an IoT sub-device (a WFC01 water valve, an AC1100 smart plug) by its default title, name or device ID,
+   * matched case-insensitively, from the device list.
+   * @param {string} identifier - Sub-device default title (e.g. "WFC01-0xxxxxx8"), name or device ID
+   * @param {string} [deviceId] - Normalized MAC address or IMEI of its gateway; all gateways are searched without one
+   * @returns {Promise<Object>} Sub-device matching IotDeviceSchema, with `parent` set to its gateway's MAC address or IMEI
+   * @throws {CustomError|EcowittApiError} If the sub-device is missing or ambiguous, or the device list cannot be fetched
+   */
+  async resolveIotDevice(identifier, deviceId) {
+    try {
+      validateRequired("IoT device", identifier);
+    } catch (error) {
+      throw new CustomError(error.message, "INVALID_PARAMETER", "parameter_error");
+    }
+
+    const query = identifier.trim().toLowerCase();
+    const devices = await this._getCachedDevices();
+    const matches = devices
+      .filter((device) => !deviceId || hasDeviceId(device, deviceId))
+      .flatMap((device) =>
+        (device.iotDevices ?? [])
+          .filter((iot) => [iot.defaultTitle, iot.name, iot.deviceId].some((value) => value?.toLowerCase() === query))
+          .map((iot) => ({
+            ...describeIotDevice(device, iot),
+            parent: device.mac ? normalizeDeviceId(device.mac) : device.imei,
+          }))
+      );
+
+    if (matches.length === 0) {
+      throw new CustomError(
+        `IoT device "${identifier}" not found${deviceId ? ` on "${deviceId}"` : ""}.`,
+        "DEVICE_NOT_FOUND",
+        "device_error"
+      );
+    }
+    if (matches.length > 1) {
+      const list = matches.map((match) => `"${match.defaultTitle}" (${match.deviceId})`).join(", ");
+      throw new CustomError(
+        `IoT device "${identifier}" is ambiguous. It matches ${matches.length} sub-devices: ${list}. Use a device ID or give the gateway instead.`,
+        "AMBIGUOUS_DEVICE",
+        "device_error"
+      );
+    }
+    return matches[0];
+  }
+
+  /**
+   * Resolve tool arguments that identify an IoT sub-device by `iot_device`, optionally on the gateway given by
+   * `device`, `mac` or `imei`.
+   * @param {Object} args - Tool arguments
+   * @param {string} args.iot_device - Sub-device default title, name or device ID
+   * @returns {Promise<Object>} Sub-device, as from resolveIotDevice
+   * @throws {CustomError|DeviceNotFoundError|AmbiguousDeviceError} If the arguments do not identify exactly one sub-device.
+   */
+  async resolveIotDeviceArgs({ iot_device, device, mac, imei }) {
+    const gatewayId = device || mac || imei ? await this.resolveDeviceArgs({ device, mac, imei }) : undefined;
+    return this.resolveIotDevice(iot_device, gatewayId);
+  }
+
+  /**
+   * Get the latest readings of an IoT sub-device, from its gateway's real-time data.
+   * @param {Object} iotDevice - Sub-device from resolveIotDevice
+   * @returns {Promise<Object>} The sub-device's readings (`{ metric: { time, unit, value } }`); empty if it reported none
+   * @throws {CustomError|EcowittApiError|HandlerError} If the API call fails
+   */
+  async getIotDeviceState(iotDevice) {
+    const data = await this.getDeviceRealTimeInfo(iotDevice.parent, iotDevice.defaultTitle);
+    const group = findIotGroup(data, iotDevice.defaultTitle);
+    return group ? data[group] : {};
+  }
+
+  /**
+   * Query the history of an IoT sub-device, from its gateway's history (see queryDeviceHistory).
+   * @param {Object} iotDevice - Sub-device from resolveIotDevice
+   * @param {string} [startDate] - Start time of data query ("YYYY-MM-DD HH:mm:ss", optionally with a UTC offset)
+   * @param {string} [endDate] - End time of data query ("YYYY-MM-DD HH:mm:ss", optionally with a UTC offset)
+   * @param {string} [cycleType] - Data resolution ("auto", "5min", "30min", "4hour", "1day")
+   * @param {Object} [unitOptions] - Optional unit parameters
+   * @param {Object} [options] - Query options, as for queryDeviceHistory
+   * @returns {Promise<{history: Object, startDate: string, endDate: string, cycleType: string}>} History of the
+   *   sub-device's group only (`{ group: { metric: { unit, list } } }`), with the dates and cycle type it was queried with
+   * @throws {CustomError|EcowittApiError|HandlerError} On error
+   */
+  async getIotDeviceHistory(iotDevice, startDate, endDate, cycleType, unitOptions = {}, options = {}) {
+    const { history, ...query } = await this.queryDeviceHistory(
+      iotDevice.parent,
+      startDate,
+      endDate,
+      iotDevice.defaultTitle,
+      cycleType,
+      unitOptions,
+      options
+    );
+    const group = findIotGroup(history, iotDevice.defaultTitle);
+    return { history: group ? { [group]: history[group] } : {}, ...query };
+  }
+
+  /**
+   * Get the output units for a device's readings.
+   * The configured default, the device's configured override, the units requested by the call and the units of the
+   * call's Ecowitt unit ids (e.g. `temp_unitid`) are applied in that order. Unit ids are converted locally too, since
+   * local gateways and station uploads ignore them; readings the cloud API already reports in them are left as is.
+   * @param {string} deviceId - Normalized MAC address, IMEI or station ID
+   * @param {string} [units] - Unit names requested by the call (e.g. "metric, mph")
+   * @param {Object} [unitOptions] - Ecowitt unit ids requested by the call
+   * @returns {Promise<Object<string, string>|undefined>} Target unit by quantity, or undefined for no conversion
+   * @throws {CustomError} If the requested unit names are invalid
+   */
+  async getUnitPreferences(deviceId, units, unitOptions = {}) {
+    const deviceUnits = await this._deviceOverride(this.deviceUnits, deviceId);
+    const preferences = {
+      ...parseUnitPreferences([this.defaultUnits, deviceUnits, units]),
+      ...unitOptionPreferences(unitOptions),
+    };
+    return Object.keys(preferences).length > 0 ? preferences : undefined;
+  }
+
+  /**
+   * Get the configured labels, locations and calibrations of a device's sensor groups.
+   * @param {string} deviceId - Normalized MAC address, IMEI or station ID
+   * @returns {Promise<Object<string, Object>>} Sensor configuration keyed by group; empty if none is configured
+   */
+  async getSensorConfig(deviceId) {
+    return (await this._deviceOverride(this.deviceSensors, deviceId)) ?? {};
+  }
+
+  /**
+   * Find a device's entry in per-device configuration keyed by device name, alias, MAC or IMEI.
+   * The configuration is resolved to device IDs once per device list refresh. Entries naming devices that no longer
+   * exist, or more than one device, are ignored.
+   * @private
+   * @param {Object<string, *>} overrides - Configuration keyed by device identifier
+   * @param {string} deviceId - Normalized MAC address, IMEI or station ID
+   * @returns {Promise<*>} The device's entry, or undefined if it has none
+   * @throws {EcowittApiError|CustomError} If the device list is needed and cannot be fetched
+   */
+  async _deviceOverride(overrides, deviceId) {
+    let resolved = this.resolvedOverrides.get(overrides);
+    if (!resolved || resolved.deviceList !== this.deviceListCache) {
+      const entries = new Map();
+      for (const [identifier, value] of Object.entries(overrides)) {
+        const overrideId = await this.resolveDeviceId(identifier).catch((error) => {
+          if (error instanceof DeviceNotFoundError || error instanceof AmbiguousDeviceError) {
+            return undefined;
+          }
+          throw error;
+        });
+        if (overrideId !== undefined && !entries.has(overrideId)) {
+          entries.set(overrideId, value);
+        }
+      }
+      resolved = { deviceList: this.deviceListCache, entries };
+      this.resolvedOverrides.set(overrides, resolved);
+    }
+    return resolved.entries.get(deviceId);
+  }
+
+  /**
+   * Resolve history query dates to the device's local time, which is what the API expects.
+   * A `range` expression ("yesterday", "last 7 days", "2024-W12", ...) is resolved against `timezone`, or the
+   * device's timezone by default. Otherwise dates carrying a UTC offset, or any dates when `timezone` is given,
+   * are converted; plain dates are taken to already be device-local and are returned unchanged.
+   * @param {string} deviceId - Normalized MAC address or IMEI
+   * @param {string} [startDate] - Start time ("YYYY-MM-DD HH:mm:ss", optionally with a UTC offset)
+   * @param {string} [endDate] - End time ("YYYY-MM-DD HH:mm:ss", optionally with a UTC offset)
+   * @param {Object} [options] - Query options
+   * @param {string} [options.timezone] - IANA zone or UTC offset the dates or range are in
+   * @param {string} [options.range] - Range expression, used instead of start and end dates
+   * @param {number} [options.now=Date.now()] - Time relative ranges resolve against, in epoch milliseconds
+   * @returns {Promise<{startDate: string, endDate: string}>} Device-local dates in "YYYY-MM-DD HH:mm:ss" format
+   * @throws {CustomError|EcowittApiError} If the dates, range or timezone are missing or invalid, or the device list fails
+   */
+  async resolveHistoryDates(deviceId, startDate, endDate, options = {}) {
+    const { timezone, range, now } = options;
+    if (timezone && !isValidTimeZone(timezone)) {
+      throw new CustomError(
+        `Invalid timezone "${timezone}". Use an IANA zone (e.g. 'Europe/London') or a UTC offset (e.g. '+10:00').`,
+        "INVALID_PARAMETER",
+        "parameter_error"
+      );
+    }
+
+    if (range) {
+      if (startDate || endDate) {
+        throw new CustomError(
+          "Provide either a range or a start and end date, not both.",
+          "INVALID_PARAMETER",
+          "parameter_error"
+        );
+      }
+      const deviceZone = await this.getDeviceTimeZone(deviceId);
+      const resolved = resolveDateRange(range, timezone ?? deviceZone, now);
+      return {
+        startDate: toDeviceLocalDate(resolved.startDate, deviceZone, timezone, "start date"),
+        endDate: toDeviceLocalDate(resolved.endDate, deviceZone, timezone, "end date"),
+      };
+    }
+
+    if (!startDate || !endDate) {
+      throw new CustomError("Provide either a range or a start and end date.", "INVALID_PARAMETER", "parameter_error");
+    }
+    if (!timezone && !hasUtcOffset(startDate) && !hasUtcOffset(endDate)) {
+      return { startDate, endDate };
+    }
+    const deviceZone = await this.getDeviceTimeZone(deviceId);
+    return {
+      startDate: toDeviceLocalDate(startDate, deviceZone, timezone, "start date"),
+      endDate: toDeviceLocalDate(endDate, deviceZone, timezone, "end date"),
+    };
+  }
+
+  /**
+   * Get historical data for a specific device by MAC address or IMEI (see queryDeviceHistory).
+   * @param {string} macAddress - Device MAC address or IMEI.
+   * @param {string} [startDate] - Start time of data query ("YYYY-MM-DD HH:mm:ss", optionally with a UTC offset).
+   * @param {string} [endDate] - End time of data query ("YYYY-MM-DD HH:mm:ss", optionally with a UTC offset).
+   * @param {string} callback - Comma-separated list of field types (or configured sensor labels and aliases) to return.
+   * @param {string} [cycleType] - Data resolution ("auto", "5min", "30min", "4hour", "1day").
    * @param {Object} [unitOptions] - Optional unit parameters.
+   * @param {Object} [options] - Query options, as for queryDeviceHistory
    * @returns {Promise<Object>} Historical device data.
    * @throws {CustomError|EcowittApiError|HandlerError} On error.
    */
-  async getDeviceHistory(macAddress, startDate, endDate, callback, cycleType, unitOptions = {}) {
+  async getDeviceHistory(macAddress, startDate, endDate, callback, cycleType, unitOptions = {}, options = {}) {
+    const { history } = await this.queryDeviceHistory(
+      macAddress,
+      startDate,
+      endDate,
+      callback,
+      cycleType,
+      unitOptions,
+      options
+    );
+    return history;
+  }
+
+  /**
+   * Query historical data for a specific device by MAC address or IMEI, returning the dates and cycle type it was
+   * queried with along with the data.
+   * Dates are in the device's local time, unless they carry a UTC offset or `options.timezone` is given,
+   * in which case they are converted to the device's local time first (see resolveHistoryDates).
+   * An "auto" (or missing) cycle type is replaced by the finest resolution that retains the start date and covers
+   * the range in one request, or daily data for longer ranges (see selectCycleType); an explicit one that cannot
+   * cover the range is rejected.
+   * Configured sensor labels and field aliases (see resolveFieldSelectors) are accepted in `callback`, and
+   * configured calibrations are applied to the data.
+   * @param {string} macAddress - Device MAC address or IMEI.
+   * @param {string} [startDate] - Start time of data query ("YYYY-MM-DD HH:mm:ss", optionally with a UTC offset).
+   * @param {string} [endDate] - End time of data query ("YYYY-MM-DD HH:mm:ss", optionally with a UTC offset).
+   * @param {string} callback - Comma-separated list of field types (or configured sensor labels and aliases) to return.
+   * @param {string} [cycleType] - Data resolution ("auto", "5min", "30min", "4hour", "1day").
+   * @param {Object} [unitOptions] - Optional unit parameters.
+   * @param {Object} [options] - Query options
+   * @param {string} [options.timezone] - IANA zone or UTC offset the dates are in
+   * @param {string} [options.range] - Range expression (e.g. "yesterday"), used instead of start and end dates
+   * @param {number} [options.now=Date.now()] - Time ranges and retention windows are relative to, in epoch milliseconds
+   * @returns {Promise<{history: Object, startDate: string, endDate: string, cycleType: string}>} Historical device
+   *   data, with the device-local dates and the explicit cycle type it was queried with
+   * @throws {CustomError|EcowittApiError|HandlerError} On error.
+   */
+  async queryDeviceHistory(macAddress, startDate, endDate, callback, cycleType, unitOptions = {}, options = {}) {
     try {
       validateRequired("MAC address", macAddress);
-      validateRequired("start date", startDate);
-      validateRequired("end date", endDate);
+      if (!options.range) {
+        validateRequired("start date", startDate);
+        validateRequired("end date", endDate);
+      }
       validateRequired("callback", callback);
     } catch (error) {
       throw new CustomError(error.message, "INVALID_PARAMETER", "parameter_error");
     }
 
+    if (await this._getUploadedStation(macAddress)) {
+      throw new CustomError(
+        `History is not available for "${macAddress}", which only uploads real-time data to the receiver.`,
+        "UNSUPPORTED_OPERATION",
+        "parameter_error"
+      );
+    }
+
     try {
-      return await this.client.getDeviceHistory(macAddress, startDate, endDate, callback, cycleType, unitOptions);
+      const dates = await this.resolveHistoryDates(macAddress, startDate, endDate, options);
+      const sensorConfig = await this.getSensorConfig(macAddress);
+      const fields = await this._resolveCallback(macAddress, callback, sensorConfig);
+      // Retention is measured from the current time in the device's zone, the zone the dates are in
+      const timeZone = await this.getDeviceTimeZone(macAddress);
+      const now = epochToWallTime(options.now ?? Date.now(), timeZone);
+      const cycle = selectCycleType(dates.startDate, dates.endDate, cycleType, now);
+      const history = await this.client.getDeviceHistory(
+        macAddress,
+        dates.startDate,
+        dates.endDate,
+        fields,
+        cycle,
+        unitOptions,
+        { timeZone }
+      );
+      return { history: calibrateReadings(history, sensorConfig), ...dates, cycleType: cycle };
     } catch (error) {
       if (error instanceof CustomError) {
         throw error;
       }
-      throw new HandlerError(`An unexpected error occurred in getDeviceHistory: ${error.message}`, error);
+      throw new HandlerError(`An unexpected error occurred in queryDeviceHistory: ${error.message}`, error);
     }
   }
 
   /**
-   * Get a device by name (helper method for name-to-MAC resolution)
-   * @param {string} deviceName - Name of the device to find
+   * Get a device by name or alias (helper method for name-to-MAC resolution)
+   * @param {string} deviceName - Name or alias of the device to find
    * @returns {Promise<Object>} Raw device object from Ecowitt API
-   * @throws {DeviceNotFoundError|CustomError|HandlerError} If device not found or an error occurs.
+   * @throws {DeviceNotFoundError|AmbiguousDeviceError|CustomError|HandlerError} If device not found or an error occurs.
    */
   async getDeviceByName(deviceName) {
     try {
@@ -133,16 +784,8 @@ export class DeviceHandlers {
     }
 
     try {
-      const resources = await this.handleDeviceList();
-
-      const normalizedName = deviceName.toLowerCase().trim();
-      const resource = resources.find((r) => r.name.toLowerCase() === normalizedName);
-
-      if (!resource) {
-        throw new DeviceNotFoundError(deviceName);
-      }
-
-      return await this.getDeviceByMac(resource.mac);
+      const deviceId = await this.resolveDeviceId(deviceName);
+      return await this.getDeviceByMac(deviceId);
     } catch (error) {
       if (error instanceof CustomError) {
         throw error;
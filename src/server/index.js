@@ -2,13 +2,62 @@
 
 import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { ListResourcesRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
 import { getConfig } from "../config/index.js";
-import { EcowittClient } from "../ecowitt/client.js";
-import { formatMacAddress } from "../utils/mac.js";
-import { extractUnitOptions, UnitOptionsSchema } from "../utils/unit_options.js";
+import { MultiAccountClient } from "../ecowitt/accounts.js";
+import { identifyDevice } from "../ecowitt/catalog.js";
+import {
+  HistoryCycleRules,
+  HistoryDataSchema,
+  HistorySeriesSchema,
+  historyTimestamps,
+  normalizeHistory,
+} from "../ecowitt/history.js";
+import { convertIotReadings, IotDeviceSchema, IotStateSchema, normalizeIotState } from "../ecowitt/iot.js";
+import { LocalGatewayClient } from "../ecowitt/local_gateway.js";
+import { NormalizedReadingSchema, normalizeRealtime, serializeReadings } from "../ecowitt/realtime.js";
+import { configuredSensorLabels, SensorLabelsSchema, SensorSchema } from "../ecowitt/sensors.js";
+import { MockEcowittServer } from "../mock/server.js";
+import { passkeyForMac } from "../receivers/ecowitt.js";
+import { UploadReceiver } from "../receivers/server.js";
+import { UploadStore } from "../receivers/store.js";
+import { DeviceIdSchema, isValidImei } from "../utils/device_id.js";
+import { isValidMacAddress } from "../utils/mac.js";
+import { extractUnitOptions, UnitOptionsSchema, UnitPreferencesSchema } from "../utils/unit_options.js";
+import { convertReadings } from "../utils/units.js";
 import { DeviceHandlers } from "./handlers/device.js";
 
+// Maps the clear_cache tool's data types to the Ecowitt endpoints they are cached under
+const CACHE_DATA_TYPE_ENDPOINTS = {
+  device_list: "/device/list",
+  device_info: "/device/info",
+  real_time: "/device/real_time",
+  history: "/device/history",
+};
+
+/**
+ * Describe which kind of identifier a resolved device ID is, for resource contents
+ * @param {string} deviceId - Normalized MAC address, IMEI or uploaded station ID
+ * @returns {Object} `{ mac }`, `{ imei }` or `{ stationId }`
+ */
+function deviceIdFields(deviceId) {
+  if (isValidMacAddress(deviceId)) {
+    return { mac: deviceId };
+  }
+  return isValidImei(deviceId) ? { imei: deviceId } : { stationId: deviceId };
+}
+
+/**
+ * Convert a payload's readings to friendly output units, when any were requested
+ * @param {*} data - Real-time, history or device info payload
+ * @param {Object<string, string>} [preferences] - Target unit by quantity, from parseUnitPreferences
+ * @returns {*} Converted payload, or the payload itself without preferences
+ */
+function applyUnitPreferences(data, preferences) {
+  return preferences ? convertReadings(data, preferences) : data;
+}
+
 /**
  * Create and configure the MCP server
  * @param {Object} config - Full configuration object
@@ -16,10 +65,16 @@ import { DeviceHandlers } from "./handlers/device.js";
  * @param {string} config.ecowitt.applicationKey - Ecowitt application key
  * @param {string} config.ecowitt.apiKey - Ecowitt API key
  * @param {string} config.ecowitt.baseUrl - Base URL for the Ecowitt API
+ * @param {Object} [config.devices] - Device configuration (aliases and localGateways)
+ * @param {Array<Object>} [config.accounts] - Ecowitt accounts ({ name, applicationKey, apiKey }) to aggregate devices from
+ * @param {Object} [config.receiver] - Upload receiver configuration; the receiver starts when `port` is set
+ * @param {Object} [config.mock] - Mock API configuration; with a `scenario`, requests go to an in-process mock API
+ * @param {Object} [config.units] - Default output units ({ default, devices }) for calls that do not choose their own
  * @param {Object} config.server - Server configuration
  * @param {string} config.server.name - Server name
  * @param {string} config.server.version - Server version
  * @param {number} config.server.requestTimeout - Request timeout in milliseconds
+ * @param {number} config.server.resourcesPageSize - Maximum number of resources per resources/list page
  * @returns {Promise<McpServer>} Configured MCP server instance
  */
 export async function createMCPServer(config) {
@@ -41,45 +96,137 @@ export async function createMCPServer(config) {
     }
   );
 
-  // Create device handlers
-  const ecowittClient = new EcowittClient(config);
-  const deviceHandlers = new DeviceHandlers(ecowittClient);
+  const logger = (level, data) => {
+    server.server.sendLoggingMessage({ level, data }).catch(() => {
+      // Logging is best effort; the client may not be connected yet
+    });
+  };
+
+  // Servers started alongside the MCP server, stopped when it closes
+  const services = [];
+  server.server.onclose = () => Promise.all(services.map((service) => service.stop()));
+
+  // Optionally serve the Ecowitt API from the bundled mock, for development without API keys or quota
+  let clientConfig = config;
+  if (config.mock?.scenario) {
+    const mock = new MockEcowittServer({ scenario: config.mock.scenario });
+    const { baseUrl } = await mock.start();
+    services.push(mock);
+    clientConfig = { ...config, ecowitt: { ...config.ecowitt, baseUrl } };
+    console.error(`Using mock Ecowitt API (scenario "${config.mock.scenario}") at ${baseUrl}`);
+  }
+
+  // Create device handlers. Every configured account gets its own client; devices are routed to their account.
+  const ecowittClient = new MultiAccountClient(clientConfig, { logger });
+  const localGateways = new Map(
+    Object.entries(config.devices?.localGateways ?? {}).map(([mac, host]) => [
+      mac,
+      new LocalGatewayClient({ host, requestTimeout: config.ecowitt.requestTimeout, version: config.server.version }),
+    ])
+  );
+
+  // Optionally receive uploads pushed by stations, used when the cloud is stale or unreachable
+  let uploadStore;
+  let staleAfter;
+  if (config.receiver?.port !== undefined) {
+    uploadStore = new UploadStore({ dir: config.receiver.dir });
+    // Consoles derive their PASSKEY from their MAC address, so uploads are matched to the listed devices
+    const resolvePasskey = async (passkey) =>
+      (await ecowittClient.listDevices()).find((device) => device.mac && passkeyForMac(device.mac) === passkey)?.mac;
+    const receiver = new UploadReceiver({ ...config.receiver, resolvePasskey }, uploadStore, logger);
+    const { host, port } = await receiver.start();
+    services.push(receiver);
+    console.error(`Upload receiver listening on ${host}:${port}`);
+    staleAfter = config.receiver.staleAfter * 1000;
+  }
 
-  // Register the standard 'resources' primitive
+  const deviceHandlers = new DeviceHandlers(ecowittClient, {
+    aliases: config.devices?.aliases,
+    localGateways,
+    uploadStore,
+    staleAfter,
+    units: config.units,
+    sensors: config.devices?.sensors,
+    logger,
+  });
+
+  const deviceResourceMetadata = {
+    title: "Ecowitt Devices",
+    description: "Access Ecowitt weather station device information.",
+    mimeType: "application/json",
+  };
+
+  // Register the standard 'resources' primitive. Listing is handled below so that it can be paginated.
   server.registerResource(
     "devices",
-    new ResourceTemplate("ecowitt://device/{mac}", {
-      list: async () => {
-        try {
-          const resources = await deviceHandlers.handleDeviceList();
-
-          return { resources };
-        } catch (error) {
-          server.server.sendLoggingMessage({
-            level: "error",
-            data: `Error listing devices: ${error.message}`,
-          });
-          throw error;
+    new ResourceTemplate("ecowitt://device/{id}", { list: undefined }),
+    deviceResourceMetadata,
+    async (uri, { id }) => {
+      try {
+        // Readings can be converted and normalized with a query string,
+        // e.g. ecowitt://device/AABBCCDDEEFF?units=metric&format=normalized
+        const deviceId = await deviceHandlers.resolveDeviceId(decodeURIComponent(id.split("?")[0]));
+        const preferences = await deviceHandlers.getUnitPreferences(
+          deviceId,
+          uri.searchParams.get("units") ?? undefined
+        );
+        const device = await deviceHandlers.getDeviceByMac(deviceId);
+        const sensorConfig = await deviceHandlers.getSensorConfig(deviceId);
+        const labels = configuredSensorLabels(device.last_update, sensorConfig);
+        let deviceData = applyUnitPreferences(
+          {
+            ...device,
+            ...identifyDevice({ type: device.type, stationType: device.stationtype ?? device.stationType }),
+            ...(labels && { labels }),
+          },
+          preferences
+        );
+        if (uri.searchParams.get("format") === "normalized") {
+          const { last_update: lastUpdate, ...info } = deviceData;
+          deviceData = { ...info, readings: serializeReadings(normalizeRealtime(lastUpdate, sensorConfig)) };
         }
-      },
-    }),
+
+        return {
+          contents: [
+            {
+              uri: uri.href,
+              ...deviceIdFields(deviceId),
+              title: deviceData.name,
+              text: JSON.stringify(deviceData, null, 2),
+              contentType: "application/json",
+            },
+          ],
+        };
+      } catch (error) {
+        server.server.sendLoggingMessage({
+          level: "error",
+          data: error.message,
+        });
+
+        throw error;
+      }
+    }
+  );
+
+  server.registerResource(
+    "device-sensors",
+    new ResourceTemplate("ecowitt://device/{id}/sensors", { list: undefined }),
     {
-      title: "Ecowitt Devices",
-      description: "Access Ecowitt weather station device information.",
+      title: "Ecowitt Device Sensors",
+      description: "The sensors an Ecowitt device reports, with their metrics, units and valid call_back values.",
       mimeType: "application/json",
     },
-    async (uri, { mac }) => {
+    async (uri, { id }) => {
       try {
-        const formattedMac = formatMacAddress(mac);
-        const deviceData = await deviceHandlers.getDeviceByMac(formattedMac);
+        const deviceId = await deviceHandlers.resolveDeviceId(decodeURIComponent(id));
+        const inventory = await deviceHandlers.getSensorInventory(deviceId);
 
         return {
           contents: [
             {
               uri: uri.href,
-              mac: formattedMac,
-              title: deviceData.name,
-              text: JSON.stringify(deviceData, null, 2),
+              ...deviceIdFields(deviceId),
+              text: JSON.stringify(inventory, null, 2),
               contentType: "application/json",
             },
           ],
@@ -95,23 +242,108 @@ export async function createMCPServer(config) {
     }
   );
 
+  server.registerResource(
+    "iot-device",
+    new ResourceTemplate("ecowitt://device/{id}/iot/{iotId}", { list: undefined }),
+    {
+      title: "Ecowitt IoT Device",
+      description:
+        "An IoT sub-device paired with an Ecowitt gateway (water valve or smart plug) and its current state.",
+      mimeType: "application/json",
+    },
+    async (uri, { id, iotId }) => {
+      try {
+        // The state's units can be chosen with a query string, e.g. ecowitt://device/AABBCCDDEEFF/iot/{iotId}?units=imperial
+        const deviceId = await deviceHandlers.resolveDeviceId(decodeURIComponent(id));
+        const iotDevice = await deviceHandlers.resolveIotDevice(decodeURIComponent(iotId.split("?")[0]), deviceId);
+        const preferences = await deviceHandlers.getUnitPreferences(
+          deviceId,
+          uri.searchParams.get("units") ?? undefined
+        );
+        const state = normalizeIotState(await deviceHandlers.getIotDeviceState(iotDevice), preferences);
+
+        return {
+          contents: [
+            {
+              uri: uri.href,
+              ...deviceIdFields(deviceId),
+              title: iotDevice.name ?? iotDevice.defaultTitle,
+              text: JSON.stringify({ ...iotDevice, state }, null, 2),
+              contentType: "application/json",
+            },
+          ],
+        };
+      } catch (error) {
+        server.server.sendLoggingMessage({
+          level: "error",
+          data: error.message,
+        });
+
+        throw error;
+      }
+    }
+  );
+
+  // McpServer's built-in resources/list handler does not support cursors, so replace it with a paginated one
+  server.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    try {
+      const { resources, nextCursor } = await deviceHandlers.handleDeviceListPage(
+        request.params?.cursor,
+        config.server.resourcesPageSize
+      );
+
+      return {
+        resources: resources.map((resource) => ({ ...deviceResourceMetadata, ...resource })),
+        ...(nextCursor && { nextCursor }),
+      };
+    } catch (error) {
+      server.server.sendLoggingMessage({
+        level: "error",
+        data: `Error listing devices: ${error.message}`,
+      });
+      throw error;
+    }
+  });
+
   // Register tools
   server.registerTool(
     "get_devices",
     {
       name: "get_devices",
-      description: "Get information about all Ecowitt weather station devices",
+      description: "Get information about all Ecowitt weather station devices across all configured accounts",
       outputSchema: {
         devices: z.array(
           z.object({
             uri: z.string().describe("Device URI"),
             name: z.string().describe("Device name"),
-            mac: z.string().describe("Device MAC address"),
-            type: z.number().describe("Device type"), // TODO: Map type to string
-            stationType: z.string().describe("Device station type"),
-            dateZoneId: z.string().describe("Device timezone"),
-            longitude: z.number().describe("Longitude of device"),
-            latitude: z.number().describe("Latitude of device"),
+            account: z.string().optional().describe("Name of the Ecowitt account the device belongs to"),
+            source: z
+              .string()
+              .optional()
+              .describe("Upload protocol for stations that only upload to the receiver (e.g. 'wunderground')"),
+            mac: z.string().optional().describe("Device MAC address (absent for cellular stations)"),
+            imei: z.string().optional().describe("Device IMEI (cellular stations)"),
+            stationId: z.string().optional().describe("Station ID of a station that only uploads to the receiver"),
+            type: z.number().optional().describe("Device type code (1: weather station, 2: camera)"),
+            stationType: z.string().optional().describe("Device station type, as reported by its firmware"),
+            typeName: z.string().optional().describe("Device type ('weather station' or 'camera')"),
+            model: z.string().optional().describe("Hardware model (e.g. 'GW2000', 'WS6006')"),
+            family: z
+              .string()
+              .optional()
+              .describe("Hardware family ('gateway', 'console', 'cellular station' or 'camera')"),
+            firmwareVersion: z.string().optional().describe("Firmware version from the station type"),
+            sensorGroups: z
+              .array(z.string())
+              .optional()
+              .describe("Sensor groups the model reports without add-on sensors (e.g. 'indoor', 'pressure')"),
+            dateZoneId: z.string().optional().describe("Device timezone"),
+            longitude: z.number().optional().describe("Longitude of device"),
+            latitude: z.number().optional().describe("Latitude of device"),
+            iotDevices: z
+              .array(IotDeviceSchema)
+              .optional()
+              .describe("IoT sub-devices paired with the device (WFC01 water valves, AC1100 smart plugs)"),
           })
         ),
       },
@@ -133,34 +365,101 @@ export async function createMCPServer(config) {
     }
   );
 
+  server.registerTool(
+    "list_sensors",
+    {
+      name: "list_sensors",
+      description:
+        "List the sensors an Ecowitt device reports, grouped by sensor (e.g. 'Temp/Humidity channel 3') with each " +
+        "metric's unit and latest reading time. `call_backs` lists exactly the call_back values valid for this device.",
+      inputSchema: {
+        ...DeviceIdSchema,
+      },
+      outputSchema: {
+        sensors: z.array(SensorSchema).describe("Sensor groups the device reports"),
+        call_backs: z.array(z.string()).describe("Valid call_back values: each group and each 'group.metric'"),
+      },
+    },
+    async (args) => {
+      try {
+        const deviceId = await deviceHandlers.resolveDeviceArgs(args);
+        const inventory = await deviceHandlers.getSensorInventory(deviceId);
+
+        return {
+          structuredContent: inventory,
+          content: [{ type: "text", text: JSON.stringify(inventory, null, 2), contentType: "application/json" }],
+        };
+      } catch (error) {
+        server.server.sendLoggingMessage({
+          level: "error",
+          data: `Error listing sensors for device ${args.device ?? args.mac ?? args.imei}: ${error.message}`,
+        });
+        throw error;
+      }
+    }
+  );
+
   server.registerTool(
     "get_device_realtime_info",
     {
       name: "get_device_realtime_info",
       description: "Get real-time information from an Ecowitt weather station device",
       inputSchema: {
-        mac: z.string().describe("Device MAC address (format: AA:BB:CC:DD:EE:FF or AABBCCDDEEFF)"),
+        ...DeviceIdSchema,
         callback: z
           .string()
           .optional()
-          .describe("Optional field types to return (e.g., 'all', 'outdoor', 'indoor.humidity')"),
+          .describe(
+            "Optional field types, aliases or configured sensor labels to return (e.g., 'all', 'outdoor', 'indoor.humidity', 'temp', 'Wine cellar')"
+          ),
+        format: z
+          .enum(["raw", "normalized"])
+          .optional()
+          .describe(
+            "'raw' (default) for the Ecowitt response, or 'normalized' for a typed list of readings with numeric values"
+          ),
         ...UnitOptionsSchema,
+        ...UnitPreferencesSchema,
+      },
+      outputSchema: {
+        data: z.record(z.string(), z.any()).optional().describe("Real-time data as returned by Ecowitt (format 'raw')"),
+        readings: z.array(NormalizedReadingSchema).optional().describe("Typed readings (format 'normalized')"),
+        labels: SensorLabelsSchema.optional().describe("Configured labels and locations of the groups in `data`"),
       },
     },
     async (args) => {
       try {
-        const { mac, callback, ...rest } = args;
-        const formattedMac = formatMacAddress(mac);
+        const { callback, units, format, ...rest } = args;
+        const deviceId = await deviceHandlers.resolveDeviceArgs(args);
         const unitOptions = extractUnitOptions(rest);
-        const realtimeData = await deviceHandlers.getDeviceRealTimeInfo(formattedMac, callback, unitOptions);
+        const preferences = await deviceHandlers.getUnitPreferences(deviceId, units, unitOptions);
+        const sensorConfig = await deviceHandlers.getSensorConfig(deviceId);
+        const realtimeData = applyUnitPreferences(
+          await deviceHandlers.getDeviceRealTimeInfo(deviceId, callback, unitOptions),
+          preferences
+        );
 
+        if (format === "normalized") {
+          const result = { readings: serializeReadings(normalizeRealtime(realtimeData, sensorConfig)) };
+          return {
+            structuredContent: result,
+            content: [{ type: "text", text: JSON.stringify(result, null, 2), contentType: "application/json" }],
+          };
+        }
+        const labels = configuredSensorLabels(realtimeData, sensorConfig);
         return {
-          content: [{ type: "text", text: JSON.stringify(realtimeData, null, 2), contentType: "application/json" }],
+          structuredContent: { data: realtimeData, ...(labels && { labels }) },
+          content: [
+            { type: "text", text: JSON.stringify(realtimeData, null, 2), contentType: "application/json" },
+            ...(labels
+              ? [{ type: "text", text: JSON.stringify({ labels }, null, 2), contentType: "application/json" }]
+              : []),
+          ],
         };
       } catch (error) {
         server.server.sendLoggingMessage({
           level: "error",
-          data: `Error getting realtime info for device ${args.mac}: ${error.message}`,
+          data: `Error getting realtime info for device ${args.device ?? args.mac ?? args.imei}: ${error.message}`,
         });
         throw error;
       }
@@ -171,43 +470,318 @@ export async function createMCPServer(config) {
     "get_device_historical_info",
     {
       name: "get_device_historical_info",
-      description: "Get historical data from an Ecowitt weather station device",
+      description:
+        "Get historical data from an Ecowitt weather station device. Give either `range` (e.g. 'yesterday', " +
+        "'last 24h', 'last 7 days', 'this month', '2024-W12', '2024-03', '2023', 'last christmas') or " +
+        "`start_date` and `end_date`. Dates and ranges are in the device's local time (its dateZoneId) unless " +
+        "they include a UTC offset or `timezone` is given; the device-local dates used are echoed back. Each " +
+        "timestamp in the data is epoch seconds; `timestamps` maps them to local ISO 8601 times in the device's timezone. " +
+        "With `format` 'normalized', `series` holds sorted numeric points with their local time, and each series' " +
+        "unit, resolution, count, first and last times and gaps.",
       inputSchema: {
-        mac: z.string().describe("Device MAC address (format: AA:BB:CC:DD:EE:FF or AABBCCDDEEFF)"),
-        start_date: z.string().describe("Start time of data query (ISO8601: 'YYYY-MM-DD HH:mm:ss')"),
-        end_date: z.string().describe("End time of data query (ISO8601: 'YYYY-MM-DD HH:mm:ss')"),
+        ...DeviceIdSchema,
+        range: z
+          .string()
+          .optional()
+          .describe(
+            "Date range expression, instead of start_date and end_date (e.g., 'today', 'last 24h', '2024-W12', 'last christmas')"
+          ),
+        start_date: z
+          .string()
+          .optional()
+          .describe("Start time of data query ('YYYY-MM-DD HH:mm:ss', optionally with an offset such as '+11:00')"),
+        end_date: z
+          .string()
+          .optional()
+          .describe("End time of data query ('YYYY-MM-DD HH:mm:ss', optionally with an offset such as '+11:00')"),
         call_back: z
           .string()
-          .describe("Comma-separated list of field types to return (e.g., 'outdoor.temp,indoor.humidity')"),
-        cycle_type: z.string().optional().describe("Data resolution: 'auto', '5min', '30min', '4hour', '1day'"),
+          .describe(
+            "Comma-separated list of field types, aliases or configured sensor labels to return (e.g., 'outdoor.temperature,indoor.humidity', 'temp,rain', 'Wine cellar')"
+          ),
+        cycle_type: z
+          .enum(["auto", ...Object.keys(HistoryCycleRules)])
+          .optional()
+          .describe(
+            "Data resolution: 'auto' (default; the finest resolution that covers the range in one request, or '1day' " +
+              "split into several requests for longer ranges), '5min' (last 90 days), '30min' (last 365 days), " +
+              "'4hour' (last 730 days) or '1day' (last 1460 days)"
+          ),
+        timezone: z
+          .string()
+          .optional()
+          .describe(
+            "IANA timezone (e.g., 'Europe/London') or UTC offset (e.g., '-05:00') of the dates; defaults to the device's timezone"
+          ),
+        format: z
+          .enum(["raw", "normalized"])
+          .optional()
+          .describe(
+            "'raw' (default) for the Ecowitt response, or 'normalized' for sorted numeric time series with metadata"
+          ),
         ...UnitOptionsSchema,
+        ...UnitPreferencesSchema,
       },
       outputSchema: {
-        history: z.any().describe("Historical device data (raw Ecowitt API response)"),
+        history: HistoryDataSchema.optional().describe(
+          "Historical device data (Ecowitt API response, converted to `units` when given; format 'raw')"
+        ),
+        series: z.array(HistorySeriesSchema).optional().describe("Normalized time series (format 'normalized')"),
+        labels: SensorLabelsSchema.optional().describe("Configured labels and locations of the groups in `history`"),
+        timezone: z.string().describe("Device timezone the dates and timestamps are in"),
+        cycle_type: z.string().describe("Resolution the history was queried with"),
+        start_date: z.string().describe("Device-local start time the history was queried with"),
+        end_date: z.string().describe("Device-local end time the history was queried with"),
+        timestamps: z
+          .record(z.string(), z.string())
+          .optional()
+          .describe(
+            "Epoch seconds from the data mapped to local ISO 8601 times in the device's timezone (format 'raw')"
+          ),
       },
     },
     async (args) => {
       try {
-        const { mac, start_date, end_date, call_back, cycle_type, ...rest } = args;
-        const formattedMac = formatMacAddress(mac);
+        const { range, start_date, end_date, call_back, cycle_type, timezone, units, format, ...rest } = args;
+        const deviceId = await deviceHandlers.resolveDeviceArgs(args);
         const unitOptions = extractUnitOptions(rest);
-        const historyData = await deviceHandlers.getDeviceHistory(
-          formattedMac,
+        const preferences = await deviceHandlers.getUnitPreferences(deviceId, units, unitOptions);
+        const { history, cycleType, ...dates } = await deviceHandlers.queryDeviceHistory(
+          deviceId,
           start_date,
           end_date,
           call_back,
           cycle_type,
-          unitOptions
+          unitOptions,
+          { timezone, range }
+        );
+        const historyData = applyUnitPreferences(history, preferences);
+        const deviceZone = await deviceHandlers.getDeviceTimeZone(deviceId);
+        const sensorConfig = await deviceHandlers.getSensorConfig(deviceId);
+        const labels = configuredSensorLabels(historyData, sensorConfig);
+        const result = {
+          ...(format === "normalized"
+            ? { series: normalizeHistory(historyData, deviceZone, cycleType, sensorConfig) }
+            : { history: historyData, ...(labels && { labels }) }),
+          timezone: deviceZone,
+          cycle_type: cycleType,
+          start_date: dates.startDate,
+          end_date: dates.endDate,
+          ...(format !== "normalized" && { timestamps: historyTimestamps(historyData, deviceZone) }),
+        };
+
+        return {
+          structuredContent: result,
+          content: [{ type: "text", text: JSON.stringify(result, null, 2), contentType: "application/json" }],
+        };
+      } catch (error) {
+        server.server.sendLoggingMessage({
+          level: "error",
+          data: `Error getting historical data for device ${args.device ?? args.mac ?? args.imei}: ${error.message}`,
+        });
+        throw error;
+      }
+    }
+  );
+
+  server.registerTool(
+    "get_iot_device_info",
+    {
+      name: "get_iot_device_info",
+      description:
+        "Get the current state of an IoT sub-device paired with an Ecowitt gateway: a WFC01/WFC02 water valve's " +
+        "status, flow rate and water used today and this month, or an AC1100 smart plug's status, power, voltage " +
+        "and energy used. Give the gateway as well if the sub-device's title or name is not unique.",
+      inputSchema: {
+        ...DeviceIdSchema,
+        iot_device: z.string().describe("IoT sub-device default title (e.g., 'WFC01-0xxxxxx8'), name or device ID"),
+        ...UnitPreferencesSchema,
+      },
+      outputSchema: {
+        device: IotDeviceSchema.describe("The sub-device"),
+        state: IotStateSchema.describe(
+          "Typed state; water in L, flow in L/min and energy in kWh unless `units` say otherwise"
+        ),
+      },
+    },
+    async (args) => {
+      try {
+        const iotDevice = await deviceHandlers.resolveIotDeviceArgs(args);
+        const preferences = await deviceHandlers.getUnitPreferences(iotDevice.parent, args.units);
+        const result = {
+          device: iotDevice,
+          state: normalizeIotState(await deviceHandlers.getIotDeviceState(iotDevice), preferences),
+        };
+
+        return {
+          structuredContent: result,
+          content: [{ type: "text", text: JSON.stringify(result, null, 2), contentType: "application/json" }],
+        };
+      } catch (error) {
+        server.server.sendLoggingMessage({
+          level: "error",
+          data: `Error getting IoT device ${args.iot_device}: ${error.message}`,
+        });
+        throw error;
+      }
+    }
+  );
+
+  server.registerTool(
+    "get_iot_device_history",
+    {
+      name: "get_iot_device_history",
+      description:
+        "Get the history of an IoT sub-device paired with an Ecowitt gateway (e.g. a water valve's water used and " +
+        "temperature, or a smart plug's energy, power and voltage) as sorted numeric time series. Give either " +
+        "`range` or `start_date` and `end_date`, in the gateway's local time unless they include a UTC offset or " +
+        "`timezone` is given.",
+      inputSchema: {
+        ...DeviceIdSchema,
+        iot_device: z.string().describe("IoT sub-device default title (e.g., 'WFC01-0xxxxxx8'), name or device ID"),
+        range: z
+          .string()
+          .optional()
+          .describe(
+            "Date range expression, instead of start_date and end_date (e.g., 'today', 'last 7 days', '2024-03')"
+          ),
+        start_date: z
+          .string()
+          .optional()
+          .describe("Start time of data query ('YYYY-MM-DD HH:mm:ss', optionally with an offset such as '+11:00')"),
+        end_date: z
+          .string()
+          .optional()
+          .describe("End time of data query ('YYYY-MM-DD HH:mm:ss', optionally with an offset such as '+11:00')"),
+        cycle_type: z
+          .enum(["auto", ...Object.keys(HistoryCycleRules)])
+          .optional()
+          .describe(
+            "Data resolution: 'auto' (default; the finest resolution that covers the range in one request, or '1day' " +
+              "split into several requests for longer ranges), '5min', '30min', '4hour' or '1day'"
+          ),
+        timezone: z
+          .string()
+          .optional()
+          .describe("IANA timezone or UTC offset of the dates; defaults to the gateway's timezone"),
+        ...UnitPreferencesSchema,
+      },
+      outputSchema: {
+        device: IotDeviceSchema.describe("The sub-device"),
+        series: z
+          .array(HistorySeriesSchema)
+          .describe("Time series; water in L, flow in L/min and energy in kWh unless `units` say otherwise"),
+        timezone: z.string().describe("Gateway timezone the dates and local times are in"),
+        cycle_type: z.string().describe("Resolution the history was queried with"),
+        start_date: z.string().describe("Device-local start time the history was queried with"),
+        end_date: z.string().describe("Device-local end time the history was queried with"),
+      },
+    },
+    async (args) => {
+      try {
+        const { range, start_date, end_date, cycle_type, timezone, units } = args;
+        const iotDevice = await deviceHandlers.resolveIotDeviceArgs(args);
+        const gatewayId = iotDevice.parent;
+        const preferences = await deviceHandlers.getUnitPreferences(gatewayId, units);
+        const { history, cycleType, ...dates } = await deviceHandlers.getIotDeviceHistory(
+          iotDevice,
+          start_date,
+          end_date,
+          cycle_type,
+          {},
+          { timezone, range }
+        );
+        const converted = Object.fromEntries(
+          Object.entries(history).map(([group, readings]) => [group, convertIotReadings(readings, preferences)])
         );
+        const deviceZone = await deviceHandlers.getDeviceTimeZone(gatewayId);
+        const result = {
+          device: iotDevice,
+          series: normalizeHistory(converted, deviceZone, cycleType),
+          timezone: deviceZone,
+          cycle_type: cycleType,
+          start_date: dates.startDate,
+          end_date: dates.endDate,
+        };
+
+        return {
+          structuredContent: result,
+          content: [{ type: "text", text: JSON.stringify(result, null, 2), contentType: "application/json" }],
+        };
+      } catch (error) {
+        server.server.sendLoggingMessage({
+          level: "error",
+          data: `Error getting history for IoT device ${args.iot_device}: ${error.message}`,
+        });
+        throw error;
+      }
+    }
+  );
+
+  server.registerTool(
+    "get_api_diagnostics",
+    {
+      name: "get_api_diagnostics",
+      description: "Get Ecowitt API client diagnostics: request queue depth, wait times and coalesced requests",
+      outputSchema: {
+        queueDepth: z.number().describe("Requests waiting for the rate limiter"),
+        active: z.number().describe("Requests currently in flight"),
+        started: z.number().describe("Requests started since the server launched"),
+        maxQueueDepth: z.number().describe("Largest queue depth observed"),
+        averageWaitMs: z.number().describe("Average time requests waited in the queue (ms)"),
+        maxWaitMs: z.number().describe("Longest time a request waited in the queue (ms)"),
+        inFlight: z.number().describe("Distinct requests in flight, including retries"),
+        coalescedRequests: z.number().describe("Requests served by sharing an identical in-flight request"),
+        cache: z.object({ hits: z.number(), misses: z.number() }).describe("Response cache hits and misses"),
+        limits: z
+          .object({
+            requestsPerSecond: z.number(),
+            burst: z.number(),
+            maxConcurrent: z.number(),
+          })
+          .describe("Configured rate limits"),
+        accounts: z.record(z.string(), z.any()).describe("Diagnostics for each Ecowitt account"),
+      },
+    },
+    async () => {
+      return {
+        structuredContent: ecowittClient.getDiagnostics(),
+      };
+    }
+  );
+
+  server.registerTool(
+    "clear_cache",
+    {
+      name: "clear_cache",
+      description:
+        "Clear cached Ecowitt API responses so the next call fetches fresh data. Optionally limit to one data type or to one device.",
+      inputSchema: {
+        data_type: z
+          .enum(Object.keys(CACHE_DATA_TYPE_ENDPOINTS))
+          .optional()
+          .describe("Only clear cached responses of this type"),
+        ...DeviceIdSchema,
+      },
+      outputSchema: {
+        removed: z.number().describe("Number of cached responses removed"),
+      },
+    },
+    async ({ data_type, ...args }) => {
+      try {
+        const hasDevice = args.device || args.mac || args.imei;
+        const removed = await ecowittClient.clearCache({
+          endpoint: CACHE_DATA_TYPE_ENDPOINTS[data_type],
+          device: hasDevice ? await deviceHandlers.resolveDeviceArgs(args) : undefined,
+        });
 
         return {
-          structuredContent: { history: historyData },
-          content: [{ type: "text", text: JSON.stringify(historyData, null, 2), contentType: "application/json" }],
+          structuredContent: { removed },
         };
       } catch (error) {
         server.server.sendLoggingMessage({
           level: "error",
-          data: `Error getting historical data for device ${args.mac}: ${error.message}`,
+          data: `Error clearing cache: ${error.message}`,
         });
         throw error;
       }
@@ -0,0 +1,35 @@
+/**
+ * Map over items with an async function, running at most `limit` calls at once.
+ * Results are returned in the same order as the input items. The first rejection rejects the whole call, and no
+ * further items are started after it; calls already in flight are left to settle.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (values below 1 are treated as 1)
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ *
+ * @example
+ * const pages = await mapWithConcurrency([1, 2, 3], 2, (page) => fetchPage(page));
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, limit), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
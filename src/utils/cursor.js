@@ -0,0 +1,37 @@
+/**
+ * Opaque pagination cursor helpers for MCP list requests.
+ * Cursors encode an offset into the full result list as base64url JSON so clients treat them as opaque tokens.
+ */
+import { CustomError } from "./errors.js";
+
+/**
+ * Encode a list offset as an opaque cursor.
+ * @param {number} offset - Index of the first item on the next page
+ * @returns {string} Opaque cursor string
+ */
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ * @param {string} [cursor] - Cursor from the client; a missing cursor means the first page
+ * @returns {number} Offset of the first item on the requested page
+ * @throws {CustomError} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  if (cursor === undefined || cursor === null) {
+    return 0;
+  }
+
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+
+  throw new CustomError(`Invalid cursor "${cursor}".`, "INVALID_CURSOR", "parameter_error");
+}
@@ -0,0 +1,91 @@
+/**
+ * Device identifier utilities. Ecowitt devices are identified either by MAC address (gateways and consoles)
+ * or by IMEI (cellular stations such as the WS6006). These helpers accept either and normalize them.
+ */
+import { z } from "zod";
+import { CustomError } from "./errors.js";
+import { compactMacAddress, formatMacAddress, isValidMacAddress } from "./mac.js";
+
+// IMEIs are 15 decimal digits
+const IMEI_REGEX = /^\d{15}$/;
+
+/**
+ * Shared tool input schema for identifying a device by name, alias, MAC address or IMEI.
+ * Spread into a tool's inputSchema and resolve with DeviceHandlers.resolveDeviceArgs().
+ */
+export const DeviceIdSchema = {
+  device: z
+    .string()
+    .optional()
+    .describe("Device name, configured alias, MAC address or IMEI (e.g., 'Backyard'), instead of mac or imei"),
+  mac: z.string().optional().describe("Device MAC address (format: AA:BB:CC:DD:EE:FF or AABBCCDDEEFF)"),
+  imei: z.string().optional().describe("Device IMEI for cellular stations (15 digits), instead of mac"),
+};
+
+/**
+ * Validate if a string is an IMEI (15 decimal digits).
+ * @param {string} imei - Value to check (e.g., "863879049793071")
+ * @returns {boolean} True if the value looks like an IMEI
+ */
+export function isValidImei(imei) {
+  return typeof imei === "string" && IMEI_REGEX.test(imei.trim());
+}
+
+/**
+ * Normalize a MAC address or IMEI into the form the Ecowitt API expects.
+ * MAC addresses are returned colon separated and upper case, IMEIs as bare digits.
+ * @param {string} id - MAC address (any separator style) or IMEI
+ * @returns {string} Normalized identifier (e.g., "AA:BB:CC:DD:EE:FF" or "863879049793071")
+ * @throws {CustomError} If the value is neither a MAC address nor an IMEI
+ */
+export function normalizeDeviceId(id) {
+  if (isValidImei(id)) {
+    return id.trim();
+  }
+  if (isValidMacAddress(id)) {
+    return formatMacAddress(id.toUpperCase());
+  }
+  throw new CustomError(
+    `Invalid device identifier "${id}". Expected a MAC address (AA:BB:CC:DD:EE:FF) or a 15 digit IMEI.`,
+    "INVALID_PARAMETER",
+    "parameter_error"
+  );
+}
+
+/**
+ * Build the identifier used in device resource URIs: the compact MAC when the device has one, otherwise the IMEI,
+ * otherwise the station ID of a station that only uploads to the receiver.
+ * @param {Object} device - Device with `mac`, `imei` or `stationId`
+ * @returns {string} URI segment (e.g., "AABBCCDDEEFF", "863879049793071" or "KCASANFR123")
+ * @throws {CustomError} If the device has no identifier
+ */
+export function deviceUriId(device) {
+  if (device.mac) {
+    return compactMacAddress(device.mac);
+  }
+  if (device.imei) {
+    return device.imei;
+  }
+  if (device.stationId) {
+    return encodeURIComponent(device.stationId);
+  }
+  throw new CustomError(`Device "${device.name}" has no MAC, IMEI or station ID.`, "INVALID_DEVICE", "device_error");
+}
+
+/**
+ * Resolve tool arguments that may identify a device by `mac` or `imei`.
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.mac] - Device MAC address
+ * @param {string} [args.imei] - Device IMEI
+ * @returns {string} Normalized device identifier
+ * @throws {CustomError} If neither or both identifiers are given, or the identifier is invalid
+ */
+export function resolveDeviceIdArgs({ mac, imei }) {
+  if (mac && imei) {
+    throw new CustomError("Provide either mac or imei, not both.", "INVALID_PARAMETER", "parameter_error");
+  }
+  if (!mac && !imei) {
+    throw new CustomError("A device, mac or imei is required.", "INVALID_PARAMETER", "parameter_error");
+  }
+  return normalizeDeviceId(mac ?? imei);
+}
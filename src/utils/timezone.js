@@ -0,0 +1,132 @@
+/**
+ * Timezone utilities. Ecowitt devices report an IANA zone (`date_zone_id`, e.g. "Australia/Melbourne") and the
+ * history API works in the device's wall-clock time, so dates are converted between zones without a library.
+ * A zone is either an IANA name or a fixed UTC offset ("Z", "UTC", "+10:00", "-0530").
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Fixed UTC offsets: "Z", "UTC", "GMT", or a sign and hours with optional minutes, optionally prefixed by UTC/GMT
+const UTC_OFFSET_REGEX = /^(?:Z|(?:UTC|GMT)?([+-])(\d{2}):?(\d{2})?|UTC|GMT)$/i;
+
+// Intl formatters are expensive to create, so keep one per zone
+const formatters = new Map();
+
+/**
+ * Parse a fixed UTC offset.
+ * @param {string} value - Offset such as "Z", "UTC", "+10:00", "+1000" or "-05"
+ * @returns {number|undefined} Offset in minutes east of UTC, or undefined if the value is not an offset
+ */
+export function parseUtcOffset(value) {
+  const match = typeof value === "string" ? UTC_OFFSET_REGEX.exec(value.trim()) : null;
+  if (!match) {
+    return undefined;
+  }
+  const [, sign, hours = "0", minutes = "0"] = match;
+  const offset = Number(hours) * 60 + Number(minutes);
+  return sign === "-" ? -offset : offset;
+}
+
+/**
+ * Get the Intl formatter that reports wall-clock fields for a zone.
+ * @param {string} zone - IANA zone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {RangeError} If the zone is unknown
+ */
+function zoneFormatter(zone) {
+  let formatter = formatters.get(zone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: zone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(zone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check whether a value is a fixed UTC offset or an IANA zone name known to the runtime.
+ * @param {string} zone - Zone to check (e.g. "Europe/London" or "+01:00")
+ * @returns {boolean} True if the zone can be used with the other helpers
+ */
+export function isValidTimeZone(zone) {
+  if (parseUtcOffset(zone) !== undefined) {
+    return true;
+  }
+  try {
+    zoneFormatter(zone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get a zone's offset from UTC at an instant.
+ * @param {string} zone - IANA zone name or fixed UTC offset
+ * @param {number} epochMs - Instant in epoch milliseconds
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ * @throws {RangeError} If the zone is unknown
+ */
+export function timeZoneOffsetMs(zone, epochMs) {
+  const fixedOffset = parseUtcOffset(zone);
+  if (fixedOffset !== undefined) {
+    return fixedOffset * MINUTE_MS;
+  }
+
+  const fields = Object.fromEntries(
+    zoneFormatter(zone)
+      .formatToParts(new Date(epochMs))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallTime = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return wallTime - Math.floor(epochMs / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a zone to an instant. Times skipped by a daylight saving change resolve to the
+ * instant after the change; repeated times resolve to their first occurrence.
+ * @param {Date} wallTime - Date whose UTC fields hold the wall-clock time (as returned by parseEcowittDate)
+ * @param {string} zone - IANA zone name or fixed UTC offset
+ * @returns {number} Epoch milliseconds
+ */
+export function wallTimeToEpoch(wallTime, zone) {
+  const wall = wallTime.getTime();
+  // Zones change offset at most once around any given day, so try the offsets in effect a day either side
+  const candidates = [wall - timeZoneOffsetMs(zone, wall - DAY_MS), wall - timeZoneOffsetMs(zone, wall + DAY_MS)];
+  const matching = candidates.filter((epoch) => epoch + timeZoneOffsetMs(zone, epoch) === wall);
+  return matching.length > 0 ? Math.min(...matching) : candidates[0];
+}
+
+/**
+ * Convert an instant to the wall-clock time in a zone.
+ * @param {number} epochMs - Epoch milliseconds
+ * @param {string} zone - IANA zone name or fixed UTC offset
+ * @returns {Date} Date whose UTC fields hold the wall-clock time (for formatEcowittDate)
+ */
+export function epochToWallTime(epochMs, zone) {
+  return new Date(epochMs + timeZoneOffsetMs(zone, epochMs));
+}
+
+/**
+ * Format an instant as ISO 8601 in a zone, with its UTC offset.
+ * @param {number} epochMs - Epoch milliseconds
+ * @param {string} zone - IANA zone name or fixed UTC offset
+ * @returns {string} Local time, e.g. "2024-12-25T00:00:00+11:00"
+ */
+export function formatInTimeZone(epochMs, zone) {
+  const offset = timeZoneOffsetMs(zone, epochMs);
+  const minutes = Math.abs(offset) / MINUTE_MS;
+  const sign = offset < 0 ? "-" : "+";
+  const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+  return `${new Date(epochMs + offset).toISOString().slice(0, 19)}${sign}${hh}:${mm}`;
+}
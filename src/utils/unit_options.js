@@ -10,6 +10,8 @@ import { z } from "zod";
  * - UnitOptionsZod: Complete Zod object schema for standalone validation
  * - unitOptionKeys: Array of valid unit option key names
  * - extractUnitOptions(): Function to filter unit options from objects
+ * - UnitPreferencesSchema: Zod schema for the friendly `units` option, which is converted locally (see units.js)
+ * - unitOptionPreferences(): Function to turn unit ids into per-quantity target units (as used by units.js)
  */
 
 export const UnitOptionsSchema = {
@@ -45,6 +47,19 @@ export const UnitOptionsSchema = {
     .describe("Capacity unit: 24 for L (default), 25 for m³, 26 for gal"),
 };
 
+/**
+ * Friendly output units, applied locally to the API's response whatever units it was reported in.
+ * Unlike the unit ids, this is not sent to the API.
+ */
+export const UnitPreferencesSchema = {
+  units: z
+    .string()
+    .optional()
+    .describe(
+      "Output units: 'metric', 'imperial' and/or unit names, comma-separated and applied in order over the server's default units (e.g., 'metric, mph', 'celsius, hPa')"
+    ),
+};
+
 /**
  * Complete Zod schema for validating unit options objects.
  * Use this for standalone validation of unit option parameters.
@@ -74,3 +89,46 @@ export const unitOptionKeys = Object.keys(UnitOptionsSchema);
 export function extractUnitOptions(obj) {
   return Object.fromEntries(Object.entries(obj).filter(([key]) => unitOptionKeys.includes(key)));
 }
+
+// Units each unit id stands for, by quantity, as named in units.js
+const UNIT_ID_UNITS = {
+  1: { temperature: "℃" },
+  2: { temperature: "℉" },
+  3: { pressure: "hPa" },
+  4: { pressure: "inHg" },
+  5: { pressure: "mmHg" },
+  6: { speed: "m/s" },
+  7: { speed: "km/h" },
+  8: { speed: "knots" },
+  9: { speed: "mph" },
+  10: { speed: "BFT" },
+  11: { speed: "fpm" },
+  12: { rain: "mm", rainRate: "mm/hr" },
+  13: { rain: "in", rainRate: "in/hr" },
+  14: { irradiance: "lux" },
+  15: { irradiance: "fc" },
+  16: { irradiance: "W/m²" },
+  24: { volume: "L", flow: "L/min" },
+  25: { volume: "m³", flow: "m³/min" },
+  26: { volume: "gal", flow: "gal/min" },
+};
+
+/**
+ * Turn unit ids into per-quantity target units, so readings from sources that ignore them (local gateways and
+ * station uploads) can be converted locally to the units they ask for.
+ *
+ * @param {Object} unitOptions - Unit options, as from extractUnitOptions
+ * @returns {Object<string, string>} Target unit by quantity
+ *
+ * @example
+ * unitOptionPreferences({ temp_unitid: 1, rainfall_unitid: 12 });
+ * // Result: { temperature: "℃", rain: "mm", rainRate: "mm/hr" }
+ */
+export function unitOptionPreferences(unitOptions) {
+  return Object.assign(
+    {},
+    ...Object.entries(unitOptions)
+      .filter(([key]) => unitOptionKeys.includes(key))
+      .map(([, id]) => UNIT_ID_UNITS[id])
+  );
+}
@@ -0,0 +1,334 @@
+import { CustomError } from "./errors.js";
+
+/**
+ * Local unit conversion for Ecowitt readings.
+ * The API reports units as display glyphs that vary between endpoints and firmware ("ºF" and "℉", "kW·h"),
+ * and numeric unit ids only cover some quantities, so readings are converted here instead: every unit belongs to
+ * a quantity and converts through that quantity's base unit.
+ *
+ * @fileoverview This module exports:
+ * - UNITS: Canonical units with their quantity and display precision
+ * - UNIT_SYSTEMS: The "metric" and "imperial" unit systems
+ * - canonicalUnit(): Normalize a unit glyph or friendly name
+ * - convertValue(): Convert a number between units of the same quantity
+ * - parseUnitPreferences(): Turn friendly names ("metric", "celsius", "hPa") into per-quantity target units
+ * - convertReadings(): Convert every reading in a real-time, history or device info payload
+ */
+
+// Beaufort force upper bounds in m/s, for forces 0 to 11; anything faster is force 12
+const BEAUFORT_LIMITS = [0.5, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7];
+
+// Groups reporting rainfall. Other groups measure lengths in millimetres or inches too (the laser distance
+// sensors' depth), which the rain preference must not convert
+const RAIN_GROUP_REGEX = /^rainfall/;
+
+// Ecowitt's conversion factor between solar irradiance and illuminance
+const LUX_PER_WATT_PER_SQUARE_METRE = 126.7;
+
+/**
+ * Define a unit that converts linearly to its quantity's base unit.
+ * @private
+ * @param {string} quantity - Quantity the unit measures
+ * @param {number} factor - Base units per unit
+ * @param {number} decimals - Display precision
+ * @param {number} [offset=0] - Base value at zero (for temperatures)
+ * @returns {Object} Unit definition
+ */
+function linear(quantity, factor, decimals, offset = 0) {
+  return {
+    quantity,
+    decimals,
+    toBase: (value) => value * factor + offset,
+    fromBase: (value) => (value - offset) / factor,
+  };
+}
+
+/**
+ * Canonical units by symbol. The first unit of each quantity is its base unit.
+ * @type {Object<string, {quantity: string, decimals: number, toBase: Function, fromBase: Function}>}
+ */
+export const UNITS = {
+  "℃": linear("temperature", 1, 1),
+  "℉": linear("temperature", 5 / 9, 1, -32 * (5 / 9)),
+  K: linear("temperature", 1, 2, -273.15),
+  hPa: linear("pressure", 1, 1),
+  inHg: linear("pressure", 33.8639, 2),
+  mmHg: linear("pressure", 1.33322, 1),
+  kPa: linear("pressure", 10, 2),
+  "m/s": linear("speed", 1, 1),
+  "km/h": linear("speed", 1 / 3.6, 1),
+  knots: linear("speed", 0.514444, 1),
+  mph: linear("speed", 0.44704, 1),
+  fpm: linear("speed", 0.00508, 0),
+  BFT: {
+    quantity: "speed",
+    decimals: 0,
+    // A force converts to the middle of its speed band
+    toBase: (force) => {
+      const index = Math.min(Math.max(Math.round(force), 0), 12);
+      const lower = BEAUFORT_LIMITS[index - 1] ?? 0;
+      return index === 12 ? lower : (lower + BEAUFORT_LIMITS[index]) / 2;
+    },
+    fromBase: (speed) => {
+      const force = BEAUFORT_LIMITS.findIndex((limit) => speed < limit);
+      return force === -1 ? 12 : force;
+    },
+  },
+  mm: linear("rain", 1, 1),
+  in: linear("rain", 25.4, 2),
+  "mm/hr": linear("rainRate", 1, 1),
+  "in/hr": linear("rainRate", 25.4, 2),
+  "W/m²": linear("irradiance", 1, 1),
+  lux: linear("irradiance", 1 / LUX_PER_WATT_PER_SQUARE_METRE, 0),
+  fc: linear("irradiance", 10.7639 / LUX_PER_WATT_PER_SQUARE_METRE, 1),
+  L: linear("volume", 1, 1),
+  "m³": linear("volume", 1000, 3),
+  gal: linear("volume", 3.78541, 2),
+  "L/min": linear("flow", 1, 1),
+  "m³/min": linear("flow", 1000, 3),
+  "gal/min": linear("flow", 3.78541, 2),
+  kWh: linear("energy", 1, 2),
+  Wh: linear("energy", 0.001, 0),
+  W: linear("power", 1, 0),
+  kW: linear("power", 1000, 2),
+  km: linear("distance", 1, 1),
+  mi: linear("distance", 1.60934, 1),
+  m: linear("height", 1, 2),
+  ft: linear("height", 0.3048, 2),
+};
+
+/**
+ * Unit systems, as the target unit for each quantity.
+ * @type {Object<string, Object<string, string>>}
+ */
+export const UNIT_SYSTEMS = {
+  metric: {
+    temperature: "℃",
+    pressure: "hPa",
+    speed: "km/h",
+    rain: "mm",
+    rainRate: "mm/hr",
+    irradiance: "W/m²",
+    volume: "L",
+    flow: "L/min",
+    energy: "kWh",
+    power: "W",
+    distance: "km",
+    height: "m",
+  },
+  imperial: {
+    temperature: "℉",
+    pressure: "inHg",
+    speed: "mph",
+    rain: "in",
+    rainRate: "in/hr",
+    irradiance: "W/m²",
+    volume: "gal",
+    flow: "gal/min",
+    energy: "kWh",
+    power: "W",
+    distance: "mi",
+    height: "ft",
+  },
+};
+
+// Glyphs and friendly names mapped to canonical units, matched case-insensitively
+const UNIT_ALIASES = {
+  "℃": ["ºc", "°c", "c", "celsius", "centigrade"],
+  "℉": ["ºf", "°f", "f", "fahrenheit"],
+  K: ["kelvin"],
+  hPa: ["hectopascal", "mbar", "millibar"],
+  inHg: ["inches of mercury"],
+  "km/h": ["kph", "kmh", "km/hr"],
+  knots: ["knot", "kn", "kt", "kts"],
+  BFT: ["beaufort"],
+  fpm: ["ft/min"],
+  mm: ["millimetre", "millimetres", "millimeter", "millimeters"],
+  in: ["inch", "inches"],
+  "mm/hr": ["mm/h"],
+  "in/hr": ["in/h"],
+  "W/m²": ["w/m2"],
+  lux: ["lx"],
+  fc: ["footcandle", "footcandles"],
+  L: ["litre", "litres", "liter", "liters"],
+  "m³": ["m3", "cubic metres", "cubic meters"],
+  gal: ["gallon", "gallons"],
+  "m³/min": ["m3/min"],
+  "gal/min": ["gpm"],
+  kWh: ["kw·h", "kw h"],
+  Wh: ["w·h"],
+  km: ["kilometre", "kilometres", "kilometer", "kilometers"],
+  mi: ["mile", "miles"],
+  m: ["metre", "metres", "meter", "meters"],
+  ft: ["feet", "foot"],
+};
+
+const UNIT_LOOKUP = new Map([
+  ...Object.keys(UNITS).map((unit) => [unit.toLowerCase(), unit]),
+  ...Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map((alias) => [alias, unit])),
+]);
+
+/**
+ * Normalize a unit glyph or friendly name to its canonical symbol.
+ * @param {string} unit - Unit as reported by the API ("ºF", "kW·h") or named by a user ("celsius")
+ * @returns {string|undefined} Canonical unit (a key of UNITS), or undefined if the unit is not convertible
+ */
+export function canonicalUnit(unit) {
+  return typeof unit === "string" ? UNIT_LOOKUP.get(unit.trim().toLowerCase()) : undefined;
+}
+
+/**
+ * Convert a number and round it to the target unit's display precision, or finer when the source value's last
+ * decimal is worth less than that in the target unit, so precision is not lost (37 Wh is 0.037 kWh, not 0.04).
+ * @private
+ * @param {string|number} value - Value as given, whose decimals set the source precision
+ * @param {number} number - Value as a number
+ * @param {Object} source - Source unit definition
+ * @param {Object} target - Target unit definition
+ * @returns {number} Converted and rounded value
+ */
+function convertNumber(value, number, source, target) {
+  const convert = (amount) => target.fromBase(source.toBase(amount));
+  const converted = convert(number);
+  const sourceDecimals = String(value).split(".")[1]?.length ?? 0;
+  const step = Math.abs(convert(number + 10 ** -sourceDecimals) - converted);
+  // Rounded first so a step of 0.001 needs 3 decimals despite floating point error
+  const needed = Math.floor(Number((-Math.log10(step)).toFixed(6)));
+  const decimals = Number.isFinite(needed) ? Math.max(target.decimals, needed) : target.decimals;
+  return Number(converted.toFixed(decimals));
+}
+
+/**
+ * Convert a number between two units of the same quantity.
+ * @param {number} value - Value to convert
+ * @param {string} from - Source unit (any glyph or name accepted by canonicalUnit)
+ * @param {string} to - Target unit
+ * @returns {number} Converted value, rounded to the target unit's display precision or the value's, if finer
+ * @throws {CustomError} If either unit is unknown or they measure different quantities
+ */
+export function convertValue(value, from, to) {
+  const source = UNITS[canonicalUnit(from)];
+  const target = UNITS[canonicalUnit(to)];
+  if (!source || !target || source.quantity !== target.quantity) {
+    throw new CustomError(`Cannot convert from "${from}" to "${to}".`, "INVALID_PARAMETER", "parameter_error");
+  }
+  return convertNumber(value, value, source, target);
+}
+
+/**
+ * Turn friendly unit names into per-quantity target units.
+ * Names are applied in order, so later names override earlier ones: "metric, mph" is metric with wind in mph.
+ * @param {string|Array<string|undefined>} names - Unit systems ("metric", "imperial") and units ("celsius", "hPa",
+ *   "km/h"), comma-separated or as an array of comma-separated lists (empty entries are skipped)
+ * @returns {Object<string, string>} Target unit by quantity
+ * @throws {CustomError} If a name is not a known unit system or unit
+ */
+export function parseUnitPreferences(names) {
+  const list = [names].flat().flatMap((item) => String(item ?? "").split(","));
+  const preferences = {};
+  for (const name of list.map((item) => item.trim()).filter(Boolean)) {
+    const system = UNIT_SYSTEMS[name.toLowerCase()];
+    const unit = canonicalUnit(name);
+    if (system) {
+      Object.assign(preferences, system);
+    } else if (unit) {
+      preferences[UNITS[unit].quantity] = unit;
+    } else {
+      throw new CustomError(
+        `Unknown unit "${name}". Use "metric", "imperial" or a unit such as "celsius", "hPa", "mph" or "mm".`,
+        "INVALID_PARAMETER",
+        "parameter_error"
+      );
+    }
+  }
+  return preferences;
+}
+
+/**
+ * Convert one reading value, keeping its type (the API reports numbers as strings).
+ * @private
+ * @param {string|number} value - Reading value
+ * @param {Object} source - Source unit definition
+ * @param {Object} target - Target unit definition
+ * @returns {string|number} Converted value, or the value unchanged if it is not numeric
+ */
+function convertReading(value, source, target) {
+  const number = typeof value === "number" ? value : Number.parseFloat(value);
+  if (!Number.isFinite(number) || (typeof value === "string" && value.trim() === "")) {
+    return value;
+  }
+  const converted = convertNumber(value, number, source, target);
+  return typeof value === "number" ? converted : String(converted);
+}
+
+/**
+ * Convert every reading in a payload to the preferred units.
+ * Readings are objects with a `unit` and either a `value` (real-time and device info) or a `list` of values keyed
+ * by timestamp (history). Readings in a quantity without a preference keep their value but get the canonical
+ * unit symbol, so the same unit is always spelled the same way. Unknown units are left untouched.
+ * Millimetres and inches only follow the rain preference within rain groups (see RAIN_GROUP_REGEX).
+ * @param {*} data - Payload to convert; it is not modified
+ * @param {Object<string, string>} preferences - Target unit by quantity, from parseUnitPreferences
+ * @returns {*} Converted copy of the payload
+ */
+export function convertReadings(data, preferences) {
+  return convertTree(data, preferences, false);
+}
+
+/**
+ * Convert one reading to the preferred unit of its quantity.
+ * @private
+ * @param {Object} data - Reading with a `value` or `list`
+ * @param {string} unit - Canonical unit of the reading
+ * @param {Object<string, string>} preferences - Target unit by quantity
+ * @param {boolean} inRainGroup - Whether the reading is within a rain group
+ * @returns {Object} Converted copy of the reading
+ */
+function convertUnitReading(data, unit, preferences, inRainGroup) {
+  const source = UNITS[unit];
+  const converts = source.quantity !== "rain" || inRainGroup;
+  const targetUnit = (converts && preferences[source.quantity]) || unit;
+  const target = UNITS[targetUnit];
+  const reading = { ...data, unit: targetUnit };
+  if (targetUnit === unit) {
+    return reading;
+  }
+  if ("value" in data) {
+    reading.value = convertReading(data.value, source, target);
+  }
+  if (data.list && typeof data.list === "object") {
+    reading.list = Object.fromEntries(
+      Object.entries(data.list).map(([time, value]) => [time, convertReading(value, source, target)])
+    );
+  }
+  return reading;
+}
+
+/**
+ * Convert the readings in part of a payload.
+ * @private
+ * @param {*} data - Part of the payload
+ * @param {Object<string, string>} preferences - Target unit by quantity
+ * @param {boolean} inRainGroup - Whether the part is within a rain group
+ * @returns {*} Converted copy
+ */
+function convertTree(data, preferences, inRainGroup) {
+  if (Array.isArray(data)) {
+    return data.map((item) => convertTree(item, preferences, inRainGroup));
+  }
+  if (!data || typeof data !== "object") {
+    return data;
+  }
+
+  const unit = canonicalUnit(data.unit);
+  if (unit && ("value" in data || "list" in data)) {
+    return convertUnitReading(data, unit, preferences, inRainGroup);
+  }
+
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [
+      key,
+      convertTree(value, preferences, inRainGroup || RAIN_GROUP_REGEX.test(key)),
+    ])
+  );
+}
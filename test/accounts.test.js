@@ -0,0 +1,178 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import createFetchMock from "vitest-fetch-mock";
+import { MultiAccountClient } from "../src/ecowitt/accounts.js";
+import { DeviceNotFoundError } from "../src/ecowitt/errors.js";
+import { loadConfig } from "./helpers/config";
+import { loadFixture } from "./helpers/fixtures.js";
+
+const fetchMocker = createFetchMock(vi);
+fetchMocker.enableMocks();
+
+describe("MultiAccountClient", () => {
+  let config;
+  const deviceList = loadFixture("ecowitt", "device-list-success");
+  const [mainStation, gardenStation] = deviceList.data.list;
+
+  /**
+   * Respond to /device/list with a different device per account and echo other requests' API key
+   * @param {Request} request - Mocked fetch request
+   * @returns {string} Response body
+   */
+  const respondPerAccount = (request) => {
+    const url = new URL(request.url);
+    const apiKey = url.searchParams.get("api_key");
+    if (url.pathname.endsWith("/device/list")) {
+      const list = apiKey === "home-api-key" ? [mainStation] : [gardenStation];
+      return JSON.stringify({ ...deviceList, data: { total: 1, totalPage: 1, pageNum: 1, list } });
+    }
+    return JSON.stringify({ code: 0, msg: "success", time: "1700000000", data: { apiKey } });
+  };
+
+  beforeEach(async () => {
+    vi.resetModules();
+    fetch.resetMocks();
+    config = await loadConfig();
+    config.accounts = [
+      { name: "home", applicationKey: "home-app-key", apiKey: "home-api-key" },
+      { name: "office", applicationKey: "office-app-key", apiKey: "office-api-key" },
+    ];
+    fetch.mockResponse(respondPerAccount);
+  });
+
+  it("should fall back to a single default account from the ecowitt keys", async () => {
+    delete config.accounts;
+    fetch.mockResponse(JSON.stringify(deviceList));
+    const client = new MultiAccountClient(config);
+
+    const devices = await client.listDevices();
+
+    expect(devices.map((device) => device.account)).toEqual(["default", "default"]);
+    expect(fetch.mock.calls[0][0]).toContain("api_key=test-api-key");
+  });
+
+  it("should aggregate devices across accounts and tag each with its account", async () => {
+    const client = new MultiAccountClient(config);
+
+    const devices = await client.listDevices();
+
+    expect(devices.map((device) => [device.name, device.account])).toEqual([
+      ["Weather Station Main", "home"],
+      ["Garden Station", "office"],
+    ]);
+  });
+
+  it("should list a device shared by two accounts once", async () => {
+    fetch.mockResponse(JSON.stringify(deviceList));
+    const client = new MultiAccountClient(config);
+
+    const devices = await client.listDevices();
+
+    expect(devices).toHaveLength(2);
+    expect(devices.every((device) => device.account === "home")).toBe(true);
+  });
+
+  it("should route device requests to the owning account", async () => {
+    const client = new MultiAccountClient(config);
+
+    const info = await client.getDeviceInfo("11:22:33:44:55:66");
+    const realtime = await client.getRealTimeInfo("AA:BB:CC:DD:EE:FF");
+
+    expect(info.apiKey).toBe("office-api-key");
+    expect(realtime.apiKey).toBe("home-api-key");
+    // Devices are listed once to learn their owners
+    const listCalls = fetch.mock.calls.filter(([url]) => url.includes("/device/list"));
+    expect(listCalls).toHaveLength(2);
+  });
+
+  it("should throw DeviceNotFoundError for a device no account owns", async () => {
+    const client = new MultiAccountClient(config);
+
+    await expect(client.getDeviceInfo("00:11:22:33:44:55")).rejects.toThrow(DeviceNotFoundError);
+  });
+
+  it("should clear caches and sum diagnostics across accounts", async () => {
+    const client = new MultiAccountClient(config);
+    await client.listDevices();
+    await client.listDevices();
+
+    const diagnostics = client.getDiagnostics();
+    expect(diagnostics.started).toBe(2);
+    expect(diagnostics.cache).toEqual({ hits: 2, misses: 2 });
+    expect(Object.keys(diagnostics.accounts)).toEqual(["home", "office"]);
+    expect(diagnostics.accounts.home.started).toBe(1);
+
+    await expect(client.clearCache()).resolves.toBe(2);
+  });
+
+  it("should list the devices of healthy accounts and log the accounts that fail", async () => {
+    fetch.mockResponse((request) =>
+      new URL(request.url).searchParams.get("api_key") === "office-api-key"
+        ? JSON.stringify({ code: 40011, msg: "Illegal Api_Key Parameter", time: "1700000000", data: [] })
+        : respondPerAccount(request)
+    );
+    const logger = vi.fn();
+    const client = new MultiAccountClient(config, { logger });
+
+    const devices = await client.listDevices();
+
+    expect(devices.map((device) => [device.name, device.account])).toEqual([["Weather Station Main", "home"]]);
+    expect(logger).toHaveBeenCalledWith("warning", expect.stringContaining('account "office"'));
+  });
+
+  it("should throw when the devices of every account fail to list", async () => {
+    fetch.mockResponse(JSON.stringify({ code: 40011, msg: "Illegal Api_Key Parameter", time: "1700000000", data: [] }));
+    const client = new MultiAccountClient(config, { logger: vi.fn() });
+
+    await expect(client.listDevices()).rejects.toThrow("Illegal Api_Key Parameter");
+  });
+
+  it("should clear a cache directory shared by accounts once", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "ecowitt-accounts-"));
+    try {
+      config.ecowitt.cache = { ...config.ecowitt.cache, dir };
+      const client = new MultiAccountClient(config);
+      await client.listDevices();
+
+      await expect(client.clearCache()).resolves.toBe(2);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should replay each account's own recorded responses from a shared cassette", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "ecowitt-accounts-"));
+    try {
+      const path = join(dir, "cassette.json");
+      config.ecowitt.cache = { enabled: false };
+      // The home account's list is recorded last, so replaying in call order would swap the accounts' devices
+      fetch.mockResponse(async (request) => {
+        if (request.url.includes("api_key=home-api-key")) {
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        return respondPerAccount(request);
+      });
+      await new MultiAccountClient({
+        ...config,
+        ecowitt: { ...config.ecowitt, cassette: { mode: "record", path } },
+      }).listDevices();
+      fetch.resetMocks();
+
+      const player = new MultiAccountClient({
+        ...config,
+        ecowitt: { ...config.ecowitt, cassette: { mode: "replay", path } },
+      });
+      const devices = await player.listDevices();
+
+      expect(devices.map((device) => [device.name, device.account])).toEqual([
+        ["Weather Station Main", "home"],
+        ["Garden Station", "office"],
+      ]);
+      expect(fetch).not.toHaveBeenCalled();
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,132 @@
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { MemoryCacheStore, ResponseCache } from "../src/ecowitt/cache.js";
+
+describe("ResponseCache", () => {
+  let now;
+  const clock = () => now;
+
+  beforeEach(() => {
+    now = Date.parse("2024-06-01T12:00:00Z");
+  });
+
+  describe("ttlFor", () => {
+    const cache = new ResponseCache({ deviceTtl: 300, realtimeTtl: 60 }, () => Date.parse("2024-06-01T12:00:00Z"));
+
+    it("should use the device TTL for device list and info", () => {
+      expect(cache.ttlFor("/device/list")).toBe(300000);
+      expect(cache.ttlFor("/device/info", { mac: "AA:BB:CC:DD:EE:FF" })).toBe(300000);
+    });
+
+    it("should use the realtime TTL for real-time data", () => {
+      expect(cache.ttlFor("/device/real_time")).toBe(60000);
+    });
+
+    it("should cache closed history windows forever", () => {
+      expect(cache.ttlFor("/device/history", { end_date: "2024-05-01 23:59:59" })).toBe(Number.POSITIVE_INFINITY);
+    });
+
+    it("should cache history windows that may still change briefly", () => {
+      expect(cache.ttlFor("/device/history", { end_date: "2024-06-01 08:00:00" })).toBe(60000);
+      expect(cache.ttlFor("/device/history", { end_date: "2024-06-02 00:00:00" })).toBe(60000);
+    });
+
+    it("should not cache unknown endpoints", () => {
+      expect(cache.ttlFor("/test/error")).toBe(0);
+    });
+  });
+
+  describe("get and set", () => {
+    it("should return cached values until they expire", async () => {
+      const cache = new ResponseCache({ realtimeTtl: 60 }, clock);
+      await cache.set("key", "/device/real_time", {}, { value: 1 });
+
+      expect((await cache.get("key")).value).toEqual({ value: 1 });
+
+      now += 61000;
+      expect(await cache.get("key")).toBeUndefined();
+      expect(cache.getStats()).toEqual({ hits: 1, misses: 1 });
+    });
+
+    it("should keep closed history windows indefinitely", async () => {
+      const cache = new ResponseCache({}, clock);
+      await cache.set("key", "/device/history", { end_date: "2024-01-01 23:59:59" }, { outdoor: {} });
+
+      now += 365 * 24 * 60 * 60 * 1000;
+      expect((await cache.get("key")).value).toEqual({ outdoor: {} });
+    });
+
+    it("should not store anything when disabled", async () => {
+      const cache = new ResponseCache({ enabled: false }, clock);
+      await cache.set("key", "/device/list", {}, { list: [] });
+      expect(await cache.get("key")).toBeUndefined();
+    });
+  });
+
+  describe("clear", () => {
+    it("should clear entries matching an endpoint or device", async () => {
+      const cache = new ResponseCache({}, clock);
+      await cache.set("list", "/device/list", {}, {});
+      await cache.set("rt-1", "/device/real_time", { mac: "AA:BB:CC:DD:EE:01" }, {});
+      await cache.set("rt-2", "/device/real_time", { mac: "AA:BB:CC:DD:EE:02" }, {});
+
+      expect(await cache.clear({ device: "AA:BB:CC:DD:EE:01" })).toBe(1);
+      expect(await cache.clear({ endpoint: "/device/real_time" })).toBe(1);
+      expect(await cache.get("list")).toBeDefined();
+      expect(await cache.clear()).toBe(1);
+      expect(await cache.get("list")).toBeUndefined();
+    });
+  });
+
+  describe("MemoryCacheStore", () => {
+    it("should evict the oldest entry when full", async () => {
+      const store = new MemoryCacheStore(2);
+      await store.set("a", 1);
+      await store.set("b", 2);
+      await store.set("c", 3);
+
+      expect(await store.get("a")).toBeUndefined();
+      expect(await store.get("c")).toBe(3);
+    });
+  });
+
+  describe("on-disk backend", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), "ecowitt-cache-"));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should persist entries across cache instances", async () => {
+      const first = new ResponseCache({ dir }, clock);
+      await first.set("https://example.test/?api_key=secret", "/device/list", {}, { list: [1] });
+
+      const second = new ResponseCache({ dir }, clock);
+      expect((await second.get("https://example.test/?api_key=secret")).value).toEqual({ list: [1] });
+    });
+
+    it("should not write cache keys to file names", async () => {
+      const cache = new ResponseCache({ dir }, clock);
+      await cache.set("https://example.test/?api_key=secret", "/device/list", {}, {});
+
+      const files = await readdir(dir);
+      expect(files).toHaveLength(1);
+      expect(files[0]).not.toContain("secret");
+    });
+
+    it("should clear entries from disk", async () => {
+      const cache = new ResponseCache({ dir }, clock);
+      await cache.set("a", "/device/list", {}, {});
+      await cache.set("b", "/device/info", { mac: "AA:BB:CC:DD:EE:FF" }, {});
+
+      expect(await cache.clear({ endpoint: "/device/info" })).toBe(1);
+      expect(await readdir(dir)).toHaveLength(1);
+    });
+  });
+});
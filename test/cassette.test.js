@@ -0,0 +1,132 @@
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import createFetchMock from "vitest-fetch-mock";
+import { Cassette, redactUrl } from "../src/ecowitt/cassette.js";
+import { EcowittClient } from "../src/ecowitt/client.js";
+import { CustomError } from "../src/utils/errors.js";
+import { loadConfig } from "./helpers/config";
+import { loadFixture } from "./helpers/fixtures.js";
+
+const fetchMocker = createFetchMock(vi);
+fetchMocker.enableMocks();
+
+const CASSETTES_DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "cassettes");
+
+describe("redactUrl", () => {
+  it("should replace the credentials and return their values", () => {
+    const { url, secrets } = redactUrl(
+      "https://api.ecowitt.net/api/v3/device/list?application_key=app&api_key=key&page=1"
+    );
+
+    expect(url).toBe("https://api.ecowitt.net/api/v3/device/list?application_key=REDACTED&api_key=REDACTED&page=1");
+    expect(secrets).toEqual(["app", "key"]);
+  });
+});
+
+describe("Cassette", () => {
+  let config;
+  let dir;
+
+  /**
+   * Create a client that records to or replays from a cassette
+   * @param {string} mode - "record" or "replay"
+   * @param {string} path - Cassette file path
+   * @returns {EcowittClient} Client using the cassette
+   */
+  const clientWithCassette = (mode, path) =>
+    new EcowittClient({
+      ...config,
+      ecowitt: { ...config.ecowitt, cache: { enabled: false }, cassette: { mode, path } },
+    });
+
+  beforeEach(async () => {
+    fetch.resetMocks();
+    config = await loadConfig();
+    dir = await mkdtemp(join(tmpdir(), "ecowitt-cassette-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("should reject invalid options", () => {
+    expect(() => new Cassette({ mode: "record" })).toThrow("Cassette path is required");
+    expect(() => new Cassette({ mode: "rewind", path: "cassette.json" })).toThrow('Invalid cassette mode "rewind"');
+  });
+
+  it("should record requests and responses with the credentials redacted", async () => {
+    const deviceList = loadFixture("ecowitt", "device-list-success");
+    fetch.mockResponseOnce(JSON.stringify(deviceList), { headers: { "Content-Type": "application/json" } });
+    const path = join(dir, "recorded.json");
+
+    const devices = await clientWithCassette("record", path).listDevices();
+
+    const contents = await readFile(path, "utf8");
+    const { interactions } = JSON.parse(contents);
+    expect(devices).toHaveLength(2);
+    expect(interactions).toHaveLength(1);
+    expect(interactions[0].request).toEqual({
+      method: "GET",
+      url: "https://api.ecowitt.net/api/v3/device/list?application_key=REDACTED&api_key=REDACTED&limit=10&page=1",
+    });
+    expect(interactions[0].response).toMatchObject({ status: 200, headers: { "content-type": "application/json" } });
+    expect(JSON.parse(interactions[0].response.body)).toEqual(deviceList);
+    expect(contents).not.toContain("test-app-key");
+    expect(contents).not.toContain("test-api-key");
+  });
+
+  it("should redact credentials echoed in response bodies", async () => {
+    fetch.mockResponseOnce(JSON.stringify({ code: 40011, msg: "Illegal api_key test-api-key", time: "1", data: [] }));
+    const path = join(dir, "recorded.json");
+
+    await expect(clientWithCassette("record", path).listDevices()).rejects.toThrow();
+
+    expect(await readFile(path, "utf8")).toContain("Illegal api_key REDACTED");
+  });
+
+  it("should replay recorded responses without calling the API", async () => {
+    const client = clientWithCassette("replay", join(CASSETTES_DIR, "station-report.json"));
+
+    const devices = await client.listDevices();
+    const realtime = await client.getRealTimeInfo("AA:BB:CC:DD:EE:FF", "outdoor");
+
+    expect(devices.map((device) => device.name)).toEqual(["Weather Station Main", "Garden Station"]);
+    expect(realtime).toEqual(loadFixture("ecowitt", "real-time-info-success").data);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("should serve repeated requests in recorded order, then repeat the last response", async () => {
+    fetch
+      .mockResponseOnce(JSON.stringify({ code: 0, msg: "success", time: "1", data: { value: 1 } }))
+      .mockResponseOnce(JSON.stringify({ code: 0, msg: "success", time: "2", data: { value: 2 } }));
+    const path = join(dir, "repeated.json");
+    const recorder = clientWithCassette("record", path);
+    await recorder.getDeviceInfo("AA:BB:CC:DD:EE:FF");
+    await recorder.getDeviceInfo("AA:BB:CC:DD:EE:FF");
+
+    const player = clientWithCassette("replay", path);
+
+    await expect(player.getDeviceInfo("AA:BB:CC:DD:EE:FF")).resolves.toEqual({ value: 1 });
+    await expect(player.getDeviceInfo("AA:BB:CC:DD:EE:FF")).resolves.toEqual({ value: 2 });
+    await expect(player.getDeviceInfo("AA:BB:CC:DD:EE:FF")).resolves.toEqual({ value: 2 });
+  });
+
+  it("should fail on requests the cassette does not contain", async () => {
+    const client = clientWithCassette("replay", join(CASSETTES_DIR, "station-report.json"));
+
+    const error = await client.getDeviceInfo("11:22:33:44:55:66").catch((error) => error);
+
+    expect(error).toBeInstanceOf(CustomError);
+    expect(error.code).toBe("CASSETTE_MISMATCH");
+    expect(error.message).toContain("/device/info?application_key=REDACTED");
+  });
+
+  it("should fail when the cassette cannot be read", async () => {
+    const client = clientWithCassette("replay", join(dir, "missing.json"));
+
+    await expect(client.listDevices()).rejects.toMatchObject({ code: "CASSETTE_ERROR" });
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { identifyDevice } from "../src/ecowitt/catalog.js";
+
+describe("identifyDevice", () => {
+  it("should identify models, families and firmware versions from the station type", () => {
+    expect(identifyDevice({ type: 1, stationType: "GW2000A_V3.1.2" })).toEqual({
+      typeName: "weather station",
+      model: "GW2000",
+      family: "gateway",
+      firmwareVersion: "3.1.2",
+      sensorGroups: ["indoor", "pressure"],
+    });
+    expect(identifyDevice({ type: 1, stationType: "WS6006_V1.1.26" })).toMatchObject({
+      model: "WS6006",
+      family: "cellular station",
+      firmwareVersion: "1.1.26",
+    });
+    expect(identifyDevice({ type: 1, stationType: "hp2551a_v1.5.9" })).toMatchObject({ model: "HP2551" });
+  });
+
+  it("should fall back to the type code for unknown or ambiguous station types", () => {
+    expect(identifyDevice({ type: 1, stationType: "WEB_Test_Tool" })).toEqual({ typeName: "weather station" });
+    expect(identifyDevice({ type: 1, stationType: "EasyWeatherV1.6.1" })).toEqual({
+      typeName: "weather station",
+      firmwareVersion: "1.6.1",
+    });
+    expect(identifyDevice({ type: 2 })).toEqual({ typeName: "camera", family: "camera" });
+    expect(identifyDevice({ type: 9, stationType: "Custom_V2.0" })).toEqual({ firmwareVersion: "2.0" });
+    expect(identifyDevice()).toEqual({});
+  });
+});
@@ -52,6 +52,324 @@ describe("Configuration", () => {
     });
   });
 
+  describe("Retry configuration", () => {
+    it("should load the retry policy", async () => {
+      vi.stubEnv("RETRY_MAX_ATTEMPTS", "5");
+      vi.stubEnv("RETRY_MAX_ELAPSED", "60000");
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.ecowitt.retry).toEqual({ maxAttempts: 5, baseDelay: 1, maxDelay: 5, maxElapsed: 60000 });
+    });
+
+    it("should default to three attempts", async () => {
+      const config = await loadConfig();
+      expect(config.ecowitt.retry.maxAttempts).toBe(3);
+    });
+
+    it("should validate RETRY_MAX_ATTEMPTS is at least 1", async () => {
+      vi.stubEnv("RETRY_MAX_ATTEMPTS", "0");
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("RETRY_MAX_ATTEMPTS must be at least 1");
+    });
+
+    it("should validate RETRY_BASE_DELAY is a positive number", async () => {
+      vi.stubEnv("RETRY_BASE_DELAY", "-1");
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("RETRY_BASE_DELAY must be a positive number");
+    });
+  });
+
+  describe("Rate limit configuration", () => {
+    it("should load default rate limits", async () => {
+      const config = await loadConfig();
+      expect(config.ecowitt.rateLimit).toEqual({ requestsPerSecond: 3, burst: 5, maxConcurrent: 4 });
+    });
+
+    it("should allow override of rate limits", async () => {
+      vi.stubEnv("RATE_LIMIT_PER_SECOND", "0.5");
+      vi.stubEnv("MAX_CONCURRENT_REQUESTS", "1");
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.ecowitt.rateLimit.requestsPerSecond).toBe(0.5);
+      expect(config.ecowitt.rateLimit.maxConcurrent).toBe(1);
+    });
+
+    it("should validate MAX_CONCURRENT_REQUESTS is at least 1", async () => {
+      vi.stubEnv("MAX_CONCURRENT_REQUESTS", "0");
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("MAX_CONCURRENT_REQUESTS must be at least 1");
+    });
+  });
+
+  describe("Cache configuration", () => {
+    it("should enable an in-memory cache by default", async () => {
+      const config = await loadConfig();
+      expect(config.ecowitt.cache).toEqual({ enabled: true, deviceTtl: 300, realtimeTtl: 60, dir: undefined });
+    });
+
+    it("should allow disabling the cache and setting a directory", async () => {
+      vi.stubEnv("CACHE_ENABLED", "false");
+      vi.stubEnv("CACHE_DIR", "/tmp/ecowitt-cache");
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.ecowitt.cache.enabled).toBe(false);
+      expect(config.ecowitt.cache.dir).toBe("/tmp/ecowitt-cache");
+    });
+
+    it("should validate CACHE_ENABLED", async () => {
+      vi.stubEnv("CACHE_ENABLED", "yes");
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("CACHE_ENABLED must be 'true' or 'false'");
+    });
+  });
+
+  describe("Cassette configuration", () => {
+    it("should not use a cassette by default", async () => {
+      const config = await loadConfig();
+      expect(config.ecowitt.cassette).toBeUndefined();
+    });
+
+    it("should replay a cassette unless recording is requested", async () => {
+      vi.stubEnv("ECOWITT_CASSETTE", "/tmp/station.json");
+      vi.resetModules();
+      expect((await loadConfig()).ecowitt.cassette).toEqual({ path: "/tmp/station.json", mode: "replay" });
+
+      vi.stubEnv("ECOWITT_CASSETTE_MODE", "record");
+      vi.resetModules();
+      expect((await loadConfig()).ecowitt.cassette.mode).toBe("record");
+    });
+
+    it("should validate ECOWITT_CASSETTE_MODE", async () => {
+      vi.stubEnv("ECOWITT_CASSETTE", "/tmp/station.json");
+      vi.stubEnv("ECOWITT_CASSETTE_MODE", "rewind");
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("ECOWITT_CASSETTE_MODE must be record or replay");
+    });
+  });
+
+  describe("Unit configuration", () => {
+    it("should not convert units by default", async () => {
+      expect((await loadConfig()).units).toEqual({ default: undefined, devices: {} });
+    });
+
+    it("should read the default units and per-device overrides", async () => {
+      vi.stubEnv("UNITS", "metric");
+      vi.stubEnv("DEVICE_UNITS", '{"Garden Station":"imperial, hPa"}');
+      vi.resetModules();
+      expect((await loadConfig()).units).toEqual({
+        default: "metric",
+        devices: { "Garden Station": "imperial, hPa" },
+      });
+    });
+
+    it("should reject unknown unit names", async () => {
+      vi.stubEnv("UNITS", "metric, furlongs");
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("UNITS must be 'metric', 'imperial' or unit names");
+
+      vi.stubEnv("UNITS", "");
+      vi.stubEnv("DEVICE_UNITS", '{"Garden Station":"martian"}');
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("DEVICE_UNITS values must be");
+    });
+  });
+
+  describe("Sensor configuration", () => {
+    it("should read sensor labels, locations and calibrations per device", async () => {
+      vi.stubEnv(
+        "DEVICE_SENSORS",
+        JSON.stringify({
+          "Garden Station": {
+            temp_and_humidity_ch2: {
+              label: "Wine cellar",
+              location: "Basement",
+              calibration: { temperature: { offset: -0.5, unit: "celsius" }, humidity: { scale: 1.02 } },
+            },
+          },
+        })
+      );
+      vi.resetModules();
+      expect((await loadConfig()).devices.sensors).toEqual({
+        "Garden Station": {
+          temp_and_humidity_ch2: {
+            label: "Wine cellar",
+            location: "Basement",
+            calibration: { temperature: { offset: -0.5, unit: "celsius" }, humidity: { scale: 1.02 } },
+          },
+        },
+      });
+    });
+
+    it("should reject invalid calibrations", async () => {
+      vi.stubEnv(
+        "DEVICE_SENSORS",
+        '{"Garden Station":{"soil_ch7":{"calibration":{"soilmoisture":{"unit":"furlongs"}}}}}'
+      );
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("DEVICE_SENSORS calibration units must be");
+
+      vi.stubEnv("DEVICE_SENSORS", '{"Garden Station":{"soil_ch7":{"offset":1}}}');
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow();
+    });
+  });
+
+  describe("Account configuration", () => {
+    it("should use the primary keys as the default account", async () => {
+      const config = await loadConfig();
+      expect(config.accounts).toEqual([{ name: "default", applicationKey: "test-app-key", apiKey: "test-api-key" }]);
+    });
+
+    it("should add accounts from ECOWITT_ACCOUNTS", async () => {
+      vi.stubEnv("ECOWITT_ACCOUNTS", '{"office":{"applicationKey":"office-app","apiKey":"office-api"}}');
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.accounts.map((account) => account.name)).toEqual(["default", "office"]);
+      expect(config.accounts[1]).toEqual({ name: "office", applicationKey: "office-app", apiKey: "office-api" });
+    });
+
+    it("should not require the primary keys when ECOWITT_ACCOUNTS is set", async () => {
+      vi.stubEnv("ECOWITT_APPLICATION_KEY", undefined);
+      vi.stubEnv("ECOWITT_API_KEY", undefined);
+      vi.stubEnv("ECOWITT_ACCOUNTS", '{"office":{"applicationKey":"office-app","apiKey":"office-api"}}');
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.accounts.map((account) => account.name)).toEqual(["office"]);
+    });
+
+    it("should require both primary keys when only one is set", async () => {
+      vi.stubEnv("ECOWITT_API_KEY", undefined);
+      vi.stubEnv("ECOWITT_ACCOUNTS", '{"office":{"applicationKey":"office-app","apiKey":"office-api"}}');
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("ECOWITT_API_KEY: Required");
+    });
+
+    it("should reject accounts without keys and the reserved default name", async () => {
+      vi.stubEnv("ECOWITT_ACCOUNTS", '{"office":{"applicationKey":"office-app"}}');
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("ECOWITT_ACCOUNTS.office.apiKey");
+
+      vi.stubEnv("ECOWITT_ACCOUNTS", '{"default":{"applicationKey":"a","apiKey":"b"}}');
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow('ECOWITT_ACCOUNTS cannot use the name "default"');
+    });
+  });
+
+  describe("Device configuration", () => {
+    it("should default to no aliases", async () => {
+      const config = await loadConfig();
+      expect(config.devices.aliases).toEqual({});
+      expect(config.devices.localGateways).toEqual({});
+    });
+
+    it("should parse DEVICE_ALIASES JSON", async () => {
+      vi.stubEnv("DEVICE_ALIASES", '{"backyard":"AA:BB:CC:DD:EE:FF"}');
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.devices.aliases).toEqual({ backyard: "AA:BB:CC:DD:EE:FF" });
+    });
+
+    it("should parse LOCAL_GATEWAYS keyed by normalized MAC address", async () => {
+      vi.stubEnv("LOCAL_GATEWAYS", '{"aabbccddeeff":"192.168.1.50"}');
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.devices.localGateways).toEqual({ "AA:BB:CC:DD:EE:FF": "192.168.1.50" });
+    });
+
+    it("should reject LOCAL_GATEWAYS keys that are not MAC addresses", async () => {
+      vi.stubEnv("LOCAL_GATEWAYS", '{"Backyard":"192.168.1.50"}');
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("LOCAL_GATEWAYS keys must be gateway MAC addresses");
+    });
+
+    it("should reject invalid DEVICE_ALIASES", async () => {
+      vi.stubEnv("DEVICE_ALIASES", "{not json");
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("DEVICE_ALIASES must be valid JSON");
+    });
+  });
+
+  describe("Upload receiver configuration", () => {
+    it("should leave the receiver disabled by default", async () => {
+      const config = await loadConfig();
+      expect(config.receiver).toEqual({
+        port: undefined,
+        host: "0.0.0.0",
+        path: "/data/report/",
+        passkeys: {},
+        acceptUnmappedPasskeys: false,
+        wundergroundPath: "/weatherstation/updateweatherstation.php",
+        wundergroundStations: {},
+        dir: undefined,
+        staleAfter: 600,
+      });
+    });
+
+    it("should read the receiver settings", async () => {
+      vi.stubEnv("UPLOAD_RECEIVER_PORT", "8125");
+      vi.stubEnv("UPLOAD_PASSKEYS", '{"0123456789ABCDEF0123456789ABCDEF":"AA:BB:CC:DD:EE:FF"}');
+      vi.stubEnv("UPLOAD_STALE_AFTER", "300");
+      vi.stubEnv("UPLOAD_ACCEPT_UNMAPPED_PASSKEYS", "true");
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.receiver).toMatchObject({
+        port: 8125,
+        passkeys: { "0123456789ABCDEF0123456789ABCDEF": "AA:BB:CC:DD:EE:FF" },
+        acceptUnmappedPasskeys: true,
+        staleAfter: 300,
+      });
+    });
+
+    it("should read Weather Underground station settings", async () => {
+      vi.stubEnv("WUNDERGROUND_STATIONS", '{"KCASANFR123":{"name":"Barn","password":"secret"}}');
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.receiver.wundergroundStations).toEqual({ KCASANFR123: { name: "Barn", password: "secret" } });
+    });
+
+    it("should reject Weather Underground station IDs that are MAC addresses", async () => {
+      vi.stubEnv("WUNDERGROUND_STATIONS", '{"AA:BB:CC:DD:EE:FF":{"name":"Forged"}}');
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("station IDs must not be MAC addresses or IMEIs");
+    });
+
+    it("should validate the receiver port", async () => {
+      vi.stubEnv("UPLOAD_RECEIVER_PORT", "70000");
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("UPLOAD_RECEIVER_PORT must be between 0 and 65535");
+    });
+  });
+
+  describe("Mock API configuration", () => {
+    it("should leave the mock API disabled by default", async () => {
+      const config = await loadConfig();
+      expect(config.mock).toEqual({ scenario: undefined });
+    });
+
+    it("should read the mock scenario", async () => {
+      vi.stubEnv("ECOWITT_MOCK_SCENARIO", "multi-page");
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.mock.scenario).toBe("multi-page");
+    });
+
+    it("should not require API keys with a mock scenario", async () => {
+      vi.stubEnv("ECOWITT_MOCK_SCENARIO", "default");
+      vi.stubEnv("ECOWITT_APPLICATION_KEY", undefined);
+      vi.stubEnv("ECOWITT_API_KEY", undefined);
+      vi.resetModules();
+      const config = await loadConfig();
+      expect(config.mock.scenario).toBe("default");
+      expect(config.ecowitt).toMatchObject({ applicationKey: "mock", apiKey: "mock" });
+    });
+
+    it("should reject unknown mock scenarios", async () => {
+      vi.stubEnv("ECOWITT_MOCK_SCENARIO", "sunny");
+      vi.resetModules();
+      await expect(loadConfig()).rejects.toThrow("ECOWITT_MOCK_SCENARIO must be one of: default, empty-list");
+    });
+  });
+
   describe("Validation", () => {
     it("should throw error when application key is missing", async () => {
       vi.stubEnv("ECOWITT_APPLICATION_KEY", undefined);
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { resolveDateRange } from "../src/ecowitt/date_range.js";
+import { CustomError } from "../src/utils/errors.js";
+
+// Wednesday 2024-03-20 14:30:15 in Melbourne (UTC+11)
+const NOW = Date.UTC(2024, 2, 20, 3, 30, 15);
+const ZONE = "Australia/Melbourne";
+
+/**
+ * Resolve an expression at NOW in Melbourne
+ * @param {string} expression - Range expression
+ * @returns {string[]} Start and end dates
+ */
+const resolve = (expression) => {
+  const { startDate, endDate } = resolveDateRange(expression, ZONE, NOW);
+  return [startDate, endDate];
+};
+
+describe("resolveDateRange", () => {
+  it("should resolve days in the zone's calendar", () => {
+    expect(resolve("today")).toEqual(["2024-03-20 00:00:00", "2024-03-20 23:59:59"]);
+    expect(resolve("Yesterday")).toEqual(["2024-03-19 00:00:00", "2024-03-19 23:59:59"]);
+    expect(resolveDateRange("today", "America/Los_Angeles", NOW)).toEqual({
+      startDate: "2024-03-19 00:00:00",
+      endDate: "2024-03-19 23:59:59",
+    });
+  });
+
+  it("should resolve rolling ranges ending now", () => {
+    expect(resolve("last 24h")).toEqual(["2024-03-19 14:30:15", "2024-03-20 14:30:15"]);
+    expect(resolve("last 7 days")).toEqual(["2024-03-13 14:30:15", "2024-03-20 14:30:15"]);
+    expect(resolve("past 30 minutes")).toEqual(["2024-03-20 14:00:15", "2024-03-20 14:30:15"]);
+    expect(resolve("last hour")).toEqual(["2024-03-20 13:30:15", "2024-03-20 14:30:15"]);
+    expect(resolve("last 3 months")).toEqual(["2023-12-20 14:30:15", "2024-03-20 14:30:15"]);
+  });
+
+  it("should resolve whole calendar periods", () => {
+    expect(resolve("this week")).toEqual(["2024-03-18 00:00:00", "2024-03-24 23:59:59"]);
+    expect(resolve("last week")).toEqual(["2024-03-11 00:00:00", "2024-03-17 23:59:59"]);
+    expect(resolve("this month")).toEqual(["2024-03-01 00:00:00", "2024-03-31 23:59:59"]);
+    expect(resolve("last month")).toEqual(["2024-02-01 00:00:00", "2024-02-29 23:59:59"]);
+    expect(resolve("last year")).toEqual(["2023-01-01 00:00:00", "2023-12-31 23:59:59"]);
+  });
+
+  it("should resolve ISO weeks, months, years and dates", () => {
+    expect(resolve("2024-W12")).toEqual(["2024-03-18 00:00:00", "2024-03-24 23:59:59"]);
+    expect(resolve("2021-W01")).toEqual(["2021-01-04 00:00:00", "2021-01-10 23:59:59"]);
+    expect(resolve("2020-W53")).toEqual(["2020-12-28 00:00:00", "2021-01-03 23:59:59"]);
+    expect(resolve("2024-03")).toEqual(["2024-03-01 00:00:00", "2024-03-31 23:59:59"]);
+    expect(resolve("2023")).toEqual(["2023-01-01 00:00:00", "2023-12-31 23:59:59"]);
+    expect(resolve("2024-02-29")).toEqual(["2024-02-29 00:00:00", "2024-02-29 23:59:59"]);
+  });
+
+  it("should resolve holidays", () => {
+    expect(resolve("last christmas")).toEqual(["2023-12-25 00:00:00", "2023-12-25 23:59:59"]);
+    expect(resolve("Christmas Eve 2022")).toEqual(["2022-12-24 00:00:00", "2022-12-24 23:59:59"]);
+    expect(resolve("new year's day")).toEqual(["2024-01-01 00:00:00", "2024-01-01 23:59:59"]);
+    expect(resolveDateRange("last christmas", ZONE, Date.UTC(2024, 11, 26)).startDate).toBe("2024-12-25 00:00:00");
+  });
+
+  it("should reject unrecognised expressions and impossible dates", () => {
+    for (const expression of ["next tuesday", "2023-W53", "2024-13", "2023-02-29", "", undefined]) {
+      expect(() => resolveDateRange(expression, ZONE, NOW)).toThrow(CustomError);
+    }
+    expect(() => resolveDateRange("soon", ZONE, NOW)).toThrow('Unrecognised date range "soon"');
+  });
+});
@@ -1,6 +1,7 @@
-import { beforeEach, describe, expect, it, vi } from "vitest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
 import { EcowittClient } from "../src/ecowitt/client.js";
-import { DeviceNotFoundError, EcowittApiError } from "../src/ecowitt/errors.js";
+import { AmbiguousDeviceError, DeviceNotFoundError, EcowittApiError } from "../src/ecowitt/errors.js";
+import { UploadStore } from "../src/receivers/store.js";
 import { DeviceHandlers } from "../src/server/handlers/device.js";
 import { CustomError, HandlerError } from "../src/utils/errors.js";
 
@@ -16,8 +17,8 @@ describe("DeviceHandlers", () => {
       id: 1,
       name: "Device 1",
       mac: "AA:BB:CC:DD:EE:01",
-      type: "gateway",
-      stationType: "GW1000",
+      type: 1,
+      stationType: "GW1000A_V1.7.6",
       dateZoneId: "America/New_York",
       longitude: -74.006,
       latitude: 40.7128,
@@ -26,8 +27,8 @@ describe("DeviceHandlers", () => {
       id: 2,
       name: "Backyard",
       mac: "AA:BB:CC:DD:EE:02",
-      type: "weather_station",
-      stationType: "WS2900",
+      type: 1,
+      stationType: "EasyWeatherV1.6.1",
       longitude: -74.007,
       latitude: 40.7129,
     },
@@ -38,8 +39,13 @@ describe("DeviceHandlers", () => {
       uri: "ecowitt://device/AABBCCDDEE01",
       name: "Device 1",
       mac: "AA:BB:CC:DD:EE:01",
-      type: "gateway",
-      stationType: "GW1000",
+      type: 1,
+      stationType: "GW1000A_V1.7.6",
+      typeName: "weather station",
+      model: "GW1000",
+      family: "gateway",
+      firmwareVersion: "1.7.6",
+      sensorGroups: ["indoor", "pressure"],
       dateZoneId: "America/New_York",
       longitude: -74.006,
       latitude: 40.7128,
@@ -48,8 +54,10 @@ describe("DeviceHandlers", () => {
       uri: "ecowitt://device/AABBCCDDEE02",
       name: "Backyard",
       mac: "AA:BB:CC:DD:EE:02",
-      type: "weather_station",
-      stationType: "WS2900",
+      type: 1,
+      stationType: "EasyWeatherV1.6.1",
+      typeName: "weather station",
+      firmwareVersion: "1.6.1",
       longitude: -74.007,
       latitude: 40.7129,
     },
@@ -85,6 +93,19 @@ describe("DeviceHandlers", () => {
       expect(mockListDevices).toHaveBeenCalled();
     });
 
+    it("should use the IMEI in the URI for cellular stations without a MAC", async () => {
+      mockClient.listDevices = vi
+        .fn()
+        .mockResolvedValue([
+          { id: 944, name: "Cellular", imei: "863879049793071", type: 1, stationType: "WS6006_V1.1.26" },
+        ]);
+
+      const [resource] = await deviceHandlers.handleDeviceList();
+      expect(resource.uri).toBe("ecowitt://device/863879049793071");
+      expect(resource.imei).toBe("863879049793071");
+      expect(resource.mac).toBeUndefined();
+    });
+
     it("should throw an error when the API client fails", async () => {
       const apiError = new EcowittApiError(40010);
       const mockListDevices = vi.fn().mockRejectedValue(apiError);
@@ -102,6 +123,33 @@ describe("DeviceHandlers", () => {
     });
   });
 
+  describe("handleDeviceListPage", () => {
+    it("should return the first page and a cursor for the next", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+
+      const result = await deviceHandlers.handleDeviceListPage(undefined, 1);
+      expect(result.resources).toEqual([mockTransformedResources[0]]);
+      expect(result.nextCursor).toEqual(expect.any(String));
+
+      const next = await deviceHandlers.handleDeviceListPage(result.nextCursor, 1);
+      expect(next.resources).toEqual([mockTransformedResources[1]]);
+      expect(next.nextCursor).toBeUndefined();
+    });
+
+    it("should omit the cursor when everything fits on one page", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+
+      const result = await deviceHandlers.handleDeviceListPage(undefined, 10);
+      expect(result).toEqual({ resources: mockTransformedResources });
+    });
+
+    it("should throw CustomError for an invalid cursor", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+
+      await expect(deviceHandlers.handleDeviceListPage("not-a-cursor", 10)).rejects.toThrow(CustomError);
+    });
+  });
+
   describe("getDeviceByMac", () => {
     it("should return device data on success", async () => {
       const mockDeviceInfo = {
@@ -166,6 +214,86 @@ describe("DeviceHandlers", () => {
       expect(mockGetRealTimeInfo).toHaveBeenCalledWith("AA:BB:CC:DD:EE:01", callBack, unitOptions);
     });
 
+    it("should read devices with a local gateway over the LAN", async () => {
+      const localGateway = { getRealTimeInfo: vi.fn().mockResolvedValue({ outdoor: {} }) };
+      mockClient.getRealTimeInfo = vi.fn();
+      deviceHandlers = new DeviceHandlers(mockClient, {
+        localGateways: new Map([["AA:BB:CC:DD:EE:01", localGateway]]),
+      });
+
+      const result = await deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:01", "outdoor");
+
+      expect(result).toEqual({ outdoor: {} });
+      expect(localGateway.getRealTimeInfo).toHaveBeenCalledWith("AA:BB:CC:DD:EE:01", "outdoor", {});
+      expect(mockClient.getRealTimeInfo).not.toHaveBeenCalled();
+    });
+
+    describe("with station uploads", () => {
+      const upload = {
+        stationId: "AA:BB:CC:DD:EE:01",
+        protocol: "ecowitt",
+        observedAt: Date.now(),
+        data: { outdoor: { temperature: { time: "1", unit: "ºF", value: "70.5" } }, indoor: {} },
+      };
+      let uploadStore;
+
+      beforeEach(async () => {
+        uploadStore = new UploadStore();
+        await uploadStore.save(upload);
+        deviceHandlers = new DeviceHandlers(mockClient, { uploadStore, staleAfter: 60_000 });
+      });
+
+      it("should never serve a Weather Underground upload for a cloud device's MAC address", async () => {
+        const forged = { outdoor: { temperature: { time: "1", unit: "ºF", value: "-40.0" } } };
+        await uploadStore.save({
+          stationId: "AA:BB:CC:DD:EE:01",
+          protocol: "wunderground",
+          observedAt: 1,
+          data: forged,
+        });
+        const freshTime = String(Math.floor(Date.now() / 1000));
+        const cloudData = { outdoor: { temperature: { time: freshTime, unit: "ºF", value: "60.0" } } };
+        mockClient.getRealTimeInfo = vi.fn().mockResolvedValue(cloudData);
+        mockClient.getDeviceInfo = vi.fn().mockResolvedValue({ name: "Device 1" });
+
+        await expect(deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:01")).resolves.toBe(cloudData);
+        await expect(deviceHandlers.getDeviceByMac("AA:BB:CC:DD:EE:01")).resolves.toEqual({ name: "Device 1" });
+        expect((await uploadStore.get("ecowitt", "AA:BB:CC:DD:EE:01")).data).toBe(upload.data);
+      });
+
+      it("should serve the latest upload when the cloud is unreachable", async () => {
+        mockClient.getRealTimeInfo = vi
+          .fn()
+          .mockRejectedValue(new CustomError("Network error", "NETWORK_ERROR", "network_error"));
+
+        const result = await deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:01", "outdoor");
+
+        expect(result).toEqual({ outdoor: upload.data.outdoor });
+      });
+
+      it("should serve a newer upload when cloud data is stale", async () => {
+        const staleTime = String(Math.floor((Date.now() - 3_600_000) / 1000));
+        mockClient.getRealTimeInfo = vi
+          .fn()
+          .mockResolvedValue({ outdoor: { temperature: { time: staleTime, unit: "ºF", value: "60.0" } } });
+
+        const result = await deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:01");
+
+        expect(result).toBe(upload.data);
+      });
+
+      it("should keep fresh cloud data and rethrow request errors", async () => {
+        const freshTime = String(Math.floor(Date.now() / 1000));
+        const cloudData = { outdoor: { temperature: { time: freshTime, unit: "ºF", value: "60.0" } } };
+        mockClient.getRealTimeInfo = vi.fn().mockResolvedValue(cloudData);
+
+        await expect(deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:01")).resolves.toBe(cloudData);
+
+        mockClient.getRealTimeInfo = vi.fn().mockRejectedValue(new EcowittApiError(40010));
+        await expect(deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:01")).rejects.toThrow(EcowittApiError);
+      });
+    });
+
     it("should return empty data if client returns empty data object", async () => {
       const mockGetRealTimeInfo = vi.fn().mockResolvedValue({});
       mockClient.getRealTimeInfo = mockGetRealTimeInfo;
@@ -198,6 +326,16 @@ describe("DeviceHandlers", () => {
   });
 
   describe("getDeviceHistory", () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2023-03-20T00:00:00Z"));
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
     const mockHistoryApiResponse = {
       code: 0,
       msg: "success",
@@ -238,8 +376,9 @@ describe("DeviceHandlers", () => {
         "2023-03-15 00:00:00",
         "2023-03-15 23:59:59",
         "outdoor.temperature",
-        undefined,
-        {}
+        "5min",
+        {},
+        { timeZone: "America/New_York" }
       );
     });
 
@@ -262,8 +401,160 @@ describe("DeviceHandlers", () => {
         "2023-03-15 23:59:59",
         "outdoor.temperature",
         cycleType,
-        unitOptions
+        unitOptions,
+        { timeZone: "America/New_York" }
+      );
+    });
+
+    it("should convert dates with an offset or explicit timezone to the device's timezone", async () => {
+      mockClient.getDeviceHistory = vi.fn().mockResolvedValue(mockHistoryApiResponse.data);
+
+      await deviceHandlers.getDeviceHistory(
+        "AA:BB:CC:DD:EE:01",
+        "2024-12-25T00:00:00Z",
+        "2024-12-25 23:59:59",
+        "outdoor",
+        undefined,
+        {},
+        { timezone: "Europe/Paris" }
+      );
+
+      expect(mockClient.getDeviceHistory).toHaveBeenCalledWith(
+        "AA:BB:CC:DD:EE:01",
+        "2024-12-24 19:00:00",
+        "2024-12-25 17:59:59",
+        "outdoor",
+        "5min",
+        {},
+        { timeZone: "America/New_York" }
+      );
+    });
+
+    it("should resolve range expressions in the device's timezone", async () => {
+      mockClient.getDeviceHistory = vi.fn().mockResolvedValue(mockHistoryApiResponse.data);
+
+      await deviceHandlers.getDeviceHistory(
+        "AA:BB:CC:DD:EE:01",
+        undefined,
+        undefined,
+        "outdoor",
+        undefined,
+        {},
+        {
+          range: "yesterday",
+          now: Date.UTC(2024, 11, 25, 12),
+        }
+      );
+
+      expect(mockClient.getDeviceHistory).toHaveBeenCalledWith(
+        "AA:BB:CC:DD:EE:01",
+        "2024-12-24 00:00:00",
+        "2024-12-24 23:59:59",
+        "outdoor",
+        "5min",
+        {},
+        { timeZone: "America/New_York" }
+      );
+    });
+
+    it("should return the dates and cycle type the history was queried with", async () => {
+      mockClient.getDeviceHistory = vi.fn().mockResolvedValue(mockHistoryApiResponse.data);
+
+      const query = await deviceHandlers.queryDeviceHistory(
+        "AA:BB:CC:DD:EE:01",
+        undefined,
+        undefined,
+        "outdoor",
+        "auto",
+        {},
+        { range: "last 7 days", now: Date.UTC(2024, 11, 25, 12) }
+      );
+
+      expect(query).toEqual({
+        history: mockHistoryApiResponse.data,
+        startDate: "2024-12-18 07:00:00",
+        endDate: "2024-12-25 07:00:00",
+        cycleType: "4hour",
+      });
+      expect(mockClient.getDeviceHistory).toHaveBeenCalledTimes(1);
+    });
+
+    it("should resolve range expressions in an explicit timezone", async () => {
+      const dates = await deviceHandlers.resolveHistoryDates("AA:BB:CC:DD:EE:01", undefined, undefined, {
+        range: "2024-12-25",
+        timezone: "UTC",
+      });
+
+      expect(dates).toEqual({ startDate: "2024-12-24 19:00:00", endDate: "2024-12-25 18:59:59" });
+    });
+
+    it("should reject a range combined with dates", async () => {
+      await expect(
+        deviceHandlers.resolveHistoryDates("AA:BB:CC:DD:EE:01", "2024-12-25 00:00:00", undefined, { range: "today" })
+      ).rejects.toThrow("Provide either a range or a start and end date, not both.");
+    });
+
+    it("should reject cycle types that do not retain the range", async () => {
+      mockClient.getDeviceHistory = vi.fn();
+
+      await expect(
+        deviceHandlers.getDeviceHistory(
+          "AA:BB:CC:DD:EE:01",
+          "2022-03-15 00:00:00",
+          "2022-03-15 23:59:59",
+          "outdoor",
+          "5min"
+        )
+      ).rejects.toThrow('Use cycle_type "4hour" (or "auto") for this range');
+      expect(mockClient.getDeviceHistory).not.toHaveBeenCalled();
+    });
+
+    it("should measure retention from the current time in the device's timezone", async () => {
+      mockClient.getDeviceHistory = vi.fn().mockResolvedValue({});
+
+      // 90 days before 2023-03-19 20:00 in New York, but less than 90 days before 2023-03-20 00:00 UTC
+      await deviceHandlers.getDeviceHistory(
+        "AA:BB:CC:DD:EE:01",
+        "2022-12-19 22:00:00",
+        "2022-12-19 23:59:59",
+        "outdoor",
+        "5min"
+      );
+
+      expect(mockClient.getDeviceHistory).toHaveBeenCalledWith(
+        "AA:BB:CC:DD:EE:01",
+        "2022-12-19 22:00:00",
+        "2022-12-19 23:59:59",
+        "outdoor",
+        "5min",
+        {},
+        { timeZone: "America/New_York" }
       );
+      await expect(
+        deviceHandlers.getDeviceHistory(
+          "AA:BB:CC:DD:EE:01",
+          "2022-12-19 19:00:00",
+          "2022-12-19 23:59:59",
+          "outdoor",
+          "5min"
+        )
+      ).rejects.toThrow("outside the 90 day retention window");
+    });
+
+    it("should reject unknown timezones", async () => {
+      await expect(
+        deviceHandlers.getDeviceHistory(
+          "AA:BB:CC:DD:EE:01",
+          "2024-12-25",
+          "2024-12-26",
+          "outdoor",
+          undefined,
+          {},
+          {
+            timezone: "Mars/Olympus_Mons",
+          }
+        )
+      ).rejects.toThrow('Invalid timezone "Mars/Olympus_Mons"');
     });
 
     it("should throw CustomError for missing required parameters", async () => {
@@ -311,6 +602,318 @@ describe("DeviceHandlers", () => {
     });
   });
 
+  describe("sensor configuration", () => {
+    let handlers;
+
+    beforeEach(() => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+      handlers = new DeviceHandlers(mockClient, {
+        sensors: {
+          backyard: {
+            temp_and_humidity_ch2: { label: "Wine cellar", calibration: { temperature: { offset: -1.5 } } },
+            soil_ch7: { label: "Tomato bed" },
+          },
+        },
+      });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("should accept labels as selectors and calibrate real-time readings", async () => {
+      mockClient.getRealTimeInfo = vi.fn().mockResolvedValue({
+        temp_and_humidity_ch2: { temperature: { time: "1", unit: "℉", value: "55.0" } },
+      });
+
+      const result = await handlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:02", "wine cellar, Tomato bed.soilmoisture");
+
+      expect(result.temp_and_humidity_ch2.temperature.value).toBe("53.5");
+      expect(mockClient.getRealTimeInfo).toHaveBeenCalledWith(
+        "AA:BB:CC:DD:EE:02",
+        "temp_and_humidity_ch2,soil_ch7.soilmoisture",
+        {}
+      );
+    });
+
+    it("should calibrate history and device info, and leave other devices alone", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2024-06-02T00:00:00Z"));
+      const history = { temp_and_humidity_ch2: { temperature: { unit: "℉", list: { 1717243200: "55.0" } } } };
+      mockClient.getDeviceHistory = vi.fn().mockResolvedValue(history);
+      mockClient.getDeviceInfo = vi.fn().mockResolvedValue({ name: "Backyard", last_update: history });
+
+      const result = await handlers.getDeviceHistory(
+        "AA:BB:CC:DD:EE:02",
+        "2024-06-01 00:00:00",
+        "2024-06-01 23:59:59",
+        "Wine cellar"
+      );
+      expect(result.temp_and_humidity_ch2.temperature.list).toEqual({ 1717243200: "53.5" });
+      expect(mockClient.getDeviceHistory.mock.calls[0][3]).toBe("temp_and_humidity_ch2");
+
+      await expect(handlers.getDeviceByMac("AA:BB:CC:DD:EE:01")).resolves.toEqual({
+        name: "Backyard",
+        last_update: history,
+      });
+    });
+
+    it("should use configured labels in the sensor inventory", async () => {
+      mockClient.getDeviceInfo = vi.fn().mockResolvedValue({
+        last_update: { soil_ch7: { soilmoisture: { time: "1", unit: "%", value: "38" } } },
+      });
+
+      const { sensors } = await handlers.getSensorInventory("AA:BB:CC:DD:EE:02");
+
+      expect(sensors[0]).toMatchObject({ group: "soil_ch7", label: "Tomato bed" });
+    });
+  });
+
+  describe("field selectors", () => {
+    it("should translate aliases before calling the client", async () => {
+      mockClient.getRealTimeInfo = vi.fn().mockResolvedValue({});
+
+      await deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:FF", "temp, rain.daily");
+
+      expect(mockClient.getRealTimeInfo).toHaveBeenCalledWith(
+        "AA:BB:CC:DD:EE:FF",
+        "outdoor.temperature,rainfall.daily",
+        {}
+      );
+    });
+
+    const lastUpdate = {
+      outdoor: {
+        temperature: { time: "1735102800", unit: "℉", value: "41.2" },
+        vpd: { time: "1735102800", unit: "inHg", value: "0.102" },
+      },
+    };
+
+    it("should reject likely typos without calling the client", async () => {
+      mockClient.getDeviceInfo = vi.fn();
+      mockClient.getRealTimeInfo = vi.fn();
+      mockClient.getDeviceHistory = vi.fn();
+
+      await expect(deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:FF", "outdoor.temprature")).rejects.toThrow(
+        'Did you mean "outdoor.temperature"?'
+      );
+      await expect(
+        deviceHandlers.getDeviceHistory("AA:BB:CC:DD:EE:FF", "2024-06-01 00:00:00", "2024-06-01 23:59:59", "windd")
+      ).rejects.toMatchObject({ code: "INVALID_PARAMETER" });
+      expect(mockClient.getDeviceInfo).not.toHaveBeenCalled();
+      expect(mockClient.getRealTimeInfo).not.toHaveBeenCalled();
+      expect(mockClient.getDeviceHistory).not.toHaveBeenCalled();
+    });
+
+    it("should pass unknown fields on, warning about those the device does not report", async () => {
+      const logger = vi.fn();
+      const handlers = new DeviceHandlers(mockClient, { logger });
+      mockClient.getDeviceInfo = vi.fn().mockResolvedValue({ last_update: lastUpdate });
+      mockClient.getRealTimeInfo = vi.fn().mockResolvedValue({});
+
+      await handlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:FF", "temp, outdoor.vpd");
+      expect(logger).not.toHaveBeenCalled();
+      await handlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:FF", "xyzzy");
+
+      expect(mockClient.getRealTimeInfo).toHaveBeenNthCalledWith(
+        1,
+        "AA:BB:CC:DD:EE:FF",
+        "outdoor.temperature,outdoor.vpd",
+        {}
+      );
+      expect(mockClient.getRealTimeInfo).toHaveBeenNthCalledWith(2, "AA:BB:CC:DD:EE:FF", "xyzzy", {});
+      expect(logger).toHaveBeenCalledWith(
+        "warning",
+        'Unknown call_back field "xyzzy" of device "AA:BB:CC:DD:EE:FF" is passed on to the API.'
+      );
+    });
+
+    it("should not read the sensor inventory for catalog fields", async () => {
+      mockClient.getDeviceInfo = vi.fn();
+      mockClient.getRealTimeInfo = vi.fn().mockResolvedValue({});
+
+      await deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:FF", "outdoor.temperature");
+
+      expect(mockClient.getDeviceInfo).not.toHaveBeenCalled();
+    });
+
+    it("should not read the sensor inventory from the cloud for local gateways", async () => {
+      const logger = vi.fn();
+      const localGateway = { getRealTimeInfo: vi.fn().mockResolvedValue({ outdoor: {} }) };
+      const handlers = new DeviceHandlers(mockClient, {
+        localGateways: new Map([["AA:BB:CC:DD:EE:01", localGateway]]),
+        logger,
+      });
+      mockClient.getDeviceInfo = vi.fn();
+
+      await handlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:01", "outdoor.vpd");
+
+      expect(localGateway.getRealTimeInfo).toHaveBeenCalledWith("AA:BB:CC:DD:EE:01", "outdoor.vpd", {});
+      expect(mockClient.getDeviceInfo).not.toHaveBeenCalled();
+      expect(logger).toHaveBeenCalledWith("warning", expect.stringContaining('"outdoor.vpd"'));
+    });
+
+    it("should read the cloud even when the sensor inventory cannot be", async () => {
+      mockClient.getDeviceInfo = vi.fn().mockRejectedValue(new Error("unavailable"));
+      mockClient.getRealTimeInfo = vi.fn().mockResolvedValue({ outdoor: {} });
+
+      await expect(deviceHandlers.getDeviceRealTimeInfo("AA:BB:CC:DD:EE:FF", "outdoor.vpd")).resolves.toEqual({
+        outdoor: {},
+      });
+    });
+  });
+
+  describe("getUnitPreferences", () => {
+    it("should not convert without configured or requested units", async () => {
+      await expect(deviceHandlers.getUnitPreferences("AA:BB:CC:DD:EE:01")).resolves.toBeUndefined();
+    });
+
+    it("should apply the default, then device overrides, then the requested units", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+      const handlers = new DeviceHandlers(mockClient, {
+        units: { default: "metric", devices: { backyard: "imperial", "00:11:22:33:44:55": "fahrenheit" } },
+      });
+
+      await expect(handlers.getUnitPreferences("AA:BB:CC:DD:EE:01")).resolves.toMatchObject({
+        temperature: "℃",
+        speed: "km/h",
+      });
+      await expect(handlers.getUnitPreferences("AA:BB:CC:DD:EE:02", "hPa")).resolves.toMatchObject({
+        temperature: "℉",
+        pressure: "hPa",
+      });
+      await expect(handlers.getUnitPreferences("00:11:22:33:44:55")).resolves.toMatchObject({
+        temperature: "℉",
+        pressure: "hPa",
+      });
+    });
+
+    it("should resolve device overrides once per device list refresh", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+      const handlers = new DeviceHandlers(mockClient, {
+        units: { devices: { backyard: "imperial", "Old station": "metric" } },
+      });
+      const resolveDeviceId = vi.spyOn(handlers, "resolveDeviceId");
+
+      await handlers.getUnitPreferences("AA:BB:CC:DD:EE:01");
+      await handlers.getUnitPreferences("AA:BB:CC:DD:EE:02");
+      expect(resolveDeviceId).toHaveBeenCalledTimes(2);
+
+      await handlers.handleDeviceList();
+      await expect(handlers.getUnitPreferences("AA:BB:CC:DD:EE:02")).resolves.toMatchObject({ temperature: "℉" });
+      expect(resolveDeviceId).toHaveBeenCalledTimes(4);
+    });
+
+    it("should propagate device list errors when resolving device overrides", async () => {
+      mockClient.listDevices = vi.fn().mockRejectedValue(new EcowittApiError(40011));
+      const handlers = new DeviceHandlers(mockClient, { units: { devices: { backyard: "imperial" } } });
+
+      await expect(handlers.getUnitPreferences("AA:BB:CC:DD:EE:02")).rejects.toThrow(EcowittApiError);
+    });
+
+    it("should convert quantities chosen by unit id to the id's unit", async () => {
+      const handlers = new DeviceHandlers(mockClient, { units: { default: "celsius, mm" } });
+
+      await expect(handlers.getUnitPreferences("AA:BB:CC:DD:EE:01", undefined, { temp_unitid: 2 })).resolves.toEqual({
+        temperature: "℉",
+        rain: "mm",
+      });
+      await expect(
+        deviceHandlers.getUnitPreferences("AA:BB:CC:DD:EE:01", "metric", { rainfall_unitid: 13, capacity_unitid: 26 })
+      ).resolves.toMatchObject({ temperature: "℃", rain: "in", rainRate: "in/hr", volume: "gal", flow: "gal/min" });
+    });
+
+    it("should reject unknown requested units", async () => {
+      await expect(deviceHandlers.getUnitPreferences("AA:BB:CC:DD:EE:01", "furlongs")).rejects.toThrow(CustomError);
+    });
+  });
+
+  describe("getSensorInventory", () => {
+    it("should list the sensors in the device info's last_update", async () => {
+      mockClient.getDeviceInfo = vi.fn().mockResolvedValue({
+        name: "Device 1",
+        last_update: { soil_ch5: { soilmoisture: { time: "1717243200", unit: "%", value: "38" } } },
+      });
+
+      const inventory = await deviceHandlers.getSensorInventory("AA:BB:CC:DD:EE:01");
+
+      expect(inventory.sensors).toEqual([expect.objectContaining({ group: "soil_ch5", label: "Soil moisture 5" })]);
+      expect(inventory.call_backs).toEqual(["soil_ch5", "soil_ch5.soilmoisture"]);
+      expect(mockClient.getDeviceInfo).toHaveBeenCalledWith("AA:BB:CC:DD:EE:01");
+    });
+  });
+
+  describe("getDeviceTimeZone", () => {
+    it("should return the device's zone, falling back to UTC", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+
+      await expect(deviceHandlers.getDeviceTimeZone("AA:BB:CC:DD:EE:01")).resolves.toBe("America/New_York");
+      await expect(deviceHandlers.getDeviceTimeZone("AA:BB:CC:DD:EE:02")).resolves.toBe("UTC");
+      await expect(deviceHandlers.getDeviceTimeZone("00:11:22:33:44:55")).resolves.toBe("UTC");
+    });
+  });
+
+  describe("IoT sub-devices", () => {
+    const valve = { name: "Garden tap", defaultTitle: "WFC01-0000001", deviceId: "Valve1", version: "1.0" };
+    const plug = { name: "Heater", defaultTitle: "AC1100-0000002", deviceId: "Plug2", version: "1.1" };
+
+    beforeEach(() => {
+      mockClient.listDevices = vi.fn().mockResolvedValue([
+        { ...mockRawDevices[0], iotDevices: [valve, plug] },
+        { ...mockRawDevices[1], iotDevices: [{ ...valve, deviceId: "Valve3" }] },
+      ]);
+    });
+
+    it("should list sub-devices with their devices and as child resources", async () => {
+      const [device] = await deviceHandlers.handleDeviceList();
+      const { resources } = await deviceHandlers.handleDeviceListPage(undefined, 3);
+
+      expect(device.iotDevices[0]).toEqual({
+        uri: "ecowitt://device/AABBCCDDEE01/iot/Valve1",
+        deviceId: "Valve1",
+        defaultTitle: "WFC01-0000001",
+        name: "Garden tap",
+        model: "WFC01",
+        kind: "water valve",
+        version: "1.0",
+      });
+      expect(resources.map((resource) => resource.uri)).toEqual([
+        "ecowitt://device/AABBCCDDEE01",
+        "ecowitt://device/AABBCCDDEE01/iot/Valve1",
+        "ecowitt://device/AABBCCDDEE01/iot/Plug2",
+      ]);
+    });
+
+    it("should resolve sub-devices by default title, name or device ID", async () => {
+      await expect(deviceHandlers.resolveIotDevice("heater")).resolves.toMatchObject({
+        deviceId: "Plug2",
+        kind: "smart plug",
+        parent: "AA:BB:CC:DD:EE:01",
+      });
+      await expect(deviceHandlers.resolveIotDevice("Valve3")).resolves.toMatchObject({ parent: "AA:BB:CC:DD:EE:02" });
+      await expect(deviceHandlers.resolveIotDevice("WFC01-0000001", "AA:BB:CC:DD:EE:02")).resolves.toMatchObject({
+        deviceId: "Valve3",
+      });
+    });
+
+    it("should reject unknown and ambiguous sub-devices", async () => {
+      await expect(deviceHandlers.resolveIotDevice("Sprinkler")).rejects.toMatchObject({ code: "DEVICE_NOT_FOUND" });
+      await expect(deviceHandlers.resolveIotDevice("Garden tap")).rejects.toThrow(
+        'IoT device "Garden tap" is ambiguous. It matches 2 sub-devices'
+      );
+      await expect(deviceHandlers.resolveIotDevice(" ")).rejects.toMatchObject({ code: "INVALID_PARAMETER" });
+    });
+
+    it("should read a sub-device's readings from its gateway's real-time data", async () => {
+      const readings = { status: { time: "1", unit: "", value: "1" } };
+      mockClient.getRealTimeInfo = vi.fn().mockResolvedValue({ "WFC01-0000001(Garden tap)": readings });
+      const iotDevice = await deviceHandlers.resolveIotDevice("Valve1");
+
+      await expect(deviceHandlers.getIotDeviceState(iotDevice)).resolves.toBe(readings);
+      expect(mockClient.getRealTimeInfo).toHaveBeenCalledWith("AA:BB:CC:DD:EE:01", "WFC01-0000001", {});
+    });
+  });
+
   describe("getDeviceByName", () => {
     it("should return full device data when found by name", async () => {
       const mockListDevices = vi.fn().mockResolvedValue(mockRawDevices);
@@ -326,6 +929,15 @@ describe("DeviceHandlers", () => {
       expect(mockGetDeviceInfo).toHaveBeenCalledWith("AA:BB:CC:DD:EE:02");
     });
 
+    it("should look up cellular stations by IMEI", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue([{ id: 944, name: "Cellular", imei: "863879049793071" }]);
+      const mockGetDeviceInfo = vi.fn().mockResolvedValue({ name: "Cellular" });
+      mockClient.getDeviceInfo = mockGetDeviceInfo;
+
+      await deviceHandlers.getDeviceByName("cellular");
+      expect(mockGetDeviceInfo).toHaveBeenCalledWith("863879049793071");
+    });
+
     it("should throw DeviceNotFoundError when a device is not found", async () => {
       const mockListDevices = vi.fn().mockResolvedValue(mockRawDevices);
       mockClient.listDevices = mockListDevices;
@@ -357,4 +969,146 @@ describe("DeviceHandlers", () => {
       await expect(deviceHandlers.getDeviceByName("any name")).rejects.toThrow(EcowittApiError);
     });
   });
+
+  describe("resolveDeviceId", () => {
+    it("should normalize a MAC address without listing devices", async () => {
+      mockClient.listDevices = vi.fn();
+
+      await expect(deviceHandlers.resolveDeviceId("aabbccddee02")).resolves.toBe("AA:BB:CC:DD:EE:02");
+      expect(mockClient.listDevices).not.toHaveBeenCalled();
+    });
+
+    it("should resolve aliases to a MAC address or device name", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+      deviceHandlers = new DeviceHandlers(mockClient, {
+        aliases: { Garden: "Backyard", Office: "AA:BB:CC:DD:EE:01" },
+      });
+
+      await expect(deviceHandlers.resolveDeviceId("garden")).resolves.toBe("AA:BB:CC:DD:EE:02");
+      await expect(deviceHandlers.resolveDeviceId("Office")).resolves.toBe("AA:BB:CC:DD:EE:01");
+    });
+
+    it("should list candidates when a name matches several devices", async () => {
+      mockClient.listDevices = vi
+        .fn()
+        .mockResolvedValue([...mockRawDevices, { id: 3, name: "backyard", mac: "AA:BB:CC:DD:EE:03" }]);
+
+      const error = await deviceHandlers.resolveDeviceId("BACKYARD").catch((e) => e);
+      expect(error).toBeInstanceOf(AmbiguousDeviceError);
+      expect(error.message).toContain("AA:BB:CC:DD:EE:02");
+      expect(error.message).toContain("AA:BB:CC:DD:EE:03");
+    });
+
+    it("should prefer an exact name match over case-insensitive ones", async () => {
+      mockClient.listDevices = vi
+        .fn()
+        .mockResolvedValue([...mockRawDevices, { id: 3, name: "backyard", mac: "AA:BB:CC:DD:EE:03" }]);
+
+      await expect(deviceHandlers.resolveDeviceId("backyard")).resolves.toBe("AA:BB:CC:DD:EE:03");
+    });
+
+    it("should normalize the MAC address of a device found by name", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue([{ id: 4, name: "Shed", mac: "aa-bb-cc-dd-ee-04" }]);
+
+      await expect(deviceHandlers.resolveDeviceId("Shed")).resolves.toBe("AA:BB:CC:DD:EE:04");
+    });
+
+    it("should reuse the cached device list between lookups", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+
+      await deviceHandlers.resolveDeviceId("Backyard");
+      await deviceHandlers.resolveDeviceId("Device 1");
+      expect(mockClient.listDevices).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("resolveDeviceArgs", () => {
+    it("should resolve the device argument", async () => {
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+
+      await expect(deviceHandlers.resolveDeviceArgs({ device: "Backyard" })).resolves.toBe("AA:BB:CC:DD:EE:02");
+      await expect(deviceHandlers.resolveDeviceArgs({ imei: "863879049793071" })).resolves.toBe("863879049793071");
+    });
+
+    it("should reject device combined with mac or imei", async () => {
+      await expect(deviceHandlers.resolveDeviceArgs({ device: "Backyard", mac: "AA:BB:CC:DD:EE:02" })).rejects.toThrow(
+        "Provide only one of device, mac or imei."
+      );
+    });
+  });
+
+  describe("uploaded stations", () => {
+    const station = {
+      stationId: "KCASANFR123",
+      name: "Barn",
+      protocol: "wunderground",
+      softwareType: "WS-1002 V2.4.6",
+      observedAt: Date.UTC(2024, 5, 1, 12, 0, 0),
+      data: { outdoor: { temperature: { time: "1717243200", unit: "ºF", value: "70.5" } }, wind: {} },
+    };
+
+    beforeEach(async () => {
+      const uploadStore = new UploadStore();
+      await uploadStore.save(station);
+      await uploadStore.save({ stationId: "PASSKEY", protocol: "ecowitt", observedAt: 1, data: {} });
+      mockClient.listDevices = vi.fn().mockResolvedValue(mockRawDevices);
+      mockClient.getRealTimeInfo = vi.fn();
+      deviceHandlers = new DeviceHandlers(mockClient, { uploadStore });
+    });
+
+    it("should list Weather Underground stations as pseudo-devices", async () => {
+      const resources = await deviceHandlers.handleDeviceList();
+
+      expect(resources).toHaveLength(3);
+      expect(resources[2]).toMatchObject({
+        uri: "ecowitt://device/KCASANFR123",
+        name: "Barn",
+        source: "wunderground",
+        stationId: "KCASANFR123",
+        stationType: "WS-1002 V2.4.6",
+      });
+    });
+
+    it("should resolve stations by name or station ID", async () => {
+      await expect(deviceHandlers.resolveDeviceId("barn")).resolves.toBe("KCASANFR123");
+      await expect(deviceHandlers.resolveDeviceId("kcasanfr123")).resolves.toBe("KCASANFR123");
+    });
+
+    it("should serve real-time data and device info from the latest upload", async () => {
+      const realtime = await deviceHandlers.getDeviceRealTimeInfo("KCASANFR123", "outdoor");
+      const device = await deviceHandlers.getDeviceByMac("KCASANFR123");
+
+      expect(realtime).toEqual({ outdoor: station.data.outdoor });
+      expect(device).toMatchObject({ name: "Barn", lastUpload: "2024-06-01T12:00:00.000Z" });
+      expect(mockClient.getRealTimeInfo).not.toHaveBeenCalled();
+    });
+
+    it("should list the sensors of the latest upload", async () => {
+      const { call_backs } = await deviceHandlers.getSensorInventory("KCASANFR123");
+
+      expect(call_backs).toEqual(["outdoor", "outdoor.temperature", "wind"]);
+      expect(mockClient.getDeviceInfo).not.toHaveBeenCalled();
+    });
+
+    it("should check unknown fields against the latest upload instead of the cloud", async () => {
+      const logger = vi.fn();
+      const uploadStore = new UploadStore();
+      await uploadStore.save({ ...station, data: { outdoor: { vpd: { time: "1", unit: "inHg", value: "0.1" } } } });
+      const handlers = new DeviceHandlers(mockClient, { uploadStore, logger });
+      mockClient.getDeviceInfo = vi.fn();
+
+      const realtime = await handlers.getDeviceRealTimeInfo("KCASANFR123", "outdoor.vpd, xyzzy");
+
+      expect(realtime).toEqual({ outdoor: { vpd: { time: "1", unit: "inHg", value: "0.1" } } });
+      expect(mockClient.getDeviceInfo).not.toHaveBeenCalled();
+      expect(logger).toHaveBeenCalledTimes(1);
+      expect(logger).toHaveBeenCalledWith("warning", expect.stringContaining('"xyzzy"'));
+    });
+
+    it("should reject history requests for uploaded stations", async () => {
+      await expect(
+        deviceHandlers.getDeviceHistory("KCASANFR123", "2024-06-01", "2024-06-02", "outdoor")
+      ).rejects.toMatchObject({ code: "UNSUPPORTED_OPERATION" });
+    });
+  });
 });
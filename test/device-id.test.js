@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { deviceUriId, isValidImei, normalizeDeviceId, resolveDeviceIdArgs } from "../src/utils/device_id.js";
+import { CustomError } from "../src/utils/errors.js";
+
+describe("Device identifier utilities", () => {
+  describe("isValidImei", () => {
+    it("should accept 15 digit IMEIs", () => {
+      expect(isValidImei("863879049793071")).toBe(true);
+    });
+
+    it("should reject other values", () => {
+      expect(isValidImei("86387904979307")).toBe(false);
+      expect(isValidImei("AABBCCDDEEFF")).toBe(false);
+      expect(isValidImei(null)).toBe(false);
+    });
+  });
+
+  describe("normalizeDeviceId", () => {
+    it("should format MAC addresses with colons", () => {
+      expect(normalizeDeviceId("aabbccddeeff")).toBe("AA:BB:CC:DD:EE:FF");
+      expect(normalizeDeviceId("AA-BB-CC-DD-EE-FF")).toBe("AA:BB:CC:DD:EE:FF");
+    });
+
+    it("should return IMEIs unchanged", () => {
+      expect(normalizeDeviceId("863879049793071")).toBe("863879049793071");
+    });
+
+    it("should throw CustomError for anything else", () => {
+      expect(() => normalizeDeviceId("not-a-device")).toThrow(CustomError);
+    });
+  });
+
+  describe("deviceUriId", () => {
+    it("should prefer the compact MAC address", () => {
+      expect(deviceUriId({ mac: "AA:BB:CC:DD:EE:FF", imei: "863879049793071" })).toBe("AABBCCDDEEFF");
+    });
+
+    it("should fall back to the IMEI", () => {
+      expect(deviceUriId({ imei: "863879049793071" })).toBe("863879049793071");
+    });
+
+    it("should throw when the device has neither", () => {
+      expect(() => deviceUriId({ name: "Mystery" })).toThrow(CustomError);
+    });
+  });
+
+  describe("resolveDeviceIdArgs", () => {
+    it("should resolve a mac or an imei", () => {
+      expect(resolveDeviceIdArgs({ mac: "AABBCCDDEEFF" })).toBe("AA:BB:CC:DD:EE:FF");
+      expect(resolveDeviceIdArgs({ imei: "863879049793071" })).toBe("863879049793071");
+    });
+
+    it("should require exactly one identifier", () => {
+      expect(() => resolveDeviceIdArgs({})).toThrow("A device, mac or imei is required.");
+      expect(() => resolveDeviceIdArgs({ mac: "AABBCCDDEEFF", imei: "863879049793071" })).toThrow(
+        "Provide either mac or imei, not both."
+      );
+    });
+  });
+});
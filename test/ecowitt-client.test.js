@@ -42,6 +42,60 @@ describe("EcowittClient", () => {
       expect(devices[1].stationType).toBe("WS6006_V1.1.26");
     });
 
+    it("should request every page and combine the devices", async () => {
+      const fixture = loadFixture("ecowitt", "device-list-success");
+      const [first, second] = fixture.data.list;
+      fetch
+        .once(JSON.stringify({ ...fixture, data: { total: 2, totalPage: 2, pageNum: 1, list: [first] } }))
+        .once(JSON.stringify({ ...fixture, data: { total: 2, totalPage: 2, pageNum: 2, list: [second] } }));
+
+      const client = new EcowittClient(config);
+      const devices = await client.listDevices();
+
+      expect(devices.map((device) => device.name)).toEqual(["Weather Station Main", "Garden Station"]);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[0][0]).toContain("page=1");
+      expect(fetch.mock.calls[1][0]).toContain("page=2");
+    });
+
+    it("should stop after the last page when the devices fill it exactly", async () => {
+      const fixture = loadFixture("ecowitt", "device-list-success");
+      const [template] = fixture.data.list;
+      const all = Array.from({ length: 20 }, (_, index) => ({
+        ...template,
+        id: index + 1,
+        name: `Station ${index + 1}`,
+        mac: `AA:BB:CC:DD:EE:${String(index + 1).padStart(2, "0")}`,
+      }));
+      fetch.mockResponse((request) => {
+        const params = new URL(request.url).searchParams;
+        const limit = Number(params.get("limit"));
+        const page = Number(params.get("page"));
+        const list = all.slice((page - 1) * limit, page * limit);
+        return JSON.stringify({ ...fixture, data: { total: all.length, totalPage: 2, pageNum: page, list } });
+      });
+
+      const client = new EcowittClient(config);
+      const devices = await client.listDevices();
+
+      expect(devices).toHaveLength(20);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[1][0]).toContain("limit=10&page=2");
+    });
+
+    it("should skip devices repeated across pages", async () => {
+      const fixture = loadFixture("ecowitt", "device-list-success");
+      const [first] = fixture.data.list;
+      fetch
+        .once(JSON.stringify({ ...fixture, data: { total: 2, totalPage: 2, pageNum: 1, list: [first] } }))
+        .once(JSON.stringify({ ...fixture, data: { total: 2, totalPage: 2, pageNum: 2, list: [first] } }));
+
+      const client = new EcowittClient(config);
+      const devices = await client.listDevices();
+
+      expect(devices).toHaveLength(1);
+    });
+
     it("should handle an empty device list from the API", async () => {
       const mockResponse = loadFixture("ecowitt", "device-list-empty");
       fetch.once(JSON.stringify(mockResponse));
@@ -158,7 +212,7 @@ describe("EcowittClient", () => {
     });
 
     it("should throw EcowittApiError for an HTTP error response", async () => {
-      fetch.once({
+      fetch.mockResponse({
         status: 500,
         statusText: "Server Error",
         body: "{}",
@@ -180,8 +234,179 @@ describe("EcowittClient", () => {
     });
   });
 
+  describe("retries", () => {
+    const busyResponse = JSON.stringify({ code: -1, msg: "System is busy", data: {} });
+    const successResponse = JSON.stringify({ code: 0, msg: "success", data: { ok: true } });
+
+    it("should retry a busy response and return the eventual result", async () => {
+      fetch.once(busyResponse).once(busyResponse).once(successResponse);
+      const logger = vi.fn();
+      const client = new EcowittClient(config, { logger });
+
+      await expect(client._makeRequest("/device/list")).resolves.toEqual({ ok: true });
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(logger).toHaveBeenCalledTimes(2);
+      expect(logger).toHaveBeenCalledWith("warning", expect.stringContaining("attempt 2 of 3"));
+    });
+
+    it("should give up after the maximum number of attempts", async () => {
+      fetch.mockResponse(busyResponse);
+      const client = new EcowittClient(config);
+
+      await expect(client._makeRequest("/device/list")).rejects.toThrow("System is busy.");
+      expect(fetch).toHaveBeenCalledTimes(config.ecowitt.retry.maxAttempts);
+    });
+
+    it("should retry HTTP 429 responses", async () => {
+      fetch.once({ status: 429, statusText: "Too Many Requests", body: "{}" }).once(successResponse);
+      const client = new EcowittClient(config);
+
+      await expect(client._makeRequest("/device/list")).resolves.toEqual({ ok: true });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should honour the Retry-After header", async () => {
+      fetch
+        .once({ status: 503, statusText: "Service Unavailable", body: "{}", headers: { "Retry-After": "0" } })
+        .once(successResponse);
+      const logger = vi.fn();
+      const client = new EcowittClient(config, { logger });
+
+      await expect(client._makeRequest("/device/list")).resolves.toEqual({ ok: true });
+      expect(logger).toHaveBeenCalledWith("warning", expect.stringContaining("retrying in 0ms"));
+    });
+
+    it("should stop retrying when Retry-After exceeds the time budget", async () => {
+      fetch.mockResponse({
+        status: 503,
+        statusText: "Service Unavailable",
+        body: "{}",
+        headers: { "Retry-After": "60" },
+      });
+      const client = new EcowittClient(config);
+
+      await expect(client._makeRequest("/device/list")).rejects.toThrow(EcowittApiError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not retry non-transient API errors", async () => {
+      fetch.mockResponse(JSON.stringify(loadFixture("ecowitt", "device-list-error")));
+      const client = new EcowittClient(config);
+
+      await expect(client._makeRequest("/device/list")).rejects.toThrow(EcowittApiError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should respect a configured maximum of one attempt", async () => {
+      fetch.mockResponse(busyResponse);
+      config.ecowitt.retry = { ...config.ecowitt.retry, maxAttempts: 1 };
+      const client = new EcowittClient(config);
+
+      await expect(client._makeRequest("/device/list")).rejects.toThrow(EcowittApiError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("request scheduling", () => {
+    it("should coalesce identical in-flight requests into one fetch", async () => {
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "real-time-info-success")));
+      const client = new EcowittClient(config);
+
+      const [first, second] = await Promise.all([
+        client.getRealTimeInfo("AA:BB:CC:DD:EE:FF", "outdoor"),
+        client.getRealTimeInfo("AA:BB:CC:DD:EE:FF", "outdoor"),
+      ]);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(second).toBe(first);
+      expect(client.getDiagnostics()).toMatchObject({ coalescedRequests: 1, inFlight: 0, started: 1 });
+    });
+
+    it("should not coalesce requests with different parameters", async () => {
+      fetch.mockResponse(JSON.stringify(loadFixture("ecowitt", "real-time-info-success")));
+      const client = new EcowittClient(config);
+
+      await Promise.all([
+        client.getRealTimeInfo("AA:BB:CC:DD:EE:FF", "outdoor"),
+        client.getRealTimeInfo("AA:BB:CC:DD:EE:FF", "indoor"),
+      ]);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should cap concurrent requests", async () => {
+      let active = 0;
+      let maxActive = 0;
+      fetch.mockResponse(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active--;
+        return JSON.stringify({ code: 0, msg: "success", data: {} });
+      });
+      config.ecowitt.rateLimit = { requestsPerSecond: 1000, burst: 10, maxConcurrent: 2 };
+      const client = new EcowittClient(config);
+
+      await Promise.all(
+        ["a", "b", "c", "d", "e"].map((callback) => client.getRealTimeInfo("AA:BB:CC:DD:EE:FF", callback))
+      );
+
+      expect(fetch).toHaveBeenCalledTimes(5);
+      expect(maxActive).toBe(2);
+      expect(client.getDiagnostics().maxQueueDepth).toBeGreaterThan(0);
+    });
+  });
+
+  describe("caching", () => {
+    it("should serve repeated requests from the cache", async () => {
+      fetch.mockResponse(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      const client = new EcowittClient(config);
+
+      await client.listDevices();
+      const devices = await client.listDevices();
+
+      expect(devices).toHaveLength(2);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(client.getDiagnostics().cache).toEqual({ hits: 1, misses: 1 });
+    });
+
+    it("should fetch again after the cache is cleared", async () => {
+      fetch.mockResponse(JSON.stringify(loadFixture("ecowitt", "real-time-info-success")));
+      const client = new EcowittClient(config);
+
+      await client.getRealTimeInfo("AA:BB:CC:DD:EE:FF");
+      await expect(client.clearCache({ device: "AA:BB:CC:DD:EE:FF" })).resolves.toBe(1);
+      await client.getRealTimeInfo("AA:BB:CC:DD:EE:FF");
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should not cache errors", async () => {
+      fetch
+        .once(JSON.stringify(loadFixture("ecowitt", "device-list-error")))
+        .once(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      const client = new EcowittClient(config);
+
+      await expect(client.listDevices()).rejects.toThrow(EcowittApiError);
+      await expect(client.listDevices()).resolves.toHaveLength(2);
+    });
+
+    it("should bypass the cache when disabled", async () => {
+      fetch.mockResponse(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      config.ecowitt.cache = { ...config.ecowitt.cache, enabled: false };
+      const client = new EcowittClient(config);
+
+      await client.listDevices();
+      await client.listDevices();
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe("getDeviceHistory", () => {
     it("should successfully fetch history by MAC", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2023-03-16T00:00:00Z"));
       const mockResponse = loadFixture("ecowitt", "device-history-success");
       fetch.once(JSON.stringify(mockResponse));
       const client = new EcowittClient(config);
@@ -192,10 +417,11 @@ describe("EcowittClient", () => {
         "outdoor.temp",
         "auto"
       );
+      vi.useRealTimers();
       expect(result).toEqual(mockResponse.data);
       expect(fetch).toHaveBeenCalledWith(
         expect.stringContaining(
-          "history?application_key=test-app-key&api_key=test-api-key&mac=AA%3ABB%3ACC%3ADD%3AEE%3AFF&start_date=2023-03-15+00%3A00%3A00&end_date=2023-03-15+23%3A59%3A59&call_back=outdoor.temp&cycle_type=auto"
+          "history?application_key=test-app-key&api_key=test-api-key&mac=AA%3ABB%3ACC%3ADD%3AEE%3AFF&start_date=2023-03-15+00%3A00%3A00&end_date=2023-03-15+23%3A59%3A59&call_back=outdoor.temp&cycle_type=5min"
         ),
         expect.any(Object)
       );
@@ -219,6 +445,8 @@ describe("EcowittClient", () => {
     });
 
     it("should include all unit options and cycle_type", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2023-03-16T00:00:00Z"));
       const mockResponse = loadFixture("ecowitt", "device-history-success");
       fetch.once(JSON.stringify(mockResponse));
       const client = new EcowittClient(config);
@@ -244,6 +472,128 @@ describe("EcowittClient", () => {
         ),
         expect.any(Object)
       );
+      vi.useRealTimers();
+    });
+
+    it("should split a long range into windows for the cycle type and merge the results", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2023-03-20T00:00:00Z"));
+      fetch
+        .once(
+          JSON.stringify({
+            code: 0,
+            msg: "success",
+            data: { outdoor: { temperature: { unit: "℉", list: { 1: "1" } } } },
+          })
+        )
+        .once(
+          JSON.stringify({
+            code: 0,
+            msg: "success",
+            data: { outdoor: { temperature: { unit: "℉", list: { 2: "2" } } } },
+          })
+        )
+        .once(
+          JSON.stringify({
+            code: 0,
+            msg: "success",
+            data: { outdoor: { temperature: { unit: "℉", list: { 3: "3" } } } },
+          })
+        );
+
+      const client = new EcowittClient(config);
+      const result = await client.getDeviceHistory(
+        "AA:BB:CC:DD:EE:FF",
+        "2023-03-13 00:00:00",
+        "2023-03-15 12:00:00",
+        "outdoor.temperature",
+        "5min"
+      );
+      vi.useRealTimers();
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      const requestedRanges = fetch.mock.calls.map(([url]) => {
+        const params = new URL(url).searchParams;
+        return [params.get("start_date"), params.get("end_date")];
+      });
+      expect(requestedRanges).toEqual([
+        ["2023-03-13 00:00:00", "2023-03-13 23:59:59"],
+        ["2023-03-14 00:00:00", "2023-03-14 23:59:59"],
+        ["2023-03-15 00:00:00", "2023-03-15 12:00:00"],
+      ]);
+      expect(result).toEqual({ outdoor: { temperature: { unit: "℉", list: { 1: "1", 2: "2", 3: "3" } } } });
+    });
+
+    it("should stop requesting windows once one has failed", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2023-03-20T00:00:00Z"));
+      fetch
+        .once(JSON.stringify({ code: 40016, msg: "Invalid call_back" }))
+        .mockResponse(JSON.stringify({ code: 0, msg: "success", data: {} }));
+
+      const client = new EcowittClient({ ...config, ecowitt: { ...config.ecowitt, historyConcurrency: 2 } });
+      await expect(
+        client.getDeviceHistory("AA:BB:CC:DD:EE:FF", "2023-03-01 00:00:00", "2023-03-10 23:59:59", "outdoor", "5min")
+      ).rejects.toThrow(EcowittApiError);
+      vi.useRealTimers();
+      // Give workers that are still running the chance to take further windows
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should resolve auto to an explicit cycle type, splitting ranges longer than a year into yearly windows", async () => {
+      fetch.mockResponse(JSON.stringify({ code: 0, msg: "success", data: {} }));
+      const client = new EcowittClient(config);
+      const now = new Date();
+      const start = new Date(now.getTime() - 500 * 24 * 60 * 60 * 1000);
+      const format = (date) => date.toISOString().slice(0, 19).replace("T", " ");
+
+      await client.getDeviceHistory("AA:BB:CC:DD:EE:FF", format(start), format(now), "rainfall", "auto");
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[0][0]).toContain("cycle_type=1day");
+      expect(fetch.mock.calls[1][0]).toContain("cycle_type=1day");
+    });
+
+    it("should reject ranges outside the retention window for the cycle type", async () => {
+      const client = new EcowittClient(config);
+      await expect(
+        client.getDeviceHistory("AA:BB:CC:DD:EE:FF", "2020-01-01 00:00:00", "2020-01-01 23:59:59", "outdoor", "5min")
+      ).rejects.toThrow("outside the 90 day retention window for 5min data");
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it("should measure retention from the current time in the device's timezone", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2023-03-20T00:00:00Z"));
+      fetch.mockResponse(JSON.stringify({ code: 0, msg: "success", data: {} }));
+      const client = new EcowittClient(config);
+      const query = (options) =>
+        client.getDeviceHistory(
+          "AA:BB:CC:DD:EE:FF",
+          "2022-12-19 22:00:00",
+          "2022-12-19 23:59:59",
+          "outdoor",
+          "5min",
+          {},
+          options
+        );
+
+      await expect(query({ timeZone: "America/New_York" })).resolves.toEqual({});
+      await expect(query({ timeZone: "Asia/Tokyo" })).rejects.toThrow("outside the 90 day retention window");
+      await expect(query()).rejects.toThrow("outside the 90 day retention window");
+      vi.useRealTimers();
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should reject a start date after the end date", async () => {
+      const client = new EcowittClient(config);
+      await expect(
+        client.getDeviceHistory("AA:BB:CC:DD:EE:FF", "2023-03-16 00:00:00", "2023-03-15 00:00:00", "outdoor")
+      ).rejects.toThrow(CustomError);
+      expect(fetch).not.toHaveBeenCalled();
     });
 
     it("should throw CustomError for missing required parameters", async () => {
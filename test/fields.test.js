@@ -0,0 +1,49 @@
+import { describe, expect, it, vi } from "vitest";
+import { resolveFieldSelectors } from "../src/ecowitt/fields.js";
+
+describe("Field selectors", () => {
+  describe("resolveFieldSelectors", () => {
+    it("should pass known groups and group.metric paths through", () => {
+      expect(resolveFieldSelectors("all")).toBe("all");
+      expect(resolveFieldSelectors("outdoor, indoor.humidity, soil_ch3.soilmoisture, ch_lds2.depth_ch2")).toBe(
+        "outdoor,indoor.humidity,soil_ch3.soilmoisture,ch_lds2.depth_ch2"
+      );
+      expect(resolveFieldSelectors(undefined)).toBeUndefined();
+    });
+
+    it("should translate aliases to Ecowitt paths", () => {
+      expect(resolveFieldSelectors("temp,rain,wind")).toBe("outdoor.temperature,rainfall,wind");
+      expect(resolveFieldSelectors("outdoor.temp, Wind.Gust, rain.rate, uv")).toBe(
+        "outdoor.temperature,wind.wind_gust,rainfall.rain_rate,solar_and_uvi.uvi"
+      );
+      expect(resolveFieldSelectors("temp, outdoor.temperature")).toBe("outdoor.temperature");
+    });
+
+    it("should reject likely typos with the closest matches", () => {
+      expect(() => resolveFieldSelectors("outdoor.temprature")).toThrow(
+        'Unknown call_back field "outdoor.temprature". Did you mean "outdoor.temperature"?'
+      );
+      expect(() => resolveFieldSelectors("outdor")).toThrow('Did you mean "outdoor"?');
+      expect(() => resolveFieldSelectors("soil_c3")).toThrow('Did you mean "soil_ch3"?');
+      expect(() => resolveFieldSelectors("wind.spd")).toThrow('Did you mean "wind.wind_speed"?');
+      expect(() => resolveFieldSelectors("outdor")).toThrow(expect.objectContaining({ code: "INVALID_PARAMETER" }));
+    });
+
+    it("should pass other unknown fields through, reporting them", () => {
+      const onUnknown = vi.fn();
+
+      expect(resolveFieldSelectors("xyzzy, outdoor.vpd, temp", { onUnknown })).toBe(
+        "xyzzy,outdoor.vpd,outdoor.temperature"
+      );
+      expect(onUnknown.mock.calls).toEqual([["xyzzy"], ["outdoor.vpd"]]);
+    });
+
+    it("should pass IoT sub-device groups and extra groups through unchecked", () => {
+      expect(resolveFieldSelectors("WFC01-0xxxxxx8(Garden tap).flow_rate")).toBe(
+        "WFC01-0xxxxxx8(Garden tap).flow_rate"
+      );
+      expect(resolveFieldSelectors("WFC01-0xxxxxx8.daily")).toBe("WFC01-0xxxxxx8.daily");
+      expect(resolveFieldSelectors("new_sensor_ch1", { groups: ["new_sensor_ch1"] })).toBe("new_sensor_ch1");
+    });
+  });
+});
@@ -0,0 +1,21 @@
+import { createServer } from "node:http";
+
+/**
+ * Start a stub HTTP server on a random local port
+ * @param {Function} handler - Node request handler (req, res)
+ * @returns {Promise<{url: string, close: Function}>} Base URL of the server and a function to stop it
+ */
+export async function startStubServer(handler) {
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
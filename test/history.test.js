@@ -0,0 +1,256 @@
+import { describe, expect, it } from "vitest";
+import {
+  formatEcowittDate,
+  hasUtcOffset,
+  historyTimestamps,
+  mergeHistoryResponses,
+  normalizeHistory,
+  parseEcowittDate,
+  selectCycleType,
+  splitDateRange,
+  toDeviceLocalDate,
+  validateHistoryRange,
+} from "../src/ecowitt/history.js";
+import { CustomError } from "../src/utils/errors.js";
+
+describe("History helpers", () => {
+  describe("parseEcowittDate", () => {
+    it("should parse a full date and time", () => {
+      expect(parseEcowittDate("2024-03-15 13:45:30").toISOString()).toBe("2024-03-15T13:45:30.000Z");
+    });
+
+    it("should default the time to midnight", () => {
+      expect(parseEcowittDate("2024-03-15").toISOString()).toBe("2024-03-15T00:00:00.000Z");
+    });
+
+    it("should reject malformed or impossible dates", () => {
+      expect(() => parseEcowittDate("15/03/2024")).toThrow(CustomError);
+      expect(() => parseEcowittDate("2024-02-30 00:00:00")).toThrow(CustomError);
+      expect(() => parseEcowittDate(undefined)).toThrow(CustomError);
+    });
+
+    it("should round trip through formatEcowittDate", () => {
+      expect(formatEcowittDate(parseEcowittDate("2024-12-25 06:00:00"))).toBe("2024-12-25 06:00:00");
+    });
+  });
+
+  describe("toDeviceLocalDate", () => {
+    it("should leave dates without an offset or timezone in device time", () => {
+      expect(toDeviceLocalDate("2024-12-25", "Australia/Melbourne")).toBe("2024-12-25 00:00:00");
+      expect(toDeviceLocalDate("2024-12-25 06:00:00", "Australia/Melbourne", "Australia/Melbourne")).toBe(
+        "2024-12-25 06:00:00"
+      );
+    });
+
+    it("should convert dates with a UTC offset to device time", () => {
+      expect(toDeviceLocalDate("2024-12-24T13:00:00Z", "Australia/Melbourne")).toBe("2024-12-25 00:00:00");
+      expect(toDeviceLocalDate("2024-12-25 00:00:00-05:00", "Australia/Melbourne")).toBe("2024-12-25 16:00:00");
+      expect(hasUtcOffset("2024-12-25 00:00:00+1100")).toBe(true);
+      expect(hasUtcOffset("2024-12-25")).toBe(false);
+    });
+
+    it("should convert dates from an explicit timezone to device time", () => {
+      expect(toDeviceLocalDate("2024-12-25 00:00:00", "Australia/Melbourne", "Europe/London")).toBe(
+        "2024-12-25 11:00:00"
+      );
+      expect(toDeviceLocalDate("2024-07-01 00:00:00", "UTC", "+10:00")).toBe("2024-06-30 14:00:00");
+    });
+
+    it("should throw CustomError for invalid dates", () => {
+      expect(() => toDeviceLocalDate("Christmas", "UTC", undefined, "start date")).toThrow(
+        'Invalid start date "Christmas"'
+      );
+    });
+  });
+
+  describe("historyTimestamps", () => {
+    it("should map every timestamp in the data to local time, in order", () => {
+      const history = {
+        outdoor: { temperature: { unit: "℉", list: { 1735045200: "70.1", 1735002000: "65.3" } } },
+        rainfall: { daily: { unit: "in", list: { 1735002000: "0.1" } } },
+      };
+
+      expect(historyTimestamps(history, "Australia/Melbourne")).toEqual({
+        1735002000: "2024-12-24T12:00:00+11:00",
+        1735045200: "2024-12-25T00:00:00+11:00",
+      });
+      expect(Object.keys(historyTimestamps(history, "UTC"))).toEqual(["1735002000", "1735045200"]);
+    });
+  });
+
+  describe("normalizeHistory", () => {
+    it("should return sorted numeric series with their metadata", () => {
+      const history = {
+        outdoor: { temperature: { unit: "ºF", list: { 1735005600: "66.0", 1735002000: "65.3", 1735016400: "" } } },
+        soil_ch2: { soilmoisture: { unit: "%", list: { 1735002000: "41", 1735016400: "40" } } },
+      };
+
+      const [temperature, soil] = normalizeHistory(history, "Australia/Melbourne", "30min");
+
+      expect(temperature).toEqual({
+        id: "outdoor.temperature",
+        group: "outdoor",
+        channel: null,
+        metric: "temperature",
+        unit: "℉",
+        resolution: "30min",
+        count: 2,
+        first: "2024-12-24T12:00:00+11:00",
+        last: "2024-12-24T13:00:00+11:00",
+        gaps: [{ after: "2024-12-24T12:00:00+11:00", before: "2024-12-24T13:00:00+11:00", missing: 1 }],
+        points: [
+          { t: 1735002000, local_time: "2024-12-24T12:00:00+11:00", value: 65.3 },
+          { t: 1735005600, local_time: "2024-12-24T13:00:00+11:00", value: 66 },
+        ],
+      });
+      expect(soil).toMatchObject({ id: "soil_ch2.soilmoisture", channel: 2, count: 2, gaps: [{ missing: 7 }] });
+    });
+
+    it("should not report daylight saving shifts in daily data as gaps", () => {
+      // Melbourne moves from UTC+11 to UTC+10 on 2024-04-07, so local midnights are 25 hours apart
+      const history = { rainfall: { daily: { unit: "mm", list: { 1712408400: "0", 1712498400: "1.2" } } } };
+
+      expect(normalizeHistory(history, "Australia/Melbourne", "1day")[0].gaps).toEqual([]);
+    });
+
+    it("should return an empty series when there is no data", () => {
+      expect(normalizeHistory({ outdoor: { temperature: { unit: "℃", list: {} } } }, "UTC", "5min")[0]).toMatchObject({
+        count: 0,
+        first: null,
+        last: null,
+        gaps: [],
+        points: [],
+      });
+    });
+  });
+
+  describe("splitDateRange", () => {
+    it("should return a single window when the range fits", () => {
+      expect(splitDateRange("2024-03-15 00:00:00", "2024-03-15 23:59:59", "5min")).toEqual([
+        { startDate: "2024-03-15 00:00:00", endDate: "2024-03-15 23:59:59" },
+      ]);
+    });
+
+    it("should split into weekly windows for 30min data", () => {
+      const windows = splitDateRange("2024-03-01 00:00:00", "2024-03-20 00:00:00", "30min");
+      expect(windows).toEqual([
+        { startDate: "2024-03-01 00:00:00", endDate: "2024-03-07 23:59:59" },
+        { startDate: "2024-03-08 00:00:00", endDate: "2024-03-14 23:59:59" },
+        { startDate: "2024-03-15 00:00:00", endDate: "2024-03-20 00:00:00" },
+      ]);
+    });
+
+    it("should split into calendar months for 4hour data", () => {
+      const windows = splitDateRange("2024-01-15 00:00:00", "2024-03-01 00:00:00", "4hour");
+      expect(windows).toEqual([
+        { startDate: "2024-01-15 00:00:00", endDate: "2024-02-14 23:59:59" },
+        { startDate: "2024-02-15 00:00:00", endDate: "2024-03-01 00:00:00" },
+      ]);
+    });
+
+    it("should split into years for 1day data", () => {
+      const windows = splitDateRange("2022-01-01 00:00:00", "2024-06-30 23:59:59", "1day");
+      expect(windows.map((w) => w.startDate)).toEqual([
+        "2022-01-01 00:00:00",
+        "2023-01-01 00:00:00",
+        "2024-01-01 00:00:00",
+      ]);
+      expect(windows.at(-1).endDate).toBe("2024-06-30 23:59:59");
+    });
+
+    it("should reject unknown cycle types", () => {
+      expect(() => splitDateRange("2024-03-15 00:00:00", "2024-03-16 00:00:00", "1min")).toThrow(CustomError);
+    });
+  });
+
+  describe("selectCycleType", () => {
+    const now = new Date("2024-06-01T00:00:00Z");
+
+    it("should choose the finest retained resolution that covers the range in one request", () => {
+      expect(selectCycleType("2024-05-31 00:00:00", "2024-05-31 23:59:59", "auto", now)).toBe("5min");
+      expect(selectCycleType("2024-05-25 00:00:00", "2024-05-31 23:59:59", undefined, now)).toBe("30min");
+      expect(selectCycleType("2024-01-01 00:00:00", "2024-01-01 23:59:59", "auto", now)).toBe("30min");
+      expect(selectCycleType("2023-01-01 00:00:00", "2023-01-31 23:59:59", "auto", now)).toBe("4hour");
+      expect(selectCycleType("2021-01-01 00:00:00", "2023-12-31 23:59:59", "auto", now)).toBe("1day");
+    });
+
+    it("should keep explicit cycle types that retain the range", () => {
+      expect(selectCycleType("2024-05-01 00:00:00", "2024-05-31 23:59:59", "5min", now)).toBe("5min");
+    });
+
+    it("should reject explicit cycle types that cannot cover the range", () => {
+      expect(() => selectCycleType("2023-01-01 00:00:00", "2023-01-02 00:00:00", "30min", now)).toThrow(
+        'Use cycle_type "4hour" (or "auto") for this range'
+      );
+    });
+
+    it("should reject ranges older than any retained history", () => {
+      expect(() => selectCycleType("2019-01-01 00:00:00", "2019-01-02 00:00:00", "auto", now)).toThrow(
+        "older than the 1460 days of history Ecowitt retains"
+      );
+    });
+
+    it("should reject unknown cycle types", () => {
+      expect(() => selectCycleType("2024-05-31 00:00:00", "2024-05-31 23:59:59", "1min", now)).toThrow(
+        'Unsupported cycle_type "1min". Use one of "auto", "5min", "30min", "4hour", "1day".'
+      );
+    });
+  });
+
+  describe("validateHistoryRange", () => {
+    const now = new Date("2024-06-01T00:00:00Z");
+
+    it("should accept ranges inside the retention window", () => {
+      expect(() => validateHistoryRange("2024-05-01 00:00:00", "2024-05-01 23:59:59", "5min", now)).not.toThrow();
+      expect(() => validateHistoryRange("2021-01-01 00:00:00", "2021-12-31 23:59:59", "1day", now)).not.toThrow();
+    });
+
+    it("should reject ranges older than the retention window", () => {
+      expect(() => validateHistoryRange("2024-01-01 00:00:00", "2024-01-01 23:59:59", "5min", now)).toThrow(
+        /90 day retention window/
+      );
+      expect(() => validateHistoryRange("2022-01-01 00:00:00", "2022-01-07 00:00:00", "30min", now)).toThrow(
+        /365 day retention window/
+      );
+    });
+
+    it("should suggest a coarser cycle type that retains the range", () => {
+      expect(() => validateHistoryRange("2024-01-01 00:00:00", "2024-01-01 23:59:59", "5min", now)).toThrow(
+        'Use cycle_type "30min" (or "auto") for this range, or start on or after 2024-03-03 00:00:00.'
+      );
+    });
+
+    it("should skip the retention check for auto", () => {
+      expect(() => validateHistoryRange("2015-01-01 00:00:00", "2015-01-02 00:00:00", "auto", now)).not.toThrow();
+    });
+
+    it("should reject inverted ranges", () => {
+      expect(() => validateHistoryRange("2024-05-02 00:00:00", "2024-05-01 00:00:00", undefined, now)).toThrow(
+        /must not be after/
+      );
+    });
+  });
+
+  describe("mergeHistoryResponses", () => {
+    it("should merge series lists across responses", () => {
+      const merged = mergeHistoryResponses([
+        { outdoor: { temperature: { unit: "℉", list: { 1: "44.3" } } } },
+        {
+          outdoor: { temperature: { unit: "℉", list: { 2: "45.1" } } },
+          indoor: { humidity: { unit: "%", list: { 2: "56" } } },
+        },
+      ]);
+
+      expect(merged).toEqual({
+        outdoor: { temperature: { unit: "℉", list: { 1: "44.3", 2: "45.1" } } },
+        indoor: { humidity: { unit: "%", list: { 2: "56" } } },
+      });
+    });
+
+    it("should ignore empty responses", () => {
+      expect(mergeHistoryResponses([undefined, {}, { rainfall: { daily: { unit: "in", list: {} } } }])).toEqual({
+        rainfall: { daily: { unit: "in", list: {} } },
+      });
+    });
+  });
+});
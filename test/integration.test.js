@@ -1,8 +1,37 @@
-import { describe, expect, it } from "vitest";
+import { readFileSync } from "node:fs";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import createFetchMock from "vitest-fetch-mock";
 import { clearConfigCache, getConfig } from "../src/config/index.js";
 import { createMCPServer } from "../src/server/index.js";
+import { loadFixture } from "./helpers/fixtures.js";
+
+const fetchMocker = createFetchMock(vi);
+fetchMocker.enableMocks();
+
+/**
+ * Create a server and a connected in-memory MCP client
+ * @param {Object} config - Server configuration
+ * @returns {Promise<Client>} Connected MCP client
+ */
+async function connectClient(config) {
+  const server = await createMCPServer(config);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: "test-client", version: "1.0.0" });
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
 
 describe("Integration Tests", () => {
+  beforeEach(() => {
+    fetch.resetMocks();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
   describe("Server Creation with Lazy-Loaded Config", () => {
     it("should create MCP server with lazily loaded config", async () => {
       // Clear any cached config to ensure fresh load
@@ -24,4 +53,483 @@ describe("Integration Tests", () => {
       expect(server).toBeDefined();
     });
   });
+
+  describe("resources/list", () => {
+    it("should page through devices and their IoT sub-devices using cursors", async () => {
+      fetch.mockResponse(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      clearConfigCache();
+      const config = { ...getConfig(), server: { ...getConfig().server, resourcesPageSize: 2 } };
+      const client = await connectClient(config);
+
+      const firstPage = await client.listResources();
+      expect(firstPage.resources).toHaveLength(2);
+      expect(firstPage.resources[0]).toMatchObject({
+        uri: "ecowitt://device/AABBCCDDEEFF",
+        name: "Weather Station Main",
+        mimeType: "application/json",
+      });
+      expect(firstPage.resources[1]).toMatchObject({
+        uri: "ecowitt://device/AABBCCDDEEFF/iot/AbCd1234567890EfGh",
+        name: "Indoor Sensor",
+        description: "AC1100 smart plug paired with Weather Station Main",
+      });
+      expect(firstPage.nextCursor).toBeDefined();
+
+      const secondPage = await client.listResources({ cursor: firstPage.nextCursor });
+      expect(secondPage.resources.map((resource) => resource.name)).toEqual(["Outdoor Multi Sensor", "Garden Station"]);
+      expect(secondPage.nextCursor).toBeUndefined();
+    });
+  });
+
+  describe("IMEI devices", () => {
+    it("should list and read cellular stations by IMEI", async () => {
+      const deviceList = loadFixture("ecowitt", "device-list-success");
+      delete deviceList.data.list[1].mac;
+      fetch
+        .once(JSON.stringify(deviceList))
+        .once(
+          JSON.stringify({ code: 0, msg: "success", data: { name: "Garden", type: 1, stationtype: "WS6006_V1.1.26" } })
+        );
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const { resources } = await client.listResources();
+      expect(resources.map((resource) => resource.uri)).toEqual([
+        "ecowitt://device/AABBCCDDEEFF",
+        "ecowitt://device/AABBCCDDEEFF/iot/AbCd1234567890EfGh",
+        "ecowitt://device/AABBCCDDEEFF/iot/XyZ9876543210AbCdE",
+        "ecowitt://device/863879049793071",
+      ]);
+
+      const { contents } = await client.readResource({ uri: "ecowitt://device/863879049793071" });
+      expect(contents[0]).toMatchObject({ imei: "863879049793071", title: "Garden" });
+      expect(JSON.parse(contents[0].text)).toMatchObject({
+        typeName: "weather station",
+        model: "WS6006",
+        family: "cellular station",
+        firmwareVersion: "1.1.26",
+      });
+      expect(fetch.mock.calls[1][0]).toContain("imei=863879049793071");
+    });
+
+    it("should accept an imei in tool calls", async () => {
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "real-time-info-success")));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({
+        name: "get_device_realtime_info",
+        arguments: { imei: "863879049793071" },
+      });
+
+      expect(result.isError).toBeFalsy();
+      expect(fetch.mock.calls[0][0]).toContain("imei=863879049793071");
+    });
+
+    it("should resolve device names and aliases in tool calls", async () => {
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      fetch.mockResponse(JSON.stringify(loadFixture("ecowitt", "real-time-info-success")));
+      clearConfigCache();
+      const client = await connectClient({ ...getConfig(), devices: { aliases: { garden: "Garden Station" } } });
+
+      const result = await client.callTool({ name: "get_device_realtime_info", arguments: { device: "garden" } });
+
+      expect(result.isError).toBeFalsy();
+      expect(fetch.mock.calls[1][0]).toContain("mac=11%3A22%3A33%3A44%3A55%3A66");
+    });
+
+    it("should render history timestamps in the device's timezone", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2025-01-01T00:00:00Z"));
+      const history = { outdoor: { temperature: { unit: "℉", list: { 1735102800: "41.2" } } } };
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      fetch.once(JSON.stringify({ code: 0, msg: "success", time: "1735102800", data: history }));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({
+        name: "get_device_historical_info",
+        arguments: {
+          device: "Weather Station Main",
+          start_date: "2024-12-25 00:00:00",
+          end_date: "2024-12-25 23:59:59",
+          call_back: "outdoor.temperature",
+        },
+      });
+
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent).toEqual({
+        history,
+        timezone: "America/New_York",
+        cycle_type: "5min",
+        start_date: "2024-12-25 00:00:00",
+        end_date: "2024-12-25 23:59:59",
+        timestamps: { 1735102800: "2024-12-25T00:00:00-05:00" },
+      });
+      expect(fetch.mock.calls[1][0]).toContain("start_date=2024-12-25+00%3A00%3A00");
+    });
+
+    it("should return the documented history example, including its camera group", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2022-04-08T09:00:00Z"));
+      const example = JSON.parse(readFileSync(new URL("../docs/examples/history.json", import.meta.url), "utf8"));
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      fetch.once(JSON.stringify(example));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({
+        name: "get_device_historical_info",
+        arguments: {
+          device: "Weather Station Main",
+          start_date: "2022-03-23 00:00:00",
+          end_date: "2022-03-24 23:59:59",
+          call_back: "outdoor,camera",
+          cycle_type: "4hour",
+        },
+      });
+
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent.history).toEqual(example.data);
+      expect(result.structuredContent.history.camera["20221212"].photo).toHaveProperty("1670795620");
+    });
+
+    it("should resolve history range expressions and echo the dates used", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2025-01-01T00:00:00Z"));
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      fetch.once(JSON.stringify({ code: 0, msg: "success", time: "1735102800", data: {} }));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({
+        name: "get_device_historical_info",
+        arguments: { device: "Weather Station Main", range: "2024-W52", call_back: "outdoor.temperature" },
+      });
+
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent).toMatchObject({
+        timezone: "America/New_York",
+        cycle_type: "30min",
+        start_date: "2024-12-23 00:00:00",
+        end_date: "2024-12-29 23:59:59",
+      });
+      expect(fetch.mock.calls[1][0]).toContain("end_date=2024-12-29+23%3A59%3A59");
+      expect(fetch.mock.calls[1][0]).toContain("cycle_type=30min");
+    });
+
+    it("should return normalized history series", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2025-01-01T00:00:00Z"));
+      const history = { outdoor: { temperature: { unit: "ºF", list: { 1735103400: "41.9", 1735102800: "41.2" } } } };
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      fetch.once(JSON.stringify({ code: 0, msg: "success", time: "1735102800", data: history }));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({
+        name: "get_device_historical_info",
+        arguments: {
+          device: "Weather Station Main",
+          range: "2024-12-25",
+          call_back: "outdoor.temperature",
+          format: "normalized",
+        },
+      });
+
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent.history).toBeUndefined();
+      expect(result.structuredContent.timestamps).toBeUndefined();
+      expect(result.structuredContent.series).toEqual([
+        {
+          id: "outdoor.temperature",
+          group: "outdoor",
+          channel: null,
+          metric: "temperature",
+          unit: "℉",
+          resolution: "5min",
+          count: 2,
+          first: "2024-12-25T00:00:00-05:00",
+          last: "2024-12-25T00:10:00-05:00",
+          gaps: [{ after: "2024-12-25T00:00:00-05:00", before: "2024-12-25T00:10:00-05:00", missing: 1 }],
+          points: [
+            { t: 1735102800, local_time: "2024-12-25T00:00:00-05:00", value: 41.2 },
+            { t: 1735103400, local_time: "2024-12-25T00:10:00-05:00", value: 41.9 },
+          ],
+        },
+      ]);
+    });
+
+    it("should convert readings to friendly units", async () => {
+      const realtime = { outdoor: { temperature: { time: "1", unit: "ºF", value: "68.0" } } };
+      fetch.mockResponse(JSON.stringify({ code: 0, msg: "success", time: "1", data: realtime }));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({
+        name: "get_device_realtime_info",
+        arguments: { mac: "AA:BB:CC:DD:EE:FF", units: "metric" },
+      });
+      const { contents } = await client.readResource({ uri: "ecowitt://device/AABBCCDDEEFF?units=kelvin" });
+
+      expect(JSON.parse(result.content[0].text)).toEqual({
+        outdoor: { temperature: { time: "1", unit: "℃", value: "20" } },
+      });
+      expect(JSON.parse(contents[0].text).outdoor.temperature).toMatchObject({ unit: "K", value: "293.15" });
+      expect(fetch.mock.calls[0][0]).not.toContain("units");
+    });
+
+    it("should apply unit ids to readings from a local gateway", async () => {
+      fetch.mockResponse(JSON.stringify(loadFixture("gateway", "livedata")));
+      clearConfigCache();
+      const config = getConfig();
+      const client = await connectClient({
+        ...config,
+        devices: { ...config.devices, localGateways: { "AA:BB:CC:DD:EE:FF": "192.168.1.50" } },
+      });
+
+      const result = await client.callTool({
+        name: "get_device_realtime_info",
+        arguments: { mac: "AA:BB:CC:DD:EE:FF", callback: "outdoor.temperature,rainfall.daily", temp_unitid: 2 },
+      });
+
+      const data = JSON.parse(result.content[0].text);
+      expect(data.outdoor.temperature).toMatchObject({ unit: "℉", value: "70.5" });
+      expect(data.rainfall.daily).toMatchObject({ unit: "mm", value: "1.2" });
+      expect(fetch.mock.calls[0][0]).toBe("http://192.168.1.50/get_livedata_info");
+    });
+
+    it("should return normalized real-time readings as structured content", async () => {
+      const realtime = {
+        outdoor: { temperature: { time: "1717243200", unit: "ºF", value: "70.5" } },
+        soil_ch3: { soilmoisture: { time: "1717243200", unit: "%", value: "41" } },
+      };
+      fetch.mockResponse(JSON.stringify({ code: 0, msg: "success", time: "1717243200", data: realtime }));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const raw = await client.callTool({ name: "get_device_realtime_info", arguments: { mac: "AA:BB:CC:DD:EE:FF" } });
+      const normalized = await client.callTool({
+        name: "get_device_realtime_info",
+        arguments: { mac: "AA:BB:CC:DD:EE:FF", format: "normalized" },
+      });
+
+      expect(raw.structuredContent).toEqual({ data: realtime });
+      expect(normalized.structuredContent.readings).toEqual([
+        {
+          id: "outdoor.temperature",
+          group: "outdoor",
+          channel: null,
+          metric: "temperature",
+          value: 70.5,
+          unit: "℉",
+          time: "2024-06-01T12:00:00.000Z",
+        },
+        {
+          id: "soil_ch3.soilmoisture",
+          group: "soil_ch3",
+          channel: 3,
+          metric: "soilmoisture",
+          value: 41,
+          unit: "%",
+          time: "2024-06-01T12:00:00.000Z",
+        },
+      ]);
+    });
+
+    it("should list a device's sensors from a tool and a resource", async () => {
+      const lastUpdate = {
+        outdoor: { temperature: { time: "1717243200", unit: "ºF", value: "70.5" } },
+        temp_and_humidity_ch3: { humidity: { time: "1717243200", unit: "%", value: "55" } },
+      };
+      fetch.mockResponse(JSON.stringify({ code: 0, msg: "success", time: "1", data: { last_update: lastUpdate } }));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({ name: "list_sensors", arguments: { mac: "AA:BB:CC:DD:EE:FF" } });
+      const { contents } = await client.readResource({ uri: "ecowitt://device/AABBCCDDEEFF/sensors" });
+
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent.call_backs).toEqual([
+        "outdoor",
+        "outdoor.temperature",
+        "temp_and_humidity_ch3",
+        "temp_and_humidity_ch3.humidity",
+      ]);
+      expect(result.structuredContent.sensors[1]).toMatchObject({ label: "Temp/Humidity channel 3", channel: 3 });
+      expect(contents[0]).toMatchObject({ uri: "ecowitt://device/AABBCCDDEEFF/sensors", mac: "AA:BB:CC:DD:EE:FF" });
+      expect(JSON.parse(contents[0].text)).toEqual(result.structuredContent);
+      expect(fetch.mock.calls[0][0]).toContain("/device/info");
+    });
+
+    it("should apply the configured default units to tools and resources", async () => {
+      const realtime = { outdoor: { temperature: { time: "1", unit: "℉", value: "50" } } };
+      fetch.mockResponse(JSON.stringify({ code: 0, msg: "success", time: "1", data: realtime }));
+      clearConfigCache();
+      const client = await connectClient({ ...getConfig(), units: { default: "metric", devices: {} } });
+
+      const result = await client.callTool({
+        name: "get_device_realtime_info",
+        arguments: { mac: "AA:BB:CC:DD:EE:FF" },
+      });
+      const explicit = await client.callTool({
+        name: "get_device_realtime_info",
+        arguments: { mac: "AA:BB:CC:DD:EE:FF", temp_unitid: 2 },
+      });
+      const { contents } = await client.readResource({ uri: "ecowitt://device/AABBCCDDEEFF" });
+
+      expect(JSON.parse(result.content[0].text).outdoor.temperature).toMatchObject({ unit: "℃", value: "10" });
+      expect(JSON.parse(explicit.content[0].text).outdoor.temperature).toMatchObject({ unit: "℉", value: "50" });
+      expect(JSON.parse(contents[0].text).outdoor.temperature).toMatchObject({ unit: "℃", value: "10" });
+    });
+
+    it("should label and calibrate sensors configured for the device", async () => {
+      const realtime = { temp_and_humidity_ch2: { temperature: { time: "1717243200", unit: "℉", value: "55.0" } } };
+      fetch.mockResponse(JSON.stringify({ code: 0, msg: "success", time: "1", data: realtime }));
+      clearConfigCache();
+      const sensors = {
+        "AA:BB:CC:DD:EE:FF": {
+          temp_and_humidity_ch2: {
+            label: "Wine cellar",
+            location: "Basement",
+            calibration: { temperature: { offset: -1 } },
+          },
+        },
+      };
+      const client = await connectClient({ ...getConfig(), devices: { ...getConfig().devices, sensors } });
+
+      const raw = await client.callTool({
+        name: "get_device_realtime_info",
+        arguments: { mac: "AA:BB:CC:DD:EE:FF", callback: "Wine cellar" },
+      });
+      const normalized = await client.callTool({
+        name: "get_device_realtime_info",
+        arguments: { mac: "AA:BB:CC:DD:EE:FF", format: "normalized" },
+      });
+
+      expect(raw.structuredContent).toEqual({
+        data: { temp_and_humidity_ch2: { temperature: { time: "1717243200", unit: "℉", value: "54.0" } } },
+        labels: { temp_and_humidity_ch2: { label: "Wine cellar", location: "Basement" } },
+      });
+      expect(JSON.parse(raw.content[1].text)).toEqual({ labels: raw.structuredContent.labels });
+      expect(normalized.structuredContent.readings[0]).toMatchObject({
+        value: 54,
+        label: "Wine cellar",
+        location: "Basement",
+      });
+      expect(fetch.mock.calls[0][0]).toContain("call_back=temp_and_humidity_ch2");
+    });
+
+    it("should reject likely call_back typos before calling the API", async () => {
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({
+        name: "get_device_realtime_info",
+        arguments: { mac: "AA:BB:CC:DD:EE:FF", callback: "outdoor.temp, indoor.humidty" },
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain(
+        'Unknown call_back field "indoor.humidty". Did you mean "indoor.humidity"?'
+      );
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it("should report an error when no device identifier is given", async () => {
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({ name: "get_device_realtime_info", arguments: {} });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("A device, mac or imei is required.");
+    });
+  });
+  describe("IoT sub-devices", () => {
+    const realtime = {
+      "WFC01-005678(Garden tap)": {
+        daily: { value: "0.120", unit: "m³", day: "20240920" },
+        monthly: { value: "1.500", unit: "m³", month: "202409" },
+        status: { value: "1", unit: "", time: "1726801575" },
+        flow_rate: { value: "0.006", unit: "m³/min", time: "1726801575" },
+      },
+    };
+
+    it("should get a sub-device's typed state by default title, from a tool and a resource", async () => {
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      fetch.mockResponse(JSON.stringify({ code: 0, msg: "success", time: "1726801575", data: realtime }));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({ name: "get_iot_device_info", arguments: { iot_device: "WFC01-005678" } });
+      const { contents } = await client.readResource({ uri: "ecowitt://device/AABBCCDDEEFF/iot/XyZ9876543210AbCdE" });
+
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent).toEqual({
+        device: {
+          uri: "ecowitt://device/AABBCCDDEEFF/iot/XyZ9876543210AbCdE",
+          deviceId: "XyZ9876543210AbCdE",
+          defaultTitle: "WFC01-005678",
+          name: "Outdoor Multi Sensor",
+          model: "WFC01",
+          kind: "water valve",
+          version: "2.1.0",
+          parent: "AA:BB:CC:DD:EE:FF",
+        },
+        state: {
+          status: "on",
+          time: "2024-09-20T03:06:15.000Z",
+          water: {
+            daily: { value: 120, unit: "L", day: "2024-09-20" },
+            monthly: { value: 1500, unit: "L", month: "2024-09" },
+          },
+          flow_rate: { value: 6, unit: "L/min" },
+        },
+      });
+      expect(fetch.mock.calls[1][0]).toContain("call_back=WFC01-005678");
+      expect(JSON.parse(contents[0].text)).toMatchObject({ defaultTitle: "WFC01-005678", state: { status: "on" } });
+    });
+
+    it("should get a sub-device's history as time series in canonical units", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2025-01-01T00:00:00Z"));
+      const history = {
+        "AC1100-001234(Indoor Sensor)": {
+          elect_total: { unit: "kW", list: { 1735102800: "8.81" } },
+          power: { unit: "W", list: { 1735102800: "18" } },
+        },
+      };
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      fetch.once(JSON.stringify({ code: 0, msg: "success", time: "1735102800", data: history }));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({
+        name: "get_iot_device_history",
+        arguments: { device: "Weather Station Main", iot_device: "indoor sensor", range: "2024-12-25" },
+      });
+
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent.device.defaultTitle).toBe("AC1100-001234");
+      expect(
+        result.structuredContent.series.map(({ metric, unit, points }) => [metric, unit, points[0].value])
+      ).toEqual([
+        ["elect_total", "kWh", 8.81],
+        ["power", "W", 18],
+      ]);
+      expect(fetch.mock.calls[1][0]).toContain("call_back=AC1100-001234");
+    });
+
+    it("should report an unknown sub-device", async () => {
+      fetch.once(JSON.stringify(loadFixture("ecowitt", "device-list-success")));
+      clearConfigCache();
+      const client = await connectClient(getConfig());
+
+      const result = await client.callTool({ name: "get_iot_device_info", arguments: { iot_device: "WFC01-999999" } });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('IoT device "WFC01-999999" not found.');
+    });
+  });
 });
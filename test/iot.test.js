@@ -0,0 +1,84 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { convertIotReadings, describeIotDevice, findIotGroup, normalizeIotState } from "../src/ecowitt/iot.js";
+
+describe("IoT sub-devices", () => {
+  const realtime = JSON.parse(readFileSync(new URL("../docs/examples/real-time.json", import.meta.url), "utf8")).data;
+
+  describe("describeIotDevice", () => {
+    it("should identify the model and build the child resource URI", () => {
+      const parent = { name: "Gateway", mac: "AA:BB:CC:DD:EE:FF" };
+      const iotDevice = { name: "Plug", defaultTitle: "AC1100-0xxxxxx1", deviceId: "ShKd/1", version: "1.0" };
+
+      expect(describeIotDevice(parent, iotDevice)).toEqual({
+        uri: "ecowitt://device/AABBCCDDEEFF/iot/ShKd%2F1",
+        deviceId: "ShKd/1",
+        defaultTitle: "AC1100-0xxxxxx1",
+        name: "Plug",
+        model: "AC1100",
+        kind: "smart plug",
+        version: "1.0",
+      });
+    });
+  });
+
+  describe("findIotGroup", () => {
+    it("should find a sub-device's group by its default title", () => {
+      expect(findIotGroup(realtime, "WFC01-0xxxxxx8")).toBe("WFC01-0xxxxxx8(WFC01 Default Title)");
+      expect(findIotGroup(realtime, "WFC01-0xxxxxx9")).toBeUndefined();
+    });
+  });
+
+  describe("normalizeIotState", () => {
+    it("should type a water valve's state in litres", () => {
+      expect(normalizeIotState(realtime["WFC02-0xxxxxx1(WFC02 Default Title)"])).toEqual({
+        status: "on",
+        time: "2024-09-20T03:06:15.000Z",
+        water: {
+          daily: { value: 0, unit: "L", day: "2024-09-20" },
+          monthly: { value: 0, unit: "L", month: "2024-09" },
+        },
+        flow_rate: { value: 0, unit: "L/min" },
+        position: { value: 0, unit: "%" },
+      });
+    });
+
+    it("should type a smart plug's state in kWh without losing precision", () => {
+      expect(normalizeIotState(realtime["AC1100-0xxxxxx1(AC1100 Default Title)"]).energy).toEqual({
+        daily: { value: 0.037, unit: "kWh", day: "2024-09-20" },
+        monthly: { value: 1.96, unit: "kWh", month: "2024-09" },
+      });
+    });
+
+    it("should type a smart plug's state in kWh, or preferred units", () => {
+      const state = normalizeIotState(realtime["AC1100-0xxxxxx1(AC1100 Default Title)"], { energy: "Wh" });
+
+      expect(state).toMatchObject({
+        status: "on",
+        energy: {
+          daily: { value: 37, unit: "Wh", day: "2024-09-20" },
+          monthly: { value: 1960, unit: "Wh", month: "2024-09" },
+        },
+        power: { value: 18, unit: "W" },
+        voltage: { value: 225, unit: "V" },
+      });
+      expect(normalizeIotState({ status: { value: 0, unit: "" } })).toEqual({ status: "off", time: null });
+    });
+  });
+
+  describe("convertIotReadings", () => {
+    it("should relabel energy totals reported with a power unit", () => {
+      const readings = convertIotReadings({
+        elect_total: { unit: "kW", list: { 1647993600: "8.81" } },
+        power: { unit: "W", list: { 1647993600: "0" } },
+        water_total: { unit: "m³", list: { 1647993600: "0.250" } },
+      });
+
+      expect(readings).toEqual({
+        elect_total: { unit: "kWh", list: { 1647993600: "8.81" } },
+        power: { unit: "W", list: { 1647993600: "0" } },
+        water_total: { unit: "L", list: { 1647993600: "250" } },
+      });
+    });
+  });
+});
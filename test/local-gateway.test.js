@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { LocalGatewayClient, normalizeLiveData } from "../src/ecowitt/local_gateway.js";
+import { CustomError, DataParsingError } from "../src/utils/errors.js";
+import { loadFixture } from "./helpers/fixtures.js";
+import { startStubServer } from "./helpers/http.js";
+
+describe("normalizeLiveData", () => {
+  const liveData = loadFixture("gateway", "livedata");
+  const now = Date.UTC(2024, 5, 1, 12, 0, 0);
+
+  it("should group readings like the cloud real_time response", () => {
+    const data = normalizeLiveData(liveData, now);
+
+    expect(data.outdoor.temperature).toEqual({ time: "1717243200", unit: "℃", value: "21.4" });
+    expect(data.outdoor.humidity).toEqual({ time: "1717243200", unit: "%", value: "62" });
+    expect(data.outdoor.feels_like).toMatchObject({ unit: "℃", value: "21.4" });
+    expect(data.outdoor.dew_point).toMatchObject({ unit: "℃", value: "13.9" });
+    expect(data.outdoor.vpd).toMatchObject({ unit: "kPa", value: "0.967" });
+    expect(data.wind.wind_speed).toMatchObject({ unit: "km/h", value: "7.2" });
+    expect(data.wind.wind_direction).toMatchObject({ unit: "º", value: "247" });
+    expect(data.solar_and_uvi.solar).toMatchObject({ unit: "W/m²", value: "412.36" });
+    expect(data.rainfall.yearly).toMatchObject({ unit: "mm", value: "402.6" });
+    expect(data.indoor.temperature).toMatchObject({ unit: "℃", value: "23.0" });
+    expect(data.pressure.relative).toMatchObject({ unit: "hPa", value: "1015.2" });
+    expect(data.lightning.count).toMatchObject({ unit: "", value: "3" });
+  });
+
+  it("should create a group per sensor channel and skip missing values", () => {
+    const data = normalizeLiveData(liveData, now);
+
+    expect(data.temp_and_humidity_ch1.temperature).toMatchObject({ unit: "℃", value: "26.1" });
+    expect(data.soil_ch2.soilmoisture).toMatchObject({ unit: "%", value: "34" });
+    expect(data.temp_ch1).toBeUndefined();
+  });
+});
+
+describe("LocalGatewayClient", () => {
+  let gateway;
+  let requests;
+  let respond;
+
+  beforeEach(async () => {
+    requests = [];
+    respond = (req, res) => {
+      const url = new URL(req.url, "http://gateway");
+      const fixtures = {
+        "/get_livedata_info": "livedata",
+        "/get_sensors_info?page=1": "sensors-page1",
+        "/get_sensors_info?page=2": "sensors-page2",
+      };
+      const fixture = fixtures[`${url.pathname}${url.search}`];
+      if (!fixture) {
+        res.writeHead(404).end();
+        return;
+      }
+      // Gateways serve JSON as text/html
+      res.writeHead(200, { "Content-Type": "text/html" }).end(JSON.stringify(loadFixture("gateway", fixture)));
+    };
+    gateway = await startStubServer((req, res) => {
+      requests.push(req.url);
+      respond(req, res);
+    });
+  });
+
+  afterEach(async () => {
+    await gateway.close();
+  });
+
+  it("should require a host", () => {
+    expect(() => new LocalGatewayClient({})).toThrow(CustomError);
+  });
+
+  it("should return real-time data in the cloud shape filtered by callback", async () => {
+    const client = new LocalGatewayClient({ host: gateway.url.replace("http://", "") });
+
+    const data = await client.getRealTimeInfo("AA:BB:CC:DD:EE:FF", "outdoor,rainfall.daily");
+
+    expect(requests).toEqual(["/get_livedata_info"]);
+    expect(Object.keys(data)).toEqual(["outdoor", "rainfall"]);
+    expect(data.outdoor.temperature.value).toBe("21.4");
+    expect(Object.keys(data.rainfall)).toEqual(["daily"]);
+  });
+
+  it("should list paired sensors from both pages", async () => {
+    const client = new LocalGatewayClient({ host: gateway.url });
+
+    const sensors = await client.getSensorsInfo();
+
+    expect(sensors.map((sensor) => sensor.name)).toEqual([
+      "Temp & Humidity & Solar & Wind & Rain",
+      "Temp & Humidity CH1",
+      "Soil moisture CH2",
+      "Lightning",
+    ]);
+    expect(sensors[1]).toEqual({
+      type: "6",
+      name: "Temp & Humidity CH1",
+      id: "2F",
+      battery: "0",
+      signal: "4",
+      rssi: "-71",
+    });
+  });
+
+  it("should report HTTP errors and invalid JSON", async () => {
+    const client = new LocalGatewayClient({ host: gateway.url });
+
+    respond = (_req, res) => res.writeHead(500).end();
+    await expect(client.getLiveData()).rejects.toMatchObject({ code: "GATEWAY_HTTP_ERROR" });
+
+    respond = (_req, res) => res.writeHead(200).end("<html>");
+    await expect(client.getLiveData()).rejects.toThrow(DataParsingError);
+  });
+
+  it("should time out when the gateway does not answer", async () => {
+    respond = () => {};
+    const client = new LocalGatewayClient({ host: gateway.url, requestTimeout: 50 });
+
+    await expect(client.getLiveData()).rejects.toMatchObject({ code: "TIMEOUT_ERROR" });
+  });
+
+  it("should report an unreachable gateway as a network error", async () => {
+    const client = new LocalGatewayClient({ host: gateway.url });
+    await gateway.close();
+
+    await expect(client.getLiveData()).rejects.toMatchObject({ code: "NETWORK_ERROR" });
+  });
+});
@@ -0,0 +1,132 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { EcowittClient } from "../src/ecowitt/client.js";
+import { EcowittApiError } from "../src/ecowitt/errors.js";
+import { MOCK_SCENARIOS, MockEcowittApi } from "../src/mock/api.js";
+import { MOCK_SCENARIO_NAMES } from "../src/mock/scenarios.js";
+import { MockEcowittServer } from "../src/mock/server.js";
+import { loadConfig } from "./helpers/config";
+
+describe("MockEcowittApi", () => {
+  const credentials = { application_key: "any", api_key: "any" };
+  const device = { ...credentials, mac: "25:25:25:25:25:25" };
+
+  it("should require credentials and a device", () => {
+    const api = new MockEcowittApi();
+
+    expect(api.handle("/device/list", {}).body.code).toBe(40017);
+    expect(api.handle("/device/list", { application_key: "any" }).body.code).toBe(40018);
+    expect(api.handle("/device/info", credentials).body.code).toBe(40019);
+    expect(api.handle("/device/info", { ...credentials, mac: "00:11:22:33:44:55" }).body.code).toBe(40012);
+    expect(api.handle("/device/unknown", credentials).status).toBe(404);
+  });
+
+  it("should page the device list", () => {
+    const api = new MockEcowittApi({ scenario: "multi-page" });
+
+    const { data } = api.handle("/device/list", { ...credentials, limit: "50", page: "3" }).body;
+
+    expect(data).toMatchObject({ total: 120, totalPage: 3, pageNum: 3 });
+    expect(data.list).toHaveLength(20);
+    expect(data.list[0]).toMatchObject({ name: "Mock Station 101", mac: "02:00:00:00:00:65" });
+  });
+
+  it("should generate history for the requested range and cycle type", () => {
+    const api = new MockEcowittApi();
+
+    const { data } = api.handle("/device/history", {
+      ...device,
+      start_date: "2024-06-01 00:00:00",
+      end_date: "2024-06-01 02:00:00",
+      cycle_type: "30min",
+      call_back: "outdoor.temperature,wind",
+    }).body;
+
+    expect(Object.keys(data)).toEqual(["outdoor", "wind"]);
+    expect(Object.keys(data.outdoor)).toEqual(["temperature"]);
+    expect(data.outdoor.temperature.unit).toBe("℉");
+    expect(Object.keys(data.outdoor.temperature.list)).toEqual([
+      "1717200000",
+      "1717201800",
+      "1717203600",
+      "1717205400",
+      "1717207200",
+    ]);
+  });
+
+  it("should pick the resolution for cycle_type auto and reject windows that are too long", () => {
+    const api = new MockEcowittApi();
+    const history = (params) =>
+      api.handle("/device/history", { ...device, call_back: "outdoor.temperature", ...params }).body;
+
+    const week = history({ start_date: "2024-06-01 00:00:00", end_date: "2024-06-07 23:59:59", cycle_type: "auto" });
+    expect(Object.keys(week.data.outdoor.temperature.list)).toHaveLength(7 * 48);
+
+    expect(history({ start_date: "2024-06-01", end_date: "2024-06-03", cycle_type: "5min" }).code).toBe(40000);
+    expect(history({ start_date: "2024-06-01", end_date: "2024-06-03", cycle_type: "2min" }).code).toBe(40015);
+    expect(history({ start_date: "yesterday", end_date: "2024-06-03" }).code).toBe(40013);
+  });
+
+  it("should reject unknown scenarios", () => {
+    expect(() => new MockEcowittApi({ scenario: "sunny" })).toThrow('Unknown mock scenario "sunny"');
+  });
+
+  it("should define a scenario for every configurable scenario name", () => {
+    expect(Object.keys(MOCK_SCENARIOS)).toEqual(MOCK_SCENARIO_NAMES);
+  });
+});
+
+describe("MockEcowittServer", () => {
+  let server;
+
+  /**
+   * Start a mock server and create a client pointed at it
+   * @param {string} scenario - Mock scenario name
+   * @returns {Promise<EcowittClient>} Client using the mock API
+   */
+  const clientFor = async (scenario) => {
+    server = new MockEcowittServer({ scenario });
+    const { baseUrl } = await server.start();
+    const config = await loadConfig();
+    return new EcowittClient({ ...config, ecowitt: { ...config.ecowitt, baseUrl, cache: { enabled: false } } });
+  };
+
+  afterEach(async () => {
+    await server?.stop();
+  });
+
+  it("should serve the example devices and real-time data", async () => {
+    const client = await clientFor("default");
+
+    const devices = await client.listDevices();
+    const realtime = await client.getRealTimeInfo("25:25:25:25:25:25", "outdoor.temperature");
+
+    expect(devices.map((device) => device.name)).toEqual(["ceshi", "test1"]);
+    expect(Object.keys(realtime)).toEqual(["outdoor"]);
+    expect(Number(realtime.outdoor.temperature.time)).toBeGreaterThan(Date.now() / 1000 - 60);
+  });
+
+  it("should follow every page of a multi-page device list", async () => {
+    const client = await clientFor("multi-page");
+
+    await expect(client.listDevices()).resolves.toHaveLength(120);
+  });
+
+  it("should return an empty device list", async () => {
+    const client = await clientFor("empty-list");
+
+    await expect(client.listDevices()).resolves.toEqual([]);
+  });
+
+  it.each([
+    ["invalid-application-key", 40010, (client) => client.listDevices()],
+    ["invalid-device", 40012, (client) => client.getDeviceInfo("25:25:25:25:25:25")],
+    ["busy", -1, (client) => client.listDevices()],
+  ])("should fail with the error code of the %s scenario", async (scenario, code, request) => {
+    const client = await clientFor(scenario);
+
+    const error = await request(client).catch((error) => error);
+
+    expect(error).toBeInstanceOf(EcowittApiError);
+    expect(error.code).toBe(code);
+  });
+});
@@ -0,0 +1,69 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { RateLimiter } from "../src/ecowitt/rate_limiter.js";
+
+describe("RateLimiter", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should start tasks immediately while tokens are available", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 2, maxConcurrent: 5 });
+    const task = vi.fn().mockResolvedValue("ok");
+
+    await Promise.all([limiter.schedule(task), limiter.schedule(task)]);
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(limiter.getStats()).toMatchObject({ queueDepth: 0, started: 2, maxWaitMs: 0 });
+  });
+
+  it("should delay tasks until a token is refilled", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 2, burst: 1, maxConcurrent: 5 });
+    const task = vi.fn().mockResolvedValue("ok");
+
+    limiter.schedule(task);
+    const second = limiter.schedule(task);
+    await Promise.resolve();
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(limiter.getStats().queueDepth).toBe(1);
+
+    await vi.advanceTimersByTimeAsync(500);
+    await second;
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(limiter.getStats()).toMatchObject({ queueDepth: 0, maxWaitMs: 500, averageWaitMs: 250 });
+  });
+
+  it("should not run more than maxConcurrent tasks at once", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 100, burst: 10, maxConcurrent: 1 });
+    let release;
+    const blocking = () =>
+      new Promise((resolve) => {
+        release = resolve;
+      });
+    const second = vi.fn().mockResolvedValue("second");
+
+    const first = limiter.schedule(blocking);
+    const queued = limiter.schedule(second);
+    await Promise.resolve();
+
+    expect(limiter.getStats()).toMatchObject({ active: 1, queueDepth: 1 });
+    expect(second).not.toHaveBeenCalled();
+
+    release("first");
+    await expect(first).resolves.toBe("first");
+    await expect(queued).resolves.toBe("second");
+  });
+
+  it("should propagate task rejections and free the slot", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 100, burst: 10, maxConcurrent: 1 });
+
+    await expect(limiter.schedule(() => Promise.reject(new Error("boom")))).rejects.toThrow("boom");
+    await expect(limiter.schedule(() => "next")).resolves.toBe("next");
+    expect(limiter.getStats().active).toBe(0);
+  });
+});
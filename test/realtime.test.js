@@ -0,0 +1,126 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { latestReadingTime, normalizeRealtime, selectRealtimeFields } from "../src/ecowitt/realtime.js";
+
+describe("Real-time data helpers", () => {
+  const data = {
+    outdoor: {
+      temperature: { time: "1717243200", unit: "ºF", value: "70.5" },
+      humidity: { time: "1717243260", unit: "%", value: "62" },
+    },
+    indoor: {
+      temperature: { time: "1717243100", unit: "ºF", value: "72.1" },
+      humidity: { time: "1717243100", unit: "%", value: "48" },
+    },
+    wind: {
+      wind_speed: { time: "1717243200", unit: "mph", value: "4.5" },
+    },
+  };
+
+  describe("selectRealtimeFields", () => {
+    it("should keep everything for 'all' or no callback", () => {
+      expect(selectRealtimeFields(data, "all")).toBe(data);
+      expect(selectRealtimeFields(data)).toBe(data);
+    });
+
+    it("should select groups and individual metrics", () => {
+      const selected = selectRealtimeFields(data, "wind, indoor.humidity, missing.metric");
+
+      expect(Object.keys(selected)).toEqual(["wind", "indoor"]);
+      expect(selected.wind).toBe(data.wind);
+      expect(Object.keys(selected.indoor)).toEqual(["humidity"]);
+    });
+
+    it("should select IoT sub-device groups by their default title", () => {
+      const iot = { "WFC01-0000001(Garden tap)": { status: { time: "1", unit: "", value: "1" } } };
+
+      expect(selectRealtimeFields({ ...data, ...iot }, "WFC01-0000001")).toEqual(iot);
+      expect(selectRealtimeFields(iot, "WFC01-0000001.status")).toEqual(iot);
+    });
+  });
+
+  describe("latestReadingTime", () => {
+    it("should return the newest reading time in milliseconds", () => {
+      expect(latestReadingTime(data)).toBe(1717243260000);
+    });
+
+    it("should return 0 when there are no readings", () => {
+      expect(latestReadingTime({})).toBe(0);
+      expect(latestReadingTime(undefined)).toBe(0);
+    });
+  });
+
+  describe("normalizeRealtime", () => {
+    it("should turn readings into typed values with canonical units and times", () => {
+      expect(normalizeRealtime(data).slice(0, 2)).toEqual([
+        {
+          id: "outdoor.temperature",
+          group: "outdoor",
+          channel: null,
+          metric: "temperature",
+          value: 70.5,
+          unit: "℉",
+          time: new Date(1717243200 * 1000),
+        },
+        {
+          id: "outdoor.humidity",
+          group: "outdoor",
+          channel: null,
+          metric: "humidity",
+          value: 62,
+          unit: "%",
+          time: new Date(1717243260 * 1000),
+        },
+      ]);
+    });
+
+    it("should read channels from group and metric names", () => {
+      const readings = normalizeRealtime({
+        soil_ch3: { soilmoisture: { time: "1", unit: "%", value: "41" } },
+        ch_lds2: { depth_ch2: { time: "1", unit: "ft", value: "3.2" } },
+        water_leak: { leak_ch4: { time: "1", unit: "", value: "0" } },
+      });
+
+      expect(readings.map(({ id, channel, unit }) => [id, channel, unit])).toEqual([
+        ["soil_ch3.soilmoisture", 3, "%"],
+        ["ch_lds2.depth_ch2", 2, "ft"],
+        ["water_leak.leak_ch4", 4, null],
+      ]);
+    });
+
+    it("should skip entries without values and keep non-numeric values as null", () => {
+      const readings = normalizeRealtime({
+        camera: { photo: { time: "1670809403", url: "https://example.com/photo.jpg" } },
+        outdoor: { temperature: { time: "", unit: "ºF", value: "--" } },
+      });
+
+      expect(readings).toEqual([
+        {
+          id: "outdoor.temperature",
+          group: "outdoor",
+          channel: null,
+          metric: "temperature",
+          value: null,
+          unit: "℉",
+          time: null,
+        },
+      ]);
+    });
+
+    it("should normalize a device info last_update", () => {
+      const example = JSON.parse(readFileSync(new URL("../docs/examples/device-info.json", import.meta.url), "utf8"));
+      const readings = normalizeRealtime(example.data.last_update);
+
+      expect(readings.find((reading) => reading.id === "soil_ch3.soilmoisture")).toMatchObject({
+        channel: 3,
+        unit: "%",
+      });
+      expect(readings.every((reading) => reading.id === `${reading.group}.${reading.metric}`)).toBe(true);
+      // IoT sub-device totals are reported without a timestamp
+      expect(readings.find((reading) => reading.metric === "daily" && reading.unit === "L")).toMatchObject({
+        value: 0,
+        time: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { EcowittApiError } from "../src/ecowitt/errors.js";
+import { computeBackoffDelay, DEFAULT_RETRY_POLICY, isRetryableError, parseRetryAfter } from "../src/ecowitt/retry.js";
+import { CustomError } from "../src/utils/errors.js";
+
+describe("Retry helpers", () => {
+  describe("isRetryableError", () => {
+    it("should retry busy, 5xx and 429 API errors", () => {
+      expect(isRetryableError(new EcowittApiError(-1))).toBe(true);
+      expect(isRetryableError(new EcowittApiError(502, "Bad Gateway"))).toBe(true);
+      expect(isRetryableError(new EcowittApiError(429, "Too Many Requests"))).toBe(true);
+    });
+
+    it("should retry timeouts", () => {
+      expect(isRetryableError(new CustomError("Request timed out.", "TIMEOUT_ERROR", "timeout_error"))).toBe(true);
+    });
+
+    it("should not retry other errors", () => {
+      expect(isRetryableError(new EcowittApiError(40010))).toBe(false);
+      expect(isRetryableError(new CustomError("Network error", "NETWORK_ERROR", "network_error"))).toBe(false);
+      expect(isRetryableError(new Error("boom"))).toBe(false);
+    });
+  });
+
+  describe("computeBackoffDelay", () => {
+    it("should double the delay on each attempt", () => {
+      const noJitter = () => 1;
+      expect(computeBackoffDelay(1, DEFAULT_RETRY_POLICY, noJitter)).toBe(500);
+      expect(computeBackoffDelay(2, DEFAULT_RETRY_POLICY, noJitter)).toBe(1000);
+      expect(computeBackoffDelay(3, DEFAULT_RETRY_POLICY, noJitter)).toBe(2000);
+    });
+
+    it("should cap the delay at maxDelay", () => {
+      expect(computeBackoffDelay(10, DEFAULT_RETRY_POLICY, () => 1)).toBe(DEFAULT_RETRY_POLICY.maxDelay);
+    });
+
+    it("should apply jitter to half of the delay", () => {
+      expect(computeBackoffDelay(2, DEFAULT_RETRY_POLICY, () => 0)).toBe(500);
+      expect(computeBackoffDelay(2, DEFAULT_RETRY_POLICY, () => 0.5)).toBe(750);
+    });
+  });
+
+  describe("parseRetryAfter", () => {
+    it("should parse delay-seconds", () => {
+      expect(parseRetryAfter("3")).toBe(3000);
+    });
+
+    it("should parse HTTP dates relative to now", () => {
+      const now = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+      expect(parseRetryAfter("Wed, 21 Oct 2015 07:28:05 GMT", now)).toBe(5000);
+      expect(parseRetryAfter("Wed, 21 Oct 2015 07:27:00 GMT", now)).toBe(0);
+    });
+
+    it("should ignore missing or invalid values", () => {
+      expect(parseRetryAfter(null)).toBeUndefined();
+      expect(parseRetryAfter("soon")).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import {
+  buildSensorInventory,
+  calibrateReadings,
+  configuredSensorLabels,
+  resolveSensorSelectors,
+  sensorLabel,
+} from "../src/ecowitt/sensors.js";
+
+describe("Sensor inventory", () => {
+  describe("sensorLabel", () => {
+    it("should label channelled sensors", () => {
+      expect(sensorLabel("temp_and_humidity_ch3")).toBe("Temp/Humidity channel 3");
+      expect(sensorLabel("soil_ch5")).toBe("Soil moisture 5");
+      expect(sensorLabel("pm25_ch1")).toBe("PM2.5 channel 1");
+      expect(sensorLabel("leak_ch2")).toBe("Leak channel 2");
+      expect(sensorLabel("lds_ch1")).toBe("Laser distance channel 1");
+      expect(sensorLabel("ch_lds4")).toBe("Laser distance channel 4");
+    });
+
+    it("should label fixed groups, metrics and IoT sub-devices", () => {
+      expect(sensorLabel("pm10_aqi_combo")).toBe("PM10 (air quality combo)");
+      expect(sensorLabel("uvi")).toBe("UV index");
+      expect(sensorLabel("wind_speed")).toBe("Wind speed");
+      expect(sensorLabel("depth_ch1")).toBe("Depth channel 1");
+      expect(sensorLabel("WFC01-0xxxxxx8(Garden Tap)")).toBe("Garden Tap");
+    });
+  });
+
+  describe("resolveSensorSelectors", () => {
+    const sensorConfig = { temp_and_humidity_ch2: { label: "Wine cellar" }, soil_ch7: { location: "Garden" } };
+
+    it("should translate labels and label.metric paths to groups", () => {
+      expect(resolveSensorSelectors("Wine Cellar,wine cellar.humidity, outdoor", sensorConfig)).toBe(
+        "temp_and_humidity_ch2,temp_and_humidity_ch2.humidity,outdoor"
+      );
+    });
+
+    it("should pass the call_back through without labels", () => {
+      expect(resolveSensorSelectors("outdoor, indoor", {})).toBe("outdoor, indoor");
+      expect(resolveSensorSelectors(undefined, sensorConfig)).toBeUndefined();
+    });
+  });
+
+  describe("calibrateReadings", () => {
+    it("should apply offsets and scales to values and history lists, keeping precision", () => {
+      const data = {
+        temp_and_humidity_ch2: {
+          temperature: { time: "1", unit: "℉", value: "55.4" },
+          humidity: { unit: "%", list: { 1: "60", 2: "" } },
+        },
+        outdoor: { temperature: { time: "1", unit: "℉", value: "70.0" } },
+      };
+      const sensorConfig = {
+        temp_and_humidity_ch2: { calibration: { temperature: { offset: -0.4 }, humidity: { scale: 1.05, offset: 1 } } },
+      };
+
+      expect(calibrateReadings(data, sensorConfig)).toEqual({
+        temp_and_humidity_ch2: {
+          temperature: { time: "1", unit: "℉", value: "55.0" },
+          humidity: { unit: "%", list: { 1: "64.00", 2: "" } },
+        },
+        outdoor: data.outdoor,
+      });
+      expect(data.temp_and_humidity_ch2.temperature.value).toBe("55.4");
+    });
+
+    it("should keep the precision of offsets and scales finer than the reported value", () => {
+      const data = {
+        indoor: { humidity: { time: "1", unit: "%", value: "55" } },
+        outdoor: { humidity: { value: 55 } },
+      };
+
+      expect(calibrateReadings(data, { indoor: { calibration: { humidity: { offset: 0.3 } } } }).indoor).toEqual({
+        humidity: { time: "1", unit: "%", value: "55.3" },
+      });
+      expect(calibrateReadings(data, { outdoor: { calibration: { humidity: { scale: 1.004 } } } }).outdoor).toEqual({
+        humidity: { value: 55.22 },
+      });
+    });
+
+    it("should apply offsets given in another unit of the same quantity", () => {
+      const data = { temp_ch1: { temperature: { time: "1", unit: "ºF", value: 50 } } };
+      const sensorConfig = { temp_ch1: { calibration: { temperature: { offset: -1, unit: "celsius" } } } };
+
+      expect(calibrateReadings(data, sensorConfig).temp_ch1.temperature.value).toBe(48);
+    });
+
+    it("should return the payload itself without calibrations", () => {
+      const data = { outdoor: {} };
+      expect(calibrateReadings(data, { outdoor: { label: "Yard" } })).toBe(data);
+    });
+  });
+
+  describe("configuredSensorLabels", () => {
+    it("should collect labels of the configured groups present in the data", () => {
+      const sensorConfig = {
+        soil_ch7: { label: "Tomato bed", location: "Garden" },
+        soil_ch8: { label: "Herbs" },
+        outdoor: { calibration: {} },
+      };
+
+      expect(configuredSensorLabels({ soil_ch7: {}, outdoor: {} }, sensorConfig)).toEqual({
+        soil_ch7: { label: "Tomato bed", location: "Garden" },
+      });
+      expect(configuredSensorLabels({ outdoor: {} }, sensorConfig)).toBeUndefined();
+    });
+  });
+
+  describe("buildSensorInventory", () => {
+    it("should list groups with their metrics, units, times and call_back values", () => {
+      const inventory = buildSensorInventory({
+        outdoor: {
+          temperature: { time: "1717243200", unit: "ºF", value: "70.5" },
+          humidity: { time: "1717243260", unit: "%", value: "41" },
+        },
+        soil_ch3: { soilmoisture: { time: "1717243200", unit: "%", value: "41" } },
+      });
+
+      expect(inventory).toEqual({
+        sensors: [
+          {
+            group: "outdoor",
+            label: "Outdoor",
+            channel: null,
+            call_back: "outdoor",
+            time: "2024-06-01T12:01:00.000Z",
+            metrics: [
+              {
+                metric: "temperature",
+                label: "Temperature",
+                unit: "℉",
+                call_back: "outdoor.temperature",
+                time: "2024-06-01T12:00:00.000Z",
+              },
+              {
+                metric: "humidity",
+                label: "Humidity",
+                unit: "%",
+                call_back: "outdoor.humidity",
+                time: "2024-06-01T12:01:00.000Z",
+              },
+            ],
+          },
+          {
+            group: "soil_ch3",
+            label: "Soil moisture 3",
+            channel: 3,
+            call_back: "soil_ch3",
+            time: "2024-06-01T12:00:00.000Z",
+            metrics: [
+              {
+                metric: "soilmoisture",
+                label: "Soil moisture",
+                unit: "%",
+                call_back: "soil_ch3.soilmoisture",
+                time: "2024-06-01T12:00:00.000Z",
+              },
+            ],
+          },
+        ],
+        call_backs: ["outdoor", "outdoor.temperature", "outdoor.humidity", "soil_ch3", "soil_ch3.soilmoisture"],
+      });
+    });
+
+    it("should include camera photos and readings without a time from a device info last_update", () => {
+      const example = JSON.parse(readFileSync(new URL("../docs/examples/device-info.json", import.meta.url), "utf8"));
+      const { sensors, call_backs } = buildSensorInventory(example.data.last_update);
+
+      expect(sensors.find((sensor) => sensor.group === "photo")).toMatchObject({
+        label: "Camera",
+        time: "2022-12-12T03:15:12.000Z",
+        metrics: [],
+      });
+      expect(sensors.find((sensor) => sensor.group === "water_leak").metrics[1]).toMatchObject({
+        label: "Leak channel 2",
+        call_back: "water_leak.leak_ch2",
+      });
+      expect(call_backs).toContain("temp_and_humidity_ch3.temperature");
+      expect(call_backs).not.toContain("outdoor.temp");
+    });
+  });
+});
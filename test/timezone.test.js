@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import {
+  epochToWallTime,
+  formatInTimeZone,
+  isValidTimeZone,
+  parseUtcOffset,
+  timeZoneOffsetMs,
+  wallTimeToEpoch,
+} from "../src/utils/timezone.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("Timezone utilities", () => {
+  describe("parseUtcOffset", () => {
+    it("should parse offsets in minutes east of UTC", () => {
+      expect(parseUtcOffset("Z")).toBe(0);
+      expect(parseUtcOffset("UTC")).toBe(0);
+      expect(parseUtcOffset("+11:00")).toBe(660);
+      expect(parseUtcOffset("-0530")).toBe(-330);
+      expect(parseUtcOffset("GMT+10")).toBe(600);
+    });
+
+    it("should return undefined for zone names and other values", () => {
+      expect(parseUtcOffset("Australia/Melbourne")).toBeUndefined();
+      expect(parseUtcOffset("+1")).toBeUndefined();
+      expect(parseUtcOffset(undefined)).toBeUndefined();
+    });
+  });
+
+  describe("isValidTimeZone", () => {
+    it("should accept IANA zones and UTC offsets", () => {
+      expect(isValidTimeZone("Australia/Melbourne")).toBe(true);
+      expect(isValidTimeZone("+05:30")).toBe(true);
+    });
+
+    it("should reject unknown zones", () => {
+      expect(isValidTimeZone("Mars/Olympus_Mons")).toBe(false);
+    });
+  });
+
+  describe("timeZoneOffsetMs", () => {
+    it("should follow daylight saving time", () => {
+      expect(timeZoneOffsetMs("Australia/Melbourne", Date.UTC(2024, 11, 25))).toBe(11 * HOUR_MS);
+      expect(timeZoneOffsetMs("Australia/Melbourne", Date.UTC(2024, 6, 1))).toBe(10 * HOUR_MS);
+      expect(timeZoneOffsetMs("-05:00", Date.UTC(2024, 6, 1))).toBe(-5 * HOUR_MS);
+    });
+  });
+
+  describe("wallTimeToEpoch", () => {
+    it("should convert a local time to an instant", () => {
+      const wall = new Date("2024-12-25T00:00:00Z");
+      expect(new Date(wallTimeToEpoch(wall, "Australia/Melbourne")).toISOString()).toBe("2024-12-24T13:00:00.000Z");
+    });
+
+    it("should resolve times skipped by daylight saving to after the change", () => {
+      const wall = new Date("2024-03-10T02:30:00Z");
+      expect(new Date(wallTimeToEpoch(wall, "America/New_York")).toISOString()).toBe("2024-03-10T07:30:00.000Z");
+    });
+
+    it("should resolve repeated times to their first occurrence", () => {
+      const wall = new Date("2024-11-03T01:30:00Z");
+      expect(new Date(wallTimeToEpoch(wall, "America/New_York")).toISOString()).toBe("2024-11-03T05:30:00.000Z");
+    });
+  });
+
+  describe("epochToWallTime and formatInTimeZone", () => {
+    it("should render an instant in a zone", () => {
+      const epoch = Date.UTC(2024, 11, 24, 13);
+      expect(epochToWallTime(epoch, "Australia/Melbourne").toISOString()).toBe("2024-12-25T00:00:00.000Z");
+      expect(formatInTimeZone(epoch, "Australia/Melbourne")).toBe("2024-12-25T00:00:00+11:00");
+      expect(formatInTimeZone(epoch, "America/St_Johns")).toBe("2024-12-24T09:30:00-03:30");
+      expect(formatInTimeZone(epoch, "UTC")).toBe("2024-12-24T13:00:00+00:00");
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, expect, it } from "vitest";
+import { CustomError } from "../src/utils/errors.js";
+import {
+  canonicalUnit,
+  convertReadings,
+  convertValue,
+  parseUnitPreferences,
+  UNIT_SYSTEMS,
+} from "../src/utils/units.js";
+
+describe("Unit conversion", () => {
+  describe("canonicalUnit", () => {
+    it("should normalize API glyphs and friendly names", () => {
+      expect(canonicalUnit("ºF")).toBe("℉");
+      expect(canonicalUnit("℉")).toBe("℉");
+      expect(canonicalUnit("Celsius")).toBe("℃");
+      expect(canonicalUnit("hpa")).toBe("hPa");
+      expect(canonicalUnit("kW·h")).toBe("kWh");
+      expect(canonicalUnit("m3/min")).toBe("m³/min");
+    });
+
+    it("should return undefined for units that are not convertible", () => {
+      expect(canonicalUnit("%")).toBeUndefined();
+      expect(canonicalUnit("º")).toBeUndefined();
+      expect(canonicalUnit(undefined)).toBeUndefined();
+    });
+  });
+
+  describe("convertValue", () => {
+    it("should convert between units of each quantity", () => {
+      expect(convertValue(212, "℉", "celsius")).toBe(100);
+      expect(convertValue(0, "℃", "K")).toBe(273.15);
+      expect(convertValue(29.92, "inHg", "hPa")).toBe(1013.2);
+      expect(convertValue(10, "mph", "km/h")).toBe(16.1);
+      expect(convertValue(1, "in", "mm")).toBe(25.4);
+      expect(convertValue(0.5, "in/hr", "mm/hr")).toBe(12.7);
+      expect(convertValue(100, "W/m²", "lux")).toBe(12670);
+      expect(convertValue(10, "gal", "L")).toBe(37.9);
+      expect(convertValue(1500, "W·h", "kWh")).toBe(1.5);
+      expect(convertValue(2.5, "kW", "W")).toBe(2500);
+      expect(convertValue(10, "mi", "km")).toBe(16.1);
+      expect(convertValue(10, "ft", "m")).toBe(3.05);
+    });
+
+    it("should keep the precision of the source value when the target unit is coarser", () => {
+      expect(convertValue(37, "W·h", "kWh")).toBe(0.037);
+      expect(convertValue(18, "W", "kW")).toBe(0.018);
+      expect(convertValue(1013.2, "hPa", "inHg")).toBe(29.92);
+      expect(convertValue(41.2, "℉", "℃")).toBe(5.1);
+    });
+
+    it("should convert to and from the Beaufort scale", () => {
+      expect(convertValue(0.2, "m/s", "BFT")).toBe(0);
+      expect(convertValue(20, "mph", "beaufort")).toBe(5);
+      expect(convertValue(100, "km/h", "BFT")).toBe(10);
+      expect(convertValue(150, "knots", "BFT")).toBe(12);
+      expect(convertValue(5, "BFT", "m/s")).toBe(9.4);
+    });
+
+    it("should reject unknown units and mismatched quantities", () => {
+      expect(() => convertValue(1, "℉", "hPa")).toThrow('Cannot convert from "℉" to "hPa".');
+      expect(() => convertValue(1, "furlongs", "km")).toThrow(CustomError);
+    });
+  });
+
+  describe("parseUnitPreferences", () => {
+    it("should expand unit systems and apply later names over earlier ones", () => {
+      expect(parseUnitPreferences("imperial")).toEqual(UNIT_SYSTEMS.imperial);
+      expect(parseUnitPreferences("metric, mph")).toEqual({ ...UNIT_SYSTEMS.metric, speed: "mph" });
+      expect(parseUnitPreferences(["celsius", "hPa"])).toEqual({ temperature: "℃", pressure: "hPa" });
+    });
+
+    it("should reject unknown names", () => {
+      expect(() => parseUnitPreferences("metric, furlongs")).toThrow('Unknown unit "furlongs"');
+    });
+  });
+
+  describe("convertReadings", () => {
+    it("should convert real-time readings and keep values as strings", () => {
+      const realtime = {
+        outdoor: {
+          temperature: { time: "1", unit: "ºF", value: "50.0" },
+          humidity: { time: "1", unit: "%", value: "80" },
+        },
+        wind: { wind_speed: { time: "1", unit: "mph", value: "10" }, wind_direction: { unit: "º", value: "90" } },
+        pressure: { relative: { time: "1", unit: "inHg", value: "" } },
+      };
+
+      expect(convertReadings(realtime, parseUnitPreferences("metric"))).toEqual({
+        outdoor: {
+          temperature: { time: "1", unit: "℃", value: "10" },
+          humidity: { time: "1", unit: "%", value: "80" },
+        },
+        wind: { wind_speed: { time: "1", unit: "km/h", value: "16.1" }, wind_direction: { unit: "º", value: "90" } },
+        pressure: { relative: { time: "1", unit: "hPa", value: "" } },
+      });
+      expect(realtime.outdoor.temperature.unit).toBe("ºF");
+    });
+
+    it("should convert history series and normalize glyphs of quantities without a preference", () => {
+      const history = {
+        outdoor: { temperature: { unit: "ºF", list: { 1: "32", 2: "41" } } },
+        rainfall: { daily: { unit: "in", list: { 1: "0.10" } } },
+      };
+
+      expect(convertReadings(history, { temperature: "℃" })).toEqual({
+        outdoor: { temperature: { unit: "℃", list: { 1: "0", 2: "5" } } },
+        rainfall: { daily: { unit: "in", list: { 1: "0.10" } } },
+      });
+    });
+
+    it("should only apply the rain preference to rain groups", () => {
+      const realtime = {
+        rainfall_piezo: { daily: { time: "1", unit: "mm", value: "25.4" } },
+        ch_lds1: { depth_ch1: { time: "1", unit: "mm", value: "1520" } },
+      };
+
+      expect(convertReadings(realtime, { rain: "in" })).toEqual({
+        rainfall_piezo: { daily: { time: "1", unit: "in", value: "1" } },
+        ch_lds1: { depth_ch1: { time: "1", unit: "mm", value: "1520" } },
+      });
+    });
+  });
+});
@@ -0,0 +1,299 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { parseEcowittUpload, passkeyForMac } from "../src/receivers/ecowitt.js";
+import { UploadReceiver } from "../src/receivers/server.js";
+import { UploadStore } from "../src/receivers/store.js";
+import { parseWundergroundUpload } from "../src/receivers/wunderground.js";
+
+const UPLOAD = {
+  PASSKEY: "0123456789abcdef0123456789abcdef",
+  stationtype: "GW2000A_V3.1.4",
+  dateutc: "2024-06-01 12:00:00",
+  tempinf: "72.1",
+  humidityin: "48",
+  baromrelin: "29.912",
+  baromabsin: "29.700",
+  tempf: "70.5",
+  humidity: "62",
+  winddir: "247",
+  windspeedmph: "4.47",
+  solarradiation: "412.36",
+  uv: "4",
+  rainratein: "0.000",
+  dailyrainin: "0.047",
+  temp1f: "79.0",
+  humidity1: "71",
+  soilmoisture2: "34",
+  wh65batt: "0",
+  freq: "915M",
+  model: "GW2000A",
+};
+
+describe("parseEcowittUpload", () => {
+  it("should group fields like the cloud real_time response", () => {
+    const upload = parseEcowittUpload(UPLOAD);
+
+    expect(upload).toMatchObject({
+      passkey: "0123456789ABCDEF0123456789ABCDEF",
+      stationType: "GW2000A_V3.1.4",
+      model: "GW2000A",
+      observedAt: Date.UTC(2024, 5, 1, 12, 0, 0),
+    });
+    expect(upload.data.outdoor.temperature).toEqual({ time: "1717243200", unit: "ºF", value: "70.5" });
+    expect(upload.data.indoor.humidity).toMatchObject({ unit: "%", value: "48" });
+    expect(upload.data.pressure.relative).toMatchObject({ unit: "inHg", value: "29.912" });
+    expect(upload.data.rainfall.daily).toMatchObject({ unit: "in", value: "0.047" });
+    expect(upload.data.temp_and_humidity_ch1.temperature).toMatchObject({ unit: "ºF", value: "79.0" });
+    expect(upload.data.soil_ch2.soilmoisture).toMatchObject({ unit: "%", value: "34" });
+  });
+
+  it("should ignore fields that are not readings", () => {
+    const upload = parseEcowittUpload(UPLOAD);
+
+    expect(Object.keys(upload.data)).not.toContain("wh65batt");
+    expect(JSON.stringify(upload.data)).not.toContain("915M");
+  });
+
+  it("should use the receive time when dateutc is 'now'", () => {
+    const upload = parseEcowittUpload({ ...UPLOAD, dateutc: "now" }, 1717243260000);
+    expect(upload.observedAt).toBe(1717243260000);
+  });
+});
+
+const WUNDERGROUND_UPLOAD = {
+  ID: "KCASANFR123",
+  PASSWORD: "secret",
+  dateutc: "2024-06-01 12:00:00",
+  tempf: "70.5",
+  dewptf: "56.8",
+  humidity: "62",
+  windspeedmph: "4.5",
+  dailyrainin: "0.05",
+  baromin: "29.91",
+  UV: "-9999",
+  softwaretype: "WS-1002 V2.4.6",
+  action: "updateraw",
+};
+
+describe("parseWundergroundUpload", () => {
+  it("should group fields like the cloud real_time response", () => {
+    const upload = parseWundergroundUpload(WUNDERGROUND_UPLOAD);
+
+    expect(upload).toMatchObject({
+      stationId: "KCASANFR123",
+      password: "secret",
+      softwareType: "WS-1002 V2.4.6",
+      observedAt: Date.UTC(2024, 5, 1, 12, 0, 0),
+    });
+    expect(upload.data.outdoor.dew_point).toEqual({ time: "1717243200", unit: "ºF", value: "56.8" });
+    expect(upload.data.pressure.relative).toMatchObject({ unit: "inHg", value: "29.91" });
+    expect(upload.data.rainfall.daily).toMatchObject({ unit: "in", value: "0.05" });
+  });
+
+  it("should skip sensors reported as -9999", () => {
+    expect(parseWundergroundUpload(WUNDERGROUND_UPLOAD).data.solar_and_uvi).toBeUndefined();
+  });
+});
+
+describe("passkeyForMac", () => {
+  it("should hash the normalized MAC address", () => {
+    expect(passkeyForMac("aabbccddeeff")).toBe(passkeyForMac("AA:BB:CC:DD:EE:FF"));
+    expect(passkeyForMac("AA:BB:CC:DD:EE:FF")).toMatch(/^[0-9A-F]{32}$/);
+  });
+});
+
+describe("UploadStore", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "ecowitt-uploads-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("should keep the latest upload per station", async () => {
+    const store = new UploadStore();
+
+    await store.save({ stationId: "A", protocol: "ecowitt", observedAt: 2, data: { n: 2 } });
+    await expect(store.save({ stationId: "A", protocol: "ecowitt", observedAt: 1, data: { n: 1 } })).resolves.toBe(
+      false
+    );
+    await store.save({ stationId: "B", protocol: "ecowitt", observedAt: 1, data: {} });
+
+    expect((await store.get("ecowitt", "A")).data).toEqual({ n: 2 });
+    expect(await store.list()).toHaveLength(2);
+  });
+
+  it("should load persisted uploads once without replacing newer ones", async () => {
+    await new UploadStore({ dir }).save({ stationId: "A", protocol: "ecowitt", observedAt: 1, data: { n: 1 } });
+    const reloaded = new UploadStore({ dir });
+
+    await Promise.all([
+      reloaded.save({ stationId: "B", protocol: "ecowitt", observedAt: 1, data: {} }),
+      reloaded.save({ stationId: "A", protocol: "ecowitt", observedAt: 2, data: { n: 2 } }),
+    ]);
+
+    expect((await reloaded.get("ecowitt", "A")).data).toEqual({ n: 2 });
+    expect((await new UploadStore({ dir }).get("ecowitt", "A")).data).toEqual({ n: 2 });
+  });
+
+  it("should keep the uploads of each protocol apart", async () => {
+    const store = new UploadStore({ dir });
+
+    await store.save({ stationId: "A", protocol: "ecowitt", observedAt: 1, data: { n: 1 } });
+    await store.save({ stationId: "A", protocol: "wunderground", observedAt: 2, data: { n: 2 } });
+
+    const reloaded = new UploadStore({ dir });
+    expect((await reloaded.get("ecowitt", "A")).data).toEqual({ n: 1 });
+    expect((await reloaded.get("wunderground", "A")).data).toEqual({ n: 2 });
+    expect(await reloaded.list("wunderground")).toHaveLength(1);
+  });
+
+  it("should persist uploads to disk across instances", async () => {
+    await new UploadStore({ dir }).save({
+      stationId: "AA:BB:CC:DD:EE:FF",
+      protocol: "ecowitt",
+      observedAt: 1,
+      data: { n: 1 },
+    });
+
+    const reloaded = new UploadStore({ dir });
+    expect(await reloaded.get("ecowitt", "AA:BB:CC:DD:EE:FF")).toMatchObject({ data: { n: 1 } });
+  });
+});
+
+describe("UploadReceiver", () => {
+  let receiver;
+  let store;
+  let baseUrl;
+
+  beforeEach(async () => {
+    store = new UploadStore();
+    receiver = new UploadReceiver(
+      {
+        port: 0,
+        host: "127.0.0.1",
+        passkeys: { [UPLOAD.PASSKEY]: "aabbccddeeff" },
+        wundergroundStations: { KCASANFR123: { name: "Barn", password: "secret" } },
+      },
+      store
+    );
+    const { port } = await receiver.start();
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(async () => {
+    await receiver.stop();
+  });
+
+  it("should store form-encoded uploads under the mapped MAC address", async () => {
+    const response = await fetch(`${baseUrl}/data/report/`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams(UPLOAD).toString(),
+    });
+
+    expect(response.status).toBe(200);
+    const record = await store.get("ecowitt", "AA:BB:CC:DD:EE:FF");
+    expect(record).toMatchObject({ mac: "AA:BB:CC:DD:EE:FF", protocol: "ecowitt", model: "GW2000A" });
+    expect(record.data.outdoor.temperature.value).toBe("70.5");
+  });
+
+  it("should reject uploads with an unmapped PASSKEY", async () => {
+    const response = await fetch(`${baseUrl}/data/report/`, {
+      method: "POST",
+      body: new URLSearchParams({ ...UPLOAD, PASSKEY: passkeyForMac("11:22:33:44:55:66") }).toString(),
+    });
+
+    expect(response.status).toBe(403);
+    expect(await store.list()).toEqual([]);
+  });
+
+  it("should store uploads under the MAC address their PASSKEY resolves to", async () => {
+    const passkey = passkeyForMac("11:22:33:44:55:66");
+    const resolvePasskey = vi.fn().mockResolvedValue("112233445566");
+    const resolving = new UploadReceiver({ port: 0, host: "127.0.0.1", resolvePasskey }, store);
+    const { port } = await resolving.start();
+    try {
+      for (const dateutc of ["2024-06-01 12:00:00", "2024-06-01 12:01:00"]) {
+        await fetch(`http://127.0.0.1:${port}/data/report/`, {
+          method: "POST",
+          body: new URLSearchParams({ ...UPLOAD, PASSKEY: passkey, dateutc }).toString(),
+        });
+      }
+    } finally {
+      await resolving.stop();
+    }
+
+    expect(await store.get("ecowitt", "11:22:33:44:55:66")).toMatchObject({ mac: "11:22:33:44:55:66", passkey });
+    // Resolved PASSKEYs are remembered
+    expect(resolvePasskey).toHaveBeenCalledTimes(1);
+  });
+
+  it("should key uploads with an unmapped PASSKEY by the PASSKEY when they are accepted", async () => {
+    const passkey = passkeyForMac("11:22:33:44:55:66");
+    const accepting = new UploadReceiver({ port: 0, host: "127.0.0.1", acceptUnmappedPasskeys: true }, store);
+    const { port } = await accepting.start();
+    try {
+      await fetch(`http://127.0.0.1:${port}/data/report/`, {
+        method: "POST",
+        body: new URLSearchParams({ ...UPLOAD, PASSKEY: passkey }).toString(),
+      });
+    } finally {
+      await accepting.stop();
+    }
+
+    expect(await store.get("ecowitt", passkey)).toMatchObject({ passkey });
+  });
+
+  it("should reject uploads without a PASSKEY and unknown paths", async () => {
+    const { PASSKEY: _passkey, ...withoutPasskey } = UPLOAD;
+
+    const rejected = await fetch(`${baseUrl}/data/report/`, {
+      method: "POST",
+      body: new URLSearchParams(withoutPasskey).toString(),
+    });
+    const notFound = await fetch(`${baseUrl}/other`, { method: "POST", body: "" });
+
+    expect(rejected.status).toBe(400);
+    expect(notFound.status).toBe(404);
+    expect(await store.list()).toEqual([]);
+  });
+
+  it("should store Weather Underground uploads by station ID", async () => {
+    const response = await fetch(
+      `${baseUrl}/weatherstation/updateweatherstation.php?${new URLSearchParams(WUNDERGROUND_UPLOAD)}`
+    );
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe("success");
+    const record = await store.get("wunderground", "KCASANFR123");
+    expect(record).toMatchObject({ name: "Barn", protocol: "wunderground", softwareType: "WS-1002 V2.4.6" });
+    expect(record).not.toHaveProperty("password");
+  });
+
+  it("should reject Weather Underground uploads with the wrong password", async () => {
+    const params = new URLSearchParams({ ...WUNDERGROUND_UPLOAD, PASSWORD: "wrong" });
+    const response = await fetch(`${baseUrl}/weatherstation/updateweatherstation.php?${params}`);
+
+    expect(response.status).toBe(401);
+    expect(await store.get("wunderground", "KCASANFR123")).toBeUndefined();
+  });
+
+  it("should reject Weather Underground uploads from unconfigured stations without touching Ecowitt uploads", async () => {
+    await fetch(`${baseUrl}/data/report/`, { method: "POST", body: new URLSearchParams(UPLOAD).toString() });
+    const params = new URLSearchParams({ ...WUNDERGROUND_UPLOAD, ID: "AA:BB:CC:DD:EE:FF", tempf: "-40.0" });
+
+    const response = await fetch(`${baseUrl}/weatherstation/updateweatherstation.php?${params}`);
+
+    expect(response.status).toBe(401);
+    expect(await store.list("wunderground")).toEqual([]);
+    const record = await store.get("ecowitt", "AA:BB:CC:DD:EE:FF");
+    expect(record).toMatchObject({ protocol: "ecowitt" });
+    expect(record.data.outdoor.temperature.value).toBe("70.5");
+  });
+});
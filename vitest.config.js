@@ -16,6 +16,8 @@ export default defineConfig({
       ECOWITT_API_KEY: "test-api-key",
       ECOWITT_BASE_URL: "https://api.ecowitt.net/api/v3",
       REQUEST_TIMEOUT: "1000",
+      RETRY_BASE_DELAY: "1",
+      RETRY_MAX_DELAY: "5",
     },
     provide: {
       APP_VERSION: packageJson.version,